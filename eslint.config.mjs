@@ -27,6 +27,7 @@ export default [
         Dialog: 'readonly',
         SettingsConfig: 'readonly',
         Item: 'readonly',
+        ChatMessage: 'readonly',
         // Module specific
         MODULE_ID: 'readonly',
         isStandard: 'readonly',
@@ -15,6 +15,7 @@ import {
 } from './services/api-internal.js';
 import { manuallyRestoreAllPartyTokens } from './services/party-token-state.js';
 import { refreshEveryonesPerception } from './services/socket.js';
+import { openStealthInitiativePreview } from './services/stealth-initiative.js';
 import { updateTokenVisuals } from './services/visual-effects.js';
 import {
   cleanupDeletedToken,
@@ -24,6 +25,7 @@ import {
   setVisibilityBetween,
   showNotification,
 } from './utils.js';
+import autoVisibilitySystem from './visibility/auto-visibility/AutoVisibilitySystem.js';
 
 /**
  * Main API class for the module
@@ -233,6 +235,9 @@ export class Pf2eVisionerApi {
    * @param {string} state - The visibility state to set ('observed', 'hidden', 'undetected', 'concealed')
    * @param {Object} options - Optional configuration
    * @param {boolean} options.skipEphemeralUpdate - Boolean (default: false)
+   * @param {Object} options.audit - Audit log provenance (default: { source: 'api' })
+   * @param {string|Object} options.expiry - When the state reverts: 'turn-end', 'turn-start',
+   *   'move' or { type: 'rounds', rounds, tokenId }; the anchor token defaults to the target
    * @returns {Promise<boolean>} Promise that resolves to true if successful, false otherwise
    */
   static async setVisibility(observerId, targetId, state, options = {}) {
@@ -261,7 +266,10 @@ export class Pf2eVisionerApi {
       }
 
       // Set visibility using utility function
-      await setVisibilityBetween(observerToken, targetToken, state, options);
+      await setVisibilityBetween(observerToken, targetToken, state, {
+        ...options,
+        audit: options.audit ?? { source: 'api' },
+      });
       await updateTokenVisuals();
 
       return true;
@@ -342,7 +350,10 @@ export class Pf2eVisionerApi {
       }
 
       // Set cover using utility function
-      await setCoverBetween(observerToken, targetToken, state, options);
+      await setCoverBetween(observerToken, targetToken, state, {
+        ...options,
+        audit: options.audit ?? { source: 'api' },
+      });
       await updateTokenVisuals();
 
       return true;
@@ -660,7 +671,10 @@ export class Pf2eVisionerApi {
    * @param {Object} options - Additional options for cover detection
    * @param {boolean} options.rawPrereq - Whether to use raw prerequisite mode (default: false)
    * @param {boolean} options.forceRecalculate - Whether to force recalculation instead of using cached values
-   * @returns {string|null} The cover state: "none", "lesser", "standard", "greater", or null if error
+   * @param {boolean} options.detailed - Return a breakdown of the blockers instead of just the state
+   * @returns {string|Object|null} The cover state: "none", "lesser", "standard", "greater", or null if error.
+   *   With `detailed`, an object { state, mode, origin, target, blockers } where each blocker has
+   *   type ('wall', 'token' or 'region'), id, name, coverage (percent) and contribution (cover state)
    */
   static getAutoCoverState(observer, target, options = {}) {
     try {
@@ -701,7 +715,13 @@ export class Pf2eVisionerApi {
         return null;
       }
 
-      const { rawPrereq = false, forceRecalculate = false } = options;
+      const { rawPrereq = false, forceRecalculate = false, detailed = false } = options;
+
+      if (detailed) {
+        return autoCoverSystem.explainCoverBetweenTokens(observerToken, targetToken, {
+          rawPrereq,
+        });
+      }
 
       let coverState = null;
 
@@ -727,6 +747,269 @@ export class Pf2eVisionerApi {
     }
   }
 
+  /**
+   * Re-run automatic visibility derivation (lighting and senses) for the current scene
+   * @returns {Promise<number>} Number of observer/target pairs whose state changed
+   */
+  static async recomputeAutoVisibility() {
+    try {
+      return await autoVisibilitySystem.recompute();
+    } catch (error) {
+      console.error('PF2E Visioner: Error recomputing auto-visibility:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get why a pair currently has its derived visibility state
+   * @param {string} observerId - The observer token ID
+   * @param {string} targetId - The target token ID
+   * @returns {{state:string, source:string, reason:string|null, manual:boolean}|null}
+   */
+  static getVisibilityReason(observerId, targetId) {
+    try {
+      const observerToken = canvas.tokens.get(observerId);
+      const targetToken = canvas.tokens.get(targetId);
+      if (!observerToken || !targetToken) return null;
+      const manual = autoVisibilitySystem.isManualOverride(observerToken, targetToken);
+      const entry = autoVisibilitySystem.getDerivedEntry(observerToken, targetToken);
+      if (!entry) return manual ? { state: null, source: 'manual', reason: null, manual } : null;
+      return { ...entry, manual };
+    } catch (error) {
+      console.error('PF2E Visioner: Error getting visibility reason:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Release Token Manager overrides so the pair(s) follow derived visibility again
+   * @param {string} observerId - The observer token ID
+   * @param {string|string[]} [targetIds] - Target token ID(s); all overrides of the observer when omitted
+   * @returns {Promise<boolean>} Success status
+   */
+  static async clearVisibilityOverride(observerId, targetIds = null) {
+    try {
+      if (!game.user.isGM) {
+        ui.notifications.warn('Only GMs can clear visibility overrides');
+        return false;
+      }
+      const observerToken = canvas.tokens.get(observerId);
+      if (!observerToken) {
+        console.warn(`PF2E Visioner: Observer token with ID '${observerId}' not found`);
+        return false;
+      }
+      const ids = targetIds == null ? null : [].concat(targetIds);
+      await autoVisibilitySystem.clearManualOverrides(observerToken, ids);
+      return true;
+    } catch (error) {
+      console.error('PF2E Visioner: Error clearing visibility override:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Open the GM queue of pending player actions
+   * @returns {Promise<ApplicationV2|null>}
+   */
+  static async openPendingActions() {
+    try {
+      const { openPendingActionsWindow } = await import('./chat/services/pending-actions.js');
+      return await openPendingActionsWindow();
+    } catch (error) {
+      console.error('PF2E Visioner: Error opening pending actions:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save every token's visibility, cover and hidden wall states of a scene under a name.
+   * Saving an existing name replaces that snapshot.
+   * @param {string} name
+   * @param {Scene} [scene=canvas.scene]
+   * @returns {Promise<Object|null>} The stored snapshot
+   */
+  static async captureSnapshot(name, scene = canvas?.scene) {
+    try {
+      const { captureSnapshot } = await import('./services/snapshots.js');
+      return await captureSnapshot(name, scene);
+    } catch (error) {
+      console.error('PF2E Visioner: Error capturing snapshot:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List the snapshots saved on a scene
+   * @param {Scene} [scene=canvas.scene]
+   * @returns {Promise<Array<Object>>} Oldest first
+   */
+  static async listSnapshots(scene = canvas?.scene) {
+    try {
+      const { listSnapshots } = await import('./services/snapshots.js');
+      return listSnapshots(scene);
+    } catch (error) {
+      console.error('PF2E Visioner: Error listing snapshots:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Differences between a snapshot and another snapshot, or the current state when omitted
+   * @param {string} idOrName
+   * @param {string|null} [otherIdOrName=null]
+   * @param {Scene} [scene=canvas.scene]
+   * @returns {Promise<Array<Object>|null>} Rows { kind, observerId, targetId, before, after }
+   */
+  static async diffSnapshot(idOrName, otherIdOrName = null, scene = canvas?.scene) {
+    try {
+      const { diffSnapshot } = await import('./services/snapshots.js');
+      return diffSnapshot(idOrName, otherIdOrName, scene);
+    } catch (error) {
+      console.error('PF2E Visioner: Error comparing snapshots:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Restore a snapshot, including ephemeral effects and visuals
+   * @param {string} idOrName
+   * @param {Scene} [scene=canvas.scene]
+   * @returns {Promise<number>} Pairs changed, or -1 when the snapshot is missing
+   */
+  static async restoreSnapshot(idOrName, scene = canvas?.scene) {
+    try {
+      const { restoreSnapshot } = await import('./services/snapshots.js');
+      return await restoreSnapshot(idOrName, scene);
+    } catch (error) {
+      console.error('PF2E Visioner: Error restoring snapshot:', error);
+      return -1;
+    }
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} idOrName
+   * @param {Scene} [scene=canvas.scene]
+   * @returns {Promise<boolean>}
+   */
+  static async deleteSnapshot(idOrName, scene = canvas?.scene) {
+    try {
+      const { deleteSnapshot } = await import('./services/snapshots.js');
+      return await deleteSnapshot(idOrName, scene);
+    } catch (error) {
+      console.error('PF2E Visioner: Error deleting snapshot:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Open the snapshots window
+   * @returns {Promise<ApplicationV2|null>}
+   */
+  static async openSnapshots() {
+    try {
+      const { openSnapshotsWindow } = await import('./services/snapshots.js');
+      return await openSnapshotsWindow();
+    } catch (error) {
+      console.error('PF2E Visioner: Error opening snapshots:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Versioned JSON document with all Visioner state of a scene (tokens, walls and scene flags)
+   * @param {Scene} [scene=canvas.scene]
+   * @returns {Promise<Object|null>}
+   */
+  static async exportSceneData(scene = canvas?.scene) {
+    try {
+      const { exportSceneData } = await import('./services/scene-transfer.js');
+      return exportSceneData(scene);
+    } catch (error) {
+      console.error('PF2E Visioner: Error exporting scene data:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Import a scene export, remapping token and wall ids by name / actor / identifier
+   * @param {Object|string} data - Export document or its JSON text
+   * @param {Object} [options] - { scene, dryRun } - dryRun only reports what would change
+   * @returns {Promise<Object|null>} Import report
+   */
+  static async importSceneData(data, options = {}) {
+    try {
+      const { importSceneData } = await import('./services/scene-transfer.js');
+      return await importSceneData(data, options);
+    } catch (error) {
+      console.error('PF2E Visioner: Error importing scene data:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the visibility / cover audit log of a scene
+   * @param {Object} [filters] - { tokenId, observerId, targetId, source, kind, messageId }
+   * @param {Scene} [scene=canvas.scene]
+   * @returns {Promise<Array<Object>>} Entries, oldest first
+   */
+  static async getAuditLog(filters = {}, scene = canvas?.scene) {
+    try {
+      const { getAuditLog } = await import('./services/audit-log.js');
+      return getAuditLog(scene, filters);
+    } catch (error) {
+      console.error('PF2E Visioner: Error reading audit log:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Open the audit log window
+   * @param {Object} [filters] - Initial filters, e.g. { tokenId }
+   * @returns {Promise<ApplicationV2|null>}
+   */
+  static async openAuditLog(filters = {}) {
+    try {
+      const { openAuditLogWindow } = await import('./services/audit-log.js');
+      return await openAuditLogWindow(filters);
+    } catch (error) {
+      console.error('PF2E Visioner: Error opening audit log:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Open the read-only "What I perceive" panel for the user's token
+   * @returns {Promise<ApplicationV2|null>}
+   */
+  static async openPerceptionPanel() {
+    try {
+      const { openPerceptionPanel } = await import('./managers/perception-panel.js');
+      return openPerceptionPanel();
+    } catch (error) {
+      console.error('PF2E Visioner: Error opening perception panel:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Re-open the Avoid Notice review for Stealth initiatives in an encounter
+   * @param {Combat} [combat] - Defaults to the active combat
+   * @returns {Promise<boolean>} Whether there were results to review
+   */
+  static async resolveStealthInitiative(combat = game.combat) {
+    try {
+      if (!game.user.isGM) {
+        ui.notifications.warn('Only GMs can resolve stealth initiative');
+        return false;
+      }
+      return await openStealthInitiativePreview(combat);
+    } catch (error) {
+      console.error('PF2E Visioner: Error resolving stealth initiative:', error);
+      return false;
+    }
+  }
+
   /**
    * Clear all PF2E Visioner data for multiple selected tokens with comprehensive cleanup
    * - Removes visibility/cover maps from selected tokens
@@ -132,6 +132,13 @@ function getChatAutomationCSS() {
             box-shadow: 0 4px 8px var(--visibility-undetected-bg-medium);
         }
         
+        /* Noise Panel - Orange Theme */
+        .pf2e-visioner-automation-panel.noise-panel {
+            background: linear-gradient(135deg, var(--pf2e-visioner-warning-light, #fff3e0), var(--pf2e-visioner-warning-lighter, #ffe0b2));
+            border: 2px solid var(--pf2e-visioner-warning, var(--visibility-hidden));
+            box-shadow: 0 4px 8px var(--visibility-hidden-bg-medium);
+        }
+        
         /* Take Cover Panel - Brown Theme */
         .pf2e-visioner-automation-panel.take-cover-panel {
             background: linear-gradient(135deg, var(--pf2e-visioner-brown-light, #efebe9), var(--pf2e-visioner-brown-lighter, #d7ccc8));
@@ -205,6 +212,11 @@ function getChatAutomationCSS() {
             color: white;
         }
 
+        .visioner-btn-noise {
+            background: linear-gradient(135deg, var(--visibility-hidden), var(--visibility-hidden));
+            color: white;
+        }
+
         .visioner-btn-take-cover {
             background: linear-gradient(135deg, var(--pf2e-visioner-brown), var(--pf2e-visioner-brown));
             color: white;
@@ -314,6 +314,11 @@ export class CreateADiversionPreviewDialog extends BaseActionDialog {
 
       await applyVisibilityChanges(app.actionData.actor, changes, {
         direction: 'observer_to_target',
+        audit: {
+          source: 'revert',
+          action: 'create-a-diversion',
+          messageId: app.actionData?.messageId ?? null,
+        },
       });
     } catch (_) {}
 
@@ -34,6 +34,7 @@ export class HidePreviewDialog extends BaseActionDialog {
       revertChange: HidePreviewDialog._onRevertChange,
       toggleEncounterFilter: HidePreviewDialog._onToggleEncounterFilter,
       overrideState: HidePreviewDialog._onOverrideState,
+      togglePrerequisite: HidePreviewDialog._onTogglePrerequisite,
     },
   };
 
@@ -145,6 +146,7 @@ export class HidePreviewDialog extends BaseActionDialog {
         availableStates,
         overrideState: effectiveNewState,
         hasActionableChange,
+        hideBlocked: !!outcome.prerequisiteFailed && !outcome.prerequisiteOverridden,
         calculatedOutcome: outcome.newVisibility,
         tokenImage: this.resolveTokenImage(outcome.target),
         outcomeClass: this.getOutcomeClass(outcome.outcome),
@@ -353,6 +355,33 @@ export class HidePreviewDialog extends BaseActionDialog {
     // Placeholder for future functionality if needed
   }
 
+  /**
+   * GM override: allow (or disallow again) a Hide against an observer the actor has no cover or
+   * concealment from
+   */
+  static async _onTogglePrerequisite(event, target) {
+    const app = currentHideDialog;
+    const tokenId = target?.dataset?.tokenId;
+    if (!app || !tokenId) return;
+
+    const allowed = !app.actionData.prerequisiteOverrides?.[tokenId];
+    app.actionData.prerequisiteOverrides = {
+      ...(app.actionData.prerequisiteOverrides || {}),
+      [tokenId]: allowed,
+    };
+    for (const list of [app._originalOutcomes, app.outcomes]) {
+      const outcome = (list || []).find((o) => o?.target?.id === tokenId);
+      if (!outcome?.prerequisiteFailed) continue;
+      const current = outcome.oldVisibility || outcome.currentVisibility;
+      outcome.prerequisiteOverridden = allowed;
+      outcome.newVisibility = allowed ? outcome.prerequisiteNewVisibility || current : current;
+      outcome.overrideState = outcome.newVisibility;
+      outcome.changed = outcome.newVisibility !== current;
+    }
+    app.bulkActionState = 'initial';
+    app.render({ force: true });
+  }
+
   // Use services path for apply/revert; no custom applyVisibilityChanges override needed
 
   // removed: updateRowButtonsToApplied duplicated; using BaseActionDialog implementation
@@ -393,8 +422,10 @@ export class HidePreviewDialog extends BaseActionDialog {
     // Get filtered outcomes based on current filter settings
     const filteredOutcomes = await app.getFilteredOutcomes();
 
-    // Get filtered outcomes that have actionable changes
+    // Get filtered outcomes that have actionable changes; observers the actor can't Hide from
+    // stay out unless the GM allowed them
     const changedOutcomes = filteredOutcomes.filter((outcome) => {
+      if (outcome.prerequisiteFailed && !outcome.prerequisiteOverridden) return false;
       const effectiveNewState = outcome.overrideState || outcome.newVisibility;
       const baseOld = outcome.oldVisibility || outcome.currentVisibility;
       return baseOld != null && effectiveNewState != null && effectiveNewState !== baseOld;
@@ -0,0 +1,339 @@
+/**
+ * Noise Preview Dialog
+ * Shows which observers hear a loud action by an undetected creature, with GM override capability
+ */
+
+import { MODULE_ID, MODULE_TITLE } from '../../constants.js';
+import { getDesiredOverrideStatesForAction } from '../services/data/action-state-config.js';
+import { getVisibilityStateConfig } from '../services/data/visibility-states.js';
+import { notify } from '../services/infra/notifications.js';
+import { filterOutcomesByEncounter } from '../services/infra/shared-utils.js';
+import { BaseActionDialog } from './base-action-dialog.js';
+
+// Store reference to current noise dialog
+let currentNoiseDialog = null;
+
+export class NoisePreviewDialog extends BaseActionDialog {
+  constructor(sourceToken, outcomes, changes, actionData, options = {}) {
+    super(options);
+
+    this.sourceToken = sourceToken;
+    this.outcomes = Array.isArray(outcomes) ? outcomes : [];
+    this.changes = Array.isArray(changes) ? changes : [];
+    this.actionData = { actor: sourceToken, ...(actionData || {}), actionType: 'noise' };
+    this.encounterOnly = game.settings.get(MODULE_ID, 'defaultEncounterFilter');
+    this.ignoreAllies = options?.ignoreAllies ?? game.settings.get(MODULE_ID, 'ignoreAllies');
+    this.bulkActionState = 'initial'; // 'initial', 'applied', 'reverted'
+
+    currentNoiseDialog = this;
+  }
+
+  // Token id in Noise outcomes is under `target`
+  getOutcomeTokenId(outcome) {
+    return outcome?.target?.id ?? null;
+  }
+
+  // Shares the Attack Consequences layout and styles
+  static DEFAULT_OPTIONS = {
+    tag: 'div',
+    classes: ['pf2e-visioner', 'consequences-preview-dialog', 'noise-preview-dialog'],
+    window: {
+      title: `Noise Results`,
+      icon: 'fas fa-volume-up',
+      resizable: true,
+    },
+    position: {
+      width: 560,
+      height: 'auto',
+    },
+    actions: {
+      applyChange: NoisePreviewDialog._onApplyChange,
+      revertChange: NoisePreviewDialog._onRevertChange,
+      applyAll: NoisePreviewDialog._onApplyAll,
+      revertAll: NoisePreviewDialog._onRevertAll,
+      toggleEncounterFilter: NoisePreviewDialog._onToggleEncounterFilter,
+      overrideState: NoisePreviewDialog._onOverrideState,
+    },
+  };
+
+  static PARTS = {
+    content: {
+      template: 'modules/pf2e-visioner/templates/noise-preview.hbs',
+    },
+  };
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+
+    let processedOutcomes = this.applyEncounterFilter(
+      this.outcomes,
+      'target',
+      'No encounter observers found, showing all',
+    );
+    try {
+      const { filterOutcomesByAllies } = await import('../services/infra/shared-utils.js');
+      processedOutcomes = filterOutcomesByAllies(
+        processedOutcomes,
+        this.sourceToken,
+        this.ignoreAllies,
+        'target',
+      );
+    } catch (_) {}
+
+    const desired = getDesiredOverrideStatesForAction('noise');
+    processedOutcomes = processedOutcomes.map((outcome) => {
+      const effectiveNewState = outcome.overrideState || outcome.newVisibility;
+      const availableStates = this.buildOverrideStates(
+        desired,
+        { ...outcome, newVisibility: effectiveNewState },
+        { selectFrom: 'overrideState', calcFrom: 'newVisibility' },
+      );
+      return {
+        ...outcome,
+        newVisibility: effectiveNewState,
+        hasActionableChange: this.calculateHasActionableChange(outcome),
+        overrideState: outcome.overrideState || null,
+        tokenImage: this.resolveTokenImage(outcome.target),
+        oldVisibilityState: getVisibilityStateConfig(outcome.currentVisibility),
+        newVisibilityState: getVisibilityStateConfig(effectiveNewState),
+        availableStates,
+      };
+    });
+
+    context.sourceToken = {
+      ...this.sourceToken,
+      name: this.sourceToken?.name,
+      image: this.resolveTokenImage(this.sourceToken),
+    };
+    context.noiseLabel = this.actionData?.noise?.label || 'Loud action';
+    context.outcomes = processedOutcomes;
+    context.ignoreAllies = !!this.ignoreAllies;
+
+    // Keep internal outcomes annotated for base selection and bulk helpers
+    const byId = new Map(processedOutcomes.map((o) => [o?.target?.id, o]));
+    for (const o of this.outcomes) {
+      const po = byId.get(o?.target?.id);
+      if (po) o.hasActionableChange = po.hasActionableChange;
+    }
+
+    Object.assign(context, this.buildCommonContext(processedOutcomes));
+    return context;
+  }
+
+  async _renderHTML(context, options) {
+    return foundry.applications.handlebars.renderTemplate(
+      this.constructor.PARTS.content.template,
+      context,
+    );
+  }
+
+  _replaceHTML(result, content, options) {
+    content.innerHTML = result;
+    return content;
+  }
+
+  /**
+   * A row changes when the observer heard the noise, or the GM picked a different state
+   */
+  calculateHasActionableChange(outcome) {
+    const effective = outcome.overrideState || outcome.newVisibility;
+    return !!effective && effective !== outcome.currentVisibility;
+  }
+
+  async _onRender(options) {
+    await super._onRender(options);
+
+    const encounterFilter = this.element.querySelector(
+      'input[data-action="toggleEncounterFilter"]',
+    );
+    if (encounterFilter) encounterFilter.checked = this.encounterOnly;
+
+    this.updateBulkActionButtons();
+    this.addIconClickHandlers();
+    this.markInitialSelections();
+
+    try {
+      const cb = this.element.querySelector('input[data-action="toggleIgnoreAllies"]');
+      if (cb) {
+        cb.checked = !!this.ignoreAllies;
+        cb.addEventListener('change', () => {
+          this.ignoreAllies = !!cb.checked;
+          this.bulkActionState = 'initial';
+          this.render({ force: true });
+        });
+      }
+    } catch (_) {}
+  }
+
+  getChangesCounterClass() {
+    return 'consequences-preview-dialog-changes-count';
+  }
+
+  static async _onApplyChange(event, button) {
+    const app = currentNoiseDialog;
+    if (!app) return;
+    const tokenId = button?.dataset.tokenId;
+    const outcome = app.outcomes.find((o) => o.target.id === tokenId);
+    if (!outcome) return;
+
+    try {
+      const { applyNowNoise } = await import('../services/index.js');
+      const overrides = { [tokenId]: outcome.overrideState || outcome.newVisibility };
+      await applyNowNoise(
+        {
+          ...app.actionData,
+          overrides,
+          ignoreAllies: app.ignoreAllies,
+          encounterOnly: app.encounterOnly,
+        },
+        { html: () => {}, attr: () => {} },
+      );
+    } catch (_) {}
+
+    app.updateRowButtonsToApplied([{ target: { id: tokenId }, hasActionableChange: true }]);
+    app.updateChangesCount();
+  }
+
+  static async _onRevertChange(event, button) {
+    const app = currentNoiseDialog;
+    if (!app) return;
+    const tokenId = button?.dataset.tokenId;
+    if (!tokenId) return;
+
+    try {
+      const { revertNowNoise } = await import('../services/index.js');
+      await revertNowNoise(
+        { ...app.actionData, targetTokenId: tokenId },
+        { html: () => {}, attr: () => {} },
+      );
+    } catch (_) {}
+
+    app.updateRowButtonsToReverted([{ target: { id: tokenId }, hasActionableChange: true }]);
+    app.updateChangesCount();
+  }
+
+  // Outcomes the bulk buttons act on: filtered like the table, with an actual change
+  async getBulkOutcomes() {
+    let filtered = filterOutcomesByEncounter(this.outcomes, this.encounterOnly, 'target');
+    try {
+      const { filterOutcomesByAllies } = await import('../services/infra/shared-utils.js');
+      filtered = filterOutcomesByAllies(filtered, this.sourceToken, this.ignoreAllies, 'target');
+    } catch (_) {}
+    return filtered.filter((o) => o.hasActionableChange);
+  }
+
+  static async _onApplyAll() {
+    const app = currentNoiseDialog;
+    if (!app) return;
+
+    if (app.bulkActionState === 'applied') {
+      notify.warn(
+        `${MODULE_TITLE}: Apply All has already been used. Use Revert All to undo changes.`,
+      );
+      return;
+    }
+
+    const changedOutcomes = await app.getBulkOutcomes();
+    if (changedOutcomes.length === 0) {
+      notify.warn(`${MODULE_TITLE}: No visibility changes to apply.`);
+      return;
+    }
+
+    const overrides = {};
+    for (const o of changedOutcomes) {
+      overrides[o.target.id] = o.overrideState || o.newVisibility;
+    }
+    const { applyNowNoise } = await import('../services/index.js');
+    await applyNowNoise(
+      {
+        ...app.actionData,
+        overrides,
+        ignoreAllies: app.ignoreAllies,
+        encounterOnly: app.encounterOnly,
+      },
+      { html: () => {}, attr: () => {} },
+    );
+
+    app.updateRowButtonsToApplied(
+      changedOutcomes.map((o) => ({ target: { id: o.target.id }, hasActionableChange: true })),
+    );
+    app.bulkActionState = 'applied';
+    app.updateBulkActionButtons();
+    app.updateChangesCount();
+
+    notify.info(
+      `${MODULE_TITLE}: Applied all visibility changes. Dialog remains open for further adjustments.`,
+    );
+  }
+
+  static async _onRevertAll() {
+    const app = currentNoiseDialog;
+    if (!app) return;
+
+    if (app.bulkActionState === 'reverted') {
+      notify.warn(
+        `${MODULE_TITLE}: Revert All has already been used. Use Apply All to reapply changes.`,
+      );
+      return;
+    }
+
+    const changedOutcomes = await app.getBulkOutcomes();
+    if (changedOutcomes.length === 0) {
+      notify.warn(`${MODULE_TITLE}: No visibility changes to revert.`);
+      return;
+    }
+
+    const { revertNowNoise } = await import('../services/index.js');
+    await revertNowNoise(app.actionData, { html: () => {}, attr: () => {} });
+    app.updateRowButtonsToReverted(
+      changedOutcomes.map((o) => ({ target: { id: o.target.id }, hasActionableChange: true })),
+    );
+    app.bulkActionState = 'reverted';
+    app.updateBulkActionButtons();
+    app.updateChangesCount();
+  }
+
+  static async _onToggleEncounterFilter(event, target) {
+    const app = currentNoiseDialog;
+    if (!app) return;
+    app.encounterOnly = target.checked;
+    await app.render({ force: true });
+  }
+
+  // Handled by the icon click handlers
+  static async _onOverrideState() {}
+
+  addIconClickHandlers() {
+    const stateIcons = this.element.querySelectorAll('.state-icon');
+    stateIcons.forEach((icon) => {
+      icon.addEventListener('click', (event) => {
+        const overrideIcons = event.currentTarget.closest('.override-icons');
+        if (!overrideIcons) return;
+
+        const targetId =
+          event.currentTarget.dataset.tokenId ||
+          event.currentTarget.closest('tr[data-token-id]')?.dataset?.tokenId;
+        const newState = event.currentTarget.dataset.state;
+
+        overrideIcons
+          .querySelectorAll('.state-icon')
+          .forEach((i) => i.classList.remove('selected'));
+        event.currentTarget.classList.add('selected');
+        const hiddenInput = overrideIcons.querySelector('input[type="hidden"]');
+        if (hiddenInput) hiddenInput.value = newState;
+
+        const outcome = this.outcomes?.find?.(
+          (o) => String(this.getOutcomeTokenId(o)) === String(targetId),
+        );
+        if (outcome) {
+          outcome.overrideState = newState;
+          outcome.hasActionableChange = this.calculateHasActionableChange(outcome);
+          this.updateActionButtonsForToken(targetId, outcome.hasActionableChange);
+          this.updateChangesCount();
+        }
+      });
+    });
+  }
+
+  async applyVisibilityChange(_targetToken, _newVisibility) {}
+}
@@ -606,6 +606,11 @@ export class SeekPreviewDialog extends BaseActionDialog {
 
           await applyVisibilityChanges(app.actionData.actor, changes, {
             direction: 'observer_to_target',
+            audit: {
+              source: 'revert',
+              action: 'seek',
+              messageId: app.actionData.messageId ?? null,
+            },
           });
         } else {
           // Fallback: directly update token visibility when actor is not available
@@ -620,6 +625,11 @@ export class SeekPreviewDialog extends BaseActionDialog {
           if (fallbackObserver) {
             await setVisibilityBetween(fallbackObserver, outcome.target, revertVisibility, {
               direction: 'observer_to_target',
+              audit: {
+                source: 'revert',
+                action: 'seek',
+                messageId: app.actionData?.messageId ?? null,
+              },
             });
           }
 
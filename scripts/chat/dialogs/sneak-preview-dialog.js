@@ -328,6 +328,7 @@ export class SneakPreviewDialog extends BaseActionDialog {
 
       await applyVisibilityChanges(app.sneakingToken, changes, {
         direction: 'observer_to_target',
+        audit: { source: 'revert', action: 'sneak', messageId: app.actionData?.messageId ?? null },
       });
     } catch (error) {
       console.warn('Error reverting visibility changes:', error);
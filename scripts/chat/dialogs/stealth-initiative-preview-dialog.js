@@ -0,0 +1,229 @@
+import { MODULE_ID, MODULE_TITLE } from '../../constants.js';
+import { getDesiredOverrideStatesForAction } from '../services/data/action-state-config.js';
+import { notify } from '../services/infra/notifications.js';
+import { BaseActionDialog } from './base-action-dialog.js';
+
+// Store reference to current stealth initiative dialog
+let currentStealthInitiativeDialog = null;
+
+/**
+ * Dialog for reviewing Avoid Notice (Stealth initiative) results at the start of an encounter.
+ * Each row is one sneaking creature / observer pair.
+ */
+export class StealthInitiativePreviewDialog extends BaseActionDialog {
+  constructor(combat, outcomes, options = {}) {
+    super({
+      id: `stealth-initiative-preview-${combat?.id ?? 'combat'}`,
+      title: 'Stealth Initiative Results',
+      tag: 'div',
+      window: {
+        title: 'Stealth Initiative Results',
+        icon: 'fas fa-user-ninja',
+        resizable: true,
+        positioned: true,
+        minimizable: false,
+      },
+      position: {
+        width: 780,
+        height: 'auto',
+      },
+      classes: ['pf2e-visioner', 'sneak-preview-dialog', 'stealth-initiative-preview-dialog'],
+      ...options,
+    });
+
+    this.combat = combat;
+    this.outcomes = outcomes;
+    this._originalOutcomes = Array.isArray(outcomes) ? [...outcomes] : [];
+    this.encounterOnly = game.settings.get(MODULE_ID, 'defaultEncounterFilter');
+    this.bulkActionState = 'initial';
+
+    currentStealthInitiativeDialog = this;
+  }
+
+  static DEFAULT_OPTIONS = {
+    actions: {
+      applyChange: StealthInitiativePreviewDialog._onApplyChange,
+      revertChange: StealthInitiativePreviewDialog._onRevertChange,
+      applyAll: StealthInitiativePreviewDialog._onApplyAll,
+      revertAll: StealthInitiativePreviewDialog._onRevertAll,
+      toggleEncounterFilter: StealthInitiativePreviewDialog._onToggleEncounterFilter,
+    },
+  };
+
+  static PARTS = {
+    content: {
+      template: 'modules/pf2e-visioner/templates/stealth-initiative-preview.hbs',
+    },
+  };
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const filtered = this.applyEncounterFilter(
+      this._originalOutcomes,
+      'observer',
+      'No encounter observers found, showing all',
+    );
+
+    const cfg = (s) => this.visibilityConfig(s);
+    const desired = getDesiredOverrideStatesForAction('sneak');
+    const processedOutcomes = filtered.map((outcome) => {
+      const effectiveNewState = outcome.overrideState || outcome.newVisibility;
+      return {
+        ...outcome,
+        outcomeClass: this.getOutcomeClass(outcome.outcome),
+        outcomeLabel: this.getOutcomeLabel(outcome.outcome),
+        oldVisibilityState: cfg(outcome.oldVisibility),
+        newVisibilityState: cfg(effectiveNewState),
+        marginText: this.formatMargin(outcome.margin),
+        sneakerImage: this.resolveTokenImage(outcome.sneaker),
+        observerImage: this.resolveTokenImage(outcome.observer),
+        availableStates: this.buildOverrideStates(desired, outcome),
+        overrideState: effectiveNewState,
+        hasActionableChange: effectiveNewState !== outcome.oldVisibility,
+      };
+    });
+
+    context.outcomes = processedOutcomes;
+    this.outcomes = processedOutcomes;
+    Object.assign(context, this.buildCommonContext(processedOutcomes));
+    return context;
+  }
+
+  async _renderHTML(context, options) {
+    return foundry.applications.handlebars.renderTemplate(
+      this.constructor.PARTS.content.template,
+      context,
+    );
+  }
+
+  _replaceHTML(result, content, options) {
+    content.innerHTML = result;
+    return content;
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    this.addIconClickHandlers();
+    this.updateBulkActionButtons();
+    this.markInitialSelections();
+  }
+
+  // Rows are keyed by sneaker/observer pair rather than a single token
+  getOutcomeTokenId(outcome) {
+    return outcome?.rowId ?? null;
+  }
+
+  getChangesCounterClass() {
+    return 'sneak-preview-dialog-changes-count';
+  }
+
+  /**
+   * Outcomes with a state different from the current one
+   * @returns {Array<Object>}
+   */
+  getChangedOutcomes() {
+    return (this.outcomes || []).filter((o) => {
+      const effectiveNewState = o.overrideState || o.newVisibility;
+      return effectiveNewState !== o.oldVisibility && o.hasActionableChange;
+    });
+  }
+
+  static async _onToggleEncounterFilter(event, target) {
+    const app = currentStealthInitiativeDialog;
+    if (!app) return;
+    app.encounterOnly = target.checked;
+    app.bulkActionState = 'initial';
+    app.render({ force: true });
+  }
+
+  static async _onApplyChange(event, button) {
+    const app = currentStealthInitiativeDialog;
+    if (!app) return;
+    const outcome = app.outcomes.find((o) => o.rowId === button?.dataset.tokenId);
+    if (!outcome) return;
+
+    const { applyStealthInitiativeOutcomes } = await import('../../services/stealth-initiative.js');
+    await applyStealthInitiativeOutcomes([outcome]);
+    app.updateRowButtonsToApplied([{ target: { id: outcome.rowId }, hasActionableChange: true }]);
+    app.updateChangesCount();
+    notify.info(
+      `${MODULE_TITLE}: Applied stealth initiative - ${outcome.observer.name} sees ${outcome.sneaker.name} as ${outcome.overrideState || outcome.newVisibility}`,
+    );
+  }
+
+  static async _onRevertChange(event, button) {
+    const app = currentStealthInitiativeDialog;
+    if (!app) return;
+    const outcome = app.outcomes.find((o) => o.rowId === button?.dataset.tokenId);
+    if (!outcome) return;
+
+    const { applyStealthInitiativeOutcomes } = await import('../../services/stealth-initiative.js');
+    await applyStealthInitiativeOutcomes([outcome], { revert: true });
+    app.updateRowButtonsToReverted([{ target: { id: outcome.rowId }, hasActionableChange: true }]);
+    app.updateChangesCount();
+    notify.info(
+      `${MODULE_TITLE}: Reverted stealth initiative - ${outcome.observer.name} sees ${outcome.sneaker.name} as ${outcome.oldVisibility}`,
+    );
+  }
+
+  static async _onApplyAll() {
+    const app = currentStealthInitiativeDialog;
+    if (!app) return;
+    if (app.bulkActionState === 'applied') {
+      notify.warn(
+        `${MODULE_TITLE}: Apply All has already been used. Use Revert All to undo changes.`,
+      );
+      return;
+    }
+    const changedOutcomes = app.getChangedOutcomes();
+    if (changedOutcomes.length === 0) {
+      notify.info(`${MODULE_TITLE}: No changes to apply`);
+      return;
+    }
+
+    const { applyStealthInitiativeOutcomes } = await import('../../services/stealth-initiative.js');
+    await applyStealthInitiativeOutcomes(changedOutcomes);
+    app.updateRowButtonsToApplied(
+      changedOutcomes.map((o) => ({ target: { id: o.rowId }, hasActionableChange: true })),
+    );
+    app.bulkActionState = 'applied';
+    app.updateBulkActionButtons();
+    app.updateChangesCount();
+    notify.info(
+      `${MODULE_TITLE}: Applied all stealth initiative results (${changedOutcomes.length} changes). Dialog remains open for further adjustments.`,
+    );
+  }
+
+  static async _onRevertAll() {
+    const app = currentStealthInitiativeDialog;
+    if (!app) return;
+    if (app.bulkActionState === 'reverted') {
+      notify.warn(
+        `${MODULE_TITLE}: Revert All has already been used. Use Apply All to reapply changes.`,
+      );
+      return;
+    }
+    const changedOutcomes = app.getChangedOutcomes();
+    if (changedOutcomes.length === 0) {
+      notify.info(`${MODULE_TITLE}: No changes to revert`);
+      return;
+    }
+
+    const { applyStealthInitiativeOutcomes } = await import('../../services/stealth-initiative.js');
+    await applyStealthInitiativeOutcomes(changedOutcomes, { revert: true });
+    app.updateRowButtonsToReverted(
+      changedOutcomes.map((o) => ({ target: { id: o.rowId }, hasActionableChange: true })),
+    );
+    app.bulkActionState = 'reverted';
+    app.updateBulkActionButtons();
+    app.updateChangesCount();
+    notify.info(
+      `${MODULE_TITLE}: Reverted all stealth initiative results (${changedOutcomes.length} changes). Dialog remains open for further adjustments.`,
+    );
+  }
+
+  close(options) {
+    currentStealthInitiativeDialog = null;
+    return super.close(options);
+  }
+}
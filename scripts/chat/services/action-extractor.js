@@ -1,6 +1,6 @@
 /**
  * Extract action data from a chat message. Supports Seek, Point Out, Hide, Sneak,
- * Create a Diversion, and damage consequences.
+ * Create a Diversion, damage consequences, and noise from loud actions.
  */
 export async function extractActionData(message) {
   if (!message) return null;
@@ -151,6 +151,33 @@ export async function extractActionData(message) {
     }
   }
 
+  // Loud actions by a creature that is undetected to someone: spells, noisy Strikes, Force Open.
+  // Attacks also make noise; those keep Attack Consequences and offer the noise results with it.
+  let noise = null;
+  if (
+    (!actionType || actionType === 'consequences') &&
+    !isDamageTakenMessage &&
+    actorToken &&
+    game.settings.get('pf2e-visioner', 'noiseSystem')
+  ) {
+    try {
+      const { getNoiseSource } = await import('./infra/noise.js');
+      noise = getNoiseSource(message);
+      if (noise) {
+        const { getVisibilityBetween } = await import('../../utils.js');
+        const tokens = canvas?.tokens?.placeables || [];
+        const undetectedToAny = tokens.some(
+          (t) =>
+            t?.actor && t !== actorToken && getVisibilityBetween(t, actorToken) === 'undetected',
+        );
+        if (!undetectedToAny) noise = null;
+        else if (!actionType) actionType = 'noise';
+      }
+    } catch (_) {
+      noise = null;
+    }
+  }
+
   if (!actionType) return null;
 
   // Build common action data object
@@ -167,6 +194,8 @@ export async function extractActionData(message) {
     data.attackData = { isAttackRoll: true };
   }
 
+  if (noise) data.noise = noise;
+
   if (context?.type === 'skill-check' && message.rolls?.[0]) {
     try {
       const roll = message.rolls[0];
@@ -1,5 +1,6 @@
 // Base class for action logic. Subclasses must implement abstract hooks.
 
+import { emitActionEvent } from '../../../services/events.js';
 import { log, notify } from '../infra/notifications.js';
 
 export class ActionHandlerBase {
@@ -24,6 +25,8 @@ export class ActionHandlerBase {
         return 'apply-now-consequences';
       case 'take-cover':
         return 'apply-now-take-cover';
+      case 'noise':
+        return 'apply-now-noise';
       default:
         return '';
     }
@@ -44,6 +47,8 @@ export class ActionHandlerBase {
         return 'revert-now-consequences';
       case 'take-cover':
         return 'revert-now-take-cover';
+      case 'noise':
+        return 'revert-now-noise';
       default:
         return '';
     }
@@ -169,7 +174,12 @@ export class ActionHandlerBase {
         })
         .filter(Boolean);
 
-      await this.applyChangesInternal(changes);
+      await this.applyChangesInternal(
+        changes,
+        this.getAuditInfo(actionData),
+        this.getStateExpiry(actionData),
+      );
+      emitActionEvent('applied', actionData, this.actionType, changes);
       this.cacheAfterApply(actionData, changes);
       this.updateButtonToRevert(button);
       return changes.length;
@@ -179,7 +189,17 @@ export class ActionHandlerBase {
     }
   }
 
-  async applyChangesInternal(changes) {
+  // Provenance recorded in the audit log for writes made by this action
+  getAuditInfo(actionData, source = 'action') {
+    return { source, action: this.actionType, messageId: actionData?.messageId ?? null };
+  }
+
+  // When the states this action sets end on their own (see services/state-expiry); null: never
+  getStateExpiry(_actionData) {
+    return null;
+  }
+
+  async applyChangesInternal(changes, audit = null, expiry = null) {
     const { applyVisibilityChanges } = await import('../infra/shared-utils.js');
     const direction = this.getApplyDirection();
     // Group by observer and apply batched
@@ -188,7 +208,7 @@ export class ActionHandlerBase {
       await applyVisibilityChanges(
         group.observer,
         group.items.map((i) => ({ target: i.target, newVisibility: i.newVisibility })),
-        { direction },
+        { direction, audit, expiry },
       );
     }
   }
@@ -242,7 +262,8 @@ export class ActionHandlerBase {
         notify.info('Nothing to revert');
         return;
       }
-      await this.applyChangesInternal(changes);
+      await this.applyChangesInternal(changes, this.getAuditInfo(actionData, 'revert'));
+      emitActionEvent('reverted', actionData, this.actionType, changes);
 
       // Only clear cache if reverting all tokens (no targetTokenId specified)
       if (!actionData.targetTokenId) {
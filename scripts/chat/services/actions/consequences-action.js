@@ -1,4 +1,6 @@
 import { MODULE_ID, VISIBILITY_STATES } from '../../../constants.js';
+import { withAuditOptions } from '../../../services/audit-log.js';
+import { emitActionEvent } from '../../../services/events.js';
 import { appliedConsequencesChangesByMessage } from '../data/message-cache.js';
 import { log, notify } from '../infra/notifications.js';
 import { shouldFilterAlly } from '../infra/shared-utils.js';
@@ -168,7 +170,7 @@ export class ConsequencesActionHandler extends ActionHandlerBase {
         })
         .filter(Boolean);
 
-      await this.applyChangesInternal(changes);
+      await this.applyChangesInternal(changes, this.getAuditInfo(actionData));
 
       // Explicitly persist visibility maps for observers toward attacker in one scene batch
       try {
@@ -191,9 +193,16 @@ export class ConsequencesActionHandler extends ActionHandlerBase {
           else update[`flags.${MODULE_ID}.visibility`] = current;
           updates.push(update);
         }
-        if (updates.length) await canvas.scene.updateEmbeddedDocuments('Token', updates);
+        if (updates.length) {
+          await canvas.scene.updateEmbeddedDocuments(
+            'Token',
+            updates,
+            withAuditOptions({}, this.getAuditInfo(actionData)),
+          );
+        }
       } catch (_) {}
 
+      emitActionEvent('applied', actionData, this.actionType, changes);
       this.cacheAfterApply(actionData, changes);
       this.updateButtonToRevert(button);
       return changes.length;
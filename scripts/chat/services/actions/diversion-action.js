@@ -68,6 +68,10 @@ export class DiversionActionHandler extends ActionHandlerBase {
       changed: newVisibility !== current,
     };
   }
+  // Hidden only until the end of the diverting creature's turn
+  getStateExpiry(_actionData) {
+    return { type: 'turn-end' };
+  }
   outcomeToChange(actionData, outcome) {
     const observer = outcome.observer || outcome.token || outcome.target;
     return {
@@ -1,9 +1,11 @@
 import { COVER_STATES, MODULE_ID, VISIBILITY_STATES } from '../../../constants.js';
 import autoCoverSystem from '../../../cover/auto-cover/AutoCoverSystem.js';
 import stealthCheckUseCase from '../../../cover/auto-cover/usecases/StealthCheckUseCase.js';
-import { getCoverBetween } from '../../../utils.js';
+import { getCoverBetween, getVisibilityBetween } from '../../../utils.js';
+import conditionEvaluator from '../../../visibility/auto-visibility/ConditionEvaluator.js';
 import { appliedHideChangesByMessage } from '../data/message-cache.js';
 import { calculateStealthRollTotals, shouldFilterAlly } from '../infra/shared-utils.js';
+import { getStealthCoverAndConcealment } from '../infra/stealth-position.js';
 import { ActionHandlerBase } from './base-action.js';
 
 export class HideActionHandler extends ActionHandlerBase {
@@ -51,36 +53,38 @@ export class HideActionHandler extends ActionHandlerBase {
 
     if (!enforceRAW) return base;
 
-    // RAW filter: only observers that currently see the actor as Concealed
-    // OR (Observed AND actor has Standard or Greater cover) are relevant.
-    const { getVisibilityBetween, getCoverBetween } = await import('../../../utils.js');
+    // RAW filter: only observers that currently see the actor (Observed or Concealed) are
+    // relevant. Whether the actor has cover or concealment from each of them is checked per
+    // row in analyzeOutcome so failing observers stay visible in the dialog.
     return base.filter((observer) => {
       try {
         const vis = getVisibilityBetween(observer, actorToken);
-        if (vis === 'concealed') return true;
-        if (vis === 'observed') {
-          // Prefer live auto-cover for relevance (do not mutate state), then fall back to stored map
-          let cover = 'none';
-          if (this.autoCoverSystem.isEnabled()) {
-            try {
-              cover = this.stealthCheckUseCase._detectCover(actorToken, observer) || 'none';
-            } catch (_) {}
-          }
-          if (cover === 'none' || cover === 'lesser') {
-            try {
-              cover = getCoverBetween(observer, actorToken);
-            } catch (_) {
-              cover = 'none';
-            }
-          }
-          return cover === 'standard' || cover === 'greater';
-        }
-      } catch (_) {}
-      return false;
+        return vis === 'observed' || vis === 'concealed';
+      } catch (_) {
+        return false;
+      }
     });
   }
+
+  /**
+   * Whether the hider has standard or greater cover from, or is concealed from, an observer
+   * right now
+   * @param {Token} observer
+   * @param {Token} hider
+   * @returns {{met:boolean, cover:string, concealed:boolean, reason:string|null}}
+   */
+  checkPrerequisite(observer, hider) {
+    const { cover, concealed, sufficient } = getStealthCoverAndConcealment(observer, hider);
+    return {
+      met: sufficient,
+      cover,
+      concealed,
+      reason: sufficient
+        ? null
+        : 'No standard or greater cover and not concealed from this observer',
+    };
+  }
   async analyzeOutcome(actionData, subject) {
-    const { getVisibilityBetween } = await import('../../../utils.js');
     const { extractPerceptionDC, determineOutcome } = await import('../infra/shared-utils.js');
     const current = getVisibilityBetween(subject, actionData.actor);
 
@@ -253,10 +257,43 @@ export class HideActionHandler extends ActionHandlerBase {
     let newVisibility = getDefaultNewStateFor('hide', current, outcome) || current;
 
     // Calculate what the visibility change would have been with original outcome
-    const originalNewVisibility = originalTotal
+    let originalNewVisibility = originalTotal
       ? getDefaultNewStateFor('hide', current, originalOutcome) || current
       : newVisibility;
 
+    // Cover and concealment only defeat sight; other senses in range still locate the actor
+    const senseLimit = conditionEvaluator.clampActionState(
+      'hide',
+      subject,
+      actionData.actor,
+      newVisibility,
+    );
+    newVisibility = senseLimit.state;
+    originalNewVisibility = conditionEvaluator.clampActionState(
+      'hide',
+      subject,
+      actionData.actor,
+      originalNewVisibility,
+    ).state;
+
+    // RAW: without cover or concealment from this observer the Hide does nothing against it,
+    // unless the GM allows the row anyway
+    let prerequisite = null;
+    const prerequisiteNewVisibility = newVisibility;
+    let prerequisiteOverridden = false;
+    if (game.settings.get(MODULE_ID, 'enforceRawRequirements')) {
+      const hidingToken =
+        actionData.actorToken || actionData.actor?.token?.object || actionData.actor;
+      prerequisite = this.checkPrerequisite(subject, hidingToken);
+      if (!prerequisite.met) {
+        prerequisiteOverridden = !!actionData?.prerequisiteOverrides?.[subject.id];
+        if (!prerequisiteOverridden) {
+          newVisibility = current;
+          originalNewVisibility = current;
+        }
+      }
+    }
+
     // Check if we should show override displays (only if there's a meaningful difference)
     const shouldShowOverride =
       result.autoCover?.isOverride &&
@@ -283,6 +320,13 @@ export class HideActionHandler extends ActionHandlerBase {
       oldVisibilityLabel: VISIBILITY_STATES[current]?.label || current,
       newVisibility,
       changed: newVisibility !== current,
+      senseLimited: senseLimit.clamped,
+      senseLimitReason: senseLimit.reason,
+      prerequisite,
+      prerequisiteFailed: !!prerequisite && !prerequisite.met,
+      prerequisiteReason: prerequisite?.reason ?? null,
+      prerequisiteNewVisibility,
+      prerequisiteOverridden,
       autoCover: result.autoCover, // Add auto-cover information
       // Add original total for override display
       originalRollTotal: originalTotal,
@@ -0,0 +1,87 @@
+import { VISIBILITY_STATES } from '../../../constants.js';
+import { appliedNoiseChangesByMessage } from '../data/message-cache.js';
+import { hearsNoise } from '../infra/noise.js';
+import { shouldFilterAlly } from '../infra/shared-utils.js';
+import { ActionHandlerBase } from './base-action.js';
+
+export class NoiseActionHandler extends ActionHandlerBase {
+  constructor() {
+    super('noise');
+  }
+  getCacheMap() {
+    return appliedNoiseChangesByMessage;
+  }
+  getOutcomeTokenId(outcome) {
+    return outcome?.target?.id ?? null;
+  }
+  async discoverSubjects(actionData) {
+    const { getVisibilityBetween } = await import('../../../utils.js');
+    const source = actionData?.actor || null;
+    const tokens = canvas?.tokens?.placeables || [];
+
+    // Only observers the noisy creature is undetected to can learn where it is
+    return tokens.filter((t) => {
+      try {
+        if (!t || !t.actor || (source && t.id === source.id)) return false;
+        const type = t.actor?.type;
+        if (type === 'hazard' || type === 'loot') return false;
+        if (
+          shouldFilterAlly(
+            source,
+            t,
+            'enemies',
+            actionData?.ignoreAllies === true || actionData?.ignoreAllies === false
+              ? actionData.ignoreAllies
+              : null,
+          )
+        )
+          return false;
+        return getVisibilityBetween(t, source) === 'undetected';
+      } catch (_) {
+        return false;
+      }
+    });
+  }
+  async analyzeOutcome(actionData, subject) {
+    const { getVisibilityBetween } = await import('../../../utils.js');
+    const currentVisibility = getVisibilityBetween(subject, actionData.actor);
+    const hearing = hearsNoise(subject, actionData.actor);
+    const newVisibility = hearing.heard ? 'hidden' : currentVisibility;
+    return {
+      target: subject,
+      currentVisibility,
+      oldVisibility: currentVisibility,
+      oldVisibilityLabel: VISIBILITY_STATES[currentVisibility]?.label || currentVisibility,
+      newVisibility,
+      changed: newVisibility !== currentVisibility,
+      heard: hearing.heard,
+      distanceFt: hearing.distanceFt,
+      unheardReason: hearing.reason,
+    };
+  }
+  outcomeToChange(actionData, outcome) {
+    return {
+      observer: outcome.target,
+      target: actionData.actor,
+      newVisibility: outcome.newVisibility,
+      oldVisibility: outcome.currentVisibility,
+    };
+  }
+  buildCacheEntryFromChange(change) {
+    return { observerId: change.observer?.id, oldVisibility: change.oldVisibility };
+  }
+  entriesToRevertChanges(entries, actionData) {
+    return entries
+      .map((e) => ({
+        observer: this.getTokenById(e.observerId),
+        target: actionData?.actor || null,
+        newVisibility: e.oldVisibility,
+      }))
+      .filter((c) => c.observer && c.target);
+  }
+  async fallbackRevertChanges() {
+    // Once applied, heard observers no longer have the source undetected and drop out of
+    // discovery; without the cache we can't tell them apart from other hidden observers
+    return [];
+  }
+}
@@ -96,6 +96,11 @@ export class PointOutActionHandler extends ActionHandlerBase {
     };
   }
 
+  // The pointed-out creature is only located where it stands; moving makes it undetected again
+  getStateExpiry(_actionData) {
+    return { type: 'move' };
+  }
+
   outcomeToChange(_actionData, outcome) {
     return {
       observer: outcome.target,
@@ -1,4 +1,7 @@
 import { MODULE_ID, VISIBILITY_STATES } from '../../../constants.js';
+import { emitActionEvent } from '../../../services/events.js';
+import conditionEvaluator from '../../../visibility/auto-visibility/ConditionEvaluator.js';
+import senseEvaluator from '../../../visibility/auto-visibility/SenseEvaluator.js';
 import { appliedSeekChangesByMessage } from '../data/message-cache.js';
 import { ActionHandlerBase } from './base-action.js';
 
@@ -78,6 +81,20 @@ export class SeekActionHandler extends ActionHandlerBase {
       console.error('Error processing walls in discoverSubjects:', error);
     }
 
+    // Creatures none of the seeker's senses can reach can't be found by Seeking
+    potential = potential.filter((subject) => {
+      if (subject._isWall) return true;
+      if (subject?.actor?.type === 'hazard' || subject?.actor?.type === 'loot') return true;
+      try {
+        const options = conditionEvaluator.getSenseOptions(actionData.actor, subject);
+        return (
+          senseEvaluator.getDetectionCap(actionData.actor, subject, options).state !== 'undetected'
+        );
+      } catch (_) {
+        return true;
+      }
+    });
+
     // Apply RAW enforcement if enabled
     const enforceRAW = game.settings.get(MODULE_ID, 'enforceRawRequirements');
     if (enforceRAW) {
@@ -209,6 +226,18 @@ export class SeekActionHandler extends ActionHandlerBase {
     const { getDefaultNewStateFor } = await import('../data/action-state-config.js');
     let newVisibility = getDefaultNewStateFor('seek', current, outcome) || current;
 
+    // An imprecise sense can only make the target hidden, never observed
+    let senseLimit = { clamped: false, reason: null };
+    if (!subject?._isWall) {
+      senseLimit = conditionEvaluator.clampActionState(
+        'seek',
+        actionData.actor,
+        subject,
+        newVisibility,
+      );
+      newVisibility = senseLimit.state;
+    }
+
     // Build display metadata for walls
     let wallMeta = {};
     if (subject?._isWall) {
@@ -245,6 +274,8 @@ export class SeekActionHandler extends ActionHandlerBase {
       oldVisibilityLabel: VISIBILITY_STATES[current]?.label || current,
       newVisibility,
       changed: newVisibility !== current,
+      senseLimited: senseLimit.clamped,
+      senseLimitReason: senseLimit.reason,
       ...wallMeta,
     };
 
@@ -351,7 +382,7 @@ export class SeekActionHandler extends ActionHandlerBase {
   }
 
   // Apply token visibility changes as usual, and also persist wall visibility for the seeker
-  async applyChangesInternal(changes) {
+  async applyChangesInternal(changes, audit = null) {
     try {
       const tokenChanges = [];
       const wallChangesByObserver = new Map();
@@ -375,7 +406,7 @@ export class SeekActionHandler extends ActionHandlerBase {
           await applyVisibilityChanges(
             group.observer,
             group.items.map((i) => ({ target: i.target, newVisibility: i.newVisibility })),
-            { direction: this.getApplyDirection() },
+            { direction: this.getApplyDirection(), audit },
           );
         }
       }
@@ -409,7 +440,7 @@ export class SeekActionHandler extends ActionHandlerBase {
       }
     } catch (e) {
       // Fallback to base implementation if something goes wrong
-      return super.applyChangesInternal(changes);
+      return super.applyChangesInternal(changes, audit);
     }
   }
 
@@ -453,7 +484,8 @@ export class SeekActionHandler extends ActionHandlerBase {
 
       // Build changes for tokens and walls
       const changes = filtered.map((o) => this.outcomeToChange(actionData, o)).filter(Boolean);
-      await this.applyChangesInternal(changes);
+      await this.applyChangesInternal(changes, this.getAuditInfo(actionData));
+      emitActionEvent('applied', actionData, this.actionType, changes);
       this.cacheAfterApply(actionData, changes);
       this.updateButtonToRevert(button);
       return changes.length;
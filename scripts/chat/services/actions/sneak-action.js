@@ -1,9 +1,11 @@
-import { COVER_STATES, VISIBILITY_STATES } from '../../../constants.js';
+import { COVER_STATES, MODULE_ID, VISIBILITY_STATES } from '../../../constants.js';
 import autoCoverSystem from '../../../cover/auto-cover/AutoCoverSystem.js';
 import stealthCheckUseCase from '../../../cover/auto-cover/usecases/StealthCheckUseCase.js';
 import { getCoverBetween } from '../../../utils.js';
+import conditionEvaluator from '../../../visibility/auto-visibility/ConditionEvaluator.js';
 import { appliedSneakChangesByMessage } from '../data/message-cache.js';
 import { calculateStealthRollTotals, shouldFilterAlly } from '../infra/shared-utils.js';
+import { evaluateSneakRequirements, getSneakMovement } from '../infra/sneak-requirements.js';
 import { ActionHandlerBase } from './base-action.js';
 export class SneakActionHandler extends ActionHandlerBase {
   constructor() {
@@ -21,6 +23,15 @@ export class SneakActionHandler extends ActionHandlerBase {
   async ensurePrerequisites(actionData) {
     const { ensureActionRoll } = await import('../infra/roll-utils.js');
     ensureActionRoll(actionData);
+    // The move is the same for every observer: measure it once per evaluation
+    try {
+      const sneakingToken =
+        actionData.actorToken || actionData.actor?.token?.object || actionData.actor;
+      actionData.sneakMovement = getSneakMovement(sneakingToken);
+    } catch (e) {
+      delete actionData.sneakMovement;
+      console.warn('PF2E Visioner | Sneak movement measurement failed:', e);
+    }
   }
 
   async handleRenderCheckModifiersDialog(dialog, html) {
@@ -237,13 +248,50 @@ export class SneakActionHandler extends ActionHandlerBase {
 
     // Determine default new visibility using centralized mapping
     const { getDefaultNewStateFor } = await import('../data/action-state-config.js');
-    const newVisibility = getDefaultNewStateFor('sneak', current, outcome) || current;
+    let newVisibility = getDefaultNewStateFor('sneak', current, outcome) || current;
 
     // Calculate what the visibility change would have been with original outcome
-    const originalNewVisibility = originalTotal
+    let originalNewVisibility = originalTotal
       ? getDefaultNewStateFor('sneak', current, originalOutcome) || current
       : newVisibility;
 
+    // Moving quietly defeats hearing, not tremorsense, scent and the like: those keep the
+    // sneaker from becoming undetected while in range
+    const senseLimit = conditionEvaluator.clampActionState(
+      'sneak',
+      subject,
+      actionData.actor,
+      newVisibility,
+    );
+    newVisibility = senseLimit.state;
+    originalNewVisibility = conditionEvaluator.clampActionState(
+      'sneak',
+      subject,
+      actionData.actor,
+      originalNewVisibility,
+    ).state;
+
+    // End of the move: cover or concealment against this observer, within Sneak distance.
+    // Enforced rules make a failed requirement leave the sneaker observed.
+    let requirements = null;
+    try {
+      const sneakingToken =
+        actionData.actorToken || actionData.actor?.token?.object || actionData.actor;
+      requirements = evaluateSneakRequirements(subject, sneakingToken, {
+        movement: actionData.sneakMovement,
+        cover: result.autoCover?.state ?? null,
+      });
+    } catch (e) {
+      console.warn('PF2E Visioner | Sneak requirement check failed:', e);
+    }
+    const requirementsFailed = !!requirements && !requirements.met;
+    const requirementDowngrade =
+      requirementsFailed && !!game.settings.get(MODULE_ID, 'sneakRawEnforcement');
+    if (requirementDowngrade) {
+      newVisibility = 'observed';
+      originalNewVisibility = 'observed';
+    }
+
     // Check if we should show override displays (only if there's a meaningful difference)
     const shouldShowOverride =
       result.autoCover?.isOverride &&
@@ -270,6 +318,12 @@ export class SneakActionHandler extends ActionHandlerBase {
       oldVisibilityLabel: VISIBILITY_STATES[current]?.label || current,
       newVisibility,
       changed: newVisibility !== current,
+      senseLimited: senseLimit.clamped,
+      senseLimitReason: senseLimit.reason,
+      sneakRequirements: requirements,
+      sneakRequirementsFailed: requirementsFailed,
+      sneakRequirementReason: requirements?.reason ?? null,
+      sneakRequirementDowngrade: requirementDowngrade,
       autoCover: result.autoCover, // Add auto-cover information
       // Add original total for override display
       originalRollTotal: originalTotal,
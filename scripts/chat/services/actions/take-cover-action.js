@@ -1,4 +1,5 @@
 import { COVER_STATES } from '../../../constants.js';
+import { emitActionEvent } from '../../../services/events.js';
 import { appliedTakeCoverChangesByMessage } from '../data/message-cache.js';
 import { shouldFilterAlly } from '../infra/shared-utils.js';
 import { ActionHandlerBase } from './base-action.js';
@@ -125,11 +126,14 @@ export class TakeCoverActionHandler extends ActionHandlerBase {
     };
   }
 
-  async applyChangesInternal(changes) {
+  async applyChangesInternal(changes, audit = null) {
     const { setCoverBetween } = await import('../../../utils.js');
 
     for (const ch of changes) {
-      await setCoverBetween(ch.observer, ch.target, ch.newCover, { skipEphemeralUpdate: false });
+      await setCoverBetween(ch.observer, ch.target, ch.newCover, {
+        skipEphemeralUpdate: false,
+        audit,
+      });
     }
 
     // Remove PF2e cover effect from the actor taking cover to avoid conflicts
@@ -173,9 +177,14 @@ export class TakeCoverActionHandler extends ActionHandlerBase {
     const { setCoverBetween } = await import('../../../utils.js');
     const changesFromCache = await this.buildChangesFromCache(actionData);
     if (!changesFromCache.length) return;
+    const audit = this.getAuditInfo(actionData, 'revert');
     for (const ch of changesFromCache) {
-      await setCoverBetween(ch.observer, ch.target, ch.newCover, { skipEphemeralUpdate: false });
+      await setCoverBetween(ch.observer, ch.target, ch.newCover, {
+        skipEphemeralUpdate: false,
+        audit,
+      });
     }
+    emitActionEvent('reverted', actionData, this.actionType, changesFromCache);
     this.clearCache(actionData);
     this.updateButtonToApply(button);
   }
@@ -3,6 +3,7 @@
 import { ConsequencesActionHandler } from './actions/consequences-action.js';
 import { DiversionActionHandler } from './actions/diversion-action.js';
 import { HideActionHandler } from './actions/hide-action.js';
+import { NoiseActionHandler } from './actions/noise-action.js';
 import { PointOutActionHandler } from './actions/point-out-action.js';
 import { SeekActionHandler } from './actions/seek-action.js';
 import { SneakActionHandler } from './actions/sneak-action.js';
@@ -42,3 +43,8 @@ export async function applyNowTakeCover(actionData, button) {
   const handler = new TakeCoverActionHandler();
   return handler.apply(actionData, button);
 }
+
+export async function applyNowNoise(actionData, button) {
+  const handler = new NoiseActionHandler();
+  return handler.apply(actionData, button);
+}
@@ -15,6 +15,8 @@ export function getDesiredOverrideStatesForAction(actionType) {
       return ['hidden'];
     case 'consequences':
       return ['observed', 'concealed', 'hidden', 'undetected'];
+    case 'noise':
+      return ['hidden', 'undetected'];
     default:
       return ['observed', 'concealed', 'hidden', 'undetected'];
   }
@@ -17,6 +17,9 @@ export const appliedDiversionChangesByMessage = new Map();
 // Consequences: messageId -> Array<{ observerId: string, oldVisibility: string }>
 export const appliedConsequencesChangesByMessage = new Map();
 
+// Noise: messageId -> Array<{ observerId: string, oldVisibility: string }>
+export const appliedNoiseChangesByMessage = new Map();
+
 // Point Out: messageId -> Array<{ allyId: string, targetTokenId: string, oldVisibility: string }>
 export const appliedPointOutChangesByMessage = new Map();
 
@@ -7,6 +7,18 @@ export async function handleRenderChatMessage(message, html) {
   const actionData = await extractActionData(message);
   if (!actionData) return;
 
+  // Player actions awaiting GM approval are queued once, on the active GM's client
+  if (game.user.isGM) {
+    try {
+      const { enqueuePendingAction, shouldQueuePendingAction } = await import(
+        './pending-actions.js'
+      );
+      if (shouldQueuePendingAction(message, actionData)) enqueuePendingAction(message, actionData);
+    } catch (e) {
+      console.warn('[PF2E Visioner] Failed to queue player action:', e);
+    }
+  }
+
   const hasPendingSeekTemplateForGM =
     actionData.actionType === 'seek' &&
     game.user.isGM &&
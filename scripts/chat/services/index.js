@@ -6,6 +6,7 @@ export * from './infra/notifications.js';
 export * from './infra/panel-visibility.js';
 export * from './infra/roll-utils.js';
 export * from './infra/target-checker.js';
+export * from './pending-actions.js';
 export * from './preview/point-out-resolver.js';
 export * from './preview/preview-service.js';
 export * from './preview/seek-template.js';
@@ -18,6 +19,7 @@ export * from './actions/base-action.js';
 export * from './actions/consequences-action.js';
 export * from './actions/diversion-action.js';
 export * from './actions/hide-action.js';
+export * from './actions/noise-action.js';
 export * from './actions/point-out-action.js';
 export * from './actions/seek-action.js';
 export * from './actions/sneak-action.js';
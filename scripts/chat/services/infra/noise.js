@@ -0,0 +1,127 @@
+/**
+ * Noise and sound propagation
+ * Loud actions give away an undetected creature's position: observers that hear the noise
+ * know which square it came from, so the creature becomes hidden to them rather than
+ * undetected. Deafened observers, observers out of hearing range and observers behind walls
+ * that restrict sound don't hear it.
+ */
+
+import { MODULE_ID } from '../../../constants.js';
+import { segmentsIntersect } from '../../../helpers/geometry-utils.js';
+import conditionEvaluator from '../../../visibility/auto-visibility/ConditionEvaluator.js';
+import senseEvaluator from '../../../visibility/auto-visibility/SenseEvaluator.js';
+
+/**
+ * Noise sources, keyed by the setting that enables each
+ * @type {Object<string, {setting:string, label:string}>}
+ */
+export const NOISE_SOURCES = {
+  spell: { setting: 'noiseFromSpells', label: 'Spell with a spoken incantation' },
+  strike: { setting: 'noiseFromStrikes', label: 'Noisy Strike' },
+  'force-open': { setting: 'noiseFromForceOpen', label: 'Force Open' },
+};
+
+// Weapons heard well beyond the fight: guns and explosives
+const NOISY_WEAPON_OPTIONS = ['item:group:firearm', 'item:group:bomb', 'item:trait:concussive'];
+
+// CONST.WALL_SENSE_TYPES
+const WALL_SOUND_NONE = 0;
+const WALL_SOUND_LIMITED = 10;
+
+function getOriginItem(origin) {
+  if (!origin?.uuid || typeof fromUuidSync !== 'function') return null;
+  try {
+    return fromUuidSync(origin.uuid) ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function isVerbalSpell(origin) {
+  const options = origin?.rollOptions ?? [];
+  const item = getOriginItem(origin);
+  const traits = new Set(item?.system?.traits?.value ?? []);
+  for (const opt of options) {
+    if (opt.startsWith('origin:item:trait:')) traits.add(opt.slice('origin:item:trait:'.length));
+  }
+  if (traits.has('subtle')) return false;
+  // Spoken incantations: the verbal component, or the concentrate trait since the remaster
+  return item?.system?.components?.verbal === true || traits.has('concentrate');
+}
+
+function isNoisyStrike(message, context) {
+  const options = context?.options ?? [];
+  if (NOISY_WEAPON_OPTIONS.some((opt) => options.includes(opt))) return true;
+  try {
+    const item = getOriginItem(message.flags?.pf2e?.origin);
+    return !!item?.getFlag?.(MODULE_ID, 'noisy');
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * The noise a chat message makes, if any enabled source applies
+ * @param {ChatMessage} message
+ * @returns {{source:string, label:string}|null}
+ */
+export function getNoiseSource(message) {
+  const context = message?.flags?.pf2e?.context;
+  const origin = message?.flags?.pf2e?.origin;
+
+  let source = null;
+  if (context?.options?.includes?.('action:force-open') || context?.slug === 'force-open') {
+    source = 'force-open';
+  } else if (
+    (context?.type === 'attack-roll' || context?.type === 'strike-attack-roll') &&
+    isNoisyStrike(message, context)
+  ) {
+    source = 'strike';
+  } else if (origin?.type === 'spell' && isVerbalSpell(origin)) {
+    source = 'spell';
+  }
+  if (!source || !game.settings.get(MODULE_ID, NOISE_SOURCES[source].setting)) return null;
+  return { source, label: NOISE_SOURCES[source].label };
+}
+
+/**
+ * Whether walls between two tokens stop sound: any wall that restricts sound, or two limited ones
+ * @param {Token} a
+ * @param {Token} b
+ * @returns {boolean}
+ */
+export function isSoundBlocked(a, b) {
+  const p1 = a?.center ?? a?.getCenter?.();
+  const p2 = b?.center ?? b?.getCenter?.();
+  if (!p1 || !p2) return false;
+  let limited = 0;
+  for (const wall of canvas?.walls?.placeables ?? []) {
+    const d = wall?.document;
+    if (!d) continue;
+    const sound = Number(d.sound ?? WALL_SOUND_NONE);
+    if (sound === WALL_SOUND_NONE) continue;
+    // Open doors let sound through
+    if (Number(d.door) > 0 && Number(d.ds) === 1) continue;
+    const [x1, y1, x2, y2] = Array.isArray(d.c) ? d.c : [];
+    if (![x1, y1, x2, y2].every(Number.isFinite)) continue;
+    if (!segmentsIntersect(p1, p2, { x: x1, y: y1 }, { x: x2, y: y2 })) continue;
+    if (sound !== WALL_SOUND_LIMITED || ++limited >= 2) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether an observer hears a noise made by a token
+ * @param {Token} observer
+ * @param {Token} source - The token making the noise
+ * @param {number} [range] - Hearing range in feet, the configured range by default
+ * @returns {{heard:boolean, distanceFt:number, reason:string|null}}
+ */
+export function hearsNoise(observer, source, range = game.settings.get(MODULE_ID, 'noiseRange')) {
+  const distanceFt = Math.round(senseEvaluator.getDistanceFeet(observer, source));
+  let reason = null;
+  if (conditionEvaluator.hasCondition(observer, 'deafened')) reason = 'Deafened';
+  else if (distanceFt > range) reason = `Out of hearing range (${distanceFt} ft)`;
+  else if (isSoundBlocked(observer, source)) reason = 'A wall blocks the sound';
+  return { heard: !reason, distanceFt, reason };
+}
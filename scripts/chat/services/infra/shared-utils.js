@@ -207,6 +207,8 @@ export function determineOutcome(total, die, dc) {
  * @param {boolean} options.refreshPerception - Whether to refresh everyone's perception (default: true)
  * @param {number} options.durationRounds - Duration in rounds (default: undefined)
  * @param {boolean} options.initiative - Whether to use initiative (default: undefined)
+ * @param {Object} options.audit - Audit log provenance ({ source, action, messageId })
+ * @param {string|Object} [options.expiry] - When the new states end (see services/state-expiry)
  * @returns {Promise} Promise that resolves when all changes are applied
  */
 export async function applyVisibilityChanges(observer, changes, options = {}) {
@@ -260,6 +262,8 @@ export async function applyVisibilityChanges(observer, changes, options = {}) {
               initiative: options.initiative,
               skipEphemeralUpdate: options.skipEphemeralUpdate,
               skipCleanup: options.skipCleanup,
+              audit: options.audit,
+              expiry: options.expiry,
             });
           } catch (error) {
             console.error(`${MODULE_TITLE}: Error applying visibility change:`, error);
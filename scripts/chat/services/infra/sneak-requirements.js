@@ -0,0 +1,142 @@
+/**
+ * Sneak end-of-move requirements (RAW)
+ * A Sneak moves up to half Speed, and the sneaker must have standard or greater cover or be
+ * concealed from an observer at the end of that movement, or it becomes observed by them. The
+ * path comes from the token's movement history; the end point is its current position.
+ */
+
+import { getStealthCoverAndConcealment } from './stealth-position.js';
+
+function hasFeat(actor, slug) {
+  return (actor?.items ?? []).some((i) => (i?.slug ?? i?.system?.slug) === slug);
+}
+
+function pixelsPerFoot() {
+  const dims = canvas?.dimensions;
+  const size = dims?.size ?? canvas?.grid?.size ?? 100;
+  const distance = dims?.distance ?? canvas?.scene?.grid?.distance ?? 5;
+  return dims?.distancePixels ?? size / distance;
+}
+
+function waypointCenter(waypoint, doc) {
+  const size = canvas?.grid?.size ?? 100;
+  const width = Number(waypoint.width ?? doc?.width ?? 1);
+  const height = Number(waypoint.height ?? doc?.height ?? 1);
+  return { x: waypoint.x + (width * size) / 2, y: waypoint.y + (height * size) / 2 };
+}
+
+/**
+ * Points (token centers) of the token's latest movement, ending at its current position
+ * @param {Token} token
+ * @returns {Array<{x:number, y:number}>}
+ */
+export function getSneakMovementPath(token) {
+  const doc = token?.document;
+  const end = token?.center ?? token?.getCenter?.();
+  if (!end) return [];
+
+  const history = Array.from(doc?.movementHistory ?? []);
+  let waypoints = [];
+  if (history.length) {
+    // Only the last movement counts; its start is where the previous one ended
+    const lastId = history[history.length - 1]?.movementId;
+    const first = lastId ? history.findIndex((w) => w.movementId === lastId) : 0;
+    waypoints = history.slice(Math.max(0, first - 1));
+  } else if (doc?.movement?.origin) {
+    waypoints = [doc.movement.origin];
+  }
+
+  const points = waypoints
+    .filter((w) => Number.isFinite(w?.x) && Number.isFinite(w?.y))
+    .map((w) => waypointCenter(w, doc));
+  const last = points[points.length - 1];
+  if (!last || last.x !== end.x || last.y !== end.y) points.push({ x: end.x, y: end.y });
+  return points;
+}
+
+/**
+ * Length of a path in feet
+ * @param {Array<{x:number, y:number}>} points
+ * @returns {number}
+ */
+export function measurePathFeet(points) {
+  if (points.length < 2) return 0;
+  // The grid applies the scene's diagonal rule
+  try {
+    const measured = canvas?.grid?.measurePath?.(points)?.distance;
+    if (Number.isFinite(measured)) return measured;
+  } catch (_) {}
+  let pixels = 0;
+  for (let i = 1; i < points.length; i++) {
+    pixels += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return pixels / pixelsPerFoot();
+}
+
+/**
+ * How far the actor may move with one Sneak, or null when its Speed is unknown
+ * @param {Actor} actor
+ * @returns {number|null}
+ */
+export function getSneakDistanceLimit(actor) {
+  const speed = Number(
+    actor?.system?.attributes?.speed?.total ??
+      actor?.system?.attributes?.speed?.value ??
+      actor?.system?.movement?.speeds?.land?.value,
+  );
+  if (!Number.isFinite(speed) || speed <= 0) return null;
+  // Swift Sneak: full Speed
+  return hasFeat(actor, 'swift-sneak') ? speed : Math.floor(speed / 2);
+}
+
+/**
+ * Movement facts shared by every observer of one Sneak
+ * @param {Token} sneaker
+ * @returns {{path:Array<{x:number,y:number}>, distanceFt:number, maxDistanceFt:number|null}}
+ */
+export function getSneakMovement(sneaker) {
+  const path = getSneakMovementPath(sneaker);
+  return {
+    path,
+    distanceFt: Math.round(measurePathFeet(path) * 10) / 10,
+    maxDistanceFt: getSneakDistanceLimit(sneaker?.actor),
+  };
+}
+
+/**
+ * Check the end-of-move requirements of a Sneak against one observer
+ * @param {Token} observer
+ * @param {Token} sneaker - At its end position
+ * @param {Object} [options]
+ * @param {Object} [options.movement] - Result of getSneakMovement, computed when omitted
+ * @param {string|null} [options.cover] - Cover already established for this pair (e.g. a roll
+ *   dialog override); read by getStealthCoverAndConcealment when omitted
+ * @returns {{met:boolean, cover:string, concealed:boolean, distanceFt:number,
+ *   maxDistanceFt:number|null, failures:string[], reason:string|null}}
+ */
+export function evaluateSneakRequirements(observer, sneaker, options = {}) {
+  const movement = options.movement ?? getSneakMovement(sneaker);
+
+  const { cover, concealed, sufficient } = getStealthCoverAndConcealment(observer, sneaker, {
+    cover: options.cover,
+  });
+
+  const failures = [];
+  // Legendary Sneak: no cover or concealment needed
+  if (!sufficient && !hasFeat(sneaker?.actor, 'legendary-sneak')) {
+    failures.push('No cover or concealment at the end of the move');
+  }
+  if (movement.maxDistanceFt !== null && movement.distanceFt > movement.maxDistanceFt) {
+    failures.push(`Moved ${movement.distanceFt} ft, more than ${movement.maxDistanceFt} ft`);
+  }
+
+  return {
+    met: failures.length === 0,
+    cover,
+    concealed,
+    distanceFt: movement.distanceFt,
+    maxDistanceFt: movement.maxDistanceFt,
+    failures,
+    reason: failures.length ? failures.join('; ') : null,
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Cover and concealment a stealthy creature has from one observer
+ * Hide needs standard or greater cover or concealment from an observer, and so does the end of a
+ * Sneak's move; both read them here.
+ */
+
+import autoCoverSystem from '../../../cover/auto-cover/AutoCoverSystem.js';
+import { getCoverBetween, getVisibilityBetween } from '../../../utils.js';
+import autoVisibilitySystem from '../../../visibility/auto-visibility/AutoVisibilitySystem.js';
+
+const COVER_ORDER = ['none', 'lesser', 'standard', 'greater'];
+const CONCEALING_STATES = new Set(['concealed', 'hidden', 'undetected']);
+
+/**
+ * @param {Token} observer
+ * @param {Token} creature - At its current position
+ * @param {Object} [options]
+ * @param {string|null} [options.cover] - Cover already established for this pair (e.g. a roll
+ *   dialog override); otherwise the higher of the manual cover and, with auto-cover enabled, the
+ *   detected cover
+ * @returns {{cover:string, concealed:boolean, sufficient:boolean}} sufficient: standard or
+ *   greater cover, or concealed
+ */
+export function getStealthCoverAndConcealment(observer, creature, options = {}) {
+  let cover = options.cover ?? null;
+  if (!cover) {
+    cover = 'none';
+    try {
+      cover = getCoverBetween(observer, creature) || 'none';
+    } catch (_) {}
+    if (autoCoverSystem.isEnabled()) {
+      try {
+        const detected =
+          autoCoverSystem.detectCoverBetweenTokens(observer, creature, { context: 'stealth' }) ||
+          'none';
+        if (COVER_ORDER.indexOf(detected) > COVER_ORDER.indexOf(cover)) cover = detected;
+      } catch (_) {}
+    }
+  }
+
+  // A stored 'concealed' (set by the GM or an action) counts as well as a derived one
+  let concealed = false;
+  try {
+    concealed =
+      getVisibilityBetween(observer, creature) === 'concealed' ||
+      CONCEALING_STATES.has(autoVisibilitySystem.deriveBaseline(observer, creature).state);
+  } catch (_) {}
+
+  return {
+    cover,
+    concealed,
+    sufficient: COVER_ORDER.indexOf(cover) >= COVER_ORDER.indexOf('standard') || concealed,
+  };
+}
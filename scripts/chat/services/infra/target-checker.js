@@ -218,6 +218,7 @@ function checkHideTargets(actionData, potentialTargets) {
           cover =
             autoCoverSystem.detectCoverBetweenTokens(observer, actionData.actor, {
               rawPrereq: true,
+              context: 'stealth',
             }) || 'none';
         } catch (_) {}
       }
@@ -0,0 +1,271 @@
+/**
+ * GM approval queue for player-initiated actions.
+ * When enabled, Hide, Sneak, Seek, Create a Diversion and Take Cover rolled by players are
+ * analyzed on the GM client and stored on their chat message as a pending entry. The GM approves,
+ * edits or rejects entries from PendingActionsWindow; the player gets a whispered confirmation.
+ * Entries live on `flags.pf2e-visioner.pendingAction`, so the queue survives reloads.
+ */
+
+import { COVER_STATES, MODULE_ID, MODULE_TITLE } from '../../constants.js';
+import { extractActionData } from './action-extractor.js';
+import { DiversionActionHandler } from './actions/diversion-action.js';
+import { HideActionHandler } from './actions/hide-action.js';
+import { SeekActionHandler } from './actions/seek-action.js';
+import { SneakActionHandler } from './actions/sneak-action.js';
+import { TakeCoverActionHandler } from './actions/take-cover-action.js';
+import { notify } from './infra/notifications.js';
+
+/**
+ * Action types routed through the queue
+ * @type {string[]}
+ */
+export const QUEUED_ACTION_TYPES = ['hide', 'sneak', 'seek', 'create-a-diversion', 'take-cover'];
+
+const PENDING_FLAG = 'pendingAction';
+
+// Messages older than this are not queued (e.g. when the setting is turned on mid-session)
+const MAX_MESSAGE_AGE_MS = 10000;
+
+const ACTION_LABELS = {
+  hide: 'Hide',
+  sneak: 'Sneak',
+  seek: 'Seek',
+  'create-a-diversion': 'Create a Diversion',
+  'take-cover': 'Take Cover',
+};
+
+function createHandler(actionType) {
+  switch (actionType) {
+    case 'hide':
+      return new HideActionHandler();
+    case 'sneak':
+      return new SneakActionHandler();
+    case 'seek':
+      return new SeekActionHandler();
+    case 'create-a-diversion':
+      return new DiversionActionHandler();
+    case 'take-cover':
+      return new TakeCoverActionHandler();
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the pending entry stored on a message
+ * @param {ChatMessage} message
+ * @returns {Object|null}
+ */
+export function getPendingEntry(message) {
+  return message?.flags?.[MODULE_ID]?.[PENDING_FLAG] ?? null;
+}
+
+/**
+ * Whether a message's action is waiting in the queue; its chat card must not apply it meanwhile
+ * @param {ChatMessage} message
+ * @returns {boolean}
+ */
+export function isAwaitingApproval(message) {
+  return getPendingEntry(message)?.status === 'pending';
+}
+
+/**
+ * Whether a rendered action message should be added to the queue on this client
+ * @param {ChatMessage} message
+ * @param {Object} actionData - Result of extractActionData
+ * @returns {boolean}
+ */
+export function shouldQueuePendingAction(message, actionData) {
+  if (!game.user?.isGM || !message || !actionData) return false;
+  if (game.users?.activeGM && game.users.activeGM.id !== game.user.id) return false;
+  if (!game.settings.get(MODULE_ID, 'playerActionQueue')) return false;
+  if (!QUEUED_ACTION_TYPES.includes(actionData.actionType)) return false;
+  if (!message.author || message.author.isGM) return false;
+  if (getPendingEntry(message)) return false;
+  // Seek templates already hand off to the GM with their own flow
+  if (actionData.actionType === 'seek' && game.settings.get(MODULE_ID, 'seekUseTemplate')) {
+    return false;
+  }
+  return Date.now() - (message.timestamp || 0) < MAX_MESSAGE_AGE_MS;
+}
+
+/**
+ * Run the action handler and reduce its outcomes to plain rows that can be stored on a flag.
+ * Hidden walls found by Seek are left to the chat card.
+ * @param {Object} actionData
+ * @returns {Promise<Array<Object>>}
+ */
+export async function computePendingOutcomes(actionData) {
+  const handler = createHandler(actionData?.actionType);
+  if (!handler) return [];
+  await handler.ensurePrerequisites(actionData);
+  const subjects = await handler.discoverSubjects(actionData);
+  const rows = [];
+  for (const subject of subjects) {
+    const outcome = await handler.analyzeOutcome(actionData, subject);
+    const tokenId = handler.getOutcomeTokenId(outcome);
+    if (!outcome || !tokenId || outcome.wallId) continue;
+    const token = outcome.token ?? outcome.target ?? outcome.observer ?? null;
+    rows.push({
+      tokenId,
+      name: token?.name ?? tokenId,
+      outcome: outcome.outcome ?? null,
+      dc: outcome.dc ?? null,
+      margin: outcome.margin ?? null,
+      oldState: outcome.oldVisibility ?? outcome.currentVisibility ?? null,
+      newState: outcome.newVisibility ?? null,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Analyze a player action and store it as a pending entry on its message
+ * @param {ChatMessage} message
+ * @param {Object} actionData
+ * @returns {Promise<Object|null>} The stored entry
+ */
+export async function enqueuePendingAction(message, actionData) {
+  try {
+    const entry = {
+      status: 'pending',
+      actionType: actionData.actionType,
+      actorTokenId: actionData.actor?.id ?? null,
+      actorName: actionData.actor?.name ?? '',
+      userId: message.author?.id ?? null,
+      rollTotal: actionData.roll?.total ?? message.rolls?.[0]?.total ?? null,
+      createdAt: Date.now(),
+      outcomes: await computePendingOutcomes(actionData),
+    };
+    await message.update({ [`flags.${MODULE_ID}.${PENDING_FLAG}`]: entry });
+    await openPendingActionsWindow({ onlyIfPending: true });
+    return entry;
+  } catch (error) {
+    console.error(`${MODULE_TITLE}: Failed to queue player action:`, error);
+    return null;
+  }
+}
+
+/**
+ * Pending entries of the current world, oldest first
+ * @returns {Array<{messageId:string} & Object>}
+ */
+export function getPendingActions() {
+  const messages = Array.from(game.messages?.contents ?? []);
+  return messages
+    .map((m) => ({ message: m, entry: getPendingEntry(m) }))
+    .filter(({ entry }) => entry?.status === 'pending')
+    .map(({ message, entry }) => ({ messageId: message.id, ...entry }))
+    .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+}
+
+/**
+ * States allowed when editing a row of this action type
+ * @param {string} actionType
+ * @returns {string[]}
+ */
+export function getEditableStates(actionType) {
+  if (actionType === 'take-cover') return Object.keys(COVER_STATES);
+  return ['observed', 'concealed', 'hidden', 'undetected'];
+}
+
+/**
+ * Approve an entry, applying its rows (with GM edits) through the action's normal apply path
+ * @param {string} messageId
+ * @param {Record<string, string>} [edits] - tokenId → state chosen by the GM
+ * @returns {Promise<number>} Number of rows applied
+ */
+export async function approvePendingAction(messageId, edits = {}) {
+  if (!game.user?.isGM) return 0;
+  const message = game.messages?.get?.(messageId);
+  const entry = getPendingEntry(message);
+  if (!entry || entry.status !== 'pending') return 0;
+
+  const overrides = {};
+  for (const row of entry.outcomes || []) {
+    const state = edits[row.tokenId] ?? row.newState;
+    if (state && state !== row.oldState) overrides[row.tokenId] = state;
+  }
+
+  let applied = 0;
+  if (Object.keys(overrides).length > 0) {
+    const actionData = await extractActionData(message);
+    const handler = createHandler(actionData?.actionType);
+    if (!handler) {
+      notify.warn('Could not resolve the action for this entry');
+      return 0;
+    }
+    // apply() reports failures by returning 0; keep the entry pending so the GM can retry
+    const result = await handler.apply(
+      { ...actionData, overrides },
+      { html: () => {}, attr: () => {} },
+    );
+    applied = Number(result) || 0;
+    if (!applied) {
+      notify.warn('No changes could be applied; the action stays pending');
+      return 0;
+    }
+  }
+
+  await resolveEntry(message, entry, 'approved', applied);
+  return applied;
+}
+
+/**
+ * Reject an entry without applying anything
+ * @param {string} messageId
+ * @returns {Promise<boolean>}
+ */
+export async function rejectPendingAction(messageId) {
+  if (!game.user?.isGM) return false;
+  const message = game.messages?.get?.(messageId);
+  const entry = getPendingEntry(message);
+  if (!entry || entry.status !== 'pending') return false;
+  await resolveEntry(message, entry, 'rejected', 0);
+  return true;
+}
+
+async function resolveEntry(message, entry, status, appliedCount) {
+  await message.update({
+    [`flags.${MODULE_ID}.${PENDING_FLAG}.status`]: status,
+    [`flags.${MODULE_ID}.${PENDING_FLAG}.resolvedAt`]: Date.now(),
+  });
+  await whisperResolution(entry, status, appliedCount);
+}
+
+/**
+ * Let the player know what happened to their action
+ * @param {Object} entry
+ * @param {'approved'|'rejected'} status
+ * @param {number} appliedCount
+ */
+export async function whisperResolution(entry, status, appliedCount) {
+  if (!entry?.userId) return;
+  try {
+    const label = ACTION_LABELS[entry.actionType] ?? entry.actionType;
+    const who = entry.actorName ? ` for ${entry.actorName}` : '';
+    const detail =
+      status === 'approved'
+        ? `was approved${appliedCount ? ` (${appliedCount} change${appliedCount === 1 ? '' : 's'} applied)` : ' with no changes'}.`
+        : 'was rejected by the GM.';
+    await ChatMessage.create({
+      content: `<p><strong>${MODULE_TITLE}</strong>: Your ${label}${who} ${detail}</p>`,
+      whisper: [entry.userId],
+      speaker: { alias: MODULE_TITLE },
+    });
+  } catch (error) {
+    console.warn(`${MODULE_TITLE}: Failed to whisper action resolution:`, error);
+  }
+}
+
+/**
+ * Open (or refresh) the pending actions window
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyIfPending=false] - Skip opening when the queue is empty
+ */
+export async function openPendingActionsWindow({ onlyIfPending = false } = {}) {
+  if (!game.user?.isGM) return null;
+  if (onlyIfPending && getPendingActions().length === 0) return null;
+  const { PendingActionsWindow } = await import('../../managers/pending-actions.js');
+  return PendingActionsWindow.open();
+}
@@ -240,6 +240,18 @@ export async function previewActionResults(actionData) {
         ).render(true);
         return;
       }
+      case 'noise': {
+        const { NoiseActionHandler } = await import('../actions/noise-action.js');
+        const { NoisePreviewDialog } = await import('../../dialogs/noise-preview-dialog.js');
+        const handler = new NoiseActionHandler();
+        const subjects = await handler.discoverSubjects({ ...actionData, ignoreAllies: false });
+        const outcomes = await Promise.all(
+          subjects.map((s) => handler.analyzeOutcome(actionData, s)),
+        );
+        const changes = outcomes.filter((o) => o && o.changed);
+        new NoisePreviewDialog(actionData.actor, outcomes, changes, actionData).render(true);
+        return;
+      }
       default:
         log.warn(`Unknown action type: ${type}`);
         return;
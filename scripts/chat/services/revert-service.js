@@ -3,6 +3,7 @@
 import { ConsequencesActionHandler } from './actions/consequences-action.js';
 import { DiversionActionHandler } from './actions/diversion-action.js';
 import { HideActionHandler } from './actions/hide-action.js';
+import { NoiseActionHandler } from './actions/noise-action.js';
 import { PointOutActionHandler } from './actions/point-out-action.js';
 import { SeekActionHandler } from './actions/seek-action.js';
 import { SneakActionHandler } from './actions/sneak-action.js';
@@ -63,3 +64,12 @@ export async function revertNowTakeCover(actionData, button) {
     log.error(e);
   }
 }
+
+export async function revertNowNoise(actionData, button) {
+  const handler = new NoiseActionHandler();
+  try {
+    await handler.revert(actionData, button);
+  } catch (e) {
+    log.error(e);
+  }
+}
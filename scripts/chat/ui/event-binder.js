@@ -26,6 +26,7 @@ export function bindAutomationEvents(panel, message, actionData) {
         applyNowDiversion,
         applyNowConsequences,
         applyNowTakeCover,
+        applyNowNoise,
         revertNowSeek,
         revertNowPointOut,
         revertNowHide,
@@ -33,6 +34,7 @@ export function bindAutomationEvents(panel, message, actionData) {
         revertNowDiversion,
         revertNowConsequences,
         revertNowTakeCover,
+        revertNowNoise,
         setupSeekTemplate,
         removeSeekTemplate,
         injectAutomationUI,
@@ -47,6 +49,7 @@ export function bindAutomationEvents(panel, message, actionData) {
         'apply-now-diversion': applyNowDiversion,
         'apply-now-consequences': applyNowConsequences,
         'apply-now-take-cover': applyNowTakeCover,
+        'apply-now-noise': applyNowNoise,
       };
       const revertHandlers = {
         'revert-now-seek': revertNowSeek,
@@ -56,6 +59,7 @@ export function bindAutomationEvents(panel, message, actionData) {
         'revert-now-diversion': revertNowDiversion,
         'revert-now-consequences': revertNowConsequences,
         'revert-now-take-cover': revertNowTakeCover,
+        'revert-now-noise': revertNowNoise,
       };
 
       if (action === 'setup-seek-template' && actionData.actionType === 'seek') {
@@ -161,12 +165,25 @@ export function bindAutomationEvents(panel, message, actionData) {
           await enrichPointOutActionDataForGM(actionData);
         }
         await previewActionResults(actionData);
+      } else if (action === 'open-noise-results') {
+        // Also offered on Attack Consequences panels of noisy attacks
+        await previewActionResults({
+          ...actionData,
+          actionType: 'noise',
+          ignoreAllies: game.settings.get('pf2e-visioner', 'ignoreAllies'),
+        });
       } else if (typeof action === 'string' && action.startsWith('open-')) {
         await previewActionResults({
           ...actionData,
           ignoreAllies: game.settings.get('pf2e-visioner', 'ignoreAllies'),
         });
       } else if (applyHandlers[action]) {
+        // A card rendered before its action was queued still shows enabled Apply buttons
+        const { isAwaitingApproval } = await import('../services/pending-actions.js');
+        if (isAwaitingApproval(game.messages.get(actionData.messageId) ?? message)) {
+          notify.warn('This action is awaiting approval in the Pending Player Actions window');
+          return;
+        }
         // For Point Out, ping the pointed target when applying from the chat panel
         try {
           if (action === 'apply-now-point-out' && game.user.isGM) {
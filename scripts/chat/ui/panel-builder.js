@@ -3,9 +3,11 @@
  * Stateless builder for the chat automation panel HTML.
  */
 
+import { isAwaitingApproval } from '../services/pending-actions.js';
 import { buildConsequencesPanel } from './panel/consequences.js';
 import { buildDiversionPanel } from './panel/diversion.js';
 import { buildHidePanel } from './panel/hide.js';
+import { buildNoisePanel } from './panel/noise.js';
 import { buildPointOutPanel } from './panel/point-out.js';
 import { buildSeekPanel } from './panel/seek.js';
 import { buildSneakPanel } from './panel/sneak.js';
@@ -35,15 +37,36 @@ export function buildAutomationPanel(actionData, message) {
     case 'take-cover':
       config = buildTakeCoverPanel(actionData, message);
       break;
+    case 'noise':
+      config = buildNoisePanel(actionData, message);
+      break;
     default:
       return '';
   }
   if (!config) return '';
+  // A noisy attack offers the noise results next to its consequences
+  if (actionData.actionType === 'consequences' && actionData.noise) {
+    config.actionButtonsHtml += buildNoisePanel(actionData, message).actionButtonsHtml;
+  }
+  // Queued player actions are applied from the Pending Player Actions window, not from the card
+  const actionButtonsHtml = isAwaitingApproval(message)
+    ? disableApplyButtons(config.actionButtonsHtml)
+    : config.actionButtonsHtml;
   return `
     <div class="pf2e-visioner-automation-panel ${config.panelClass}" data-message-id="${actionData.messageId}" data-action-type="${actionData.actionType}" data-user-id="${game.userId}">
       <div class="automation-actions">
-        ${config.actionButtonsHtml}
+        ${actionButtonsHtml}
       </div>
     </div>
   `;
 }
+
+function disableApplyButtons(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  for (const button of template.content.querySelectorAll('.apply-now')) {
+    button.disabled = true;
+    button.dataset.tooltip = 'Awaiting GM approval in the Pending Player Actions window';
+  }
+  return template.innerHTML;
+}
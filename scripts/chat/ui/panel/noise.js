@@ -0,0 +1,28 @@
+export function buildNoisePanel(actionData) {
+  const label = 'Open Noise Results';
+  const tooltip = `Preview which observers hear the noise (${actionData?.noise?.label || 'loud action'}) and learn where the creature is`;
+  const title = 'Noise';
+  const icon = 'fas fa-volume-up';
+  const actionName = 'open-noise-results';
+  const buttonClass = 'visioner-btn-noise';
+  const panelClass = 'noise-panel';
+
+  let actionButtonsHtml = '';
+  if (game.user.isGM) {
+    actionButtonsHtml = `
+      <button type="button" 
+              class="visioner-btn ${buttonClass}" 
+              data-action="${actionName}"
+              data-tooltip="${tooltip}">
+        <i class="${icon}"></i> ${label}
+      </button>
+      <button type="button"
+              class="visioner-btn ${buttonClass} apply-now"
+              data-action="apply-now-noise"
+              data-tooltip="Apply all calculated changes without opening the dialog">
+        <i class="fas fa-check-double"></i> Apply Changes
+      </button>`;
+  }
+
+  return { title, icon, panelClass, actionButtonsHtml };
+}
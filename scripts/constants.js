@@ -93,6 +93,38 @@ export const COVER_STATES = {
   },
 };
 
+/**
+ * Visibility consequences an effect can carry while it is present on an actor
+ */
+export const EFFECT_VISIBILITY_CONSEQUENCES = {
+  concealedToAll: 'Target is concealed to all observers',
+  hiddenToAll: 'Target is hidden to all observers',
+  magicalDarkness: 'Target is in magical darkness (hidden without greater darkvision)',
+  invisible: 'Target is invisible',
+  cannotBeConcealed: 'Target cannot become concealed or invisible',
+  seeInvisibleAsConcealed: 'Observer treats invisible creatures as concealed',
+};
+
+/**
+ * Default effect slug → visibility consequence registry for core PF2e spells
+ */
+export const DEFAULT_EFFECT_VISIBILITY_MAPPINGS = {
+  'spell-effect-blur': { label: 'Blur', consequence: 'concealedToAll' },
+  'spell-effect-obscuring-mist': { label: 'Obscuring Mist', consequence: 'concealedToAll' },
+  'spell-effect-darkness': { label: 'Darkness', consequence: 'magicalDarkness' },
+  'spell-effect-faerie-fire': { label: 'Faerie Fire', consequence: 'cannotBeConcealed' },
+  'spell-effect-revealing-light': { label: 'Revealing Light', consequence: 'cannotBeConcealed' },
+  'spell-effect-invisibility': { label: 'Invisibility', consequence: 'invisible' },
+  'spell-effect-see-invisibility': {
+    label: 'See Invisibility',
+    consequence: 'seeInvisibleAsConcealed',
+  },
+  'spell-effect-see-the-unseen': {
+    label: 'See the Unseen',
+    consequence: 'seeInvisibleAsConcealed',
+  },
+};
+
 /**
  * Default module settings
  */
@@ -128,6 +160,26 @@ export const DEFAULT_SETTINGS = {
     default: true,
   },
 
+  playerPerceptionPanel: {
+    name: 'Players: What I Perceive Panel',
+    hint: 'Let players open a read-only panel listing the creatures their token perceives, with state, cover and why.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: true,
+  },
+
+  combatTrackerVisibility: {
+    name: 'Combat Tracker: Detection State',
+    hint: 'Players see combatants undetected to all of their tokens as "Unknown creature" and an icon on hidden ones. The GM sees how many enemies each combatant is hidden or undetected to.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: true,
+  },
+
   tooltipFontSize: {
     name: 'PF2E_VISIONER.SETTINGS.TOOLTIP_FONT_SIZE.name',
     hint: 'PF2E_VISIONER.SETTINGS.TOOLTIP_FONT_SIZE.hint',
@@ -183,6 +235,81 @@ export const DEFAULT_SETTINGS = {
     default: true,
   },
 
+  autoVisibility: {
+    name: 'Auto-Visibility: Lighting, Senses and Conditions',
+    hint: "If enabled, a baseline visibility state is derived for every observer/target pair from the light level at the target, the observer's senses and conditions such as blinded, dazzled, deafened and invisible (dim light: concealed without low-light vision; darkness: hidden without darkvision). States set by actions or the Token Manager take precedence.",
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: false,
+  },
+
+  effectVisibilityMappings: {
+    name: 'Spell & Effect Visibility Registry',
+    hint: 'Effect slugs and the visibility consequence they apply while the effect is present on an actor. Requires Auto-Visibility.',
+    scope: 'world',
+    config: false,
+    restricted: true,
+    type: Object,
+    default: DEFAULT_EFFECT_VISIBILITY_MAPPINGS,
+  },
+
+  playerActionQueue: {
+    name: 'GM Approval Queue for Player Actions',
+    hint: 'Player Hide, Sneak, Seek, Create a Diversion and Take Cover results are collected in a Pending Player Actions window where the GM approves, edits or rejects them. Players receive a whispered confirmation.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: false,
+  },
+
+  visibilityStateExpiry: {
+    name: 'Timed Visibility States',
+    hint: 'Create a Diversion lasts until the end of your turn and Point Out until the creature moves; rule elements and the API can set other expiries. Expired states revert to their previous value and the GM gets a chat summary.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: true,
+  },
+
+  revealOnMove: {
+    name: 'Reveal on Movement',
+    hint: 'A hidden or undetected creature that moves without Sneaking becomes observed by observers with line of sight to where it stops, unless it has standard or greater cover or concealment from them there. Prompt asks the GM first; Automatic applies the reveals directly. Moves covered by a Sneak roll are exempt.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: String,
+    choices: {
+      off: 'Off',
+      prompt: 'Prompt the GM',
+      auto: 'Automatic',
+    },
+    default: 'off',
+  },
+
+  visibilityAuditLog: {
+    name: 'Visibility Audit Log',
+    hint: 'Record every visibility and cover change with its source (API, Token Manager, chat action, region, rule element, auto-visibility or snapshot), chat message, user and time. The log is stored per scene and opened from the token scene controls.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: true,
+  },
+
+  avoidNoticeInitiative: {
+    name: 'Stealth Initiative (Avoid Notice)',
+    hint: "When an encounter starts, compare the initiative of creatures that rolled Stealth against each enemy's Perception DC and open a preview of the resulting undetected/hidden/observed states for the GM to apply.",
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: true,
+  },
+
   sneakRawEnforcement: {
     name: 'PF2E_VISIONER.SETTINGS.SNEAK_RAW_ENFORCEMENT.name',
     hint: 'PF2E_VISIONER.SETTINGS.SNEAK_RAW_ENFORCEMENT.hint',
@@ -288,6 +415,76 @@ export const DEFAULT_SETTINGS = {
     default: 30,
   },
 
+  passiveSearch: {
+    name: 'Passive Search While Exploring',
+    hint: 'Out of combat, when a character with the Search exploration activity moves, the GM secretly rolls its Perception against undiscovered hidden walls, hazards and loot in range (once per subject per scene). Minimum Perception ranks are respected, discoveries are applied like a Seek and the results are whispered to the GM.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: false,
+  },
+
+  passiveSearchDistance: {
+    name: 'Passive Search Distance (ft)',
+    hint: 'How far from a searching character hidden walls, hazards and loot are checked.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Number,
+    default: 30,
+  },
+
+  noiseSystem: {
+    name: 'Noise Reveals Undetected Creatures',
+    hint: 'Loud actions by an undetected creature (enabled below) offer the GM a chat panel to make it hidden, instead of undetected, to observers that hear them. Deafened observers, observers beyond the hearing range and observers behind walls that restrict sound are left out.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: false,
+  },
+
+  noiseRange: {
+    name: 'Noise Hearing Range (ft)',
+    hint: 'How far away observers hear a noisy action.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Number,
+    default: 60,
+  },
+
+  noiseFromSpells: {
+    name: 'Noise: Spells With Spoken Incantations',
+    hint: 'Casting a spell with a verbal component (or the concentrate trait) makes noise, unless the spell is subtle.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: true,
+  },
+
+  noiseFromStrikes: {
+    name: 'Noise: Noisy Strikes',
+    hint: 'Strikes with firearms, bombs, concussive weapons or items flagged as noisy make noise. When the attacker is hidden or undetected, the noise results are offered next to Attack Consequences.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: true,
+  },
+
+  noiseFromForceOpen: {
+    name: 'Noise: Force Open',
+    hint: 'Forcing open a door, container or lock makes noise.',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: true,
+  },
+
   // Interface Settings
   useHudButton: {
     name: 'PF2E_VISIONER.SETTINGS.USE_HUD_BUTTON.name',
@@ -387,6 +584,22 @@ export const DEFAULT_SETTINGS = {
     type: Boolean,
     default: true,
   },
+  autoCoverDragPreview: {
+    name: 'Auto-Cover: Live Preview While Dragging',
+    hint: 'While dragging a token, show the cover the drop square would give against each visible enemy.',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
+  autoCoverDragPreviewBothWays: {
+    name: 'Auto-Cover: Preview Enemy Cover Too',
+    hint: 'The drag preview also shows the cover each enemy would have against attacks from the drop square.',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
   autoCoverVisualizationRespectFogForGM: {
     name: 'Auto-Cover: GM Respects Line of Sight',
     hint: 'If enabled, GMs will see the cover heatmap limited to explored areas (same as players). If disabled, GMs see the full scene.',
@@ -537,4 +750,10 @@ export const KEYBINDINGS = {
     editable: [],
     restricted: true,
   },
+  openPerceptionPanel: {
+    name: 'Open "What I Perceive" Panel',
+    hint: 'Open the read-only list of creatures your token perceives.',
+    editable: [],
+    restricted: false,
+  },
 };
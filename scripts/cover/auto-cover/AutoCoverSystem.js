@@ -117,6 +117,28 @@ export class AutoCoverSystem {
     return this._detector.detectBetweenTokens(attacker, target, options);
   }
 
+  /**
+   * Explains cover from a point to a target: state, mode and each contributing blocker
+   * @param {Object} origin - Point with x,y coordinates
+   * @param {Object} target - Target token
+   * @param {Object} options - Additional options
+   * @returns {Object} Cover breakdown (see CoverDetector.explainBetweenTokens)
+   */
+  explainCoverFromPoint(origin, target, options = {}) {
+    return this._detector.explainFromPoint(origin, target, options);
+  }
+
+  /**
+   * Explains cover between an attacker and target: state, mode and each contributing blocker
+   * @param {Object} attacker - Attacker token
+   * @param {Object} target - Target token
+   * @param {Object} options - Additional options
+   * @returns {Object} Cover breakdown (see CoverDetector.explainBetweenTokens)
+   */
+  explainCoverBetweenTokens(attacker, target, options = {}) {
+    return this._detector.explainBetweenTokens(attacker, target, options);
+  }
+
   /**
    * Applies auto-cover between two tokens
    * @param {Object} attacker - Attacker token
@@ -16,8 +16,11 @@ import {
   getTokenVerticalSpanFt,
 } from '../../helpers/size-elevation-utils.js';
 
+import { getRegionCoverBetween, getRegionCoverSources } from '../../regions/CoverRegionBehavior.js';
 import { getVisibilityBetween } from '../../utils.js';
 
+const COVER_ORDER = ['none', 'lesser', 'standard', 'greater'];
+
 export class CoverDetector {
   // Define token disposition constants for use within this class
   static TOKEN_DISPOSITIONS = {
@@ -25,6 +28,39 @@ export class CoverDetector {
     NEUTRAL: 0,
     HOSTILE: -1,
   };
+
+  /**
+   * Explain cover from an arbitrary origin point; see explainBetweenTokens
+   * @param {Object} origin - Point with x,y coordinates
+   * @param {Object} target - Target token
+   * @param {Object} options - Additional options
+   * @returns {Object} Cover breakdown
+   */
+  explainFromPoint(origin, target, options = {}) {
+    const breakdown = this._createBreakdown();
+    breakdown.state = this.detectFromPoint(origin, target, { ...options, breakdown });
+    return breakdown;
+  }
+
+  /**
+   * Explain the cover between two tokens: the detected state, the mode that decided it and each
+   * wall, creature and cover region that contributed
+   * @param {Object} attacker - Attacker token
+   * @param {Object} target - Target token
+   * @param {Object} options - Additional options
+   * @returns {{state:string, mode:string|null, origin:Object|null, target:Object|null,
+   *   blockers:Array<{type:'wall'|'token'|'region', id:string, name:string,
+   *   coverage:number|null, contribution:string, segment?:Object, rect?:Object}>}}
+   */
+  explainBetweenTokens(attacker, target, options = {}) {
+    const breakdown = this._createBreakdown();
+    breakdown.state = this.detectBetweenTokens(attacker, target, { ...options, breakdown });
+    return breakdown;
+  }
+
+  _createBreakdown() {
+    return { state: 'none', mode: null, origin: null, target: null, blockers: [] };
+  }
   /**
    * Detect cover using an arbitrary origin point instead of an attacker token
    * @param {Object} origin - Point with x,y coordinates
@@ -58,9 +94,11 @@ export class CoverDetector {
    * @param {Object} attacker - Attacker token
    * @param {Object} target - Target token
    * @param {Object} options - Additional options
+   * @param {'attack'|'reflex'|'stealth'} [options.context='attack'] - Roll the cover is for;
+   *   cover regions can opt out of Reflex saves and Stealth
    * @returns {string} Cover state ('none', 'lesser', 'standard', 'greater')
    */
-  detectBetweenTokens(attacker, target) {
+  detectBetweenTokens(attacker, target, options = {}) {
     try {
       if (!attacker || !target) return 'none';
 
@@ -69,6 +107,11 @@ export class CoverDetector {
 
       const p1 = attacker.center ?? attacker.getCenter();
       const p2 = target.center ?? target.getCenter();
+      const breakdown = options?.breakdown ?? null;
+      if (breakdown) {
+        breakdown.origin = { x: p1.x, y: p1.y };
+        breakdown.target = { x: p2.x, y: p2.y };
+      }
 
       // Check if there's any blocking terrain (walls) in the way
       const segmentAnalysis = this._analyzeSegmentObstructions(p1, p2);
@@ -97,11 +140,23 @@ export class CoverDetector {
         // Apply token cover overrides
         tokenCover = this._applyTokenCoverOverrides(attacker, target, blockers, tokenCover);
 
-        return tokenCover;
+        if (breakdown) {
+          breakdown.mode = intersectionMode;
+          breakdown.blockers.push(
+            ...this._describeTokenBlockers(attacker, target, blockers, intersectionMode),
+          );
+        }
+        return this._applyRegionCover(attacker, target, tokenCover, options);
       } else {
         // Case 2: There IS a wall in the way - use new wall cover rules
         const wallCover = this._evaluateWallsCover(p1, p2);
-        return wallCover;
+        if (breakdown) {
+          breakdown.mode = 'walls';
+          breakdown.blockers.push(
+            ...this._describeWallBlockers(p1, target, segmentAnalysis.blockingWalls),
+          );
+        }
+        return this._applyRegionCover(attacker, target, wallCover, options);
       }
     } catch (error) {
       console.error('PF2E Visioner | CoverDetector.detectForAttack error:', error);
@@ -109,6 +164,136 @@ export class CoverDetector {
     }
   }
 
+  /**
+   * Raise a detected cover state to the cover granted by cover regions along the line of effect
+   * @param {Object} attacker
+   * @param {Object} target
+   * @param {string} cover - Cover from walls and creatures
+   * @param {Object} options - Detection options ({ context })
+   * @returns {string}
+   * @private
+   */
+  _applyRegionCover(attacker, target, cover, options = {}) {
+    try {
+      const context = options?.context ?? 'attack';
+      let regionCover;
+      if (options?.breakdown) {
+        regionCover = 'none';
+        for (const { region, level } of getRegionCoverSources(attacker, target, { context })) {
+          options.breakdown.blockers.push({
+            type: 'region',
+            id: region.id,
+            name: region.name || 'Region',
+            coverage: null,
+            contribution: level,
+          });
+          if (COVER_ORDER.indexOf(level) > COVER_ORDER.indexOf(regionCover)) regionCover = level;
+        }
+      } else {
+        regionCover = getRegionCoverBetween(attacker, target, { context });
+      }
+      return COVER_ORDER.indexOf(regionCover) > COVER_ORDER.indexOf(cover) ? regionCover : cover;
+    } catch (_) {
+      return cover;
+    }
+  }
+
+  /**
+   * Describe the walls crossing the line of effect for a cover breakdown
+   * @param {Object} p1 - Attacker center point
+   * @param {Object} target - Target token
+   * @param {Array} blockingWalls - From _analyzeSegmentObstructions
+   * @returns {Array<Object>}
+   * @private
+   */
+  _describeWallBlockers(p1, target, blockingWalls) {
+    const described = [];
+    for (const { wall, coords } of blockingWalls) {
+      try {
+        const coverage = Math.round(this._estimateWallCoveragePercent(p1, target, coords));
+        const override = wall.getFlag?.(MODULE_ID, 'coverOverride');
+        described.push({
+          type: 'wall',
+          id: wall.id,
+          name: Number(wall.door) > 0 ? 'Door' : 'Wall',
+          coverage,
+          contribution:
+            override && override !== 'auto' ? override : this._wallCoverForPercent(coverage),
+          segment: { x1: coords[0], y1: coords[1], x2: coords[2], y2: coords[3] },
+        });
+      } catch (_) {}
+    }
+    return described;
+  }
+
+  /**
+   * Describe the creatures that block the line of effect for a cover breakdown.
+   * Each blocker's contribution is the cover it would grant on its own in the current mode.
+   * @param {Object} attacker
+   * @param {Object} target
+   * @param {Array} blockers - Eligible blockers after elevation filtering
+   * @param {string} mode - Token intersection mode
+   * @returns {Array<Object>}
+   * @private
+   */
+  _describeTokenBlockers(attacker, target, blockers, mode) {
+    const p1 = attacker.center ?? attacker.getCenter();
+    const p2 = target.center ?? target.getCenter();
+    const described = [];
+    for (const blocker of blockers) {
+      try {
+        if (blocker.id === attacker.id || blocker.id === target.id) continue;
+        let contribution;
+        if (mode === 'tactical') {
+          contribution = this._evaluateCoverByTactical(attacker, target, [blocker]);
+        } else if (mode === 'coverage') {
+          contribution = this._calculateCoverageByBlocker(p1, p2, [blocker]);
+        } else {
+          contribution = this._evaluateCreatureSizeCover(attacker, target, [blocker]);
+        }
+        if (contribution === 'none') continue;
+        const override = blocker.document?.getFlag?.(MODULE_ID, 'coverOverride');
+        if (override && override !== 'auto') contribution = override;
+
+        const rect = getTokenRect(blocker);
+        const side = Math.max(Math.abs(rect.x2 - rect.x1), Math.abs(rect.y2 - rect.y1), 1);
+        const length = segmentRectIntersectionLength(p1, p2, rect);
+        described.push({
+          type: 'token',
+          id: blocker.id,
+          name: blocker.name ?? blocker.document?.name ?? 'Token',
+          coverage: Math.min(100, Math.round((length / side) * 100)),
+          contribution,
+          rect: { x1: rect.x1, y1: rect.y1, x2: rect.x2, y2: rect.y2 },
+        });
+      } catch (_) {}
+    }
+    return described;
+  }
+
+  /**
+   * Wall cover granted for a given percentage of the target's outline hidden by walls
+   * @param {number} percent
+   * @returns {string}
+   * @private
+   */
+  _wallCoverForPercent(percent) {
+    const stdThreshold = Math.max(
+      0,
+      Number(game.settings.get('pf2e-visioner', 'wallCoverStandardThreshold') ?? 50),
+    );
+    const grtThreshold = Math.max(
+      0,
+      Number(game.settings.get('pf2e-visioner', 'wallCoverGreaterThreshold') ?? 70),
+    );
+    const allowGreater = !!game.settings.get('pf2e-visioner', 'wallCoverAllowGreater');
+
+    if (allowGreater && percent >= grtThreshold) return 'greater';
+    if (percent >= stdThreshold) return 'standard';
+    // Fallback for cases where coverage calculation fails but walls are detected
+    return 'standard';
+  }
+
   /**
    * Get the intersection mode from settings
    * @returns {string}
@@ -276,26 +461,7 @@ export class CoverDetector {
         wallCoveragePercent = this._estimateWallCoveragePercent(p1, target);
       }
 
-      // Get threshold settings
-      const stdThreshold = Math.max(
-        0,
-        Number(game.settings.get('pf2e-visioner', 'wallCoverStandardThreshold') ?? 50),
-      );
-      const grtThreshold = Math.max(
-        0,
-        Number(game.settings.get('pf2e-visioner', 'wallCoverGreaterThreshold') ?? 70),
-      );
-      const allowGreater = !!game.settings.get('pf2e-visioner', 'wallCoverAllowGreater');
-
-      // Determine cover level based on coverage percentage
-      if (allowGreater && wallCoveragePercent >= grtThreshold) {
-        coverCategory = 'greater';
-      } else if (wallCoveragePercent >= stdThreshold) {
-        coverCategory = 'standard';
-      } else {
-        // Fallback for cases where coverage calculation fails but walls are detected
-        coverCategory = 'standard';
-      }
+      coverCategory = this._wallCoverForPercent(wallCoveragePercent);
     }
 
     // Apply wall override as ceiling if present
@@ -535,8 +701,9 @@ export class CoverDetector {
    * Estimate percent of the target token's edge directions that are blocked by walls from origin p1.
    * Samples multiple points along the target perimeter and casts rays to each, counting wall collisions.
    * Uses a more accurate D&D/PF2e style approach based on corner-to-corner line blocking.
+   * Pass a wall's coords to count only the rays that single wall blocks.
    */
-  _estimateWallCoveragePercent(p1, target) {
+  _estimateWallCoveragePercent(p1, target, wallCoords = null) {
     try {
       const rect = getTokenRect(target);
 
@@ -571,7 +738,10 @@ export class CoverDetector {
       // Count blocked sight lines
       let blocked = 0;
       for (const pt of points) {
-        if (this._isRayBlockedByWalls(p1, pt)) blocked++;
+        const isBlocked = wallCoords
+          ? !!this._lineIntersectionPoint(p1.x, p1.y, pt.x, pt.y, ...wallCoords.slice(0, 4))
+          : this._isRayBlockedByWalls(p1, pt);
+        if (isBlocked) blocked++;
       }
 
       // Calculate raw percentage
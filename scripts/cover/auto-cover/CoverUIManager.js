@@ -8,9 +8,24 @@ import { getCoverBetween } from '../../utils.js';
 import { CoverQuickOverrideDialog } from '../quick-override-dialog.js';
 import autoCoverSystem from './AutoCoverSystem.js';
 
+// Canvas colors for the cover breakdown highlight
+const BREAKDOWN_COLORS = {
+  none: 0x4caf50,
+  lesser: 0xffc107,
+  standard: 0xff6600,
+  greater: 0xff0000,
+};
+
+const BREAKDOWN_ICONS = {
+  wall: 'fas fa-grip-lines-vertical',
+  token: 'fas fa-user',
+  region: 'fas fa-draw-polygon',
+};
+
 export class CoverUIManager {
   constructor() {
     this.autoCoverSystem = autoCoverSystem;
+    this._breakdownGraphics = null;
   }
 
   /**
@@ -485,6 +500,116 @@ export class CoverUIManager {
       return false;
     }
   }
+
+  /**
+   * Adds an expandable "why this cover" breakdown to a chat message that stored one
+   * (flags.pf2e-visioner.coverBreakdown). Hovering it highlights the line of effect and the
+   * blockers on the canvas; hovering a row highlights only that blocker.
+   * @param {ChatMessage} message
+   * @param {HTMLElement|jQuery} html
+   */
+  injectCoverBreakdown(message, html) {
+    try {
+      // Blocker names can give away creatures the players don't know about
+      if (!game.user.isGM) return;
+      const breakdown = message?.flags?.[MODULE_ID]?.coverBreakdown;
+      if (!breakdown?.state) return;
+      const root = html?.[0] ?? html;
+      if (!root?.querySelector || root.querySelector('.pf2e-visioner-cover-breakdown')) return;
+
+      const blockers = Array.isArray(breakdown.blockers) ? breakdown.blockers : [];
+      const details = document.createElement('details');
+      details.className = 'pf2e-visioner-cover-breakdown';
+      details.style.cssText = 'margin-top: 4px; font-size: 0.9em;';
+
+      const state = COVER_STATES?.[breakdown.state] || {};
+      const rows = blockers
+        .map((b, i) => {
+          const color = COVER_STATES?.[b.contribution]?.color || 'inherit';
+          return `<li data-blocker-index="${i}" style="display: flex; align-items: center; gap: 4px; cursor: help;">
+              <i class="${BREAKDOWN_ICONS[b.type] || 'fas fa-shield'}"></i>
+              <span class="blocker-name" style="flex: 1;"></span>
+              <span style="color: ${color};">${getCoverLabel(b.contribution)}</span>
+            </li>`;
+        })
+        .join('');
+
+      details.innerHTML = `
+        <summary style="cursor: pointer;">
+          <i class="${state.icon || 'fas fa-shield'}" style="color: ${state.color || 'inherit'};"></i>
+          Why ${getCoverLabel(breakdown.state)} cover?
+        </summary>
+        ${rows ? `<ul style="list-style: none; margin: 2px 0; padding: 0;">${rows}</ul>` : '<p style="margin: 2px 0;">Nothing blocks the line of effect.</p>'}
+        <p style="margin: 2px 0; opacity: 0.7;">Mode: ${breakdown.mode ?? 'unknown'}</p>`;
+
+      details.addEventListener('mouseenter', () => this.showCoverBreakdownHighlight(breakdown));
+      details.addEventListener('mouseleave', () => this.clearCoverBreakdownHighlight());
+      details.querySelectorAll('li[data-blocker-index]').forEach((li) => {
+        const index = Number(li.dataset.blockerIndex);
+        const b = blockers[index];
+        // Names are set as text so they can't inject markup
+        const coverage = Number.isFinite(b.coverage) ? ` · ${b.coverage}%` : '';
+        li.querySelector('.blocker-name').textContent = `${b.name ?? b.type}${coverage}`;
+        li.addEventListener('mouseenter', () => this.showCoverBreakdownHighlight(breakdown, index));
+        li.addEventListener('mouseleave', () => this.showCoverBreakdownHighlight(breakdown));
+      });
+
+      // Below the target's AC line, where the override indicator sits
+      const anchor = root.querySelector('.target-dc') || root.querySelector('.dice-roll');
+      if (anchor) anchor.after(details);
+      else (root.querySelector('.message-content') || root).append(details);
+    } catch (e) {
+      console.warn('PF2E Visioner | Failed to inject cover breakdown:', e);
+    }
+  }
+
+  /**
+   * Draws a cover breakdown on the canvas: the line of effect, wall segments and blocker spaces
+   * colored by the cover each one grants
+   * @param {Object} breakdown - From AutoCoverSystem.explainCoverBetweenTokens
+   * @param {number|null} [onlyIndex] - Draw only this blocker
+   */
+  showCoverBreakdownHighlight(breakdown, onlyIndex = null) {
+    this.clearCoverBreakdownHighlight();
+    try {
+      if (!canvas?.interface || typeof PIXI === 'undefined') return;
+      const g = new PIXI.Graphics();
+      const { origin, target } = breakdown ?? {};
+      if (origin && target) {
+        g.lineStyle(2, 0xffffff, 0.8);
+        g.moveTo(origin.x, origin.y);
+        g.lineTo(target.x, target.y);
+      }
+      (breakdown?.blockers ?? []).forEach((b, i) => {
+        if (onlyIndex !== null && i !== onlyIndex) return;
+        const color = BREAKDOWN_COLORS[b.contribution] ?? BREAKDOWN_COLORS.standard;
+        if (b.segment) {
+          g.lineStyle(6, color, 0.9);
+          g.moveTo(b.segment.x1, b.segment.y1);
+          g.lineTo(b.segment.x2, b.segment.y2);
+        } else if (b.rect) {
+          g.lineStyle(3, color, 0.9);
+          g.beginFill(color, 0.2);
+          g.drawRect(b.rect.x1, b.rect.y1, b.rect.x2 - b.rect.x1, b.rect.y2 - b.rect.y1);
+          g.endFill();
+        }
+      });
+      canvas.interface.addChild(g);
+      this._breakdownGraphics = g;
+    } catch (e) {
+      console.warn('PF2E Visioner | Failed to draw cover breakdown:', e);
+    }
+  }
+
+  clearCoverBreakdownHighlight() {
+    try {
+      const g = this._breakdownGraphics;
+      this._breakdownGraphics = null;
+      if (!g) return;
+      g.parent?.removeChild?.(g);
+      g.destroy?.();
+    } catch (_) {}
+  }
 }
 
 // Singleton instance
@@ -3,7 +3,20 @@
  * Manages template-related cover data for area effects
  */
 
+import { getTokenRect } from '../../helpers/size-elevation-utils.js';
 import autoCoverSystem from './AutoCoverSystem.js';
+
+/**
+ * Readable names for where an area's cover is measured from
+ * @type {Object<string, string>}
+ */
+export const COVER_ORIGIN_LABELS = {
+  'cone-apex': 'cone apex',
+  'line-origin': 'line origin',
+  'burst-center': 'burst center',
+  'emanation-edge': "caster's space",
+};
+
 export class TemplateManager {
   /**
    * Flag scope for template data
@@ -86,14 +99,88 @@ export class TemplateManager {
     return { creator, creatorId, creatorType };
   }
 
-  async getCoverBonusForTokensInsideTemplate(tokensInside, center) {
+  /**
+   * PF2e area shape of a template: burst, cone, emanation or line
+   * @param {Object} document - Template document
+   * @returns {string}
+   */
+  getAreaShape(document) {
+    const shape = document?.flags?.pf2e?.areaShape;
+    if (shape) return String(shape);
+    const tType = String(document?.t || document?.type || 'circle');
+    if (tType === 'cone') return 'cone';
+    if (tType === 'ray') return 'line';
+    return 'burst';
+  }
+
+  /**
+   * Nearest grid intersection to a point; bursts always originate from one
+   * @param {Object} point - {x, y}
+   * @returns {Object} {x, y}
+   */
+  snapToGridIntersection(point) {
+    const grid = canvas?.grid;
+    const size = Number(grid?.size) || 0;
+    if (!size || grid?.isHexagonal || grid?.type === 0) return { x: point.x, y: point.y };
+    return { x: Math.round(point.x / size) * size, y: Math.round(point.y / size) * size };
+  }
+
+  /**
+   * Point an area's cover is measured from for one token inside it.
+   * Cones and lines start at the template's origin, bursts at their grid intersection and
+   * emanations at the edge of the caster's space closest to the token.
+   * @param {string} areaShape - burst, cone, emanation or line
+   * @param {Object} center - Template origin {x, y}
+   * @param {Object} token - Token inside the area
+   * @param {Object} creator - Token that created the area, if known
+   * @returns {{x:number, y:number, kind:string}}
+   */
+  getCoverOrigin(areaShape, center, token, creator = null) {
+    switch (areaShape) {
+      case 'cone':
+        return { x: center.x, y: center.y, kind: 'cone-apex' };
+      case 'line':
+        return { x: center.x, y: center.y, kind: 'line-origin' };
+      case 'emanation': {
+        try {
+          if (creator?.document) {
+            const rect = getTokenRect(creator);
+            const tx = token.center?.x ?? token.x;
+            const ty = token.center?.y ?? token.y;
+            return {
+              x: Math.min(Math.max(tx, rect.x1), rect.x2),
+              y: Math.min(Math.max(ty, rect.y1), rect.y2),
+              kind: 'emanation-edge',
+            };
+          }
+        } catch (_) {}
+        return { x: center.x, y: center.y, kind: 'emanation-edge' };
+      }
+      default:
+        return { ...this.snapToGridIntersection(center), kind: 'burst-center' };
+    }
+  }
+
+  /**
+   * Calculate Reflex cover for each token inside a template
+   * @param {Array} tokensInside - Tokens inside the template
+   * @param {Object} center - Template origin {x, y}
+   * @param {Function} [resolveOrigin] - (token) => {x, y, kind}; defaults to the center
+   * @returns {Promise<{targetData:Object, tokenIds:string[]}>}
+   */
+  async getCoverBonusForTokensInsideTemplate(tokensInside, center, resolveOrigin = null) {
     // Calculate cover for each token inside and store in our template data map
     const targetData = {};
     const tokenIds = [];
     for (const token of tokensInside) {
       try {
-        // Calculate cover from template center to token
-        const state = this.autoCoverSystem.detectCoverFromPoint(center, token);
+        // Calculate cover from the area's origin to the token
+        const origin = resolveOrigin?.(token) ?? { x: center.x, y: center.y, kind: null };
+        const state = this.autoCoverSystem.detectCoverFromPoint(
+          { x: origin.x, y: origin.y },
+          token,
+          { context: 'reflex' },
+        );
         const { getCoverBonusByState } = await import('../../helpers/cover-helpers.js');
         const bonus = getCoverBonusByState(state) || 0;
 
@@ -104,6 +191,8 @@ export class TemplateManager {
           actorName: token.actor?.name,
           state,
           bonus,
+          origin: { x: origin.x, y: origin.y },
+          originKind: origin.kind,
           saveProcessed: false,
         };
 
@@ -238,6 +327,7 @@ export class TemplateManager {
     const radiusFeet = Number(document.distance) || 0;
     const dirDeg = Number(document.direction ?? 0);
     const halfAngle = Number(document.angle ?? 90) / 2;
+    const areaShape = this.getAreaShape(document);
 
     // Try to determine the caster/creator of the template
     let creator = null;
@@ -270,6 +360,7 @@ export class TemplateManager {
     const feetPerSquare = canvas?.dimensions?.distance || 5;
     const radiusSquares = radiusFeet / feetPerSquare;
     const radiusWorld = radiusSquares * gridSize;
+    const widthWorld = ((Number(document.width) || feetPerSquare) / feetPerSquare) * gridSize;
 
     const candidates = canvas?.tokens?.placeables?.filter?.((t) => t?.actor) || [];
     const tokensInside = this._findTokensInsideTemplate(
@@ -279,17 +370,20 @@ export class TemplateManager {
       tType,
       dirDeg,
       halfAngle,
+      widthWorld,
     );
 
     const { targetData, tokenIds } = await this.getCoverBonusForTokensInsideTemplate(
       tokensInside,
       center,
+      (token) => this.getCoverOrigin(areaShape, center, token, creator),
     );
 
     // Store template data with all targets inside it
     const templateData = {
       id: document.id,
       type: tType,
+      areaShape,
       center,
       radiusFeet,
       dirDeg,
@@ -303,7 +397,11 @@ export class TemplateManager {
 
     this._templatesData.set(document.id, templateData);
 
-    this.setTemplateOrigin(creatorId, center);
+    // Emanations have no single origin point; their cover is per target
+    if (areaShape !== 'emanation') {
+      const { x: px, y: py } = this.getCoverOrigin(areaShape, center, null, creator);
+      this.setTemplateOrigin(creatorId, { ...center, point: { x: px, y: py } });
+    }
     if (document.flags?.pf2e?.origin?.rollOptions?.includes('origin:item:defense:reflex')) {
       this._activeReflexSaves.set(document.id, { ts: Date.now() });
     }
@@ -318,10 +416,19 @@ export class TemplateManager {
    * @param {string} tType - Template type ('circle', 'cone', etc.)
    * @param {number} dirDeg - Direction in degrees
    * @param {number} halfAngle - Half angle in degrees (for cones)
+   * @param {number} [widthWorld] - Width in pixels (for rays)
    * @returns {Array} Tokens inside the template
    * @private
    */
-  _findTokensInsideTemplate(candidates, center, radiusWorld, tType, dirDeg, halfAngle) {
+  _findTokensInsideTemplate(
+    candidates,
+    center,
+    radiusWorld,
+    tType,
+    dirDeg,
+    halfAngle,
+    widthWorld = 0,
+  ) {
     const norm = (a) => ((a % 360) + 360) % 360;
     const angDist = (a, b) => {
       const d = Math.abs(norm(a) - norm(b));
@@ -342,6 +449,13 @@ export class TemplateManager {
           const delta = angDist(theta, dirDeg);
           return delta <= halfAngle + 0.5; // small tolerance
         }
+        if (tType === 'ray') {
+          // Distance along and across the line from its origin
+          const rad = (dirDeg * Math.PI) / 180;
+          const along = dx * Math.cos(rad) + dy * Math.sin(rad);
+          const across = Math.abs(-dx * Math.sin(rad) + dy * Math.cos(rad));
+          return along >= -1 && across <= widthWorld / 2 + 1;
+        }
         // Default: circle-like
         return true;
       } catch (_) {
@@ -39,7 +39,26 @@ class AttackRollUseCase extends BaseAutoCoverUseCase {
     // Fallback to auto-detection if no manual cover
     const manualCover = getCoverBetween(attacker, target);
     if (!state && manualCover === 'none') {
-      state = this._detectCover(attacker, target);
+      // Detect once, keeping why auto-cover chose this state for the chat card breakdown
+      let breakdown = null;
+      try {
+        breakdown = this._explainCover(attacker, target);
+      } catch (e) {
+        console.warn('PF2E Visioner | Failed to explain cover:', e);
+      }
+      state = breakdown?.state ?? this._detectCover(attacker, target);
+
+      if (breakdown) {
+        try {
+          const flag = { ...breakdown, state };
+          if (!data.flags) data.flags = {};
+          if (!data.flags['pf2e-visioner']) data.flags['pf2e-visioner'] = {};
+          data.flags['pf2e-visioner'].coverBreakdown = flag;
+          doc?.updateSource?.({ 'flags.pf2e-visioner.coverBreakdown': flag });
+        } catch (e) {
+          console.warn('PF2E Visioner | Failed to store cover breakdown:', e);
+        }
+      }
     }
 
     // Preserve original detected state for override comparison
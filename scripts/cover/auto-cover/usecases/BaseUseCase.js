@@ -2,6 +2,7 @@
  * BaseUseCase.js
  * Base abstract class for auto-cover use cases
  */
+import { emitAutoCoverComputed } from '../../../services/events.js';
 import autoCoverSystem from '../AutoCoverSystem.js';
 import coverUIManager from '../CoverUIManager.js';
 import templateManager from '../TemplateManager.js';
@@ -50,6 +51,7 @@ export class BaseAutoCoverUseCase {
       if (shouldShow) {
         await this.coverUIManager.injectCoverOverrideIndicator(message, html, shouldShow);
       }
+      this.coverUIManager.injectCoverBreakdown?.(message, html);
     } catch (error) {
       console.error('PF2E Visioner | Error in onRenderChatMessage:', error);
     }
@@ -183,6 +185,27 @@ export class BaseAutoCoverUseCase {
     throw new Error("Method '_resolveTokensFromMessage' must be implemented by subclasses");
   }
 
+  /**
+   * Detect cover between tokens and explain it (blockers, coverage and mode), measuring from the
+   * attacker's template origin when there is one. Counts as the detection: it reports the state
+   * like _detectCover, so callers use breakdown.state instead of detecting again.
+   * @param {Object} attacker - Attacker token
+   * @param {Object} target - Target token
+   * @returns {Object|null} Cover breakdown, or null when the cover system cannot explain
+   * @protected
+   */
+  _explainCover(attacker, target) {
+    if (!attacker || !target) return null;
+    const options = { context: this._detectionContext() };
+    const originRec = this.templateManager.getTemplateOrigin(attacker.id);
+    const breakdown = originRec
+      ? this.autoCoverSystem.explainCoverFromPoint?.(originRec.point, target, options)
+      : this.autoCoverSystem.explainCoverBetweenTokens?.(attacker, target, options);
+    if (!breakdown) return null;
+    this._reportDetectedCover(attacker, target, breakdown.state);
+    return breakdown;
+  }
+
   /**
    * Detect cover state between tokens
    * @param {Object} attacker - Attacker token
@@ -220,19 +243,66 @@ export class BaseAutoCoverUseCase {
         originPoint: originRec.point,
         templateTimestamp: originRec.ts,
       });
-      coverState = this.autoCoverSystem.detectCoverFromPoint(originRec.point, target);
+      coverState = this.autoCoverSystem.detectCoverFromPoint(originRec.point, target, {
+        context: this._detectionContext(),
+      });
     } else {
       // Default: detect from attacker to target directly
-      coverState = this.autoCoverSystem.detectCoverBetweenTokens(attacker, target);
+      coverState = this.autoCoverSystem.detectCoverBetweenTokens(attacker, target, {
+        context: this._detectionContext(),
+      });
     }
 
+    this._reportDetectedCover(attacker, target, coverState);
+    return coverState;
+  }
+
+  /**
+   * Log a detected cover state and announce it to auto-cover listeners
+   * @param {Object} attacker - Attacker token
+   * @param {Object} target - Target token
+   * @param {string} coverState - Detected cover state
+   * @protected
+   */
+  _reportDetectedCover(attacker, target, coverState) {
     this._log('_detectCover', 'Cover detection result', {
       state: coverState,
       attacker: attacker.name,
       target: target.name,
     });
 
-    return coverState;
+    try {
+      const previous = attacker.document
+        ? this.autoCoverSystem.getCoverBetween(attacker, target)
+        : null;
+      emitAutoCoverComputed(attacker, target, coverState, previous, this._coverContext());
+    } catch (_) {}
+  }
+
+  /**
+   * Roll kind reported with auto-cover events, derived from the use case name
+   * ('AttackRollUseCase' → 'attack-roll')
+   * @returns {string}
+   * @protected
+   */
+  _coverContext() {
+    return this.constructor.name
+      .replace(/UseCase$/, '')
+      .replace(/([a-z])([A-Z])/g, '$1-$2')
+      .toLowerCase();
+  }
+
+  /**
+   * Detection context passed to the cover detector; cover regions can opt out of Reflex saves
+   * and Stealth checks
+   * @returns {'attack'|'reflex'|'stealth'}
+   * @protected
+   */
+  _detectionContext() {
+    const context = this._coverContext();
+    if (context === 'saving-throw') return 'reflex';
+    if (context === 'stealth-check') return 'stealth';
+    return 'attack';
   }
 
   normalizeTokenRef(ref) {
@@ -3,11 +3,12 @@
  * Handles saving throw contexts for auto-cover
  */
 
+import { COVER_STATES } from '../../../constants.js';
 import { getCoverImageForState, getCoverLabel } from '../../../helpers/cover-helpers.js';
 import { getCoverBetween } from '../../../utils.js';
 import autoCoverSystem from '../AutoCoverSystem.js';
 import coverUIManager from '../CoverUIManager.js';
-import templateManager from '../TemplateManager.js';
+import templateManager, { COVER_ORIGIN_LABELS } from '../TemplateManager.js';
 import { BaseAutoCoverUseCase } from './BaseUseCase.js';
 
 const coverPredecende = {
@@ -22,6 +23,8 @@ class SavingThrowUseCase extends BaseAutoCoverUseCase {
     this.autoCoverSystem = autoCoverSystem.default || autoCoverSystem;
     this.coverUIManager = coverUIManager.default || coverUIManager;
     this.templateManager = templateManager.default || templateManager;
+    // Cover used for each token's latest save, until its chat message is created
+    this._saveCovers = new Map();
   }
 
   // Lightweight helper that determines whether the current context represents an area effect
@@ -45,7 +48,30 @@ class SavingThrowUseCase extends BaseAutoCoverUseCase {
    * @returns {Promise<Object>} Result with tokens and cover state
    */
   async handlePreCreateChatMessage(data, doc = null) {
-    return;
+    try {
+      const tokenId = this.normalizeTokenRef(
+        data?.speaker?.token || data?.flags?.pf2e?.context?.token?.id,
+      );
+      const saveCover = tokenId ? this._saveCovers.get(tokenId) : null;
+      if (!saveCover) return;
+      this._saveCovers.delete(tokenId);
+      // Ignore leftovers from a save that never made it to chat
+      if (Date.now() - saveCover.ts > 60000) return;
+
+      const flag = { state: saveCover.state, bonus: saveCover.bonus, origin: saveCover.origin };
+      if (!data.flags) data.flags = {};
+      if (!data.flags['pf2e-visioner']) data.flags['pf2e-visioner'] = {};
+      data.flags['pf2e-visioner'].saveCover = flag;
+      if (doc && doc.updateSource) {
+        try {
+          doc.updateSource({ 'flags.pf2e-visioner.saveCover': flag });
+        } catch (e) {
+          console.warn('PF2E Visioner | Failed to update document source:', e);
+        }
+      }
+    } catch (e) {
+      console.warn('PF2E Visioner | Failed to store save cover in message flags:', e);
+    }
   }
 
   /**
@@ -55,6 +81,39 @@ class SavingThrowUseCase extends BaseAutoCoverUseCase {
    */
   async handleRenderChatMessage(message, html) {
     await super.handleRenderChatMessage(message, html, false);
+    this.injectSaveCoverLine(message, html);
+  }
+
+  /**
+   * Show the cover applied to a Reflex save, and where it was measured from, on its chat card
+   * @param {ChatMessage} message
+   * @param {HTMLElement|jQuery} html
+   */
+  injectSaveCoverLine(message, html) {
+    try {
+      const saveCover = message?.flags?.['pf2e-visioner']?.saveCover;
+      if (!saveCover?.state) return;
+      const root = html?.[0] ?? html;
+      if (!root?.querySelector || root.querySelector('.pf2e-visioner-save-cover')) return;
+
+      const { state, bonus, origin } = saveCover;
+      const config = COVER_STATES?.[state] || {};
+      const line = document.createElement('div');
+      line.className = 'pf2e-visioner-save-cover';
+      line.style.cssText = 'display:flex; align-items:center; gap:4px; margin-top:4px;';
+      const from = origin ? ` from the ${COVER_ORIGIN_LABELS?.[origin] || origin}` : '';
+      const label = `${getCoverLabel(state)}${bonus > 0 ? ` (+${bonus})` : ''}${from}`;
+      line.innerHTML = `<i class="${config.icon || 'fas fa-shield'}" style="color: ${
+        config.color || 'inherit'
+      }"></i><span>${label}</span>`;
+
+      const anchor = root.querySelector('.dice-roll') || root.querySelector('.message-content');
+      if (!anchor) return;
+      if (anchor.classList.contains('message-content')) anchor.append(line);
+      else anchor.after(line);
+    } catch (e) {
+      console.warn('PF2E Visioner | Failed to show save cover on chat card:', e);
+    }
   }
 
   /**
@@ -342,10 +401,12 @@ class SavingThrowUseCase extends BaseAutoCoverUseCase {
 
       let state;
       let highestFoundManualCover = 'none';
+      let coverOrigin = null;
 
       // If we found a template and it has precalculated cover for this target, use it
       if (templateData && templateData.targets && templateData.targets[target.id]) {
         state = templateData.targets[target.id].state;
+        coverOrigin = templateData.targets[target.id].originKind ?? null;
         const manualCover = getCoverBetween(target, attacker);
         if (manualCover && manualCover !== 'none') {
           state = manualCover;
@@ -371,7 +432,9 @@ class SavingThrowUseCase extends BaseAutoCoverUseCase {
 
         // Fallback to auto-detection if no manual cover
         if (!state) {
-          state = this.autoCoverSystem.detectCoverBetweenTokens(attacker, target);
+          state = this.autoCoverSystem.detectCoverBetweenTokens(attacker, target, {
+            context: 'reflex',
+          });
         }
       }
 
@@ -401,6 +464,7 @@ class SavingThrowUseCase extends BaseAutoCoverUseCase {
       }
 
       // If popup was used and a choice was made, use it; otherwise, use detected state
+      const detectedState = state;
       state = chosen !== null ? chosen : state;
 
       // Store the override for onPreCreateChatMessage if popup was used
@@ -408,6 +472,18 @@ class SavingThrowUseCase extends BaseAutoCoverUseCase {
         this.autoCoverSystem.setPopupOverride(attacker, target, chosen, state);
       }
 
+      // Remember the cover for this save's chat card
+      if (isTargetInTemplate) {
+        this._saveCovers.set(target.id, {
+          state,
+          bonus: this.autoCoverSystem.getCoverBonusByState(state) || 0,
+          // The origin only explains cover that was detected, not chosen by hand
+          origin:
+            state === detectedState && highestFoundManualCover === 'none' ? coverOrigin : null,
+          ts: Date.now(),
+        });
+      }
+
       if (state !== 'none') {
         const bonus = this.autoCoverSystem.getCoverBonusByState(state) || 0;
 
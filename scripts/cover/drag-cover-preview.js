@@ -0,0 +1,318 @@
+import { MODULE_ID } from '../constants.js';
+import autoCoverSystem from './auto-cover/AutoCoverSystem.js';
+
+/**
+ * Live cover preview while dragging a token
+ * Shows, at the drop square, what cover the moving token would have against each visible
+ * enemy and, optionally, the cover those enemies would have against it.
+ * Each client sees only its own preview (client-specific, not shared)
+ */
+
+const PREVIEW_COLORS = {
+  none: 0x4caf50,
+  lesser: 0xffc107,
+  standard: 0xff6600,
+  greater: 0xff0000,
+};
+
+const PREVIEW_LABELS = {
+  none: 'No cover',
+  lesser: 'Lesser',
+  standard: 'Standard',
+  greater: 'Greater',
+};
+
+// Wall and token updates clear the cache; this only bounds it during long drags
+const MAX_CACHE_ENTRIES = 1000;
+
+export class DragCoverPreview {
+  constructor() {
+    this.container = null;
+    this.lastKey = null;
+    this.cache = new Map();
+
+    this.init();
+  }
+
+  init() {
+    this.boundOnRefreshToken = (token) => {
+      if (token?.isPreview) this.onPreviewRefresh(token);
+    };
+    this.boundOnDestroyToken = (token) => {
+      if (token?.isPreview) this.clear();
+    };
+    this.boundInvalidate = () => this.cache.clear();
+    this.boundOnTearDown = () => {
+      this.clear();
+      this.cache.clear();
+    };
+
+    Hooks.on('refreshToken', this.boundOnRefreshToken);
+    Hooks.on('destroyToken', this.boundOnDestroyToken);
+    Hooks.on('createWall', this.boundInvalidate);
+    Hooks.on('updateWall', this.boundInvalidate);
+    Hooks.on('deleteWall', this.boundInvalidate);
+    Hooks.on('updateToken', this.boundInvalidate);
+    Hooks.on('canvasTearDown', this.boundOnTearDown);
+  }
+
+  /**
+   * Whether the preview should be shown on this client right now
+   * @returns {boolean}
+   */
+  isEnabled() {
+    try {
+      if (!game.settings.get(MODULE_ID, 'autoCoverDragPreview')) return false;
+      if (!autoCoverSystem.isEnabled()) return false;
+      if (game.settings.get(MODULE_ID, 'autoCoverVisualizationOnlyInEncounter')) {
+        return !!game.combat?.started;
+      }
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Called every time a drag preview clone is refreshed; redraws only when the drop square changes
+   * @param {Token} preview - The drag preview clone
+   */
+  onPreviewRefresh(preview) {
+    try {
+      // Multi-token drags would produce overlapping previews; keep it to a single mover
+      if ((canvas?.tokens?.controlled?.length ?? 0) > 1 || !this.isEnabled()) {
+        this.clear();
+        return;
+      }
+      const mover = preview._original ?? canvas.tokens.get(preview.document?.id);
+      if (!mover?.actor) return;
+
+      const position = this.getDropPosition(mover, {
+        x: preview.document.x,
+        y: preview.document.y,
+      });
+      const key = `${mover.id}:${position.x},${position.y}`;
+      if (key === this.lastKey) return;
+      this.lastKey = key;
+
+      this.draw(mover, position, this.computePreview(mover, position));
+    } catch (error) {
+      console.error('PF2E Visioner | Drag cover preview failed:', error);
+    }
+  }
+
+  /**
+   * Snap a dragged position to the square the token would land on
+   * @param {Token} mover
+   * @param {{x:number, y:number}} point - Top-left corner of the preview
+   * @returns {{x:number, y:number}}
+   */
+  getDropPosition(mover, point) {
+    try {
+      const snapped = mover.getSnappedPosition?.(point);
+      if (snapped) return { x: snapped.x, y: snapped.y };
+    } catch (_) {}
+    const gridSize = canvas.grid.size;
+    if (!gridSize || canvas.grid.isGridless) return { x: point.x, y: point.y };
+    return {
+      x: Math.round(point.x / gridSize) * gridSize,
+      y: Math.round(point.y / gridSize) * gridSize,
+    };
+  }
+
+  /**
+   * Visible tokens that oppose the mover
+   * @param {Token} mover
+   * @returns {Token[]}
+   */
+  getVisibleEnemies(mover) {
+    return (canvas?.tokens?.placeables ?? []).filter((t) => {
+      if (!t?.actor || t === mover || t.id === mover.id) return false;
+      if (t.actor.type === 'loot' || t.actor.type === 'hazard') return false;
+      if (t.document?.hidden || t.isVisible === false) return false;
+      return this.isOpposing(mover, t);
+    });
+  }
+
+  /**
+   * Alliance decides when both actors have one, token disposition otherwise
+   * @param {Token} a
+   * @param {Token} b
+   * @returns {boolean}
+   */
+  isOpposing(a, b) {
+    const allianceA = a.actor?.alliance;
+    const allianceB = b.actor?.alliance;
+    if (allianceA && allianceB) return allianceA !== allianceB;
+    return a.document?.disposition !== b.document?.disposition;
+  }
+
+  /**
+   * Cover at the drop square against each visible enemy
+   * @param {Token} mover
+   * @param {{x:number, y:number}} position - Snapped top-left corner of the drop square
+   * @returns {Array<{enemy: Token, against: string, theirs: string|null}>}
+   *   against: the mover's cover when the enemy attacks it; theirs: the enemy's cover when the
+   *   mover attacks from the drop square (null when that direction is turned off)
+   */
+  computePreview(mover, position) {
+    const gridSize = canvas.grid.size;
+    const doc = mover.document;
+    const center = {
+      x: position.x + (doc.width * gridSize) / 2,
+      y: position.y + (doc.height * gridSize) / 2,
+    };
+    // Keeps the mover's id so the token still standing at the start square never blocks itself
+    const ghost = {
+      ...mover,
+      id: mover.id,
+      actor: mover.actor,
+      center,
+      getCenter: () => center,
+      document: {
+        ...doc,
+        id: doc.id,
+        width: doc.width,
+        height: doc.height,
+        elevation: doc.elevation,
+        x: position.x,
+        y: position.y,
+        getFlag: (...args) => doc.getFlag?.(...args),
+      },
+    };
+    const bothWays = !!game.settings.get(MODULE_ID, 'autoCoverDragPreviewBothWays');
+
+    if (this.cache.size > MAX_CACHE_ENTRIES) this.cache.clear();
+
+    return this.getVisibleEnemies(mover).map((enemy) => {
+      const key = `${mover.id}@${position.x},${position.y}>${enemy.id}@${enemy.document.x},${enemy.document.y}`;
+      let entry = this.cache.get(key);
+      if (!entry) {
+        // The enemy attacks a token, so it goes through the token path to keep itself out of
+        // the blockers; the reverse direction only needs the drop square as a point
+        entry = { against: autoCoverSystem.detectCoverBetweenTokens(enemy, ghost) };
+        this.cache.set(key, entry);
+      }
+      if (bothWays && entry.theirs === undefined) {
+        entry.theirs = autoCoverSystem.detectCoverFromPoint(center, enemy);
+      }
+      return { enemy, against: entry.against, theirs: bothWays ? entry.theirs : null };
+    });
+  }
+
+  /**
+   * Draw the drop square, a line to each enemy and its cover labels
+   * @param {Token} mover
+   * @param {{x:number, y:number}} position
+   * @param {Array<{enemy: Token, against: string, theirs: string|null}>} results
+   */
+  draw(mover, position, results) {
+    this.removeGraphics();
+    if (!canvas?.interface) return;
+
+    const gridSize = canvas.grid.size;
+    const w = mover.document.width * gridSize;
+    const h = mover.document.height * gridSize;
+    const center = { x: position.x + w / 2, y: position.y + h / 2 };
+
+    const container = new PIXI.Container();
+    container.name = 'pf2e-visioner-drag-cover-preview';
+    const g = new PIXI.Graphics();
+    container.addChild(g);
+
+    g.lineStyle(3, 0xffffff, 0.9);
+    g.beginFill(0xffffff, 0.15);
+    g.drawRect(position.x, position.y, w, h);
+    g.endFill();
+
+    for (const { enemy, against, theirs } of results) {
+      const color = PREVIEW_COLORS[against] ?? PREVIEW_COLORS.none;
+      const target = enemy.center ?? enemy.getCenter();
+      g.lineStyle(3, color, 0.7);
+      g.moveTo(center.x, center.y);
+      g.lineTo(target.x, target.y);
+      g.drawCircle(target.x, target.y, (enemy.document.width * gridSize) / 2);
+
+      const lines = [`You: ${this.describe(against)}`];
+      if (theirs) lines.push(`Them: ${this.describe(theirs)}`);
+      const label = this.createLabel(lines.join('\n'), color);
+      label.anchor?.set?.(0.5, 1);
+      label.position.set(target.x, target.y - (enemy.document.height * gridSize) / 2 - 4);
+      container.addChild(label);
+    }
+
+    canvas.interface.addChild(container);
+    this.container = container;
+  }
+
+  /**
+   * @param {string} state
+   * @returns {string} e.g. "Standard (+2)"
+   */
+  describe(state) {
+    const bonus = autoCoverSystem.getCoverBonusByState(state);
+    return bonus > 0 ? `${PREVIEW_LABELS[state]} (+${bonus})` : PREVIEW_LABELS.none;
+  }
+
+  createLabel(text, color) {
+    const style = {
+      fontFamily: 'Signika',
+      fontSize: 16,
+      fill: color,
+      stroke: 0x000000,
+      strokeThickness: 4,
+      align: 'center',
+    };
+    const PreciseText = foundry?.canvas?.containers?.PreciseText ?? globalThis.PreciseText;
+    if (PreciseText) return new PreciseText(text, PreciseText.getTextStyle?.(style) ?? style);
+    return new PIXI.Text(text, style);
+  }
+
+  removeGraphics() {
+    if (!this.container) return;
+    try {
+      this.container.parent?.removeChild(this.container);
+      this.container.destroy({ children: true });
+    } catch (_) {}
+    this.container = null;
+  }
+
+  /**
+   * Remove the preview, e.g. when the drag ends
+   */
+  clear() {
+    this.removeGraphics();
+    this.lastKey = null;
+  }
+
+  /**
+   * Clean up resources when the preview is destroyed
+   */
+  cleanup() {
+    this.clear();
+    this.cache.clear();
+    Hooks.off('refreshToken', this.boundOnRefreshToken);
+    Hooks.off('destroyToken', this.boundOnDestroyToken);
+    Hooks.off('createWall', this.boundInvalidate);
+    Hooks.off('updateWall', this.boundInvalidate);
+    Hooks.off('deleteWall', this.boundInvalidate);
+    Hooks.off('updateToken', this.boundInvalidate);
+    Hooks.off('canvasTearDown', this.boundOnTearDown);
+  }
+}
+
+// Initialize the drag preview for the current client
+export let dragCoverPreview = null;
+
+export function initDragCoverPreview() {
+  if (!dragCoverPreview) {
+    dragCoverPreview = new DragCoverPreview();
+  }
+}
+
+export function destroyDragCoverPreview() {
+  if (dragCoverPreview) {
+    dragCoverPreview.cleanup();
+    dragCoverPreview = null;
+  }
+}
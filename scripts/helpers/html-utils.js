@@ -0,0 +1,14 @@
+/**
+ * HTML helpers for content built from user-editable text (token, scene and wall names)
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape a value for interpolation into HTML content
+ * @param {*} value - Nullish values become an empty string
+ * @returns {string}
+ */
+export function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
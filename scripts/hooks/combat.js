@@ -1,19 +1,34 @@
 /**
- * Combat-related hooks: reset encounter filter for open dialogs
+ * Combat-related hooks: reset encounter filter for open dialogs, resolve Stealth initiative
+ * (Avoid Notice) when an encounter starts, expire timed visibility states and show detection
+ * state in the combat tracker
  */
 
+import { onRenderCombatTracker, onUpdateTokenCombatTracker } from '../services/combat-tracker.js';
+import { onDeleteCombatExpiry, onUpdateCombatExpiry } from '../services/state-expiry.js';
+import { onEncounterStart } from '../services/stealth-initiative.js';
+
 export function registerCombatHooks() {
   Hooks.on('updateCombat', onUpdateCombat);
   Hooks.on('deleteCombat', onDeleteCombat);
+  Hooks.on('renderCombatTracker', onRenderCombatTracker);
+  Hooks.on('updateToken', onUpdateTokenCombatTracker);
 }
 
 function onUpdateCombat(combat, updateData, options, userId) {
+  onUpdateCombatExpiry(combat, updateData, options);
+  if (updateData?.started === true) {
+    onEncounterStart(combat).catch((error) =>
+      console.warn('PF2E Visioner | Stealth initiative resolution failed:', error),
+    );
+  }
   if (Object.prototype.hasOwnProperty.call(updateData, 'started') && updateData.started === false) {
     resetEncounterFiltersInDialogs();
   }
 }
 
 function onDeleteCombat(combat, options, userId) {
+  onDeleteCombatExpiry();
   resetEncounterFiltersInDialogs();
 }
 
@@ -31,4 +46,5 @@ function resetEncounterFiltersInDialogs() {
   resetDialog('HidePreviewDialog');
   resetDialog('SeekPreviewDialog');
   resetDialog('PointOutPreviewDialog');
+  resetDialog('StealthInitiativePreviewDialog');
 }
@@ -3,13 +3,18 @@
  */
 
 import { MODULE_ID } from '../constants.js';
+import { onPreUpdateToken } from '../services/audit-log.js';
+import { onPreUpdateTokenEvents, onUpdateTokenEvents } from '../services/events.js';
 import { onHighlightObjects } from '../services/hover-tooltips.js';
+import { onUpdateTokenPassiveSearch, resetPassiveSearch } from '../services/passive-search.js';
+import { onUpdateTokenExpiry } from '../services/state-expiry.js';
 import { registerChatHooks } from './chat.js';
 import { registerCombatHooks } from './combat.js';
 import { onCanvasReady, onReady } from './lifecycle.js';
 import { registerTokenHooks } from './token-events.js';
 import { registerUIHooks } from './ui.js';
 import { AutoCoverHooks } from '../cover/auto-cover/AutoCoverHooks.js';
+import { AutoVisibilityHooks } from '../visibility/auto-visibility/AutoVisibilityHooks.js';
 
 export function registerHooks() {
   Hooks.on('ready', onReady);
@@ -19,6 +24,20 @@ export function registerHooks() {
 
   Hooks.on('highlightObjects', onHighlightObjects);
 
+  // Audit log: record visibility / cover writes with their provenance
+  Hooks.on('preUpdateToken', onPreUpdateToken);
+
+  // Public events: collect changed pairs before the update, emit once it has landed
+  Hooks.on('preUpdateToken', onPreUpdateTokenEvents);
+  Hooks.on('updateToken', onUpdateTokenEvents);
+
+  // Passive Search: secret checks when searching characters explore
+  Hooks.on('updateToken', onUpdateTokenPassiveSearch);
+  Hooks.on('canvasReady', resetPassiveSearch);
+
+  // Timed visibility states: moving ends the ones that last until the token moves
+  Hooks.on('updateToken', onUpdateTokenExpiry);
+
   // Token lifecycle
   registerTokenHooks();
 
@@ -26,6 +45,7 @@ export function registerHooks() {
   registerUIHooks();
   registerCombatHooks();
   AutoCoverHooks.registerHooks();
+  AutoVisibilityHooks.registerHooks();
 
   // Wall lifecycle: refresh indicators and see-through state when walls change
   Hooks.on('createWall', async () => {
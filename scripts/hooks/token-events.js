@@ -1,15 +1,27 @@
 /**
- * Token-related hooks: create/delete, highlight, HUD buttons
+ * Token-related hooks: create/delete, movement, highlight, HUD buttons
  */
 
-import { MODULE_ID } from '../constants.js';
+import { MODULE_ID, MODULE_TITLE } from '../constants.js';
+import { VISIONER_HOOKS } from '../services/events.js';
 import {
   addTokenEventListener,
   cleanupHoverTooltips,
   initializeHoverTooltips,
 } from '../services/hover-tooltips.js';
+import {
+  getRevealMode,
+  handleTokenMove,
+  onSneakApplied,
+  onSneakRolled,
+  resetMoveReveals,
+} from '../services/movement-reveal.js';
 import { updateTokenVisuals } from '../services/visual-effects.js';
 
+// Coalesces the steps of one move into a single reveal check
+const MOVE_SETTLE_MS = 250;
+const pendingMoves = new Map();
+
 export async function onTokenCreated(scene, tokenDoc) {
   try {
     // Schedule party restoration check for later when token is fully ready
@@ -139,6 +151,34 @@ export async function onTokenDeleted(...args) {
   }
 }
 
+/**
+ * Movement watcher: once a move settles, the active GM checks whether a hidden or undetected
+ * mover is now seen by observers (see services/movement-reveal.js)
+ * @param {TokenDocument} tokenDoc
+ * @param {Object} changes
+ */
+export function onTokenMoved(tokenDoc, changes) {
+  if (!game.user?.isGM) return;
+  if (game.users?.activeGM && game.users.activeGM.id !== game.user.id) return;
+  if (!changes || (changes.x === undefined && changes.y === undefined)) return;
+  if (getRevealMode() === 'off') return;
+
+  const id = tokenDoc?.id;
+  if (!id) return;
+  clearTimeout(pendingMoves.get(id));
+  pendingMoves.set(
+    id,
+    setTimeout(() => {
+      pendingMoves.delete(id);
+      const token = tokenDoc.object ?? canvas?.tokens?.get?.(id);
+      if (!token) return;
+      handleTokenMove(token).catch((error) =>
+        console.warn(`${MODULE_TITLE}: Reveal on movement failed:`, error),
+      );
+    }, MOVE_SETTLE_MS),
+  );
+}
+
 /**
  * Hook into token rendering to catch tokens when they're fully ready
  */
@@ -149,6 +189,16 @@ export function registerTokenHooks() {
   // Hook into token deletion
   Hooks.on('deleteToken', onTokenDeleted);
 
+  // Hidden or undetected creatures that move in view without Sneaking are revealed
+  Hooks.on('updateToken', onTokenMoved);
+  Hooks.on(VISIONER_HOOKS.actionApplied, onSneakApplied);
+  Hooks.on('createChatMessage', onSneakRolled);
+  Hooks.on('canvasReady', () => {
+    for (const timer of pendingMoves.values()) clearTimeout(timer);
+    pendingMoves.clear();
+    resetMoveReveals();
+  });
+
   // Hook into token creation after it's fully created with proper ID and actor
   Hooks.on('createToken', async (tokenDoc, options, userId) => {
     if (game.user.id !== userId) return; // Only handle for the user who created the token
@@ -9,6 +9,7 @@ export function registerUIHooks() {
   Hooks.on('renderTokenHUD', onRenderTokenHUD);
   Hooks.on('getTokenDirectoryEntryContext', onGetTokenDirectoryEntryContext);
   Hooks.on('renderWallConfig', onRenderWallConfig);
+  Hooks.on('renderAmbientLightConfig', onRenderAmbientLightConfig);
   // We no longer create a separate Visioner tool; tools are injected into Tokens/Walls below
   // Helper utilities to support both array- and object-shaped tool containers
   const getNamedTool = (toolsContainer, name) => {
@@ -468,6 +469,27 @@ export function registerUIHooks() {
     });
   }
 
+  // "What I perceive" panel button in the Token tools for players
+  Hooks.on('getSceneControlButtons', (controls) => {
+    if (game.user.isGM) return;
+    try {
+      if (!game.settings.get(MODULE_ID, 'playerPerceptionPanel')) return;
+      const groups = Array.isArray(controls) ? controls : Object.values(controls || {});
+      const tokens = groups.find((c) => c?.name === 'tokens' || c?.name === 'token');
+      if (!tokens) return;
+      addTool(tokens.tools, {
+        name: 'pf2e-visioner-perception-panel',
+        title: 'PF2E Visioner: What I Perceive',
+        icon: 'fas fa-binoculars',
+        button: true,
+        onChange: async () => {
+          const { openPerceptionPanel } = await import('../managers/perception-panel.js');
+          openPerceptionPanel();
+        },
+      });
+    } catch (_) {}
+  });
+
   // Add controls to Wall and Token tools for GM - consolidated into single hook
   Hooks.on('getSceneControlButtons', (controls) => {
     if (!game.user.isGM) return;
@@ -705,6 +727,51 @@ export function registerUIHooks() {
           },
         });
 
+        // Pending player actions queue
+        if (game.settings.get(MODULE_ID, 'playerActionQueue')) {
+          addTool(tokens.tools, {
+            name: 'pf2e-visioner-pending-actions',
+            title: 'PF2E Visioner: Pending Player Actions',
+            icon: 'fas fa-inbox',
+            button: true,
+            onChange: async () => {
+              const { openPendingActionsWindow } = await import(
+                '../chat/services/pending-actions.js'
+              );
+              await openPendingActionsWindow();
+            },
+          });
+        }
+
+        // Snapshots: save and restore named visibility / cover states of this scene
+        addTool(tokens.tools, {
+          name: 'pf2e-visioner-snapshots',
+          title: 'PF2E Visioner: Snapshots',
+          icon: 'fas fa-camera',
+          button: true,
+          onChange: async () => {
+            const { openSnapshotsWindow } = await import('../services/snapshots.js');
+            await openSnapshotsWindow();
+          },
+        });
+
+        // Audit log: who or what changed visibility and cover on this scene
+        if (game.settings.get(MODULE_ID, 'visibilityAuditLog')) {
+          addTool(tokens.tools, {
+            name: 'pf2e-visioner-audit-log',
+            title: 'PF2E Visioner: Visibility Audit Log',
+            icon: 'fas fa-clipboard-list',
+            button: true,
+            onChange: async () => {
+              const controlled = canvas.tokens?.controlled ?? [];
+              const { openAuditLogWindow } = await import('../services/audit-log.js');
+              await openAuditLogWindow(
+                controlled.length === 1 ? { tokenId: controlled[0].document.id } : {},
+              );
+            },
+          });
+        }
+
         // Purge: clear all Visioner scene data or selected token data
         addTool(tokens.tools, {
           name: 'pf2e-visioner-purge-scene',
@@ -803,6 +870,7 @@ function injectPF2eVisionerBox(app, root) {
         fs.className = 'pf2e-visioner-scene-settings';
         const scene = app?.object || app?.document || canvas?.scene;
         const current = Number(scene?.getFlag?.(MODULE_ID, 'hiddenIndicatorHalf')) || 10;
+        const ceiling = scene?.getFlag?.(MODULE_ID, 'ceilingHeight') ?? '';
         fs.innerHTML = `
           <legend>PF2E Visioner</legend>
           <div class="form-group" style="display:flex; flex-direction:column; gap:6px;">
@@ -812,6 +880,11 @@ function injectPF2eVisionerBox(app, root) {
               <output style="min-width:2ch; text-align:right;">${current}</output>
             </div>
           </div>
+          <div class="form-group">
+            <label>Ceiling Height (ft)</label>
+            <input type="number" step="any" name="flags.${MODULE_ID}.ceilingHeight" value="${ceiling}" placeholder="None">
+            <p class="hint">Creatures on opposite sides of this elevation can't see each other. Leave empty for open sky.</p>
+          </div>
         `;
         try {
           const basicsTab = form.querySelector(
@@ -1009,4 +1082,31 @@ function onRenderWallConfig(app, html) {
   } catch (_) {}
 }
 
+function onRenderAmbientLightConfig(app, html) {
+  try {
+    const root = html?.jquery ? html[0] : html;
+    if (!root) return;
+    const form = root.querySelector('form') || root;
+    // Avoid duplicate injection
+    if (form.querySelector('.pf2e-visioner-magical-darkness')) return;
+
+    // Darkness sources are mundane unless flagged; only greater darkvision sees through magical ones
+    const checked = app.document?.getFlag?.(MODULE_ID, 'magicalDarkness') ? 'checked' : '';
+    const group = document.createElement('div');
+    group.className = 'form-group pf2e-visioner-magical-darkness';
+    group.innerHTML = `
+      <label>Magical Darkness (PF2E Visioner)</label>
+      <div class="form-fields">
+        <input type="checkbox" name="flags.${MODULE_ID}.magicalDarkness" ${checked}>
+      </div>
+      <p class="hint">When this light is a darkness source, darkvision can't see through it; only greater darkvision can.</p>
+    `;
+
+    // Place it right after the darkness source toggle, or at form end
+    const negative = form.querySelector('[name="config.negative"]')?.closest('.form-group');
+    if (negative) negative.insertAdjacentElement('afterend', group);
+    else form.appendChild(group);
+  } catch (_) {}
+}
+
 // Removed: onGetSceneControlButtons for a separate 'visioner' control group
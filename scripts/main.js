@@ -13,6 +13,7 @@ import { initializeDialogScrollFix } from './services/dialog-scroll-fix.js';
 import { initializeRuleElements } from './rule-elements/index.js';
 // Import cover visualization
 import { initCoverVisualization } from './cover/cover-visualization.js';
+import { initDragCoverPreview } from './cover/drag-cover-preview.js';
 // Import region behavior registration (executes immediately)
 import './regions/register.js';
 
@@ -84,6 +85,7 @@ Hooks.once('init', async () => {
       'pf2e-visioner.observer-info': 'modules/pf2e-visioner/templates/observer-info.hbs',
       'pf2e-visioner.visibility-tab': 'modules/pf2e-visioner/templates/visibility-tab.hbs',
       'pf2e-visioner.cover-tab': 'modules/pf2e-visioner/templates/cover-tab.hbs',
+      'pf2e-visioner.matrix-tab': 'modules/pf2e-visioner/templates/matrix-tab.hbs',
       'pf2e-visioner.action-buttons': 'modules/pf2e-visioner/templates/action-buttons.hbs',
       'pf2e-visioner.visibility-table': 'modules/pf2e-visioner/templates/visibility-table.hbs',
       'pf2e-visioner.cover-table': 'modules/pf2e-visioner/templates/cover-table.hbs',
@@ -165,6 +167,12 @@ Hooks.once('ready', async () => {
     } catch (error) {
       console.error('PF2E Visioner: Failed to initialize cover visualization:', error);
     }
+
+    try {
+      initDragCoverPreview();
+    } catch (error) {
+      console.error('PF2E Visioner: Failed to initialize drag cover preview:', error);
+    }
   } catch (error) {
     console.error('PF2E Visioner: Failed to initialize colorblind mode:', error);
   }
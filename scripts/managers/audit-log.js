@@ -0,0 +1,186 @@
+/**
+ * Audit log window - lists visibility and cover changes recorded on the current scene, newest
+ * first, filterable by token, source and kind. Refreshes as new entries are written.
+ */
+
+import { COVER_STATES, MODULE_ID, VISIBILITY_STATES } from '../constants.js';
+import { AUDIT_FLAG, AUDIT_SOURCES } from '../services/audit-log.js';
+
+// Rows rendered at once; older entries stay in the log and can be reached by filtering
+const MAX_ROWS = 200;
+
+export class AuditLogWindow extends foundry.applications.api.ApplicationV2 {
+  static current = null;
+  static DEFAULT_OPTIONS = {
+    id: 'pf2e-visioner-audit-log',
+    tag: 'div',
+    classes: ['pf2e-visioner', 'pf2e-visioner-audit-log'],
+    window: {
+      title: 'PF2E Visioner: Visibility Audit Log',
+      icon: 'fas fa-clipboard-list',
+      resizable: true,
+    },
+    position: { width: 760, height: 560 },
+    actions: {
+      clearLog: AuditLogWindow._onClearLog,
+      resetFilters: AuditLogWindow._onResetFilters,
+      openMessage: AuditLogWindow._onOpenMessage,
+    },
+  };
+
+  static PARTS = {
+    content: { template: 'modules/pf2e-visioner/templates/audit-log.hbs' },
+  };
+
+  /**
+   * Render the shared window, creating it if needed
+   * @param {Object} [filters] - Filters to apply; keeps the current ones when omitted
+   * @returns {AuditLogWindow}
+   */
+  static open(filters = null) {
+    const app = AuditLogWindow.current ?? new AuditLogWindow();
+    if (filters) app._filters = { ...filters };
+    app.render({ force: true });
+    return app;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this._filters = {};
+    this._sceneHookId = null;
+    AuditLogWindow.current = this;
+  }
+
+  async _prepareContext(_options) {
+    const { getAuditLog } = await import('../services/audit-log.js');
+    const scene = canvas?.scene ?? null;
+    const all = getAuditLog(scene);
+    const filtered = getAuditLog(scene, this._filters).slice().reverse();
+
+    const tokenNames = new Map();
+    for (const e of all) {
+      tokenNames.set(e.observerId, e.observerName || e.observerId);
+      tokenNames.set(e.targetId, e.targetName || e.targetId);
+    }
+    const tokens = Array.from(tokenNames.entries())
+      .map(([id, name]) => ({ id, name, selected: id === this._filters.tokenId }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const sources = Object.entries(AUDIT_SOURCES).map(([id, label]) => ({
+      id,
+      label,
+      selected: id === this._filters.source,
+    }));
+    const kinds = [
+      { id: 'visibility', label: 'Visibility', selected: this._filters.kind === 'visibility' },
+      { id: 'cover', label: 'Cover', selected: this._filters.kind === 'cover' },
+    ];
+
+    const rows = filtered.slice(0, MAX_ROWS).map((e) => {
+      const states = e.kind === 'cover' ? COVER_STATES : VISIBILITY_STATES;
+      const describe = (state) => ({
+        label: game.i18n.localize(states[state]?.label ?? state),
+        icon: states[state]?.icon ?? '',
+        color: states[state]?.color ?? '',
+      });
+      return {
+        ...e,
+        time: new Date(e.timestamp).toLocaleTimeString(),
+        date: new Date(e.timestamp).toLocaleString(),
+        old: describe(e.oldState),
+        new: describe(e.newState),
+        sourceLabel: AUDIT_SOURCES[e.source] ?? e.source,
+        actionLabel: e.action
+          ? e.action
+              .split('-')
+              .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+              .join(' ')
+          : '',
+        userName: game.users?.get?.(e.userId)?.name ?? '',
+        hasMessage: !!e.messageId && !!game.messages?.get?.(e.messageId),
+      };
+    });
+
+    return {
+      sceneName: scene?.name ?? '',
+      tokens,
+      sources,
+      kinds,
+      rows,
+      total: all.length,
+      matching: filtered.length,
+      truncated: filtered.length > rows.length,
+      shown: rows.length,
+      hasFilters: Object.values(this._filters).some(Boolean),
+    };
+  }
+
+  async _renderHTML(context, _options) {
+    return await foundry.applications.handlebars.renderTemplate(
+      this.constructor.PARTS.content.template,
+      context,
+    );
+  }
+
+  _replaceHTML(result, content, _options) {
+    content.innerHTML = result;
+    content.querySelectorAll('select[data-filter]').forEach((select) => {
+      select.addEventListener('change', () => {
+        this._filters = { ...this._filters, [select.dataset.filter]: select.value || undefined };
+        this.render({ force: true });
+      });
+    });
+    return content;
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender?.(context, options);
+    // Refresh when entries are written to (or cleared from) the viewed scene
+    this._sceneHookId = Hooks.on('updateScene', (scene, changes) => {
+      if (scene?.id !== canvas?.scene?.id) return;
+      const flags = changes?.flags?.[MODULE_ID];
+      if (flags && (AUDIT_FLAG in flags || `-=${AUDIT_FLAG}` in flags)) {
+        this.render({ force: true });
+      }
+    });
+  }
+
+  async close(options) {
+    try {
+      if (this._sceneHookId) Hooks.off('updateScene', this._sceneHookId);
+    } catch (_) {}
+    this._sceneHookId = null;
+    if (AuditLogWindow.current === this) AuditLogWindow.current = null;
+    return super.close(options);
+  }
+
+  static async _onClearLog() {
+    const app = AuditLogWindow.current;
+    if (!app) return;
+    const confirmed = await Dialog.confirm({
+      title: 'PF2E Visioner',
+      content: '<p>Remove every audit log entry recorded on this scene?</p>',
+      yes: () => true,
+      no: () => false,
+      defaultYes: false,
+    });
+    if (!confirmed) return;
+    const { clearAuditLog } = await import('../services/audit-log.js');
+    await clearAuditLog(canvas?.scene);
+    app.render({ force: true });
+  }
+
+  static _onResetFilters() {
+    const app = AuditLogWindow.current;
+    if (!app) return;
+    app._filters = {};
+    app.render({ force: true });
+  }
+
+  static _onOpenMessage(_event, button) {
+    try {
+      const messageId = button?.dataset?.messageId;
+      const el = document.querySelector(`#chat-log [data-message-id="${messageId}"]`);
+      el?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    } catch (_) {}
+  }
+}
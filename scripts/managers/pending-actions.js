@@ -0,0 +1,179 @@
+/**
+ * Pending player actions window - GM queue to approve, edit or reject player Hide, Sneak, Seek,
+ * Create a Diversion and Take Cover results. Stays open and refreshes as entries arrive.
+ */
+
+import { getOutcomeLabel } from '../chat/services/ui/dialog-utils.js';
+import { COVER_STATES, MODULE_ID, VISIBILITY_STATES } from '../constants.js';
+
+export class PendingActionsWindow extends foundry.applications.api.ApplicationV2 {
+  static current = null;
+  static DEFAULT_OPTIONS = {
+    id: 'pf2e-visioner-pending-actions',
+    tag: 'div',
+    classes: ['pf2e-visioner', 'pf2e-visioner-pending-actions'],
+    window: {
+      title: 'PF2E Visioner: Pending Player Actions',
+      icon: 'fas fa-inbox',
+      resizable: true,
+    },
+    position: { width: 620, height: 'auto' },
+    actions: {
+      approve: PendingActionsWindow._onApprove,
+      reject: PendingActionsWindow._onReject,
+      approveAll: PendingActionsWindow._onApproveAll,
+      setState: PendingActionsWindow._onSetState,
+      openMessage: PendingActionsWindow._onOpenMessage,
+    },
+  };
+
+  static PARTS = {
+    content: { template: 'modules/pf2e-visioner/templates/pending-actions.hbs' },
+  };
+
+  /**
+   * Render the shared window, creating it if needed
+   * @returns {PendingActionsWindow}
+   */
+  static open() {
+    const app = PendingActionsWindow.current ?? new PendingActionsWindow();
+    app.render({ force: true });
+    return app;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    // messageId → { tokenId → state } chosen by the GM before approving
+    this._edits = new Map();
+    this._messageHookId = null;
+    PendingActionsWindow.current = this;
+  }
+
+  async _prepareContext(_options) {
+    const { getEditableStates, getPendingActions } = await import(
+      '../chat/services/pending-actions.js'
+    );
+    const entries = getPendingActions().map((entry) => {
+      const isCover = entry.actionType === 'take-cover';
+      const states = isCover ? COVER_STATES : VISIBILITY_STATES;
+      const edits = this._edits.get(entry.messageId) ?? {};
+      const rows = (entry.outcomes || []).map((row) => {
+        const selected = edits[row.tokenId] ?? row.newState;
+        return {
+          ...row,
+          outcomeLabel: getOutcomeLabel(row.outcome),
+          selected,
+          edited: selected !== row.newState,
+          changed: selected !== row.oldState,
+          oldIcon: states[row.oldState]?.icon ?? '',
+          oldColor: states[row.oldState]?.color ?? '',
+          choices: getEditableStates(entry.actionType).map((value) => ({
+            value,
+            label: game.i18n.localize(states[value]?.label ?? value),
+            icon: states[value]?.icon ?? '',
+            color: states[value]?.color ?? '',
+            active: value === selected,
+          })),
+        };
+      });
+      return {
+        ...entry,
+        userName: game.users?.get?.(entry.userId)?.name ?? '',
+        actionLabel: entry.actionType
+          .split('-')
+          .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+          .join(' '),
+        rows,
+        changeCount: rows.filter((r) => r.changed).length,
+      };
+    });
+    return { entries, hasEntries: entries.length > 0 };
+  }
+
+  async _renderHTML(context, _options) {
+    return await foundry.applications.handlebars.renderTemplate(
+      this.constructor.PARTS.content.template,
+      context,
+    );
+  }
+
+  _replaceHTML(result, content, _options) {
+    content.innerHTML = result;
+    return content;
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender?.(context, options);
+    // Refresh whenever a queued message changes (new entry, resolved elsewhere)
+    this._messageHookId = Hooks.on('updateChatMessage', (message) => {
+      if (message?.flags?.[MODULE_ID]?.pendingAction) this.render({ force: true });
+    });
+  }
+
+  async close(options) {
+    try {
+      if (this._messageHookId) Hooks.off('updateChatMessage', this._messageHookId);
+    } catch (_) {}
+    this._messageHookId = null;
+    if (PendingActionsWindow.current === this) PendingActionsWindow.current = null;
+    return super.close(options);
+  }
+
+  static async _onApprove(_event, button) {
+    const app = PendingActionsWindow.current;
+    const messageId = button?.dataset?.messageId;
+    if (!app || !messageId) return;
+    const { approvePendingAction, getPendingEntry } = await import(
+      '../chat/services/pending-actions.js'
+    );
+    await approvePendingAction(messageId, app._edits.get(messageId) ?? {});
+    // A failed approval stays pending with the GM's edits
+    if (getPendingEntry(game.messages.get(messageId))?.status !== 'pending') {
+      app._edits.delete(messageId);
+    }
+    app.render({ force: true });
+  }
+
+  static async _onReject(_event, button) {
+    const app = PendingActionsWindow.current;
+    const messageId = button?.dataset?.messageId;
+    if (!app || !messageId) return;
+    const { rejectPendingAction } = await import('../chat/services/pending-actions.js');
+    await rejectPendingAction(messageId);
+    app._edits.delete(messageId);
+    app.render({ force: true });
+  }
+
+  static async _onApproveAll() {
+    const app = PendingActionsWindow.current;
+    if (!app) return;
+    const { approvePendingAction, getPendingActions, getPendingEntry } = await import(
+      '../chat/services/pending-actions.js'
+    );
+    for (const entry of getPendingActions()) {
+      await approvePendingAction(entry.messageId, app._edits.get(entry.messageId) ?? {});
+      if (getPendingEntry(game.messages.get(entry.messageId))?.status !== 'pending') {
+        app._edits.delete(entry.messageId);
+      }
+    }
+    app.render({ force: true });
+  }
+
+  static async _onSetState(_event, button) {
+    const app = PendingActionsWindow.current;
+    const { messageId, tokenId, state } = button?.dataset ?? {};
+    if (!app || !messageId || !tokenId || !state) return;
+    const edits = app._edits.get(messageId) ?? {};
+    edits[tokenId] = state;
+    app._edits.set(messageId, edits);
+    app.render({ force: true });
+  }
+
+  static _onOpenMessage(_event, button) {
+    try {
+      const messageId = button?.dataset?.messageId;
+      const el = document.querySelector(`#chat-log [data-message-id="${messageId}"]`);
+      el?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    } catch (_) {}
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * "What I perceive" panel - read-only list of the creatures the user's token perceives, with
+ * visibility state, cover both ways and why. Creatures the token has no knowledge of (undetected,
+ * or hidden by the GM) are left out. Refreshes when states change or perception is refreshed.
+ */
+
+import { COVER_STATES, MODULE_ID, VISIBILITY_STATES } from '../constants.js';
+import { AUDIT_SOURCES, getAuditLog } from '../services/audit-log.js';
+import { getCoverMap, getVisibilityMap, isValidToken } from '../utils.js';
+import autoVisibilitySystem, {
+  AutoVisibilitySystem,
+} from '../visibility/auto-visibility/AutoVisibilitySystem.js';
+
+// Token flags whose changes alter what the panel shows
+const WATCHED_FLAGS = ['visibility', 'cover', AutoVisibilitySystem.DERIVED_FLAG];
+const REFRESH_DEBOUNCE_MS = 150;
+
+/**
+ * The token whose perspective the panel shows: the first controlled token the user owns,
+ * otherwise the user's character on this scene
+ * @returns {Token|null}
+ */
+export function getPerceivingToken() {
+  const controlled = (canvas?.tokens?.controlled ?? []).find((t) => t?.actor && t.isOwner);
+  if (controlled) return controlled;
+  try {
+    // Only tokens on the viewed scene are returned
+    return game.user?.character?.getActiveTokens?.()?.[0] ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function stateLabel(states, state) {
+  return game.i18n.localize(states[state]?.label ?? state);
+}
+
+/**
+ * Why the observer has this state for the target: the auto-visibility reason when it produced
+ * the state, otherwise the latest audit entry that set it
+ * @returns {string|null} e.g. "concealed: dim light"
+ */
+export function describeReason(observer, target, state) {
+  try {
+    const derived = autoVisibilitySystem.getDerivedEntry(observer, target);
+    if (
+      derived?.reason &&
+      derived.state === state &&
+      !autoVisibilitySystem.isManualOverride(observer, target)
+    ) {
+      return `${state}: ${derived.reason}`;
+    }
+  } catch (_) {}
+  try {
+    const last = getAuditLog(canvas?.scene, {
+      observerId: observer.document.id,
+      targetId: target.document.id,
+      kind: 'visibility',
+    }).at(-1);
+    if (last?.newState === state) {
+      const action = last.action
+        ? last.action.charAt(0).toUpperCase() + last.action.slice(1).replace(/-/g, ' ')
+        : null;
+      const why = last.reason || action || AUDIT_SOURCES[last.source];
+      if (why) return `${state}: ${why}`;
+    }
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Rows for every creature the observer has knowledge of
+ * @param {Token} observer
+ * @returns {Array<Object>}
+ */
+export function buildPerceptionRows(observer) {
+  if (!observer) return [];
+  const visibility = getVisibilityMap(observer) || {};
+  const theirCover = getCoverMap(observer) || {};
+
+  return (canvas?.tokens?.placeables ?? [])
+    .filter((t) => t !== observer && t.id !== observer.id && isValidToken(t))
+    .filter((t) => !['loot', 'hazard'].includes(t.actor?.type) && !t.document?.hidden)
+    .map((target) => {
+      const id = target.document.id;
+      const state = visibility[id] || 'observed';
+      const cover = theirCover[id] || 'none';
+      const myCover = getCoverMap(target)?.[observer.document.id] || 'none';
+      return {
+        id,
+        name: target.document.name ?? target.name,
+        img: target.document.texture?.src || target.actor?.img,
+        state,
+        stateLabel: stateLabel(VISIBILITY_STATES, state),
+        stateIcon: VISIBILITY_STATES[state]?.icon,
+        stateColor: VISIBILITY_STATES[state]?.color,
+        cover: {
+          label: stateLabel(COVER_STATES, cover),
+          icon: COVER_STATES[cover]?.icon,
+          color: COVER_STATES[cover]?.color,
+        },
+        myCover: {
+          label: stateLabel(COVER_STATES, myCover),
+          icon: COVER_STATES[myCover]?.icon,
+          color: COVER_STATES[myCover]?.color,
+        },
+        reason: state === 'observed' ? null : describeReason(observer, target, state),
+      };
+    })
+    .filter((row) => row.state !== 'undetected')
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export class PerceptionPanel extends foundry.applications.api.ApplicationV2 {
+  static current = null;
+  static DEFAULT_OPTIONS = {
+    id: 'pf2e-visioner-perception-panel',
+    tag: 'div',
+    classes: ['pf2e-visioner', 'pf2e-visioner-perception-panel'],
+    window: {
+      title: 'PF2E Visioner: What I Perceive',
+      icon: 'fas fa-binoculars',
+      resizable: true,
+    },
+    position: { width: 520, height: 480 },
+  };
+
+  static PARTS = {
+    content: { template: 'modules/pf2e-visioner/templates/perception-panel.hbs' },
+  };
+
+  /**
+   * Render the shared panel, creating it if needed
+   * @returns {PerceptionPanel}
+   */
+  static open() {
+    const app = PerceptionPanel.current ?? new PerceptionPanel();
+    app.render({ force: true });
+    return app;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this._hookIds = [];
+    this._refreshTimer = null;
+    PerceptionPanel.current = this;
+  }
+
+  async _prepareContext(_options) {
+    const observer = getPerceivingToken();
+    const rows = buildPerceptionRows(observer);
+    return {
+      observer: observer
+        ? {
+            name: observer.document.name ?? observer.name,
+            img: observer.document.texture?.src || observer.actor?.img,
+          }
+        : null,
+      rows,
+    };
+  }
+
+  async _renderHTML(context, _options) {
+    return await foundry.applications.handlebars.renderTemplate(
+      this.constructor.PARTS.content.template,
+      context,
+    );
+  }
+
+  _replaceHTML(result, content, _options) {
+    content.innerHTML = result;
+    return content;
+  }
+
+  /**
+   * Re-render soon; several updates in a row render once
+   */
+  refresh() {
+    if (this._refreshTimer) clearTimeout(this._refreshTimer);
+    this._refreshTimer = setTimeout(() => {
+      this._refreshTimer = null;
+      if (this.rendered) this.render({ force: true });
+    }, REFRESH_DEBOUNCE_MS);
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender?.(context, options);
+    const onTokenUpdate = (_doc, changes) => {
+      const flags = changes?.flags?.[MODULE_ID];
+      if (!flags) return;
+      const keys = Object.keys(flags).map((k) => k.replace(/^-=/, ''));
+      if (WATCHED_FLAGS.some((key) => keys.includes(key))) this.refresh();
+    };
+    const onChange = () => this.refresh();
+    this._hookIds = [
+      ['updateToken', Hooks.on('updateToken', onTokenUpdate)],
+      ['controlToken', Hooks.on('controlToken', onChange)],
+      ['createToken', Hooks.on('createToken', onChange)],
+      ['deleteToken', Hooks.on('deleteToken', onChange)],
+      ['canvasReady', Hooks.on('canvasReady', onChange)],
+    ];
+  }
+
+  async close(options) {
+    for (const [hook, id] of this._hookIds) {
+      try {
+        Hooks.off(hook, id);
+      } catch (_) {}
+    }
+    this._hookIds = [];
+    if (this._refreshTimer) clearTimeout(this._refreshTimer);
+    this._refreshTimer = null;
+    if (PerceptionPanel.current === this) PerceptionPanel.current = null;
+    return super.close(options);
+  }
+}
+
+/**
+ * Open the "What I perceive" panel
+ * @returns {PerceptionPanel|null}
+ */
+export function openPerceptionPanel() {
+  if (!game.user?.isGM && !game.settings.get(MODULE_ID, 'playerPerceptionPanel')) return null;
+  return PerceptionPanel.open();
+}
@@ -188,7 +188,7 @@ export class VisionerQuickPanel extends foundry.applications.api.ApplicationV2 {
     }
     try {
       for (const [obs, tgt] of pairs) {
-        await setVisibilityBetween(obs, tgt, state);
+        await setVisibilityBetween(obs, tgt, state, { audit: { source: 'quick-panel' } });
       }
       ui.notifications?.info?.(`Applied ${state} to ${pairs.length} pair(s).`);
     } catch (e) {
@@ -216,7 +216,7 @@ export class VisionerQuickPanel extends foundry.applications.api.ApplicationV2 {
     }
     try {
       for (const [obs, tgt] of pairs) {
-        await setCoverBetween(obs, tgt, state);
+        await setCoverBetween(obs, tgt, state, { audit: { source: 'quick-panel' } });
       }
       ui.notifications?.info?.(`Applied cover ${state} to ${pairs.length} pair(s).`);
     } catch (e) {
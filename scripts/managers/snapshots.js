@@ -0,0 +1,193 @@
+/**
+ * Snapshots window - save the scene's visibility / cover state under a name, compare saved
+ * snapshots with the current state and restore them. Also exports / imports the scene's state as JSON.
+ */
+
+import { COVER_STATES, MODULE_ID, VISIBILITY_STATES } from '../constants.js';
+import { SNAPSHOT_FLAG } from '../services/snapshots.js';
+
+// Diff rows rendered at once for the selected snapshot
+const MAX_DIFF_ROWS = 200;
+
+const KIND_LABELS = { visibility: 'Visibility', cover: 'Cover', walls: 'Hidden Wall' };
+
+export class SnapshotsWindow extends foundry.applications.api.ApplicationV2 {
+  static current = null;
+  static DEFAULT_OPTIONS = {
+    id: 'pf2e-visioner-snapshots',
+    tag: 'div',
+    classes: ['pf2e-visioner', 'pf2e-visioner-snapshots'],
+    window: {
+      title: 'PF2E Visioner: Snapshots',
+      icon: 'fas fa-camera',
+      resizable: true,
+    },
+    position: { width: 620, height: 'auto' },
+    actions: {
+      capture: SnapshotsWindow._onCapture,
+      restore: SnapshotsWindow._onRestore,
+      toggleDiff: SnapshotsWindow._onToggleDiff,
+      remove: SnapshotsWindow._onRemove,
+      exportScene: SnapshotsWindow._onExportScene,
+      importScene: SnapshotsWindow._onImportScene,
+    },
+  };
+
+  static PARTS = {
+    content: { template: 'modules/pf2e-visioner/templates/snapshots.hbs' },
+  };
+
+  /**
+   * Render the shared window, creating it if needed
+   * @returns {SnapshotsWindow}
+   */
+  static open() {
+    const app = SnapshotsWindow.current ?? new SnapshotsWindow();
+    app.render({ force: true });
+    return app;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    // Snapshot whose differences with the current state are expanded
+    this._diffId = null;
+    this._sceneHookId = null;
+    SnapshotsWindow.current = this;
+  }
+
+  async _prepareContext(_options) {
+    const { diffSnapshot, listSnapshots } = await import('../services/snapshots.js');
+    const scene = canvas?.scene ?? null;
+    const snapshots = listSnapshots(scene)
+      .reverse()
+      .map((s) => {
+        const expanded = s.id === this._diffId;
+        const diff = expanded ? (diffSnapshot(s.id, null, scene) ?? []) : [];
+        return {
+          ...s,
+          date: new Date(s.createdAt).toLocaleString(),
+          userName: game.users?.get?.(s.userId)?.name ?? '',
+          expanded,
+          diffCount: diff.length,
+          diffTruncated: diff.length > MAX_DIFF_ROWS,
+          diff: diff.slice(0, MAX_DIFF_ROWS).map((row) => this._describeDiffRow(row)),
+        };
+      });
+    return { sceneName: scene?.name ?? '', snapshots, hasSnapshots: snapshots.length > 0 };
+  }
+
+  _describeDiffRow(row) {
+    const states = row.kind === 'cover' ? COVER_STATES : VISIBILITY_STATES;
+    const describe = (state) => ({
+      label: game.i18n.localize(states[state]?.label ?? state),
+      icon: states[state]?.icon ?? '',
+      color: states[state]?.color ?? '',
+    });
+    return {
+      ...row,
+      kindLabel: KIND_LABELS[row.kind] ?? row.kind,
+      from: describe(row.before),
+      to: describe(row.after),
+    };
+  }
+
+  async _renderHTML(context, _options) {
+    return await foundry.applications.handlebars.renderTemplate(
+      this.constructor.PARTS.content.template,
+      context,
+    );
+  }
+
+  _replaceHTML(result, content, _options) {
+    content.innerHTML = result;
+    // Enter in the name field saves
+    content.querySelector('input[name="snapshotName"]')?.addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter') return;
+      event.preventDefault();
+      SnapshotsWindow._onCapture();
+    });
+    return content;
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender?.(context, options);
+    this._sceneHookId = Hooks.on('updateScene', (scene, changes) => {
+      if (scene?.id !== canvas?.scene?.id) return;
+      const flags = changes?.flags?.[MODULE_ID];
+      if (flags && (SNAPSHOT_FLAG in flags || `-=${SNAPSHOT_FLAG}` in flags)) {
+        this.render({ force: true });
+      }
+    });
+  }
+
+  async close(options) {
+    try {
+      if (this._sceneHookId) Hooks.off('updateScene', this._sceneHookId);
+    } catch (_) {}
+    this._sceneHookId = null;
+    if (SnapshotsWindow.current === this) SnapshotsWindow.current = null;
+    return super.close(options);
+  }
+
+  static async _onCapture() {
+    const app = SnapshotsWindow.current;
+    if (!app) return;
+    const name = app.element?.querySelector('input[name="snapshotName"]')?.value ?? '';
+    const { captureSnapshot } = await import('../services/snapshots.js');
+    const snapshot = await captureSnapshot(name, canvas?.scene);
+    if (snapshot) ui.notifications?.info?.(`PF2E Visioner: Saved snapshot "${snapshot.name}".`);
+    app.render({ force: true });
+  }
+
+  static async _onRestore(_event, button) {
+    const app = SnapshotsWindow.current;
+    const id = button?.dataset?.snapshotId;
+    if (!app || !id) return;
+    const { findSnapshot, restoreSnapshot } = await import('../services/snapshots.js');
+    const snapshot = findSnapshot(id, canvas?.scene);
+    if (!snapshot) return;
+    const confirmed = await Dialog.confirm({
+      title: 'PF2E Visioner',
+      content: `<p>Restore snapshot <strong>${snapshot.name}</strong>? Current visibility, cover and hidden wall states of the captured tokens will be replaced.</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false,
+    });
+    if (!confirmed) return;
+    const changed = await restoreSnapshot(id, canvas?.scene);
+    ui.notifications?.info?.(
+      `PF2E Visioner: Restored "${snapshot.name}" (${Math.max(changed, 0)} change${changed === 1 ? '' : 's'}).`,
+    );
+    app.render({ force: true });
+  }
+
+  static _onToggleDiff(_event, button) {
+    const app = SnapshotsWindow.current;
+    const id = button?.dataset?.snapshotId;
+    if (!app || !id) return;
+    app._diffId = app._diffId === id ? null : id;
+    app.render({ force: true });
+  }
+
+  static async _onRemove(_event, button) {
+    const app = SnapshotsWindow.current;
+    const id = button?.dataset?.snapshotId;
+    if (!app || !id) return;
+    const { deleteSnapshot } = await import('../services/snapshots.js');
+    await deleteSnapshot(id, canvas?.scene);
+    if (app._diffId === id) app._diffId = null;
+    app.render({ force: true });
+  }
+
+  static async _onExportScene() {
+    const { downloadSceneData } = await import('../services/scene-transfer.js');
+    downloadSceneData(canvas?.scene);
+  }
+
+  static async _onImportScene() {
+    const app = SnapshotsWindow.current;
+    const { promptImportSceneData } = await import('../services/scene-transfer.js');
+    await promptImportSceneData(canvas?.scene);
+    app?.render({ force: true });
+  }
+}
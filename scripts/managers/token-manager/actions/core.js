@@ -7,6 +7,46 @@ import { MODULE_ID } from '../../../constants.js';
 import { refreshEveryonesPerception } from '../../../services/socket.js';
 import { getCoverMap, getVisibilityMap, setCoverMap, setVisibilityMap } from '../../../utils.js';
 
+// Audit log provenance for every write made from the Token Manager
+const AUDIT_OPTIONS = { audit: { source: 'token-manager' } };
+
+/**
+ * Ids of targets whose state differs from the previous map (missing entries count as observed)
+ * @param {Record<string,string>} previousMap
+ * @param {Record<string,string>} edits - targetId -> new state
+ * @returns {string[]}
+ */
+function changedVisibilityIds(previousMap, edits) {
+  return Object.entries(edits || {})
+    .filter(([id, state]) => (previousMap?.[id] ?? 'observed') !== state)
+    .map(([id]) => id);
+}
+
+/**
+ * Mark Token Manager edits as manual overrides so auto-visibility derivation leaves them alone,
+ * and drop pending expiries so timed states do not revert them
+ * @param {Token} observer
+ * @param {string[]} targetIds
+ */
+async function markManualVisibilityEdits(observer, targetIds) {
+  if (!targetIds?.length) return;
+  try {
+    const { clearStateExpiries } = await import('../../../services/state-expiry.js');
+    await clearStateExpiries(observer, targetIds);
+  } catch (error) {
+    console.warn('Token Manager: failed to clear visibility expiries', error);
+  }
+  try {
+    const { default: autoVisibilitySystem } = await import(
+      '../../../visibility/auto-visibility/AutoVisibilitySystem.js'
+    );
+    if (!autoVisibilitySystem.isEnabled()) return;
+    await autoVisibilitySystem.markManualOverrides(observer, targetIds);
+  } catch (error) {
+    console.warn('Token Manager: failed to mark manual visibility overrides', error);
+  }
+}
+
 /**
  * ApplicationV2 form handler
  */
@@ -37,7 +77,11 @@ export async function formHandler(event, form, formData) {
       for (const [tokenId, newState] of Object.entries(visibilityChanges)) {
         if (merged[tokenId] !== newState) merged[tokenId] = newState;
       }
-      await setVisibilityMap(app.observer, merged);
+      await setVisibilityMap(app.observer, merged, AUDIT_OPTIONS);
+      await markManualVisibilityEdits(
+        app.observer,
+        changedVisibilityIds(currentMap, visibilityChanges),
+      );
 
       try {
         const { batchUpdateVisibilityEffects } = await import('../../../visibility/ephemeral.js');
@@ -65,7 +109,7 @@ export async function formHandler(event, form, formData) {
       for (const [tokenId, newState] of Object.entries(coverChanges)) {
         if (mergedCover[tokenId] !== newState) mergedCover[tokenId] = newState;
       }
-      await setCoverMap(app.observer, mergedCover);
+      await setCoverMap(app.observer, mergedCover, AUDIT_OPTIONS);
 
       try {
         const { batchUpdateCoverEffects } = await import('../../../cover/ephemeral.js');
@@ -117,7 +161,8 @@ export async function formHandler(event, form, formData) {
       perObserverChanges.get(observerTokenId).map[app.observer.document.id] = newVisibilityState;
     }
     for (const { token: observerToken, map } of perObserverChanges.values()) {
-      await setVisibilityMap(observerToken, map);
+      await setVisibilityMap(observerToken, map, AUDIT_OPTIONS);
+      await markManualVisibilityEdits(observerToken, [app.observer.document.id]);
     }
     try {
       const { batchUpdateVisibilityEffects } = await import('../../../visibility/ephemeral.js');
@@ -165,7 +210,7 @@ export async function formHandler(event, form, formData) {
         if (t === 'loot' || t === 'vehicle' || t === 'party') {
           if (currentState && currentState !== 'none') {
             current[app.observer.document.id] = 'none';
-            await setCoverMap(observerToken, current);
+            await setCoverMap(observerToken, current, AUDIT_OPTIONS);
           }
           continue;
         }
@@ -176,7 +221,7 @@ export async function formHandler(event, form, formData) {
       perObserverCover.get(observerTokenId).map[app.observer.document.id] = newCoverState;
     }
     for (const { token: observerToken, map } of perObserverCover.values()) {
-      await setCoverMap(observerToken, map);
+      await setCoverMap(observerToken, map, AUDIT_OPTIONS);
     }
     try {
       const { batchUpdateCoverEffects } = await import('../../../cover/ephemeral.js');
@@ -230,8 +275,84 @@ export async function formHandler(event, form, formData) {
   return app.render();
 }
 
+/**
+ * Apply the matrix tab's pending edits: one map write per observer, visibility effects batched
+ * through the API's bulkSetVisibility
+ * @param {VisionerTokenManager} app
+ */
+export async function applyMatrixEdits(app) {
+  const { getMatrixState } = await import('../matrix.js');
+  const matrix = getMatrixState(app);
+  if (!matrix.edits.size) return app.render();
+  const { runTasksWithProgress } = await import('../../progress.js');
+
+  const byObserver = new Map();
+  for (const [key, edit] of matrix.edits.entries()) {
+    const [observerId, targetId] = key.split('|');
+    if (!byObserver.has(observerId)) byObserver.set(observerId, { visibility: {}, cover: {} });
+    const entry = byObserver.get(observerId);
+    if (edit.visibility) entry.visibility[targetId] = edit.visibility;
+    if (edit.cover) entry.cover[targetId] = edit.cover;
+  }
+
+  const visibilityUpdates = [];
+  const visualUpdatePairs = [];
+  const operations = [];
+  for (const [observerId, { visibility, cover }] of byObserver.entries()) {
+    const observer = canvas.tokens.get(observerId);
+    if (!observer) continue;
+    if (Object.keys(visibility).length) {
+      const currentMap = getVisibilityMap(observer) || {};
+      await setVisibilityMap(observer, { ...currentMap, ...visibility }, AUDIT_OPTIONS);
+      await markManualVisibilityEdits(observer, changedVisibilityIds(currentMap, visibility));
+      for (const [targetId, state] of Object.entries(visibility)) {
+        visibilityUpdates.push({ observerId, targetId, state });
+        visualUpdatePairs.push({ observerId, targetId, visibility: state });
+      }
+    }
+    if (Object.keys(cover).length) {
+      const currentCover = getCoverMap(observer) || {};
+      await setCoverMap(observer, { ...currentCover, ...cover }, AUDIT_OPTIONS);
+      const updates = Object.entries(cover)
+        .map(([targetId, state]) => ({ target: canvas.tokens.get(targetId), state }))
+        .filter((u) => u.target);
+      if (updates.length) {
+        operations.push(async () => {
+          const { batchUpdateCoverEffects } = await import('../../../cover/ephemeral.js');
+          await batchUpdateCoverEffects(observer, updates);
+        });
+        visualUpdatePairs.push(
+          ...updates.map((u) => ({ observerId, targetId: u.target.id, cover: u.state })),
+        );
+      }
+    }
+  }
+  if (visibilityUpdates.length) {
+    operations.unshift(async () => {
+      const { api } = await import('../../../api.js');
+      await api.bulkSetVisibility(visibilityUpdates, { direction: 'observer_to_target' });
+    });
+  }
+
+  matrix.edits.clear();
+  if (operations.length) {
+    await runTasksWithProgress(`${MODULE_ID}: Applying Changes`, operations);
+  }
+  try {
+    const { updateSpecificTokenPairs } = await import('../../../services/visual-effects.js');
+    await updateSpecificTokenPairs(visualUpdatePairs);
+  } catch (error) {
+    console.warn('Token Manager: Error updating visuals:', error);
+  }
+  try {
+    refreshEveryonesPerception();
+  } catch (_) {}
+  return app.render();
+}
+
 export async function applyCurrent(event, button) {
   const app = this;
+  if (app.activeTab === 'matrix') return applyMatrixEdits(app);
   const { runTasksWithProgress } = await import('../../progress.js');
 
   try {
@@ -285,7 +406,8 @@ export async function applyCurrent(event, button) {
       const obsVis = app._savedModeData.observer?.visibility || {};
       if (Object.keys(obsVis).length > 0) {
         const currentMap = getVisibilityMap(app.observer) || {};
-        await setVisibilityMap(app.observer, { ...currentMap, ...obsVis });
+        await setVisibilityMap(app.observer, { ...currentMap, ...obsVis }, AUDIT_OPTIONS);
+        await markManualVisibilityEdits(app.observer, changedVisibilityIds(currentMap, obsVis));
         const targetUpdates = [];
         for (const [tokenId, newState] of Object.entries(obsVis)) {
           const targetToken = canvas.tokens.get(tokenId);
@@ -322,10 +444,18 @@ export async function applyCurrent(event, button) {
             if (['loot', 'vehicle', 'party'].includes(observerToken?.actor?.type)) continue;
           } catch (_) {}
           const observerVisibilityData = getVisibilityMap(observerToken) || {};
-          await setVisibilityMap(observerToken, {
-            ...observerVisibilityData,
-            [app.observer.document.id]: newState,
-          });
+          await setVisibilityMap(
+            observerToken,
+            {
+              ...observerVisibilityData,
+              [app.observer.document.id]: newState,
+            },
+            AUDIT_OPTIONS,
+          );
+          await markManualVisibilityEdits(
+            observerToken,
+            changedVisibilityIds(observerVisibilityData, { [app.observer.document.id]: newState }),
+          );
           if (!updatesByObserver.has(observerTokenId))
             updatesByObserver.set(observerTokenId, { observer: observerToken, updates: [] });
           updatesByObserver
@@ -370,7 +500,7 @@ export async function applyCurrent(event, button) {
       const obsCov = app._savedModeData.observer?.cover || {};
       if (Object.keys(obsCov).length > 0) {
         const currentCover = getCoverMap(app.observer) || {};
-        await setCoverMap(app.observer, { ...currentCover, ...obsCov });
+        await setCoverMap(app.observer, { ...currentCover, ...obsCov }, AUDIT_OPTIONS);
         const targetUpdates = [];
         for (const [tokenId, state] of Object.entries(obsCov)) {
           const targetToken = canvas.tokens.get(tokenId);
@@ -398,10 +528,14 @@ export async function applyCurrent(event, button) {
           const observerToken = canvas.tokens.get(observerTokenId);
           if (!observerToken) continue;
           const observerCoverData = getCoverMap(observerToken) || {};
-          await setCoverMap(observerToken, {
-            ...observerCoverData,
-            [app.observer.document.id]: newState,
-          });
+          await setCoverMap(
+            observerToken,
+            {
+              ...observerCoverData,
+              [app.observer.document.id]: newState,
+            },
+            AUDIT_OPTIONS,
+          );
           if (!updatesByObserver.has(observerTokenId))
             updatesByObserver.set(observerTokenId, { observer: observerToken, updates: [] });
           updatesByObserver
@@ -464,6 +598,8 @@ export async function applyCurrent(event, button) {
 
 export async function applyBoth(event, button) {
   const app = this;
+  // Matrix cells carry both visibility and cover
+  if (app.activeTab === 'matrix') return applyMatrixEdits(app);
   const { runTasksWithProgress } = await import('../../progress.js');
 
   try {
@@ -504,7 +640,8 @@ export async function applyBoth(event, button) {
     const vis = app._savedModeData.observer?.visibility || {};
     if (Object.keys(vis).length > 0) {
       const currentMap = getVisibilityMap(app.observer) || {};
-      await setVisibilityMap(app.observer, { ...currentMap, ...vis });
+      await setVisibilityMap(app.observer, { ...currentMap, ...vis }, AUDIT_OPTIONS);
+      await markManualVisibilityEdits(app.observer, changedVisibilityIds(currentMap, vis));
       for (const [tokenId, newState] of Object.entries(vis)) {
         const targetToken = canvas.tokens.get(tokenId);
         if (targetToken) {
@@ -521,7 +658,7 @@ export async function applyBoth(event, button) {
     const cov = app._savedModeData.observer?.cover || {};
     if (Object.keys(cov).length > 0) {
       const currentCover = getCoverMap(app.observer) || {};
-      await setCoverMap(app.observer, { ...currentCover, ...cov });
+      await setCoverMap(app.observer, { ...currentCover, ...cov }, AUDIT_OPTIONS);
       for (const [tokenId, state] of Object.entries(cov)) {
         const targetToken = canvas.tokens.get(tokenId);
         if (targetToken) {
@@ -543,10 +680,18 @@ export async function applyBoth(event, button) {
       const observerToken = canvas.tokens.get(observerTokenId);
       if (observerToken) {
         const observerVisibilityData = getVisibilityMap(observerToken) || {};
-        await setVisibilityMap(observerToken, {
-          ...observerVisibilityData,
-          [app.observer.document.id]: newState,
-        });
+        await setVisibilityMap(
+          observerToken,
+          {
+            ...observerVisibilityData,
+            [app.observer.document.id]: newState,
+          },
+          AUDIT_OPTIONS,
+        );
+        await markManualVisibilityEdits(
+          observerToken,
+          changedVisibilityIds(observerVisibilityData, { [app.observer.document.id]: newState }),
+        );
         if (!targetVisUpdates.has(observerTokenId))
           targetVisUpdates.set(observerTokenId, { observer: observerToken, updates: [] });
         targetVisUpdates
@@ -565,10 +710,14 @@ export async function applyBoth(event, button) {
       const observerToken = canvas.tokens.get(observerTokenId);
       if (observerToken) {
         const observerCoverData = getCoverMap(observerToken) || {};
-        await setCoverMap(observerToken, {
-          ...observerCoverData,
-          [app.observer.document.id]: newState,
-        });
+        await setCoverMap(
+          observerToken,
+          {
+            ...observerCoverData,
+            [app.observer.document.id]: newState,
+          },
+          AUDIT_OPTIONS,
+        );
         if (!targetCovUpdates.has(observerTokenId))
           targetCovUpdates.set(observerTokenId, { observer: observerToken, updates: [] });
         targetCovUpdates
@@ -639,8 +788,13 @@ export async function applyBoth(event, button) {
 
 export async function resetAll(event, button) {
   const app = this;
-  await setVisibilityMap(app.observer, {});
-  await setCoverMap(app.observer, {});
+  // In the matrix, reset only discards the pending edits
+  if (app.activeTab === 'matrix') {
+    app._matrix?.edits.clear();
+    return app.render();
+  }
+  await setVisibilityMap(app.observer, {}, AUDIT_OPTIONS);
+  await setCoverMap(app.observer, {}, AUDIT_OPTIONS);
   refreshEveryonesPerception();
   return app.render();
 }
@@ -3,6 +3,7 @@ import {
   bindDomIconHandlers,
   bulkSetCoverState,
   bulkSetVisibilityState,
+  openSnapshots,
   toggleEncounterFilter,
   toggleIgnoreAllies,
   toggleIgnoreWalls,
@@ -16,6 +17,7 @@ export {
   bindDomIconHandlers,
   bulkSetCoverState,
   bulkSetVisibilityState,
+  openSnapshots,
   toggleEncounterFilter,
   toggleIgnoreAllies,
   toggleIgnoreWalls,
@@ -35,6 +37,7 @@ export function bindTokenManagerActions(TokenManagerClass) {
   TokenManagerClass.toggleIgnoreAllies = toggleIgnoreAllies;
   TokenManagerClass.toggleIgnoreWalls = toggleIgnoreWalls;
   TokenManagerClass.toggleTab = toggleTab;
+  TokenManagerClass.openSnapshots = openSnapshots;
   TokenManagerClass.bulkSetVisibilityState = bulkSetVisibilityState;
   TokenManagerClass.bulkSetCoverState = bulkSetCoverState;
   bindDomIconHandlers(TokenManagerClass);
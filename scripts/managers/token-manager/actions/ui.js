@@ -164,6 +164,11 @@ export async function toggleTab(event, button) {
   }
 }
 
+export async function openSnapshots(_event, _button) {
+  const { openSnapshotsWindow } = await import('../../../services/snapshots.js');
+  await openSnapshotsWindow();
+}
+
 export async function toggleEncounterFilter(event, button) {
   const app = this;
   app.encounterOnly = !app.encounterOnly;
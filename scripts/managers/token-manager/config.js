@@ -28,6 +28,7 @@ export const TOKEN_MANAGER_DEFAULT_OPTIONS = {
     toggleIgnoreAllies: null,
     toggleIgnoreWalls: null,
     toggleTab: null,
+    openSnapshots: null,
     toggleStateSelector: null,
     // PC-specific bulk actions for visibility
     bulkPCHidden: null,
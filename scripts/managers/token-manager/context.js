@@ -76,6 +76,7 @@ export async function buildContext(app, options) {
   context.isTargetMode = app.mode === 'target';
   context.isVisibilityTab = app.activeTab === 'visibility';
   context.isCoverTab = app.activeTab === 'cover';
+  context.isMatrixTab = app.activeTab === 'matrix';
   context.lootObserver = !!isLootObserver;
   context.hideCoverTab = !!isLootObserver;
 
@@ -84,6 +85,11 @@ export async function buildContext(app, options) {
   context.ignoreAllies = !!app.ignoreAllies;
   context.ignoreWalls = !!app.ignoreWalls;
 
+  if (context.isMatrixTab) {
+    const { buildMatrixContext } = await import('./matrix.js');
+    context.matrix = buildMatrixContext(app);
+  }
+
   const sceneTokens = getSceneTargets(app.observer, app.encounterOnly, app.ignoreAllies);
 
   context.observer = {
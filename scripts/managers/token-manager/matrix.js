@@ -0,0 +1,328 @@
+/**
+ * All-pairs matrix tab for the Token Manager: observers as rows, targets as columns.
+ * Edits are held until applied; only the cells in view are in the DOM so 30×30 stays responsive.
+ */
+
+import { COVER_STATES, VISIBILITY_STATES } from '../../constants.js';
+import { getCoverMap, getVisibilityMap, isValidToken } from '../../utils.js';
+
+export const MATRIX_CELL_SIZE = 40;
+export const MATRIX_HEADER_SIZE = 44;
+const OVERSCAN = 2;
+
+// Foundry token dispositions per filter (secret tokens count as hostile)
+export const MATRIX_DISPOSITION_FILTERS = {
+  all: { label: 'All', dispositions: null },
+  friendly: { label: 'Friendly', dispositions: [1] },
+  neutral: { label: 'Neutral', dispositions: [0] },
+  hostile: { label: 'Hostile', dispositions: [-1, -2] },
+};
+
+/**
+ * Matrix state kept on the app across renders
+ * @param {VisionerTokenManager} app
+ */
+export function getMatrixState(app) {
+  if (!app._matrix) {
+    app._matrix = {
+      edits: new Map(),
+      brush: { layer: 'visibility', state: 'hidden' },
+      rowFilter: 'all',
+      colFilter: 'all',
+      rows: [],
+      cols: [],
+      stored: new Map(),
+    };
+  }
+  return app._matrix;
+}
+
+function isInEncounter(token) {
+  if (!game.combat?.combatants?.size) return true;
+  if (token.actor?.type === 'familiar') return true;
+  return game.combat.combatants.some((c) => c.tokenId === token.id);
+}
+
+function matchesDisposition(token, filter) {
+  const dispositions = MATRIX_DISPOSITION_FILTERS[filter]?.dispositions;
+  if (!dispositions) return true;
+  return dispositions.includes(Number(token.document?.disposition ?? 0));
+}
+
+/**
+ * Observers (rows) and targets (columns) after the encounter and disposition filters
+ * @param {{encounterOnly?: boolean, rowFilter?: string, colFilter?: string}} filters
+ * @returns {{rows: Token[], cols: Token[]}}
+ */
+export function getMatrixTokens({ encounterOnly = false, rowFilter = 'all', colFilter = 'all' }) {
+  let tokens = (canvas?.tokens?.placeables ?? []).filter((t) => isValidToken(t));
+  if (encounterOnly) tokens = tokens.filter(isInEncounter);
+  return {
+    // Loot never observes anything
+    rows: tokens.filter((t) => t.actor?.type !== 'loot' && matchesDisposition(t, rowFilter)),
+    cols: tokens.filter((t) => matchesDisposition(t, colFilter)),
+  };
+}
+
+/**
+ * Index range of rows or columns to render for a scroll position
+ * @param {number} scroll - scrollTop or scrollLeft of the viewport
+ * @param {number} viewportSize - Height or width of the viewport
+ * @param {number} count - Total rows or columns
+ * @returns {{start: number, end: number}} end is exclusive
+ */
+export function getVisibleRange(scroll, viewportSize, count, cellSize = MATRIX_CELL_SIZE) {
+  const first = Math.floor(Math.max(0, scroll) / cellSize);
+  const inView = Math.ceil(Math.max(0, viewportSize) / cellSize) + 1;
+  return {
+    start: Math.max(0, first - OVERSCAN),
+    end: Math.min(count, first + inView + OVERSCAN),
+  };
+}
+
+/**
+ * Refresh rows, columns and their stored states; called when the context is built
+ * @param {VisionerTokenManager} app
+ */
+export function loadMatrix(app) {
+  const matrix = getMatrixState(app);
+  const { rows, cols } = getMatrixTokens({
+    encounterOnly: app.encounterOnly,
+    rowFilter: matrix.rowFilter,
+    colFilter: matrix.colFilter,
+  });
+  matrix.rows = rows;
+  matrix.cols = cols;
+  matrix.stored = new Map(
+    rows.map((observer) => [
+      observer.id,
+      { visibility: getVisibilityMap(observer) || {}, cover: getCoverMap(observer) || {} },
+    ]),
+  );
+  return matrix;
+}
+
+/**
+ * Current state of a cell, pending edits included
+ * @returns {{visibility: string, cover: string, edited: boolean}}
+ */
+export function getCellState(app, observerId, targetId) {
+  const matrix = getMatrixState(app);
+  const stored = matrix.stored.get(observerId);
+  const edit = matrix.edits.get(`${observerId}|${targetId}`);
+  return {
+    visibility: edit?.visibility ?? stored?.visibility?.[targetId] ?? 'observed',
+    cover: edit?.cover ?? stored?.cover?.[targetId] ?? 'none',
+    edited: !!edit,
+  };
+}
+
+/**
+ * Apply the brush to a cell; painting a cell back to its stored state drops the edit
+ * @returns {boolean} Whether the cell changed
+ */
+export function paintCell(app, observerId, targetId) {
+  if (!observerId || !targetId || observerId === targetId) return false;
+  const matrix = getMatrixState(app);
+  const { layer, state } = matrix.brush;
+  const key = `${observerId}|${targetId}`;
+  const edit = { ...(matrix.edits.get(key) ?? {}) };
+  if (edit[layer] === state) return false;
+
+  const stored = matrix.stored.get(observerId)?.[layer]?.[targetId];
+  const fallback = layer === 'cover' ? 'none' : 'observed';
+  if ((stored ?? fallback) === state) {
+    if (!(layer in edit)) return false;
+    delete edit[layer];
+  } else {
+    edit[layer] = state;
+  }
+  if (Object.keys(edit).length) matrix.edits.set(key, edit);
+  else matrix.edits.delete(key);
+  return true;
+}
+
+/**
+ * Template data for the matrix tab
+ * @param {VisionerTokenManager} app
+ */
+export function buildMatrixContext(app) {
+  const matrix = loadMatrix(app);
+  const brush = (layer, states) =>
+    Object.entries(states).map(([value, config]) => ({
+      layer,
+      value,
+      label: game.i18n.localize(config.label),
+      icon: config.icon,
+      cssClass: config.cssClass,
+      selected: matrix.brush.layer === layer && matrix.brush.state === value,
+    }));
+  return {
+    visibilityBrushes: brush('visibility', VISIBILITY_STATES),
+    coverBrushes: brush('cover', COVER_STATES),
+    filters: Object.entries(MATRIX_DISPOSITION_FILTERS).map(([value, { label }]) => ({
+      value,
+      label,
+      rowSelected: matrix.rowFilter === value,
+      colSelected: matrix.colFilter === value,
+    })),
+    rowCount: matrix.rows.length,
+    colCount: matrix.cols.length,
+    pendingCount: matrix.edits.size,
+  };
+}
+
+function createHeader(token, left, top) {
+  const header = document.createElement('div');
+  header.className = 'matrix-header';
+  header.style.left = `${left}px`;
+  header.style.top = `${top}px`;
+  header.dataset.tokenId = token.id;
+  header.dataset.tooltip = token.document?.name ?? token.name ?? '';
+  const img = document.createElement('img');
+  img.src = token.document?.texture?.src || token.actor?.img || 'icons/svg/mystery-man.svg';
+  header.appendChild(img);
+  return header;
+}
+
+function createIcon(config) {
+  const icon = document.createElement('i');
+  icon.className = `${config.icon} ${config.cssClass}`;
+  return icon;
+}
+
+/**
+ * Render the headers and cells currently in view
+ * @param {VisionerTokenManager} app
+ */
+export function renderMatrixCells(app) {
+  const viewport = app.element?.querySelector?.('.matrix-viewport');
+  const grid = viewport?.querySelector('.matrix-canvas');
+  if (!grid) return;
+  const matrix = getMatrixState(app);
+  const { rows, cols } = matrix;
+
+  grid.style.width = `${MATRIX_HEADER_SIZE + cols.length * MATRIX_CELL_SIZE}px`;
+  grid.style.height = `${MATRIX_HEADER_SIZE + rows.length * MATRIX_CELL_SIZE}px`;
+
+  const { scrollTop, scrollLeft } = viewport;
+  const rowRange = getVisibleRange(scrollTop, viewport.clientHeight, rows.length);
+  const colRange = getVisibleRange(scrollLeft, viewport.clientWidth, cols.length);
+  const fragment = document.createDocumentFragment();
+
+  for (let r = rowRange.start; r < rowRange.end; r++) {
+    const observer = rows[r];
+    const top = MATRIX_HEADER_SIZE + r * MATRIX_CELL_SIZE;
+    for (let c = colRange.start; c < colRange.end; c++) {
+      const target = cols[c];
+      const cell = document.createElement('div');
+      cell.className = 'matrix-cell';
+      cell.style.left = `${MATRIX_HEADER_SIZE + c * MATRIX_CELL_SIZE}px`;
+      cell.style.top = `${top}px`;
+      cell.dataset.observer = observer.id;
+      cell.dataset.target = target.id;
+      if (observer.id === target.id) {
+        cell.classList.add('self');
+      } else {
+        const state = getCellState(app, observer.id, target.id);
+        if (state.edited) cell.classList.add('edited');
+        const visibility = VISIBILITY_STATES[state.visibility] ?? VISIBILITY_STATES.observed;
+        const cover = COVER_STATES[state.cover] ?? COVER_STATES.none;
+        cell.appendChild(createIcon(visibility));
+        if (state.cover !== 'none') cell.appendChild(createIcon(cover));
+        cell.dataset.tooltip = `${observer.document?.name} → ${target.document?.name}: ${game.i18n.localize(visibility.label)}, ${game.i18n.localize(cover.label)}`;
+      }
+      fragment.appendChild(cell);
+    }
+  }
+
+  // Headers stick to the top and left edges of the viewport
+  for (let c = colRange.start; c < colRange.end; c++) {
+    const header = createHeader(cols[c], MATRIX_HEADER_SIZE + c * MATRIX_CELL_SIZE, scrollTop);
+    header.classList.add('column');
+    fragment.appendChild(header);
+  }
+  for (let r = rowRange.start; r < rowRange.end; r++) {
+    const header = createHeader(rows[r], scrollLeft, MATRIX_HEADER_SIZE + r * MATRIX_CELL_SIZE);
+    header.classList.add('row');
+    fragment.appendChild(header);
+  }
+  const corner = document.createElement('div');
+  corner.className = 'matrix-corner';
+  corner.style.left = `${scrollLeft}px`;
+  corner.style.top = `${scrollTop}px`;
+  corner.dataset.tooltip = 'Rows observe columns';
+  corner.innerHTML = '<i class="fas fa-eye"></i><i class="fas fa-arrow-right"></i>';
+  fragment.appendChild(corner);
+
+  grid.replaceChildren(fragment);
+
+  const pending = app.element.querySelector('.matrix-pending-count');
+  if (pending) pending.textContent = `${matrix.edits.size} pending`;
+}
+
+/**
+ * Wire up scrolling, click/drag painting, brushes and filters
+ * @param {VisionerTokenManager} app
+ */
+export function bindMatrixHandlers(app) {
+  const element = app.element;
+  const viewport = element?.querySelector?.('.matrix-viewport');
+  if (!viewport) return;
+  const matrix = getMatrixState(app);
+
+  let frame = null;
+  viewport.addEventListener('scroll', () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      renderMatrixCells(app);
+    });
+  });
+
+  let painting = false;
+  const paint = (cell) => {
+    if (paintCell(app, cell?.dataset?.observer, cell?.dataset?.target)) renderMatrixCells(app);
+  };
+  viewport.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0) return;
+    const cell = event.target.closest?.('.matrix-cell');
+    if (!cell) return;
+    event.preventDefault();
+    painting = true;
+    window.addEventListener('pointerup', () => (painting = false), { once: true });
+    paint(cell);
+  });
+  viewport.addEventListener('pointerover', (event) => {
+    if (painting) paint(event.target.closest?.('.matrix-cell'));
+  });
+  // Right-click reverts a cell to its stored states
+  viewport.addEventListener('contextmenu', (event) => {
+    const cell = event.target.closest?.('.matrix-cell');
+    if (!cell) return;
+    event.preventDefault();
+    if (matrix.edits.delete(`${cell.dataset.observer}|${cell.dataset.target}`)) {
+      renderMatrixCells(app);
+    }
+  });
+
+  element.querySelectorAll('.matrix-brush-button').forEach((button) => {
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      matrix.brush = { layer: button.dataset.layer, state: button.dataset.state };
+      element
+        .querySelectorAll('.matrix-brush-button')
+        .forEach((b) => b.classList.toggle('selected', b === button));
+    });
+  });
+
+  element.querySelectorAll('select[data-matrix-filter]').forEach((select) => {
+    select.addEventListener('change', () => {
+      if (select.dataset.matrixFilter === 'rows') matrix.rowFilter = select.value;
+      else matrix.colFilter = select.value;
+      app.render({ force: true });
+    });
+  });
+
+  renderMatrixCells(app);
+}
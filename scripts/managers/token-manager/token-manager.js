@@ -20,6 +20,7 @@ import {
   detachCanvasHoverHandlers,
   detachSelectionHandlers,
 } from './highlighting.js';
+import { bindMatrixHandlers } from './matrix.js';
 
 export class VisionerTokenManager extends foundry.applications.api.ApplicationV2 {
   // Track the current instance to prevent multiple dialogs
@@ -39,6 +40,7 @@ export class VisionerTokenManager extends foundry.applications.api.ApplicationV2
       toggleIgnoreAllies: toggleIgnoreAllies,
       toggleIgnoreWalls: toggleIgnoreWalls,
       toggleTab: VisionerTokenManager.toggleTab,
+      openSnapshots: VisionerTokenManager.openSnapshots,
       bulkPCHidden: VisionerTokenManager.bulkSetVisibilityState,
       bulkPCUndetected: VisionerTokenManager.bulkSetVisibilityState,
       bulkPCConcealed: VisionerTokenManager.bulkSetVisibilityState,
@@ -284,6 +286,13 @@ export class VisionerTokenManager extends foundry.applications.api.ApplicationV2
       // Bind token image click handlers for panning and selection
       this.addTokenImageClickHandlers?.();
     } catch (_) {}
+    if (this.activeTab === 'matrix') {
+      try {
+        bindMatrixHandlers(this);
+      } catch (error) {
+        console.error('Token Manager: Error rendering matrix:', error);
+      }
+    }
     attachSelectionHandlers(this.constructor);
     attachCanvasHoverHandlers(this.constructor);
     applySelectionHighlight(this.constructor);
@@ -0,0 +1,142 @@
+/**
+ * PF2e Visioner Concealment Region Behavior
+ *
+ * Marks a region as obscuring (fog, foliage, magical darkness). Anything seen through or inside it
+ * is concealed, or hidden for magical darkness, unless the observer perceives the target with one
+ * of the exempt senses. Evaluated by the auto-visibility pipeline as the 'regions' deriver, so it
+ * updates as tokens move and stacks with lighting (the most severe result wins).
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { regionContainsPoint } from './CoverRegionBehavior.js';
+
+const RegionBehaviorBase =
+  typeof foundry !== 'undefined' &&
+  foundry.data &&
+  foundry.data.regionBehaviors &&
+  foundry.data.regionBehaviors.RegionBehaviorType
+    ? foundry.data.regionBehaviors.RegionBehaviorType
+    : class {};
+
+export const CONCEALMENT_BEHAVIOR_TYPE = `${MODULE_ID}.Pf2eVisionerConcealment`;
+
+const OBSCUREMENT_STATES = ['concealed', 'hidden'];
+const SEVERITY = { observed: 0, concealed: 1, hidden: 2 };
+
+/**
+ * Senses that can be exempted, with their labels
+ * @type {Record<string, string>}
+ */
+export const EXEMPTABLE_SENSES = {
+  darkvision: 'Darkvision',
+  'greater-darkvision': 'Greater Darkvision',
+  'low-light-vision': 'Low-Light Vision',
+  truesight: 'Truesight',
+  'see-invisibility': 'See Invisibility',
+  echolocation: 'Echolocation',
+  tremorsense: 'Tremorsense',
+  scent: 'Scent',
+  lifesense: 'Lifesense',
+  wavesense: 'Wavesense',
+  thoughtsense: 'Thoughtsense',
+  'motion-sense': 'Motion Sense',
+};
+
+// Samples per grid square when walking the observer → target segment
+const SAMPLES_PER_SQUARE = 4;
+
+export class ConcealmentRegionBehavior extends RegionBehaviorBase {
+  static LOCALIZATION_PREFIXES = ['PF2E_VISIONER.CONCEALMENT_REGION_BEHAVIOR'];
+
+  static get label() {
+    return 'PF2e Visioner Concealment';
+  }
+
+  static defineSchema() {
+    const fields = foundry.data.fields;
+
+    return {
+      obscurement: new fields.StringField({
+        required: true,
+        choices: {
+          concealed: 'PF2E_VISIONER.CONCEALMENT_REGION_BEHAVIOR.OBSCUREMENT.concealed',
+          hidden: 'PF2E_VISIONER.CONCEALMENT_REGION_BEHAVIOR.OBSCUREMENT.hidden',
+        },
+        initial: 'concealed',
+        label: 'PF2E_VISIONER.CONCEALMENT_REGION_BEHAVIOR.OBSCUREMENT.label',
+        hint: 'PF2E_VISIONER.CONCEALMENT_REGION_BEHAVIOR.OBSCUREMENT.hint',
+      }),
+
+      exemptSenses: new fields.SetField(
+        new fields.StringField({ required: true, blank: false, choices: EXEMPTABLE_SENSES }),
+        {
+          label: 'PF2E_VISIONER.CONCEALMENT_REGION_BEHAVIOR.EXEMPT_SENSES.label',
+          hint: 'PF2E_VISIONER.CONCEALMENT_REGION_BEHAVIOR.EXEMPT_SENSES.hint',
+        },
+      ),
+    };
+  }
+
+  async _handleRegionEvent(_event) {}
+}
+
+/**
+ * Enabled concealment behaviors on the scene, with their region
+ * @param {Scene} [scene=canvas.scene]
+ * @returns {Array<{region: RegionDocument, behavior: RegionBehavior}>}
+ */
+export function getConcealmentRegionBehaviors(scene = canvas?.scene) {
+  const found = [];
+  for (const region of scene?.regions ?? []) {
+    for (const behavior of region?.behaviors ?? []) {
+      if (behavior?.type !== CONCEALMENT_BEHAVIOR_TYPE || behavior.disabled) continue;
+      found.push({ region, behavior });
+    }
+  }
+  return found;
+}
+
+function segmentTouchesRegion(region, p1, p2) {
+  const size = canvas?.grid?.size || 100;
+  const length = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+  const steps = Math.max(1, Math.ceil((length / size) * SAMPLES_PER_SQUARE));
+  // Endpoints included: standing inside the region counts as seeing through it
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const point = { x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t };
+    if (regionContainsPoint(region, point)) return true;
+  }
+  return false;
+}
+
+/**
+ * Most severe obscurement between an observer and a target caused by concealment regions
+ * @param {Token} observer
+ * @param {Token} target
+ * @param {Object} [options]
+ * @param {Array<{type:string}>} [options.senses] - Observer senses reaching the target; a region
+ *   is ignored when one of them is exempt
+ * @returns {{state:'concealed'|'hidden', reason:string}|null}
+ */
+export function getRegionConcealmentBetween(observer, target, { senses = [] } = {}) {
+  const behaviors = getConcealmentRegionBehaviors();
+  if (!behaviors.length || !observer || !target) return null;
+  const p1 = observer.center ?? observer.getCenter?.();
+  const p2 = target.center ?? target.getCenter?.();
+  if (!p1 || !p2) return null;
+  const senseTypes = new Set(senses.map((s) => s.type));
+
+  let best = null;
+  for (const { region, behavior } of behaviors) {
+    const system = behavior.system ?? {};
+    const state = OBSCUREMENT_STATES.includes(system.obscurement)
+      ? system.obscurement
+      : 'concealed';
+    if (best && SEVERITY[state] <= SEVERITY[best.state]) continue;
+    const exempt = Array.from(system.exemptSenses ?? []);
+    if (exempt.some((type) => senseTypes.has(type))) continue;
+    if (!segmentTouchesRegion(region, p1, p2)) continue;
+    best = { state, reason: region.name || behavior.name || 'obscuring region' };
+  }
+  return best;
+}
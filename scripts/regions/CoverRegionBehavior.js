@@ -0,0 +1,206 @@
+/**
+ * PF2e Visioner Cover Region Behavior
+ *
+ * Marks a region (hedges, crates, rubble) as granting lesser, standard or greater cover.
+ * The behavior reacts to no events: auto-cover reads it whenever cover is detected, through
+ * getRegionCoverBetween, so attacks, the cover visualization grid and, when the region allows it,
+ * Reflex saves and Stealth checks all see it.
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { getTokenRect, getTokenVerticalSpanFt } from '../helpers/size-elevation-utils.js';
+
+const RegionBehaviorBase =
+  typeof foundry !== 'undefined' &&
+  foundry.data &&
+  foundry.data.regionBehaviors &&
+  foundry.data.regionBehaviors.RegionBehaviorType
+    ? foundry.data.regionBehaviors.RegionBehaviorType
+    : class {};
+
+export const COVER_BEHAVIOR_TYPE = `${MODULE_ID}.Pf2eVisionerCover`;
+
+const COVER_LEVELS = ['lesser', 'standard', 'greater'];
+const COVER_ORDER = ['none', 'lesser', 'standard', 'greater'];
+
+// Samples per grid square when walking the attacker → target segment
+const SAMPLES_PER_SQUARE = 4;
+
+export class CoverRegionBehavior extends RegionBehaviorBase {
+  static LOCALIZATION_PREFIXES = ['PF2E_VISIONER.COVER_REGION_BEHAVIOR'];
+
+  static get label() {
+    return 'PF2e Visioner Cover';
+  }
+
+  static defineSchema() {
+    const fields = foundry.data.fields;
+
+    return {
+      coverLevel: new fields.StringField({
+        required: true,
+        choices: Object.fromEntries(
+          COVER_LEVELS.map((k) => [k, `PF2E_VISIONER.COVER_STATES.${k}`]),
+        ),
+        initial: 'standard',
+        label: 'PF2E_VISIONER.COVER_REGION_BEHAVIOR.COVER_LEVEL.label',
+        hint: 'PF2E_VISIONER.COVER_REGION_BEHAVIOR.COVER_LEVEL.hint',
+      }),
+
+      heightFt: new fields.NumberField({
+        required: false,
+        nullable: false,
+        min: 0,
+        initial: 5,
+        label: 'PF2E_VISIONER.COVER_REGION_BEHAVIOR.HEIGHT.label',
+        hint: 'PF2E_VISIONER.COVER_REGION_BEHAVIOR.HEIGHT.hint',
+      }),
+
+      lineOfEffectOnly: new fields.BooleanField({
+        required: false,
+        initial: true,
+        label: 'PF2E_VISIONER.COVER_REGION_BEHAVIOR.LINE_OF_EFFECT_ONLY.label',
+        hint: 'PF2E_VISIONER.COVER_REGION_BEHAVIOR.LINE_OF_EFFECT_ONLY.hint',
+      }),
+
+      applyToReflex: new fields.BooleanField({
+        required: false,
+        initial: true,
+        label: 'PF2E_VISIONER.COVER_REGION_BEHAVIOR.APPLY_TO_REFLEX.label',
+        hint: 'PF2E_VISIONER.COVER_REGION_BEHAVIOR.APPLY_TO_REFLEX.hint',
+      }),
+
+      applyToStealth: new fields.BooleanField({
+        required: false,
+        initial: true,
+        label: 'PF2E_VISIONER.COVER_REGION_BEHAVIOR.APPLY_TO_STEALTH.label',
+        hint: 'PF2E_VISIONER.COVER_REGION_BEHAVIOR.APPLY_TO_STEALTH.hint',
+      }),
+    };
+  }
+
+  async _handleRegionEvent(_event) {}
+}
+
+/**
+ * Whether a point lies inside a region document
+ * @param {RegionDocument} region
+ * @param {{x:number, y:number}} point
+ * @returns {boolean}
+ */
+export function regionContainsPoint(region, point) {
+  try {
+    if (region?.polygonTree?.testPoint) return !!region.polygonTree.testPoint(point);
+    const polygons = region?.polygons ?? region?.object?.polygons ?? [];
+    return polygons.some((p) => p?.contains?.(point.x, point.y));
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Enabled cover behaviors on the scene, with their region
+ * @param {Scene} [scene=canvas.scene]
+ * @returns {Array<{region: RegionDocument, behavior: RegionBehavior}>}
+ */
+export function getCoverRegionBehaviors(scene = canvas?.scene) {
+  const found = [];
+  for (const region of scene?.regions ?? []) {
+    for (const behavior of region?.behaviors ?? []) {
+      if (behavior?.type !== COVER_BEHAVIOR_TYPE || behavior.disabled) continue;
+      found.push({ region, behavior });
+    }
+  }
+  return found;
+}
+
+function insideRect(point, rect) {
+  return (
+    !!rect && point.x >= rect.x1 && point.x <= rect.x2 && point.y >= rect.y1 && point.y <= rect.y2
+  );
+}
+
+function segmentCrossesRegion(region, p1, p2, excluded) {
+  const size = canvas?.grid?.size || 100;
+  const length = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+  const steps = Math.max(2, Math.ceil((length / size) * SAMPLES_PER_SQUARE));
+  for (let i = 1; i < steps; i++) {
+    const t = i / steps;
+    const point = { x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t };
+    if (excluded.some((rect) => insideRect(point, rect))) continue;
+    if (regionContainsPoint(region, point)) return true;
+  }
+  return false;
+}
+
+// Region elevations are null when unbounded
+function finiteOr(value, fallback) {
+  return value !== null && value !== undefined && Number.isFinite(Number(value))
+    ? Number(value)
+    : fallback;
+}
+
+function rectOf(token) {
+  try {
+    if (!token?.document || !(token.document.width > 0)) return null;
+    return getTokenRect(token);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Cover regions that grant cover between an attacker (or origin point) and a target
+ * @param {Token|Object} attacker - Attacker token or attacker-like object with a center
+ * @param {Token} target
+ * @param {Object} [options]
+ * @param {'attack'|'reflex'|'stealth'} [options.context='attack'] - What the cover is for
+ * @returns {Array<{region: Region, level: string}>}
+ */
+export function getRegionCoverSources(attacker, target, { context = 'attack' } = {}) {
+  const behaviors = getCoverRegionBehaviors();
+  if (!behaviors.length || !attacker || !target) return [];
+
+  const p1 = attacker.center ?? attacker.getCenter?.();
+  const p2 = target.center ?? target.getCenter?.();
+  if (!p1 || !p2) return [];
+  const excluded = [rectOf(attacker), rectOf(target)].filter(Boolean);
+  const attackerSpan = getTokenVerticalSpanFt(attacker);
+  const targetSpan = getTokenVerticalSpanFt(target);
+
+  const sources = [];
+  for (const { region, behavior } of behaviors) {
+    const system = behavior.system ?? {};
+    if (context === 'reflex' && system.applyToReflex === false) continue;
+    if (context === 'stealth' && system.applyToStealth === false) continue;
+    const level = COVER_LEVELS.includes(system.coverLevel) ? system.coverLevel : 'standard';
+
+    // Line of effect passes over (or under) the obstacle
+    const bottom = finiteOr(region.elevation?.bottom, 0);
+    const height = Number(system.heightFt) || 0;
+    const top = height > 0 ? bottom + height : finiteOr(region.elevation?.top, Infinity);
+    if (Math.min(attackerSpan.bottom, targetSpan.bottom) >= top) continue;
+    if (Math.max(attackerSpan.top, targetSpan.top) <= bottom) continue;
+
+    const crosses = segmentCrossesRegion(region, p1, p2, excluded);
+    const standsInside = !system.lineOfEffectOnly && regionContainsPoint(region, p2);
+    if (crosses || standsInside) sources.push({ region, level });
+  }
+  return sources;
+}
+
+/**
+ * Highest cover granted by cover regions between an attacker (or origin point) and a target
+ * @param {Token|Object} attacker - Attacker token or attacker-like object with a center
+ * @param {Token} target
+ * @param {Object} [options]
+ * @param {'attack'|'reflex'|'stealth'} [options.context='attack'] - What the cover is for
+ * @returns {string} 'none', 'lesser', 'standard' or 'greater'
+ */
+export function getRegionCoverBetween(attacker, target, options = {}) {
+  let best = 'none';
+  for (const { level } of getRegionCoverSources(attacker, target, options)) {
+    if (COVER_ORDER.indexOf(level) > COVER_ORDER.indexOf(best)) best = level;
+  }
+  return best;
+}
@@ -495,7 +495,10 @@ export class VisibilityRegionBehavior extends RegionBehaviorBase {
 
             resolved += 1;
             promises.push(
-              setVisibilityBetween(sourceToken, targetToken, state).catch((err) => ({
+              setVisibilityBetween(sourceToken, targetToken, state, {
+                direction: 'observer_to_target',
+                audit: { source: 'region', reason: this.parent?.name ?? null },
+              }).catch((err) => ({
                 err,
                 update,
               })),
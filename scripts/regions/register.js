@@ -2,17 +2,29 @@
  * Register region behaviors using multiple approaches to ensure it works
  */
 
+import { ConcealmentRegionBehavior } from './ConcealmentRegionBehavior.js';
+import { CoverRegionBehavior } from './CoverRegionBehavior.js';
 import { VisibilityRegionBehavior } from './VisibilityRegionBehavior.js';
 
 import { MODULE_ID } from '../constants.js';
 
 const behaviorKey = `${MODULE_ID}.Pf2eVisionerVisibility`;
+const coverBehaviorKey = `${MODULE_ID}.Pf2eVisionerCover`;
+const concealmentBehaviorKey = `${MODULE_ID}.Pf2eVisionerConcealment`;
 
 function registerBehavior() {
   if (typeof CONFIG !== 'undefined' && CONFIG.RegionBehavior) {
     CONFIG.RegionBehavior.dataModels[behaviorKey] = VisibilityRegionBehavior;
     CONFIG.RegionBehavior.typeLabels[behaviorKey] = 'PF2e Visioner Visibility';
     CONFIG.RegionBehavior.typeIcons[behaviorKey] = 'fa-solid fa-eye';
+
+    CONFIG.RegionBehavior.dataModels[coverBehaviorKey] = CoverRegionBehavior;
+    CONFIG.RegionBehavior.typeLabels[coverBehaviorKey] = 'PF2e Visioner Cover';
+    CONFIG.RegionBehavior.typeIcons[coverBehaviorKey] = 'fa-solid fa-shield-halved';
+
+    CONFIG.RegionBehavior.dataModels[concealmentBehaviorKey] = ConcealmentRegionBehavior;
+    CONFIG.RegionBehavior.typeLabels[concealmentBehaviorKey] = 'PF2e Visioner Concealment';
+    CONFIG.RegionBehavior.typeIcons[concealmentBehaviorKey] = 'fa-solid fa-smog';
   }
 }
 
@@ -144,6 +144,14 @@ function createVisibilityRuleElement(baseRuleElementClass, fields) {
         label: 'Requires Initiative',
       });
 
+      schema.expiry = new fields.StringField({
+        required: false,
+        choices: ['none', 'turn-end', 'turn-start', 'rounds', 'move'],
+        initial: 'none',
+        label: 'Expiry',
+        hint: "When the changed states revert: end of the subject's turn, start of its next turn, after durationRounds rounds, or when it moves",
+      });
+
       schema.range = new fields.NumberField({
         required: false,
         nullable: true,
@@ -225,8 +233,18 @@ function createVisibilityRuleElement(baseRuleElementClass, fields) {
             // TO direction: effect on subject
             effectTarget: 'subject',
             direction: this.direction,
+            audit: { source: 'rule-element', reason: this.item?.name ?? null },
           };
 
+          // Timed states are anchored to the subject's turns and movement
+          if (this.expiry && this.expiry !== 'none' && this.mode !== 'remove') {
+            options.expiry = {
+              type: this.expiry,
+              rounds: this.durationRounds,
+              tokenId: this.direction === 'from' ? subjectToken.id : observerToken.id,
+            };
+          }
+
           // For remove mode, ensure we remove all effects
           if (this.mode === 'remove') {
             options.removeAllEffects = true;
@@ -359,6 +377,7 @@ function createVisibilityRuleElement(baseRuleElementClass, fields) {
             // TO direction: effect on subject
             effectTarget: 'subject',
             direction: this.direction,
+            audit: { source: 'rule-element', reason: this.item?.name ?? null },
           });
         }
       }
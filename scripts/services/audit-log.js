@@ -0,0 +1,225 @@
+/**
+ * Visibility and cover audit log.
+ * Every write to a token's visibility or cover map is captured in preUpdateToken and recorded as
+ * one entry per pair: observer, target, old and new state, source, chat message, user and time.
+ * Writers describe themselves by passing `options.audit` ({ source, action, messageId, reason })
+ * to the store helpers, which forward it as the AUDIT_OPTION document update option. Entries are
+ * kept on `flags.pf2e-visioner.auditLog` of each scene, newest last, capped at MAX_AUDIT_ENTRIES.
+ */
+
+import { MODULE_ID, MODULE_TITLE } from '../constants.js';
+
+/** Document update option carrying the audit metadata of a write */
+export const AUDIT_OPTION = 'pf2eVisionerAudit';
+
+export const AUDIT_FLAG = 'auditLog';
+
+export const MAX_AUDIT_ENTRIES = 500;
+
+/**
+ * Known sources and their labels. Writes that do not describe themselves are logged as 'other'.
+ * @type {Record<string, string>}
+ */
+export const AUDIT_SOURCES = {
+  api: 'API',
+  'token-manager': 'Token Manager',
+  'quick-panel': 'Quick Panel',
+  action: 'Chat Action',
+  revert: 'Action Revert',
+  region: 'Region',
+  'rule-element': 'Rule Element',
+  derived: 'Auto-Visibility',
+  snapshot: 'Snapshot',
+  import: 'Scene Import',
+  expiry: 'Expiry',
+  movement: 'Movement',
+  other: 'Other',
+};
+
+const DEFAULT_STATES = { visibility: 'observed', cover: 'none' };
+
+// sceneId → entries waiting to be written
+const pending = new Map();
+let flushTimer = null;
+
+/**
+ * Build document update options for a write, merging in its audit metadata
+ * @param {Object} updateOptions - Options passed to Document#update
+ * @param {Object} [audit] - { source, action, messageId, reason }
+ * @returns {Object}
+ */
+export function withAuditOptions(updateOptions, audit) {
+  if (!audit) return updateOptions;
+  return { ...updateOptions, [AUDIT_OPTION]: audit };
+}
+
+/**
+ * Turn a token update into audit entries. Pure: reads the document's current flags as the old
+ * states and the update's visibility / cover maps as the new ones.
+ * @param {TokenDocument} tokenDoc - Observer token document, before the update
+ * @param {Object} changes - Update data
+ * @param {Object} [options] - Update options
+ * @param {string} [userId] - User performing the update
+ * @returns {Array<Object>}
+ */
+export function collectAuditEntries(tokenDoc, changes, options = {}, userId = null) {
+  const expanded = foundry.utils.expandObject?.(changes ?? {}) ?? changes ?? {};
+  const moduleChanges = expanded?.flags?.[MODULE_ID];
+  if (!tokenDoc || !moduleChanges) return [];
+
+  const audit = options?.[AUDIT_OPTION] ?? {};
+  const currentFlags = tokenDoc.flags?.[MODULE_ID] ?? {};
+  const derived = moduleChanges.derivedVisibility ?? {};
+  const timestamp = Date.now();
+  const entries = [];
+
+  for (const kind of ['visibility', 'cover']) {
+    const oldMap = currentFlags[kind] ?? {};
+    const fallback = DEFAULT_STATES[kind];
+    const nextMap = {};
+    if (moduleChanges[`-=${kind}`] !== undefined) {
+      for (const id of Object.keys(oldMap)) nextMap[id] = fallback;
+    }
+    for (const [key, value] of Object.entries(moduleChanges[kind] ?? {})) {
+      if (key.startsWith('-=')) nextMap[key.slice(2)] = fallback;
+      else if (typeof value === 'string') nextMap[key] = value;
+    }
+
+    for (const [targetId, newState] of Object.entries(nextMap)) {
+      const oldState = oldMap[targetId] ?? fallback;
+      if (oldState === newState) continue;
+      const reason =
+        audit.reason ?? (kind === 'visibility' ? (derived[targetId]?.reason ?? null) : null);
+      entries.push({
+        id: foundry.utils.randomID?.() ?? `${timestamp}-${entries.length}`,
+        kind,
+        observerId: tokenDoc.id,
+        observerName: tokenDoc.name ?? '',
+        targetId,
+        targetName: resolveTokenName(tokenDoc, targetId),
+        oldState,
+        newState,
+        source: audit.source && AUDIT_SOURCES[audit.source] ? audit.source : 'other',
+        action: audit.action ?? null,
+        messageId: audit.messageId ?? null,
+        reason,
+        userId: userId ?? game.user?.id ?? null,
+        timestamp,
+      });
+    }
+  }
+  return entries;
+}
+
+function resolveTokenName(tokenDoc, tokenId) {
+  try {
+    const doc = tokenDoc.parent?.tokens?.get?.(tokenId) ?? canvas?.tokens?.get?.(tokenId)?.document;
+    return doc?.name ?? tokenId;
+  } catch (_) {
+    return tokenId;
+  }
+}
+
+/**
+ * Whether this client records entries
+ * @returns {boolean}
+ */
+export function isAuditLogEnabled() {
+  try {
+    return !!game.user?.isGM && !!game.settings.get(MODULE_ID, 'visibilityAuditLog');
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * preUpdateToken handler. Only runs on the client performing the update, so each change is
+ * recorded once.
+ */
+export function onPreUpdateToken(tokenDoc, changes, options, userId) {
+  if (!isAuditLogEnabled()) return;
+  try {
+    const entries = collectAuditEntries(tokenDoc, changes, options, userId);
+    const sceneId = tokenDoc.parent?.id;
+    if (!entries.length || !sceneId) return;
+    if (!pending.has(sceneId)) pending.set(sceneId, []);
+    pending.get(sceneId).push(...entries);
+    scheduleFlush();
+  } catch (error) {
+    console.warn(`${MODULE_TITLE}: Failed to record audit entries:`, error);
+  }
+}
+
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushAuditLog();
+  }, 250);
+}
+
+/**
+ * Write buffered entries to their scenes
+ * @returns {Promise<void>}
+ */
+export async function flushAuditLog() {
+  const batches = Array.from(pending.entries());
+  pending.clear();
+  for (const [sceneId, entries] of batches) {
+    const scene = game.scenes?.get?.(sceneId);
+    if (!scene) continue;
+    try {
+      const log = [...getAuditLog(scene), ...entries].slice(-MAX_AUDIT_ENTRIES);
+      await scene.setFlag(MODULE_ID, AUDIT_FLAG, log);
+    } catch (error) {
+      console.warn(`${MODULE_TITLE}: Failed to write audit log:`, error);
+    }
+  }
+}
+
+/**
+ * Read a scene's audit log, optionally filtered
+ * @param {Scene} [scene=canvas.scene]
+ * @param {Object} [filters]
+ * @param {string} [filters.tokenId] - Entries where the token is observer or target
+ * @param {string} [filters.observerId]
+ * @param {string} [filters.targetId]
+ * @param {string} [filters.source]
+ * @param {'visibility'|'cover'} [filters.kind]
+ * @param {string} [filters.messageId]
+ * @returns {Array<Object>} Oldest first
+ */
+export function getAuditLog(scene = canvas?.scene, filters = {}) {
+  const log = scene?.getFlag?.(MODULE_ID, AUDIT_FLAG) ?? scene?.flags?.[MODULE_ID]?.[AUDIT_FLAG];
+  const entries = Array.isArray(log) ? log : [];
+  const { tokenId, observerId, targetId, source, kind, messageId } = filters ?? {};
+  return entries.filter(
+    (e) =>
+      (!tokenId || e.observerId === tokenId || e.targetId === tokenId) &&
+      (!observerId || e.observerId === observerId) &&
+      (!targetId || e.targetId === targetId) &&
+      (!source || e.source === source) &&
+      (!kind || e.kind === kind) &&
+      (!messageId || e.messageId === messageId),
+  );
+}
+
+/**
+ * Remove every entry of a scene's log
+ * @param {Scene} [scene=canvas.scene]
+ */
+export async function clearAuditLog(scene = canvas?.scene) {
+  if (!game.user?.isGM || !scene) return;
+  pending.delete(scene.id);
+  await scene.unsetFlag(MODULE_ID, AUDIT_FLAG);
+}
+
+/**
+ * Open the audit log window
+ * @param {Object} [filters] - Initial filters
+ */
+export async function openAuditLogWindow(filters = {}) {
+  if (!game.user?.isGM) return null;
+  const { AuditLogWindow } = await import('../managers/audit-log.js');
+  return AuditLogWindow.open(filters);
+}
@@ -0,0 +1,165 @@
+/**
+ * Combat tracker integration
+ * Players: combatants undetected to every token the player owns are shown as "Unknown creature",
+ * and combatants hidden to all of them get an icon. GM: each combatant gets a badge counting the
+ * enemies it is hidden or undetected to. Driven by the visibility maps and re-rendered on change.
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { shouldFilterAlly } from '../chat/services/infra/shared-utils.js';
+import { getVisibilityMap } from '../utils.js';
+
+export const UNKNOWN_CREATURE_NAME = 'Unknown creature';
+const UNKNOWN_CREATURE_IMG = 'icons/svg/mystery-man.svg';
+const RENDER_DEBOUNCE_MS = 100;
+
+let renderTimer = null;
+
+function isEnabled() {
+  try {
+    return !!game.settings.get(MODULE_ID, 'combatTrackerVisibility');
+  } catch (_) {
+    return false;
+  }
+}
+
+function isCreature(token) {
+  return !!token?.actor && token.actor.type !== 'loot' && token.actor.type !== 'hazard';
+}
+
+function getCombatantToken(combatant) {
+  return combatant?.token?.object ?? canvas?.tokens?.get?.(combatant?.tokenId) ?? null;
+}
+
+/**
+ * Tokens on the scene owned by the current user; their combined view decides what the tracker shows
+ * @returns {Token[]}
+ */
+export function getViewerTokens() {
+  return (canvas?.tokens?.placeables ?? []).filter((t) => isCreature(t) && t.actor.isOwner);
+}
+
+/**
+ * How well a group of viewers knows a creature, taking the best-placed viewer
+ * @param {Token} target
+ * @param {Token[]} viewers
+ * @returns {'unknown'|'hidden'|null} unknown: undetected to all; hidden: hidden or undetected to
+ *   all; null when at least one viewer observes it or no viewer applies
+ */
+export function getCombatantAwareness(target, viewers) {
+  const others = (viewers ?? []).filter((v) => v !== target && v.id !== target?.id);
+  if (!target || !others.length) return null;
+  const states = others.map((v) => getVisibilityMap(v)?.[target.document.id] || 'observed');
+  if (states.every((s) => s === 'undetected')) return 'unknown';
+  if (states.every((s) => s === 'hidden' || s === 'undetected')) return 'hidden';
+  return null;
+}
+
+/**
+ * Enemies on the scene the creature is hidden or undetected to
+ * @param {Token} target
+ * @returns {{hidden: number, undetected: number}}
+ */
+export function countConcealingEnemies(target) {
+  const counts = { hidden: 0, undetected: 0 };
+  if (!target) return counts;
+  for (const observer of canvas?.tokens?.placeables ?? []) {
+    if (observer === target || observer.id === target.id || !isCreature(observer)) continue;
+    if (shouldFilterAlly(target, observer, 'enemies', true)) continue;
+    const state = getVisibilityMap(observer)?.[target.document.id];
+    if (state === 'hidden' || state === 'undetected') counts[state]++;
+  }
+  return counts;
+}
+
+function describeCounts({ hidden, undetected }) {
+  const parts = [];
+  if (hidden) parts.push(`hidden from ${hidden}`);
+  if (undetected) parts.push(`undetected by ${undetected}`);
+  const text = `${parts.join(', ')} ${hidden + undetected === 1 ? 'enemy' : 'enemies'}`;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function addGMBadge(row, token) {
+  const counts = countConcealingEnemies(token);
+  const total = counts.hidden + counts.undetected;
+  if (!total) return;
+  const badge = document.createElement('span');
+  badge.className = 'pf2e-visioner-combat-badge';
+  badge.classList.toggle('undetected', counts.undetected > 0);
+  badge.dataset.tooltip = describeCounts(counts);
+  badge.innerHTML = `<i class="fas fa-eye-slash"></i> ${total}`;
+  const nameEl = row.querySelector('.token-name .name, .token-name h4, .token-name');
+  (nameEl ?? row).appendChild(badge);
+}
+
+function maskRow(row, awareness) {
+  const nameEl = row.querySelector('.token-name .name, .token-name h4');
+  if (awareness === 'unknown') {
+    if (nameEl) nameEl.textContent = UNKNOWN_CREATURE_NAME;
+    const img = row.querySelector('img.token-image');
+    if (img) {
+      img.src = UNKNOWN_CREATURE_IMG;
+      img.removeAttribute('data-src');
+      img.alt = UNKNOWN_CREATURE_NAME;
+    }
+    row.classList.add('pf2e-visioner-unknown-combatant');
+    return;
+  }
+  const icon = document.createElement('i');
+  icon.className = 'fas fa-eye-slash pf2e-visioner-combat-hidden-icon';
+  icon.dataset.tooltip = 'Hidden from your tokens';
+  (nameEl ?? row).appendChild(icon);
+}
+
+/**
+ * Adjust combatant rows after the tracker renders
+ * @param {CombatTracker} app
+ * @param {HTMLElement|jQuery} html
+ */
+export function onRenderCombatTracker(app, html) {
+  if (!isEnabled()) return;
+  const root = html?.jquery ? html[0] : html;
+  const combat = app?.viewed ?? game.combat;
+  if (!root || !combat) return;
+  // Visibility maps live on the canvas tokens, so only the viewed scene's encounter applies
+  if (combat.scene && canvas?.scene && combat.scene.id !== canvas.scene.id) return;
+
+  const isGM = !!game.user?.isGM;
+  const viewers = isGM ? [] : getViewerTokens();
+  if (!isGM && !viewers.length) return;
+
+  for (const row of root.querySelectorAll('[data-combatant-id]')) {
+    try {
+      const combatant = combat.combatants?.get?.(row.dataset.combatantId);
+      const token = getCombatantToken(combatant);
+      if (!isCreature(token)) continue;
+      if (isGM) {
+        addGMBadge(row, token);
+        continue;
+      }
+      if (token.actor.isOwner) continue;
+      const awareness = getCombatantAwareness(token, viewers);
+      if (awareness) maskRow(row, awareness);
+    } catch (_) {}
+  }
+}
+
+/**
+ * Re-render the tracker when visibility maps change; bursts of updates render once
+ * @param {TokenDocument} _doc
+ * @param {Object} changes
+ */
+export function onUpdateTokenCombatTracker(_doc, changes) {
+  if (!isEnabled() || !game.combat) return;
+  const flags = changes?.flags?.[MODULE_ID];
+  if (!flags) return;
+  if (!Object.keys(flags).some((k) => k.replace(/^-=/, '') === 'visibility')) return;
+  if (renderTimer) clearTimeout(renderTimer);
+  renderTimer = setTimeout(() => {
+    renderTimer = null;
+    try {
+      ui.combat?.render();
+    } catch (_) {}
+  }, RENDER_DEBOUNCE_MS);
+}
@@ -0,0 +1,228 @@
+/**
+ * Public Hooks events for Visioner state changes.
+ * Token map writes are collected in preUpdateToken (old state known) and released once the update
+ * lands in updateToken, keeping only the states the update actually produced. Everything queued
+ * within a short window is emitted as one aggregated event per hook, so a batch write of many
+ * pairs fires each hook once with an array of changes.
+ * Events fire on the client that performed the change.
+ */
+
+import { MODULE_ID, MODULE_TITLE } from '../constants.js';
+import { AUDIT_OPTION, collectAuditEntries } from './audit-log.js';
+
+/**
+ * Hook names. State hooks get an array of change records; action hooks get one event object
+ * holding its changes (see README "Events").
+ * @type {Record<string, string>}
+ */
+export const VISIONER_HOOKS = {
+  visibilityChanged: 'pf2e-visioner.visibilityChanged',
+  coverChanged: 'pf2e-visioner.coverChanged',
+  hiddenWallDiscovered: 'pf2e-visioner.hiddenWallDiscovered',
+  autoCoverComputed: 'pf2e-visioner.autoCoverComputed',
+  actionApplied: 'pf2e-visioner.actionApplied',
+  actionReverted: 'pf2e-visioner.actionReverted',
+};
+
+// Window in ms during which queued records are merged into one event
+const AGGREGATE_WINDOW = 50;
+// Collected records older than this belong to updates that never landed
+const STALE_AFTER = 10000;
+
+// Token document uuid → records collected in preUpdateToken, oldest first
+const inFlight = new Map();
+// Hook name → records waiting to be emitted
+const queued = new Map();
+let emitTimer = null;
+
+function tokenObject(id) {
+  try {
+    return canvas?.tokens?.get?.(id) ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Hidden wall discoveries in a token update: walls whose state for this observer becomes
+ * 'observed' after being hidden or unknown
+ * @param {TokenDocument} tokenDoc - Observer token document, before the update
+ * @param {Object} changes - Update data
+ * @param {Object} [options] - Update options
+ * @returns {Array<Object>}
+ */
+export function collectWallDiscoveries(tokenDoc, changes, options = {}) {
+  const expanded = foundry.utils.expandObject?.(changes ?? {}) ?? changes ?? {};
+  const moduleChanges = expanded?.flags?.[MODULE_ID];
+  if (!tokenDoc || !moduleChanges?.walls || typeof moduleChanges.walls !== 'object') return [];
+  const oldMap = tokenDoc.flags?.[MODULE_ID]?.walls ?? {};
+  const audit = options?.[AUDIT_OPTION] ?? {};
+  const discoveries = [];
+  for (const [wallId, newState] of Object.entries(moduleChanges.walls)) {
+    if (wallId.startsWith('-=') || newState !== 'observed') continue;
+    const oldState = oldMap[wallId] ?? 'hidden';
+    if (oldState === 'observed') continue;
+    const wall = tokenDoc.parent?.walls?.get?.(wallId) ?? null;
+    // Only walls flagged as hidden count as discoveries
+    if (wall && !wall.getFlag?.(MODULE_ID, 'hiddenWall')) continue;
+    discoveries.push({
+      observerId: tokenDoc.id,
+      wallId,
+      wallIdentifier: wall?.getFlag?.(MODULE_ID, 'wallIdentifier') ?? null,
+      oldState,
+      newState,
+      source: audit.source ?? 'other',
+      action: audit.action ?? null,
+      messageId: audit.messageId ?? null,
+    });
+  }
+  return discoveries;
+}
+
+/**
+ * preUpdateToken handler: remember which pairs the update changes
+ */
+export function onPreUpdateTokenEvents(tokenDoc, changes, options, userId) {
+  try {
+    const entries = collectAuditEntries(tokenDoc, changes, options, userId);
+    const walls = collectWallDiscoveries(tokenDoc, changes, options);
+    if (!entries.length && !walls.length) return;
+    const key = tokenDoc.uuid ?? tokenDoc.id;
+    if (!inFlight.has(key)) inFlight.set(key, []);
+    inFlight.get(key).push({ entries, walls, at: Date.now() });
+  } catch (error) {
+    console.warn(`${MODULE_TITLE}: Failed to collect change events:`, error);
+  }
+}
+
+/**
+ * updateToken handler: queue the changes collected for this update now that it has landed
+ */
+export function onUpdateTokenEvents(tokenDoc, _changes, _options, userId) {
+  if (userId && game.user?.id && userId !== game.user.id) return;
+  const key = tokenDoc?.uuid ?? tokenDoc?.id;
+  const list = inFlight.get(key);
+  if (!list?.length) return;
+  let record = list.shift();
+  while (record && Date.now() - record.at > STALE_AFTER) record = list.shift();
+  if (!list.length) inFlight.delete(key);
+  if (!record) return;
+
+  const flags = tokenDoc.flags?.[MODULE_ID] ?? {};
+  const landed = (entry) =>
+    (flags[entry.kind]?.[entry.targetId] ?? (entry.kind === 'cover' ? 'none' : 'observed')) ===
+    entry.newState;
+  for (const entry of record.entries.filter(landed)) {
+    const hook =
+      entry.kind === 'cover' ? VISIONER_HOOKS.coverChanged : VISIONER_HOOKS.visibilityChanged;
+    queueEvent(hook, {
+      observer: tokenObject(entry.observerId),
+      target: tokenObject(entry.targetId),
+      observerId: entry.observerId,
+      targetId: entry.targetId,
+      oldState: entry.oldState,
+      newState: entry.newState,
+      source: entry.source,
+      action: entry.action,
+      messageId: entry.messageId,
+      reason: entry.reason,
+      userId: entry.userId,
+    });
+  }
+  for (const discovery of record.walls.filter((d) => flags.walls?.[d.wallId] === 'observed')) {
+    queueEvent(VISIONER_HOOKS.hiddenWallDiscovered, {
+      ...discovery,
+      observer: tokenObject(discovery.observerId),
+      wall: canvas?.walls?.get?.(discovery.wallId) ?? null,
+    });
+  }
+}
+
+/**
+ * Add a record to the aggregated event of a hook
+ * @param {string} hook - One of VISIONER_HOOKS
+ * @param {Object} record
+ */
+export function queueEvent(hook, record) {
+  if (!queued.has(hook)) queued.set(hook, []);
+  queued.get(hook).push(record);
+  if (emitTimer) return;
+  emitTimer = setTimeout(() => {
+    emitTimer = null;
+    flushEvents();
+  }, AGGREGATE_WINDOW);
+}
+
+/**
+ * Emit every queued event now, one Hooks call per hook
+ */
+export function flushEvents() {
+  if (emitTimer) {
+    clearTimeout(emitTimer);
+    emitTimer = null;
+  }
+  const batches = Array.from(queued.entries());
+  queued.clear();
+  for (const [hook, records] of batches) {
+    try {
+      Hooks.callAll(hook, records);
+    } catch (error) {
+      console.warn(`${MODULE_TITLE}: A listener of ${hook} failed:`, error);
+    }
+  }
+}
+
+/**
+ * Announce an auto-cover result computed for a roll
+ * @param {Token|Object} attacker - Attacker token, or the origin point of a template
+ * @param {Token} target
+ * @param {string} newState - Detected cover
+ * @param {string|null} oldState - Auto-cover stored for the pair before this roll
+ * @param {string} [context] - Roll kind, e.g. 'attack-roll'
+ */
+export function emitAutoCoverComputed(attacker, target, newState, oldState = null, context = null) {
+  const isToken = !!attacker?.document;
+  queueEvent(VISIONER_HOOKS.autoCoverComputed, {
+    observer: isToken ? attacker : null,
+    origin: isToken ? null : { x: attacker?.x, y: attacker?.y },
+    target,
+    observerId: isToken ? attacker.id : null,
+    targetId: target?.id ?? null,
+    oldState,
+    newState,
+    source: 'auto-cover',
+    context,
+  });
+}
+
+/**
+ * Announce an applied or reverted chat action with all its changes in one event
+ * @param {'applied'|'reverted'} kind
+ * @param {Object} actionData
+ * @param {string} actionType
+ * @param {Array<Object>} changes - Changes passed to applyChangesInternal
+ */
+export function emitActionEvent(kind, actionData, actionType, changes) {
+  const hook = kind === 'reverted' ? VISIONER_HOOKS.actionReverted : VISIONER_HOOKS.actionApplied;
+  const records = (changes ?? []).map((ch) => ({
+    observer: ch.observer ?? null,
+    target: ch.target ?? null,
+    observerId: ch.observer?.id ?? null,
+    targetId: ch.target?.id ?? null,
+    wallId: ch.wallId ?? null,
+    oldState: ch.oldVisibility ?? ch.oldCover ?? null,
+    newState: ch.overrideState ?? ch.newWallState ?? ch.newVisibility ?? ch.newCover ?? null,
+  }));
+  try {
+    Hooks.callAll(hook, {
+      actionType,
+      messageId: actionData?.messageId ?? null,
+      actor: actionData?.actor ?? null,
+      source: kind === 'reverted' ? 'revert' : 'action',
+      userId: game.user?.id ?? null,
+      changes: records,
+    });
+  } catch (error) {
+    console.warn(`${MODULE_TITLE}: A listener of ${hook} failed:`, error);
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * Reveal on movement
+ * A hidden or undetected creature that moves without Sneaking becomes observed by each observer
+ * with line of sight to where it stops, unless it has standard or greater cover or concealment
+ * from that observer there. Depending on the "Reveal on Movement" setting the GM is prompted or
+ * the reveals are applied directly. Moves covered by a Sneak are exempt: a Sneak rolled before
+ * moving exempts the next move, and one rolled or applied after a move exempts (and undoes the
+ * automatic reveals of) the move just made.
+ */
+
+import { MODULE_ID, MODULE_TITLE } from '../constants.js';
+import { evaluateSneakRequirements } from '../chat/services/infra/sneak-requirements.js';
+import { escapeHTML } from '../helpers/html-utils.js';
+import { getVisibilityBetween } from '../utils.js';
+import conditionEvaluator from '../visibility/auto-visibility/ConditionEvaluator.js';
+import elevationEvaluator from '../visibility/auto-visibility/ElevationEvaluator.js';
+
+const REVEALABLE_STATES = new Set(['hidden', 'undetected']);
+const REVEAL_AUDIT = { source: 'movement', action: 'reveal-on-move' };
+// Cover and concealment only; the distance limit of a Sneak does not apply to a Stride
+const NO_MOVEMENT = { path: [], distanceFt: 0, maxDistanceFt: null };
+
+// mover token id → { key, next } of the move a Sneak covers
+const sneakExemptions = new Map();
+// mover token id → { key, reveals, applied } of its latest move that revealed it
+const lastReveals = new Map();
+// mover token ids with an open GM prompt
+const prompting = new Set();
+
+/**
+ * @returns {'off'|'prompt'|'auto'}
+ */
+export function getRevealMode() {
+  try {
+    return game.settings.get(MODULE_ID, 'revealOnMove') || 'off';
+  } catch (_) {
+    return 'off';
+  }
+}
+
+function isCreature(token) {
+  return !!token?.actor && token.actor.type !== 'loot' && token.actor.type !== 'hazard';
+}
+
+function tokenName(token) {
+  return token?.name ?? token?.document?.name ?? token?.id ?? '?';
+}
+
+/**
+ * Identifies the token's latest move: its movement id when Foundry records one, else its position
+ * @param {Token} token
+ * @returns {string}
+ */
+export function getMovementKey(token) {
+  const history = Array.from(token?.document?.movementHistory ?? []);
+  const movementId = history[history.length - 1]?.movementId;
+  return movementId ?? `${token?.document?.x},${token?.document?.y}`;
+}
+
+/**
+ * Whether the observer has line of sight to the target and can use it
+ * @param {Token} observer
+ * @param {Token} target
+ * @returns {boolean}
+ */
+export function hasLineOfSight(observer, target) {
+  const origin = observer?.center ?? observer?.getCenter?.();
+  const dest = target?.center ?? target?.getCenter?.();
+  if (!origin || !dest) return false;
+  try {
+    const backend = CONFIG?.Canvas?.polygonBackends?.sight;
+    if (backend?.testCollision?.(origin, dest, { type: 'sight', mode: 'any' })) return false;
+  } catch (_) {}
+  try {
+    if (elevationEvaluator.isSightBlockedByWallHeight(observer, target)) return false;
+  } catch (_) {}
+  try {
+    return conditionEvaluator.canUseVision(observer, target);
+  } catch (_) {
+    return true;
+  }
+}
+
+/**
+ * Observers that would notice the mover where it stopped
+ * @param {Token} mover - At its end position
+ * @returns {Array<{observer: Token, oldState: string, cover: string, concealed: boolean}>}
+ */
+export function computeMoveReveals(mover) {
+  if (!isCreature(mover)) return [];
+  const reveals = [];
+  for (const observer of canvas?.tokens?.placeables ?? []) {
+    if (observer === mover || observer.id === mover.id || !isCreature(observer)) continue;
+    const oldState = getVisibilityBetween(observer, mover);
+    if (!REVEALABLE_STATES.has(oldState)) continue;
+    if (!hasLineOfSight(observer, mover)) continue;
+    const { cover, concealed } = evaluateSneakRequirements(observer, mover, {
+      movement: NO_MOVEMENT,
+    });
+    if (cover === 'standard' || cover === 'greater' || concealed) continue;
+    reveals.push({ observer, oldState, cover, concealed });
+  }
+  return reveals;
+}
+
+async function writeStates(mover, entries, audit) {
+  const { applyVisibilityChanges } = await import('../chat/services/infra/shared-utils.js');
+  for (const { observer, state } of entries) {
+    await applyVisibilityChanges(observer, [{ target: mover, newVisibility: state }], {
+      direction: 'observer_to_target',
+      audit,
+    });
+  }
+}
+
+/**
+ * Make the mover observed by each revealing observer
+ * @param {Token} mover
+ * @param {Array<{observer: Token}>} reveals
+ */
+export async function applyMoveReveals(mover, reveals) {
+  await writeStates(
+    mover,
+    reveals.map((r) => ({ observer: r.observer, state: 'observed' })),
+    REVEAL_AUDIT,
+  );
+}
+
+function isExempt(mover, key) {
+  const exemption = sneakExemptions.get(mover.id);
+  if (!exemption) return false;
+  if (exemption.key === key) return true;
+  // The Sneak was rolled before this move; it covers this one move only
+  sneakExemptions.delete(mover.id);
+  return exemption.next;
+}
+
+async function promptMoveReveals(mover, key, reveals) {
+  if (prompting.has(mover.id)) return;
+  prompting.add(mover.id);
+  try {
+    const rows = reveals
+      .map(
+        (r) =>
+          `<li>${escapeHTML(tokenName(r.observer))}: ${r.oldState} → observed${r.cover !== 'none' ? ` (${r.cover} cover)` : ''}</li>`,
+      )
+      .join('');
+    const confirmed = await Dialog.confirm({
+      title: 'PF2E Visioner',
+      content: `<p><strong>${escapeHTML(tokenName(mover))}</strong> moved without Sneaking and can be seen by:</p><ul>${rows}</ul><p>Make it observed by them?</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: true,
+    });
+    // A Sneak may have been rolled for this move while the prompt was open
+    if (!confirmed || sneakExemptions.get(mover.id)?.key === key) return;
+    const still = reveals.filter((r) =>
+      REVEALABLE_STATES.has(getVisibilityBetween(r.observer, mover)),
+    );
+    if (still.length) await applyMoveReveals(mover, still);
+  } finally {
+    prompting.delete(mover.id);
+  }
+}
+
+/**
+ * React to a settled move: propose or apply the reveals it causes
+ * @param {Token} mover
+ * @returns {Promise<Array<Object>>} The reveals found (empty when exempt or none)
+ */
+export async function handleTokenMove(mover) {
+  const mode = getRevealMode();
+  if (mode === 'off' || !isCreature(mover)) return [];
+  const key = getMovementKey(mover);
+  if (isExempt(mover, key)) return [];
+
+  const reveals = computeMoveReveals(mover);
+  if (!reveals.length) return [];
+  lastReveals.set(mover.id, { key, reveals, applied: mode === 'auto' });
+  if (mode === 'auto') await applyMoveReveals(mover, reveals);
+  else await promptMoveReveals(mover, key, reveals);
+  return reveals;
+}
+
+/**
+ * Record that the mover is Sneaking. When its latest move already caused reveals, that move is
+ * the Sneak's and the automatic reveals are undone; otherwise its next move is exempt.
+ * @param {Token} mover
+ */
+export async function markSneaking(mover) {
+  if (!mover?.id) return;
+  const key = getMovementKey(mover);
+  const last = lastReveals.get(mover.id);
+  const movedFirst = last?.key === key;
+  sneakExemptions.set(mover.id, { key, next: !movedFirst });
+  if (!movedFirst) return;
+  lastReveals.delete(mover.id);
+  if (!last.applied) return;
+  // Only pairs still observed from the reveal go back
+  const undo = last.reveals
+    .filter((r) => getVisibilityBetween(r.observer, mover) === 'observed')
+    .map((r) => ({ observer: r.observer, state: r.oldState }));
+  if (undo.length) await writeStates(mover, undo, { ...REVEAL_AUDIT, source: 'revert' });
+}
+
+/**
+ * Action hook handler: an applied Sneak covers its creature's move
+ * @param {Object} payload - pf2e-visioner.actionApplied payload
+ */
+export function onSneakApplied(payload) {
+  if (payload?.actionType !== 'sneak' || !payload.actor) return;
+  markSneaking(payload.actor).catch((error) =>
+    console.warn(`${MODULE_TITLE}: Failed to exempt Sneak movement:`, error),
+  );
+}
+
+/**
+ * createChatMessage handler: a Sneak roll covers its creature's move before it is applied
+ * @param {ChatMessage} message
+ */
+export async function onSneakRolled(message) {
+  if (!game.user?.isGM || getRevealMode() === 'off') return;
+  if (game.users?.activeGM && game.users.activeGM.id !== game.user.id) return;
+  try {
+    const { extractActionData } = await import('../chat/services/action-extractor.js');
+    const data = await extractActionData(message);
+    if (data?.actionType === 'sneak' && data.actor) await markSneaking(data.actor);
+  } catch (error) {
+    console.warn(`${MODULE_TITLE}: Failed to exempt Sneak movement:`, error);
+  }
+}
+
+/**
+ * Forget exemptions and reveals (new scene)
+ */
+export function resetMoveReveals() {
+  sneakExemptions.clear();
+  lastReveals.clear();
+  prompting.clear();
+}
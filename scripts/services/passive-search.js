@@ -0,0 +1,237 @@
+/**
+ * Passive Search (exploration)
+ * Out of combat, moving a character that has the Search exploration activity makes the GM roll a
+ * secret Perception check against nearby undiscovered hidden walls, hazards and loot. Outcomes are
+ * resolved and written by the Seek handler, so discoveries land exactly as an applied Seek would;
+ * the results are whispered to the GM only.
+ */
+
+import { MODULE_ID, MODULE_TITLE } from '../constants.js';
+import { hasActiveEncounter } from '../chat/services/infra/shared-utils.js';
+import { emitActionEvent } from './events.js';
+import { escapeHTML } from '../helpers/html-utils.js';
+import { getVisibilityBetween } from '../utils.js';
+import senseEvaluator from '../visibility/auto-visibility/SenseEvaluator.js';
+
+// Coalesces the steps of one move into a single check
+const MOVE_SETTLE_MS = 250;
+
+// searcher token id → subject keys already rolled against on this scene
+const attempted = new Map();
+const pendingMoves = new Map();
+
+/**
+ * Whether the token's actor has Search among its exploration activities
+ * @param {Token} token
+ * @returns {boolean}
+ */
+export function isSearching(token) {
+  const actor = token?.actor;
+  if (actor?.type !== 'character') return false;
+  const activities = actor.system?.exploration;
+  if (!Array.isArray(activities)) return false;
+  return activities.some((id) => {
+    const item = actor.items?.get?.(id);
+    return (item?.slug ?? item?.system?.slug) === 'search';
+  });
+}
+
+function subjectKey(subject) {
+  return subject?._isWall ? `wall:${subject.wall?.id}` : `token:${subject?.id}`;
+}
+
+function perceptionRank(token) {
+  const stat = token?.actor?.getStatistic?.('perception');
+  const rank = Number(stat?.proficiency?.rank ?? stat?.rank ?? 0);
+  return Number.isFinite(rank) ? rank : 0;
+}
+
+function requiredRank(subject) {
+  const doc = subject?._isWall ? subject.wall?.document : subject?.document;
+  const rank = Number(doc?.getFlag?.(MODULE_ID, 'minPerceptionRank') ?? 0);
+  return Number.isFinite(rank) ? rank : 0;
+}
+
+/**
+ * Undiscovered subjects within range of a searcher, shaped like Seek subjects
+ * @param {Token} searcher
+ * @param {Object} [options]
+ * @param {number} [options.distance] - Range in feet (defaults to the passiveSearchDistance setting)
+ * @returns {Array<Object>} Hidden wall pseudo-subjects and hazard / loot tokens
+ */
+export function getSearchSubjects(searcher, { distance } = {}) {
+  if (!searcher?.document) return [];
+  const range = Number(distance ?? game.settings.get(MODULE_ID, 'passiveSearchDistance')) || 30;
+  const subjects = [];
+
+  const discovered = searcher.document.getFlag?.(MODULE_ID, 'walls') || {};
+  const defaultDC = Number(game.settings.get(MODULE_ID, 'wallStealthDC')) || 15;
+  for (const wall of canvas?.walls?.placeables ?? []) {
+    const doc = wall?.document;
+    if (!doc?.getFlag?.(MODULE_ID, 'hiddenWall')) continue;
+    if (discovered[wall.id] === 'observed') continue;
+    if (senseEvaluator.getDistanceFeet(searcher, wall) > range) continue;
+    const dcOverride = Number(doc.getFlag?.(MODULE_ID, 'stealthDC'));
+    const dc = Number.isFinite(dcOverride) && dcOverride > 0 ? dcOverride : defaultDC;
+    subjects.push({ _isWall: true, _isHiddenWall: true, wall, dc });
+  }
+
+  for (const token of canvas?.tokens?.placeables ?? []) {
+    if (!token?.actor || token.id === searcher.id) continue;
+    if (token.actor.type !== 'hazard' && token.actor.type !== 'loot') continue;
+    const state = getVisibilityBetween(searcher, token);
+    if (state !== 'hidden' && state !== 'undetected') continue;
+    if (senseEvaluator.getDistanceFeet(searcher, token) > range) continue;
+    subjects.push(token);
+  }
+  return subjects;
+}
+
+/**
+ * Roll the searcher's secret Perception check
+ * @param {Token} searcher
+ * @returns {Promise<{total:number, die:number}|null>}
+ */
+async function rollSearchCheck(searcher) {
+  const actor = searcher?.actor;
+  const stat = actor?.getStatistic?.('perception');
+  let roll = null;
+  if (stat?.roll) {
+    roll = await stat.roll({
+      rollMode: 'blindroll',
+      createMessage: false,
+      skipDialog: true,
+      extraRollOptions: ['action:search', 'action:seek'],
+    });
+  } else if (foundry?.dice?.Roll) {
+    const mod = Number(actor?.system?.perception?.mod ?? 0) || 0;
+    roll = await new foundry.dice.Roll('1d20 + @mod', { mod }).evaluate();
+  }
+  if (!roll) return null;
+  const total = Number(roll.total);
+  const die = Number(roll.dice?.[0]?.total ?? roll.terms?.[0]?.total);
+  return Number.isFinite(total) ? { total, die } : null;
+}
+
+function outcomeName(outcome) {
+  if (outcome?._isWall) return outcome.wallIdentifier || 'Hidden Wall';
+  return outcome?.target?.name ?? outcome?.target?.document?.name ?? outcome?.target?.id ?? '?';
+}
+
+async function whisperResults(searcher, check, rows) {
+  try {
+    const gmIds = (game.users?.filter?.((u) => u.isGM) ?? []).map((u) => u.id);
+    const name = searcher.name ?? searcher.document?.name ?? searcher.id;
+    const items = rows
+      .map(
+        (r) =>
+          `<li>${escapeHTML(r.name)} (DC ${r.dc}): ${r.outcome}${r.discovered ? ' — discovered' : ''}</li>`,
+      )
+      .join('');
+    await ChatMessage.create({
+      content: `<p><strong>${MODULE_TITLE}</strong>: ${escapeHTML(name)} searches (Perception ${check.total}, d20 ${check.die})</p><ul>${items}</ul>`,
+      whisper: gmIds,
+      speaker: { alias: MODULE_TITLE },
+    });
+  } catch (error) {
+    console.warn(`${MODULE_TITLE}: Failed to whisper Search results:`, error);
+  }
+}
+
+/**
+ * Roll a secret Search check for a searcher against every nearby subject it hasn't rolled
+ * against yet on this scene, and reveal what it finds
+ * @param {Token} searcher
+ * @param {Object} [options]
+ * @param {number} [options.distance] - Range in feet
+ * @returns {Promise<Array<Object>|null>} Seek-style outcomes, or null when nothing was rolled
+ */
+export async function resolvePassiveSearch(searcher, { distance } = {}) {
+  if (!searcher?.actor) return null;
+  if (!attempted.has(searcher.id)) attempted.set(searcher.id, new Set());
+  const tried = attempted.get(searcher.id);
+
+  const rank = perceptionRank(searcher);
+  const subjects = getSearchSubjects(searcher, { distance }).filter(
+    (s) => !tried.has(subjectKey(s)) && rank >= requiredRank(s),
+  );
+  if (!subjects.length) return null;
+
+  const check = await rollSearchCheck(searcher);
+  if (!check) return null;
+  for (const subject of subjects) tried.add(subjectKey(subject));
+
+  const { SeekActionHandler } = await import('../chat/services/actions/seek-action.js');
+  const handler = new SeekActionHandler();
+  const actionData = {
+    actor: searcher,
+    actionType: 'seek',
+    roll: { total: check.total, dice: [{ total: check.die }] },
+  };
+  const outcomes = [];
+  for (const subject of subjects) {
+    outcomes.push(await handler.analyzeOutcome(actionData, subject));
+  }
+
+  const changes = outcomes
+    .filter((o) => o?.changed)
+    .map((o) => handler.outcomeToChange(actionData, o))
+    .filter(Boolean);
+  if (changes.length) {
+    await handler.applyChangesInternal(changes, { source: 'action', action: 'search' });
+    emitActionEvent('applied', actionData, 'search', changes);
+  }
+
+  await whisperResults(
+    searcher,
+    check,
+    outcomes.map((o) => ({
+      name: outcomeName(o),
+      dc: o.dc,
+      outcome: o.outcome,
+      discovered: !!o.changed,
+    })),
+  );
+  return outcomes;
+}
+
+/**
+ * Forget which subjects were already rolled against (new scene)
+ */
+export function resetPassiveSearch() {
+  attempted.clear();
+  for (const timer of pendingMoves.values()) clearTimeout(timer);
+  pendingMoves.clear();
+}
+
+/**
+ * updateToken handler: the active GM rolls once a searching character's move settles
+ * @param {TokenDocument} tokenDoc
+ * @param {Object} changes
+ */
+export function onUpdateTokenPassiveSearch(tokenDoc, changes) {
+  if (!game.user?.isGM) return;
+  if (game.users?.activeGM && game.users.activeGM.id !== game.user.id) return;
+  if (!changes || (changes.x === undefined && changes.y === undefined)) return;
+  try {
+    if (!game.settings.get(MODULE_ID, 'passiveSearch')) return;
+    if (hasActiveEncounter()) return;
+  } catch (_) {
+    return;
+  }
+
+  const id = tokenDoc?.id;
+  if (!id) return;
+  clearTimeout(pendingMoves.get(id));
+  pendingMoves.set(
+    id,
+    setTimeout(() => {
+      pendingMoves.delete(id);
+      const token = tokenDoc.object ?? canvas?.tokens?.get?.(id);
+      if (!isSearching(token)) return;
+      resolvePassiveSearch(token).catch((error) =>
+        console.warn(`${MODULE_TITLE}: Passive Search failed:`, error),
+      );
+    }, MOVE_SETTLE_MS),
+  );
+}
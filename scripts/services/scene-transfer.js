@@ -0,0 +1,521 @@
+/**
+ * Scene-level export / import of all Visioner state.
+ * The export is one versioned JSON document with the module flags of the scene, of every token
+ * (visibility, cover, overrides, hidden-wall discovery, ...) and of flagged walls. On import,
+ * tokens and walls are matched to the target scene by id first and then by actor / name
+ * (tokens) or wall identifier / coordinates (walls); every id-keyed map is remapped accordingly.
+ * A dry run returns the same report without writing anything.
+ */
+
+import { MODULE_ID, MODULE_TITLE } from '../constants.js';
+import { escapeHTML } from '../helpers/html-utils.js';
+import { withAuditOptions } from './audit-log.js';
+import { applyStateChangeEffects, captureSceneState, diffTokenStates } from './snapshots.js';
+import { EXPIRY_FLAG } from './state-expiry.js';
+
+export const SCENE_EXPORT_FORMAT = 'pf2e-visioner-scene';
+export const SCENE_EXPORT_VERSION = 1;
+
+// Token flags keyed by token id / by wall id
+const TOKEN_KEYED_FLAGS = [
+  'visibility',
+  'cover',
+  'manualVisibility',
+  'derivedVisibility',
+  'autoCoverMap',
+  EXPIRY_FLAG,
+];
+const WALL_KEYED_FLAGS = ['walls'];
+
+// Scene flags that describe history or transient work rather than state
+const SKIPPED_SCENE_FLAGS = ['auditLog', 'deletedEntryCache'];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Build the export document for a scene
+ * @param {Scene} [scene=canvas.scene]
+ * @returns {Object|null}
+ */
+export function exportSceneData(scene = canvas?.scene) {
+  if (!scene) return null;
+  const sceneFlags = clone(scene.flags?.[MODULE_ID] ?? {});
+  for (const key of SKIPPED_SCENE_FLAGS) delete sceneFlags[key];
+
+  const tokens = Array.from(scene.tokens ?? []).map((doc) => ({
+    id: doc.id,
+    name: doc.name ?? '',
+    actorId: doc.actorId ?? doc.actor?.id ?? null,
+    flags: clone(doc.flags?.[MODULE_ID] ?? {}),
+  }));
+
+  const referencedWalls = new Set();
+  for (const token of tokens) {
+    for (const key of WALL_KEYED_FLAGS) {
+      Object.keys(token.flags[key] ?? {}).forEach((id) => referencedWalls.add(id));
+    }
+  }
+  const walls = Array.from(scene.walls ?? [])
+    .filter(
+      (doc) => referencedWalls.has(doc.id) || Object.keys(doc.flags?.[MODULE_ID] ?? {}).length,
+    )
+    .map((doc) => ({
+      id: doc.id,
+      c: Array.from(doc.c ?? []),
+      flags: clone(doc.flags?.[MODULE_ID] ?? {}),
+    }));
+
+  return {
+    format: SCENE_EXPORT_FORMAT,
+    version: SCENE_EXPORT_VERSION,
+    moduleVersion: game.modules?.get?.(MODULE_ID)?.version ?? null,
+    exportedAt: Date.now(),
+    scene: { id: scene.id, name: scene.name ?? '' },
+    flags: sceneFlags,
+    tokens,
+    walls,
+  };
+}
+
+/**
+ * Check that a parsed document is a scene export this version understands
+ * @param {Object} data
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSceneData(data) {
+  if (!isPlainObject(data) || data.format !== SCENE_EXPORT_FORMAT) {
+    return 'Not a PF2E Visioner scene export.';
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) return 'Missing export version.';
+  if (data.version > SCENE_EXPORT_VERSION) {
+    return `Export version ${data.version} is newer than this module supports (${SCENE_EXPORT_VERSION}).`;
+  }
+  if (!Array.isArray(data.tokens) || !Array.isArray(data.walls ?? [])) {
+    return 'Export is missing its token list.';
+  }
+  return null;
+}
+
+/**
+ * Match exported tokens to tokens of the target scene
+ * @param {Array<Object>} exported - Export token records
+ * @param {Array<TokenDocument>} docs - Tokens of the target scene
+ * @returns {{matched: Array<Object>, unmatched: Array<Object>, idMap: Map<string,string>}}
+ */
+export function matchTokens(exported, docs) {
+  const available = new Map(docs.map((d) => [d.id, d]));
+  const matched = [];
+  const unmatched = [];
+  const idMap = new Map();
+  const claim = (record, doc, by) => {
+    available.delete(doc.id);
+    idMap.set(record.id, doc.id);
+    matched.push({
+      sourceId: record.id,
+      sourceName: record.name,
+      targetId: doc.id,
+      targetName: doc.name,
+      by,
+    });
+  };
+  const actorIdOf = (doc) => doc.actorId ?? doc.actor?.id ?? null;
+  const unique = (list) => (list.length === 1 ? list[0] : null);
+
+  // Pass 1: same id; later passes only look at what is left so exact matches win
+  const rest = [];
+  for (const record of exported) {
+    const doc = available.get(record.id);
+    if (doc) claim(record, doc, 'id');
+    else rest.push(record);
+  }
+  for (const record of rest) {
+    const pool = Array.from(available.values());
+    const byActorAndName = unique(
+      pool.filter(
+        (d) => record.actorId && actorIdOf(d) === record.actorId && d.name === record.name,
+      ),
+    );
+    if (byActorAndName) {
+      claim(record, byActorAndName, 'actor+name');
+      continue;
+    }
+    const byName = unique(pool.filter((d) => d.name === record.name));
+    if (byName) {
+      claim(record, byName, 'name');
+      continue;
+    }
+    const byActor = unique(pool.filter((d) => record.actorId && actorIdOf(d) === record.actorId));
+    if (byActor) {
+      claim(record, byActor, 'actor');
+      continue;
+    }
+    unmatched.push({ sourceId: record.id, sourceName: record.name });
+  }
+  return { matched, unmatched, idMap };
+}
+
+/**
+ * Match exported walls to walls of the target scene
+ * @param {Array<Object>} exported - Export wall records
+ * @param {Array<WallDocument>} docs - Walls of the target scene
+ * @returns {{matched: Array<Object>, unmatched: Array<Object>, idMap: Map<string,string>}}
+ */
+export function matchWalls(exported, docs) {
+  const available = new Map(docs.map((d) => [d.id, d]));
+  const matched = [];
+  const unmatched = [];
+  const idMap = new Map();
+  const identifierOf = (flags) => String(flags?.wallIdentifier ?? '').trim();
+  const sameCoords = (a, b) => {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== 4 || b.length !== 4) return false;
+    const reversed = [b[2], b[3], b[0], b[1]];
+    return a.every((v, i) => v === b[i]) || a.every((v, i) => v === reversed[i]);
+  };
+  const claim = (record, doc, by) => {
+    available.delete(doc.id);
+    idMap.set(record.id, doc.id);
+    matched.push({ sourceId: record.id, targetId: doc.id, by });
+  };
+
+  const rest = [];
+  for (const record of exported) {
+    const doc = available.get(record.id);
+    if (doc) claim(record, doc, 'id');
+    else rest.push(record);
+  }
+  for (const record of rest) {
+    const pool = Array.from(available.values());
+    const ident = identifierOf(record.flags);
+    const byIdentifier = ident
+      ? pool.find((d) => identifierOf(d.flags?.[MODULE_ID]) === ident)
+      : null;
+    if (byIdentifier) {
+      claim(record, byIdentifier, 'identifier');
+      continue;
+    }
+    const byCoords = pool.find((d) => sameCoords(Array.from(d.c ?? []), record.c));
+    if (byCoords) {
+      claim(record, byCoords, 'coordinates');
+      continue;
+    }
+    unmatched.push({ sourceId: record.id, identifier: ident || null });
+  }
+  return { matched, unmatched, idMap };
+}
+
+function remapKeys(map, idMap, counter) {
+  const out = {};
+  for (const [id, value] of Object.entries(map ?? {})) {
+    const mapped = idMap.get(id);
+    if (mapped) out[mapped] = value;
+    else counter.dropped += 1;
+  }
+  return out;
+}
+
+function remapTokenFlags(flags, tokenIds, wallIds, counter) {
+  const out = clone(flags ?? {});
+  for (const key of TOKEN_KEYED_FLAGS) {
+    if (isPlainObject(out[key])) out[key] = remapKeys(out[key], tokenIds, counter);
+  }
+  for (const key of WALL_KEYED_FLAGS) {
+    if (isPlainObject(out[key])) out[key] = remapKeys(out[key], wallIds, counter);
+  }
+  // Expiries are anchored to the token whose turn or movement ends them
+  if (isPlainObject(out[EXPIRY_FLAG])) {
+    for (const [targetId, entry] of Object.entries(out[EXPIRY_FLAG])) {
+      const anchor = isPlainObject(entry) ? tokenIds.get(entry.tokenId) : null;
+      if (anchor) entry.tokenId = anchor;
+      else {
+        delete out[EXPIRY_FLAG][targetId];
+        counter.dropped += 1;
+      }
+    }
+  }
+  return out;
+}
+
+function remapSceneFlags(flags, tokenIds, wallIds, counter) {
+  const out = clone(flags ?? {});
+  const mapId = (id) => tokenIds.get(id) ?? id;
+
+  // Party token caches are keyed by actor signature and hold token-keyed maps
+  if (isPlainObject(out.partyTokenStateCache)) {
+    for (const entry of Object.values(out.partyTokenStateCache)) {
+      if (!isPlainObject(entry)) continue;
+      if (entry.tokenId) entry.tokenId = mapId(entry.tokenId);
+      entry.visibility = remapKeys(entry.visibility, tokenIds, counter);
+      entry.cover = remapKeys(entry.cover, tokenIds, counter);
+      if (isPlainObject(entry.observerStates)) {
+        entry.observerStates = remapKeys(entry.observerStates, tokenIds, counter);
+      }
+    }
+  }
+  if (isPlainObject(out.deferredPartyUpdates)) {
+    const deferred = {};
+    for (const [tokenId, list] of Object.entries(out.deferredPartyUpdates)) {
+      deferred[mapId(tokenId)] = (Array.isArray(list) ? list : []).map((u) => ({
+        ...u,
+        observerId: mapId(u.observerId),
+        tokenId: mapId(u.tokenId),
+      }));
+    }
+    out.deferredPartyUpdates = deferred;
+  }
+  // Snapshots hold token states keyed by id
+  if (isPlainObject(out.snapshots)) {
+    for (const snapshot of Object.values(out.snapshots)) {
+      if (!isPlainObject(snapshot?.tokens)) continue;
+      const tokens = {};
+      for (const [id, state] of Object.entries(snapshot.tokens)) {
+        const mapped = tokenIds.get(id);
+        if (!mapped) continue;
+        tokens[mapped] = {
+          ...state,
+          visibility: remapKeys(state.visibility, tokenIds, counter),
+          cover: remapKeys(state.cover, tokenIds, counter),
+          walls: remapKeys(state.walls, wallIds, counter),
+        };
+      }
+      snapshot.tokens = tokens;
+    }
+  }
+  return out;
+}
+
+/**
+ * Update patch that replaces the module flags of a document with `next`. Map flags are replaced
+ * key by key so entries missing from `next` are removed in the same update.
+ * @param {Object} current - Current module flags
+ * @param {Object} next - Module flags to write
+ * @param {string[]} [replaceKeys] - Flags to clear when missing from `next`
+ * @returns {Object} Flat update data (without _id)
+ */
+export function buildFlagPatch(current, next, replaceKeys = []) {
+  const patch = {};
+  const base = `flags.${MODULE_ID}`;
+  for (const [key, value] of Object.entries(next ?? {})) {
+    const have = current?.[key];
+    if (isPlainObject(value) && isPlainObject(have)) {
+      for (const [sub, subValue] of Object.entries(value)) {
+        if (JSON.stringify(have[sub]) !== JSON.stringify(subValue)) {
+          patch[`${base}.${key}.${sub}`] = subValue;
+        }
+      }
+      for (const sub of Object.keys(have)) {
+        if (!(sub in value)) patch[`${base}.${key}.-=${sub}`] = null;
+      }
+    } else if (JSON.stringify(have) !== JSON.stringify(value)) {
+      patch[`${base}.${key}`] = value;
+    }
+  }
+  for (const key of replaceKeys) {
+    if (current?.[key] !== undefined && !(key in (next ?? {}))) patch[`${base}.-=${key}`] = null;
+  }
+  return patch;
+}
+
+/**
+ * Import (or dry-run) a scene export into a scene
+ * @param {Object|string} data - Export document or its JSON text
+ * @param {Object} [options]
+ * @param {Scene} [options.scene=canvas.scene]
+ * @param {boolean} [options.dryRun=false] - Report what would change without writing
+ * @returns {Promise<Object>} Report { ok, dryRun, error, tokens, walls, droppedEntries, tokenUpdates, wallUpdates, sceneKeys, pairChanges }
+ */
+export async function importSceneData(data, { scene = canvas?.scene, dryRun = false } = {}) {
+  const report = {
+    ok: false,
+    dryRun,
+    error: null,
+    sourceScene: null,
+    tokens: { matched: [], unmatched: [] },
+    walls: { matched: [], unmatched: [] },
+    droppedEntries: 0,
+    tokenUpdates: 0,
+    wallUpdates: 0,
+    sceneKeys: [],
+    pairChanges: 0,
+  };
+  try {
+    if (typeof data === 'string') data = JSON.parse(data);
+  } catch (_) {
+    report.error = 'The file is not valid JSON.';
+    return report;
+  }
+  report.error = validateSceneData(data);
+  if (report.error) return report;
+  if (!scene) {
+    report.error = 'No scene to import into.';
+    return report;
+  }
+  if (!dryRun && !game.user?.isGM) {
+    report.error = 'Only GMs can import Visioner scene data.';
+    return report;
+  }
+  report.sourceScene = data.scene ?? null;
+
+  const tokenDocs = Array.from(scene.tokens ?? []);
+  const wallDocs = Array.from(scene.walls ?? []);
+  const tokens = matchTokens(data.tokens, tokenDocs);
+  const walls = matchWalls(data.walls ?? [], wallDocs);
+  report.tokens = { matched: tokens.matched, unmatched: tokens.unmatched };
+  report.walls = { matched: walls.matched, unmatched: walls.unmatched };
+
+  const counter = { dropped: 0 };
+  const tokenPatches = [];
+  const before = captureSceneState(scene);
+  const after = clone(before);
+  for (const record of data.tokens) {
+    const targetId = tokens.idMap.get(record.id);
+    const doc = targetId ? tokenDocs.find((d) => d.id === targetId) : null;
+    if (!doc) continue;
+    const next = remapTokenFlags(record.flags, tokens.idMap, walls.idMap, counter);
+    const patch = buildFlagPatch(doc.flags?.[MODULE_ID] ?? {}, next, [
+      ...TOKEN_KEYED_FLAGS,
+      ...WALL_KEYED_FLAGS,
+    ]);
+    if (Object.keys(patch).length) tokenPatches.push({ _id: doc.id, ...patch });
+    after[doc.id] = {
+      name: doc.name ?? doc.id,
+      visibility: { ...(next.visibility ?? {}) },
+      cover: { ...(next.cover ?? {}) },
+      walls: { ...(next.walls ?? {}) },
+    };
+  }
+
+  const wallPatches = [];
+  for (const record of data.walls ?? []) {
+    const targetId = walls.idMap.get(record.id);
+    const doc = targetId ? wallDocs.find((d) => d.id === targetId) : null;
+    if (!doc) continue;
+    const patch = buildFlagPatch(doc.flags?.[MODULE_ID] ?? {}, record.flags ?? {});
+    if (Object.keys(patch).length) wallPatches.push({ _id: doc.id, ...patch });
+  }
+
+  const sceneFlags = remapSceneFlags(data.flags, tokens.idMap, walls.idMap, counter);
+  for (const key of SKIPPED_SCENE_FLAGS) delete sceneFlags[key];
+  const scenePatch = buildFlagPatch(scene.flags?.[MODULE_ID] ?? {}, sceneFlags);
+
+  const changes = diffTokenStates(before, after);
+  report.droppedEntries = counter.dropped;
+  report.tokenUpdates = tokenPatches.length;
+  report.wallUpdates = wallPatches.length;
+  report.sceneKeys = Object.keys(sceneFlags).filter((key) =>
+    Object.keys(scenePatch).some((path) => path.startsWith(`flags.${MODULE_ID}.${key}`)),
+  );
+  report.pairChanges = changes.length;
+  report.ok = true;
+  if (dryRun) return report;
+
+  if (tokenPatches.length) {
+    await scene.updateEmbeddedDocuments(
+      'Token',
+      tokenPatches,
+      withAuditOptions({ diff: false }, { source: 'import', reason: data.scene?.name ?? null }),
+    );
+  }
+  if (wallPatches.length) await scene.updateEmbeddedDocuments('Wall', wallPatches);
+  if (Object.keys(scenePatch).length) await scene.update(scenePatch);
+  await applyStateChangeEffects(changes);
+  return report;
+}
+
+/**
+ * Download a scene's export as a JSON file
+ * @param {Scene} [scene=canvas.scene]
+ * @returns {Object|null} The exported document
+ */
+export function downloadSceneData(scene = canvas?.scene) {
+  const data = exportSceneData(scene);
+  if (!data) return null;
+  const slug = String(scene.name ?? scene.id)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  const save = foundry.utils.saveDataToFile ?? globalThis.saveDataToFile;
+  save(JSON.stringify(data, null, 2), 'text/json', `pf2e-visioner-${slug || 'scene'}.json`);
+  return data;
+}
+
+/**
+ * Short HTML summary of an import report
+ * @param {Object} report
+ * @returns {string}
+ */
+export function formatImportReport(report) {
+  if (!report.ok) return `<p>${report.error}</p>`;
+  const byMatch = report.tokens.matched
+    .filter((m) => m.by !== 'id')
+    .map((m) => `<li>${escapeHTML(m.sourceName)} → ${escapeHTML(m.targetName)} (by ${m.by})</li>`)
+    .join('');
+  const unmatched = report.tokens.unmatched
+    .map((u) => `<li>${escapeHTML(u.sourceName)}</li>`)
+    .join('');
+  return [
+    report.sourceScene?.name
+      ? `<p>From scene <strong>${escapeHTML(report.sourceScene.name)}</strong>.</p>`
+      : '',
+    '<ul>',
+    `<li>Tokens matched: ${report.tokens.matched.length}, unmatched: ${report.tokens.unmatched.length}</li>`,
+    `<li>Walls matched: ${report.walls.matched.length}, unmatched: ${report.walls.unmatched.length}</li>`,
+    `<li>Visibility / cover / hidden wall changes: ${report.pairChanges}</li>`,
+    `<li>Token updates: ${report.tokenUpdates}, wall updates: ${report.wallUpdates}, scene settings: ${report.sceneKeys.length}</li>`,
+    report.droppedEntries
+      ? `<li>Entries dropped (no matching token or wall): ${report.droppedEntries}</li>`
+      : '',
+    '</ul>',
+    byMatch ? `<p>Remapped tokens:</p><ul>${byMatch}</ul>` : '',
+    unmatched ? `<p>Not found in this scene:</p><ul>${unmatched}</ul>` : '',
+  ].join('');
+}
+
+/**
+ * Pick a JSON file, show its dry-run report and import it once confirmed
+ * @param {Scene} [scene=canvas.scene]
+ * @returns {Promise<Object|null>} The final report, or null when cancelled
+ */
+export async function promptImportSceneData(scene = canvas?.scene) {
+  if (!game.user?.isGM || !scene) return null;
+  const file = await new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => resolve(input.files?.[0] ?? null));
+    // Closing the picker without choosing a file fires cancel instead of change
+    input.addEventListener('cancel', () => resolve(null));
+    input.click();
+  });
+  if (!file) return null;
+
+  let text;
+  try {
+    text = await file.text();
+  } catch (error) {
+    console.error(`${MODULE_TITLE}: Failed to read import file:`, error);
+    return null;
+  }
+  const dryRun = await importSceneData(text, { scene, dryRun: true });
+  if (!dryRun.ok) {
+    ui.notifications?.error?.(`${MODULE_TITLE}: ${dryRun.error}`);
+    return dryRun;
+  }
+  const confirmed = await Dialog.confirm({
+    title: `${MODULE_TITLE}: Import Scene Data`,
+    content: `${formatImportReport(dryRun)}<p>Import into <strong>${escapeHTML(scene.name)}</strong>?</p>`,
+    yes: () => true,
+    no: () => false,
+    defaultYes: false,
+  });
+  if (!confirmed) return null;
+  const report = await importSceneData(text, { scene });
+  if (report.ok) {
+    ui.notifications?.info?.(
+      `${MODULE_TITLE}: Imported scene data (${report.pairChanges} change${report.pairChanges === 1 ? '' : 's'}).`,
+    );
+  } else {
+    ui.notifications?.error?.(`${MODULE_TITLE}: ${report.error}`);
+  }
+  return report;
+}
@@ -0,0 +1,280 @@
+/**
+ * Named visibility / cover snapshots.
+ * A snapshot captures every token's visibility and cover maps plus its hidden-wall discovery map
+ * and is stored on `flags.pf2e-visioner.snapshots` of the scene. Restoring writes all maps in one
+ * Token update and then rebuilds ephemeral effects through the visibility and cover batch paths.
+ * Only pairs between tokens that existed at capture time are touched, so tokens added later keep
+ * their own state.
+ */
+
+import { MODULE_ID, MODULE_TITLE } from '../constants.js';
+import { batchUpdateCoverEffects } from '../cover/batch.js';
+import { batchUpdateVisibilityEffects } from '../visibility/batch.js';
+import { withAuditOptions } from './audit-log.js';
+import { EXPIRY_FLAG } from './state-expiry.js';
+
+export const SNAPSHOT_FLAG = 'snapshots';
+
+const KINDS = ['visibility', 'cover', 'walls'];
+const DEFAULT_STATES = { visibility: 'observed', cover: 'none', walls: 'observed' };
+
+function getStore(scene) {
+  const store =
+    scene?.getFlag?.(MODULE_ID, SNAPSHOT_FLAG) ?? scene?.flags?.[MODULE_ID]?.[SNAPSHOT_FLAG];
+  return store && typeof store === 'object' ? store : {};
+}
+
+/**
+ * Current maps of every token on the scene, in snapshot shape
+ * @param {Scene} scene
+ * @returns {Record<string, {name:string, visibility:Object, cover:Object, walls:Object}>}
+ */
+export function captureSceneState(scene = canvas?.scene) {
+  const tokens = {};
+  for (const doc of scene?.tokens ?? []) {
+    const flags = doc.flags?.[MODULE_ID] ?? {};
+    tokens[doc.id] = {
+      name: doc.name ?? doc.id,
+      visibility: { ...(flags.visibility ?? {}) },
+      cover: { ...(flags.cover ?? {}) },
+      walls: { ...(flags.walls ?? {}) },
+    };
+  }
+  return tokens;
+}
+
+/**
+ * Save the scene's current state under a name. Saving an existing name replaces that snapshot.
+ * @param {string} name
+ * @param {Scene} [scene=canvas.scene]
+ * @returns {Promise<Object|null>} The stored snapshot
+ */
+export async function captureSnapshot(name, scene = canvas?.scene) {
+  if (!game.user?.isGM || !scene) return null;
+  const label = String(name ?? '').trim() || `Snapshot ${new Date().toLocaleString()}`;
+  const existing = findSnapshot(label, scene);
+  const snapshot = {
+    id: existing?.id ?? foundry.utils.randomID(),
+    name: label,
+    createdAt: Date.now(),
+    userId: game.user.id,
+    tokens: captureSceneState(scene),
+  };
+  await scene.update({ [`flags.${MODULE_ID}.${SNAPSHOT_FLAG}.${snapshot.id}`]: snapshot });
+  return snapshot;
+}
+
+/**
+ * Snapshots of a scene, oldest first, with summary counts
+ * @param {Scene} [scene=canvas.scene]
+ * @returns {Array<{id:string, name:string, createdAt:number, userId:string, tokenCount:number, pairCount:number}>}
+ */
+export function listSnapshots(scene = canvas?.scene) {
+  return Object.values(getStore(scene))
+    .map((s) => ({
+      id: s.id,
+      name: s.name,
+      createdAt: s.createdAt,
+      userId: s.userId,
+      tokenCount: Object.keys(s.tokens ?? {}).length,
+      pairCount: Object.values(s.tokens ?? {}).reduce(
+        (sum, t) =>
+          sum + Object.keys(t.visibility ?? {}).length + Object.keys(t.cover ?? {}).length,
+        0,
+      ),
+    }))
+    .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+}
+
+/**
+ * Find a snapshot by id or name
+ * @param {string} idOrName
+ * @param {Scene} [scene=canvas.scene]
+ * @returns {Object|null}
+ */
+export function findSnapshot(idOrName, scene = canvas?.scene) {
+  const store = getStore(scene);
+  return store[idOrName] ?? Object.values(store).find((s) => s.name === idOrName) ?? null;
+}
+
+/**
+ * Pair-level differences between two token states, limited to tokens present in both
+ * @param {Object} before - Token states (snapshot shape)
+ * @param {Object} after - Token states (snapshot shape)
+ * @returns {Array<{kind:string, observerId:string, observerName:string, targetId:string, targetName:string, before:string, after:string}>}
+ */
+export function diffTokenStates(before, after) {
+  const rows = [];
+  const nameOf = (id) => after[id]?.name ?? before[id]?.name ?? id;
+  for (const observerId of Object.keys(before)) {
+    if (!after[observerId]) continue;
+    for (const kind of KINDS) {
+      const a = before[observerId][kind] ?? {};
+      const b = after[observerId][kind] ?? {};
+      for (const targetId of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        if (kind !== 'walls' && !(targetId in before && targetId in after)) continue;
+        const from = a[targetId] ?? DEFAULT_STATES[kind];
+        const to = b[targetId] ?? DEFAULT_STATES[kind];
+        if (from === to) continue;
+        rows.push({
+          kind,
+          observerId,
+          observerName: nameOf(observerId),
+          targetId,
+          targetName: kind === 'walls' ? targetId : nameOf(targetId),
+          before: from,
+          after: to,
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Differences going from a snapshot to another snapshot, or to the current scene state
+ * @param {string} idOrName
+ * @param {string|null} [otherIdOrName=null] - Compare against the live scene when omitted
+ * @param {Scene} [scene=canvas.scene]
+ * @returns {Array<Object>|null} Null when a snapshot is missing
+ */
+export function diffSnapshot(idOrName, otherIdOrName = null, scene = canvas?.scene) {
+  const snapshot = findSnapshot(idOrName, scene);
+  if (!snapshot) return null;
+  let other = captureSceneState(scene);
+  if (otherIdOrName) {
+    const found = findSnapshot(otherIdOrName, scene);
+    if (!found) return null;
+    other = found.tokens ?? {};
+  }
+  return diffTokenStates(snapshot.tokens ?? {}, other);
+}
+
+/**
+ * Build the Token update patches that bring the scene back to a snapshot
+ * @param {Object} snapshotTokens - Token states of the snapshot
+ * @param {Object} currentTokens - Token states of the scene now
+ * @returns {Array<Object>} One patch per token that changes
+ */
+export function buildRestoreUpdates(snapshotTokens, currentTokens) {
+  const updates = [];
+  for (const [tokenId, saved] of Object.entries(snapshotTokens)) {
+    const current = currentTokens[tokenId];
+    if (!current) continue;
+    const patch = { _id: tokenId };
+    for (const kind of KINDS) {
+      const want = saved[kind] ?? {};
+      const have = current[kind] ?? {};
+      for (const [id, state] of Object.entries(want)) {
+        if (kind !== 'walls' && !currentTokens[id]) continue;
+        if (have[id] !== state) patch[`flags.${MODULE_ID}.${kind}.${id}`] = state;
+      }
+      for (const id of Object.keys(have)) {
+        if (id in want) continue;
+        // Leave pairs with tokens created after the snapshot alone
+        if (kind !== 'walls' && !(id in snapshotTokens)) continue;
+        patch[`flags.${MODULE_ID}.${kind}.-=${id}`] = null;
+      }
+    }
+    if (Object.keys(patch).length > 1) updates.push(patch);
+  }
+  return updates;
+}
+
+/**
+ * Rebuild off-guard and cover effects for changed pairs, then refresh visuals and perception
+ * @param {Array<Object>} changes - Rows from diffTokenStates (walls rows only refresh visuals)
+ */
+export async function applyStateChangeEffects(changes) {
+  const byObserver = new Map();
+  for (const row of changes) {
+    if (row.kind === 'walls') continue;
+    const observer = canvas.tokens?.get?.(row.observerId);
+    const target = canvas.tokens?.get?.(row.targetId);
+    if (!observer || !target) continue;
+    if (!byObserver.has(row.observerId)) {
+      byObserver.set(row.observerId, { observer, visibility: [], cover: [] });
+    }
+    byObserver.get(row.observerId)[row.kind].push({ target, state: row.after });
+  }
+  for (const { observer, visibility, cover } of byObserver.values()) {
+    try {
+      if (visibility.length) {
+        await batchUpdateVisibilityEffects(observer, visibility, {
+          direction: 'observer_to_target',
+        });
+      }
+      if (cover.length) await batchUpdateCoverEffects(observer, cover);
+    } catch (error) {
+      console.warn(`${MODULE_TITLE}: Failed to rebuild effects for ${observer.name}:`, error);
+    }
+  }
+
+  try {
+    const { updateTokenVisuals, updateWallVisuals } = await import('./visual-effects.js');
+    await updateTokenVisuals();
+    await updateWallVisuals(canvas.tokens?.controlled?.[0]?.id || null);
+  } catch (_) {}
+  try {
+    const { refreshEveryonesPerception } = await import('./socket.js');
+    refreshEveryonesPerception();
+  } catch (_) {}
+}
+
+/**
+ * Restore a snapshot: one Token update for all maps, then effects and visuals
+ * @param {string} idOrName
+ * @param {Scene} [scene=canvas.scene]
+ * @returns {Promise<number>} Number of pairs changed, or -1 when the snapshot is missing
+ */
+export async function restoreSnapshot(idOrName, scene = canvas?.scene) {
+  if (!game.user?.isGM || !scene) return -1;
+  const snapshot = findSnapshot(idOrName, scene);
+  if (!snapshot) return -1;
+
+  const current = captureSceneState(scene);
+  const changes = diffTokenStates(current, snapshot.tokens ?? {});
+  const updates = buildRestoreUpdates(snapshot.tokens ?? {}, current);
+  // Restored states are permanent; pending expiries would revert them later
+  for (const doc of scene.tokens ?? []) {
+    const expiries = doc.flags?.[MODULE_ID]?.[EXPIRY_FLAG] ?? {};
+    const ids = Object.keys(expiries).filter((id) => snapshot.tokens?.[id]);
+    if (!snapshot.tokens?.[doc.id] || !ids.length) continue;
+    let patch = updates.find((u) => u._id === doc.id);
+    if (!patch) updates.push((patch = { _id: doc.id }));
+    for (const id of ids) patch[`flags.${MODULE_ID}.${EXPIRY_FLAG}.-=${id}`] = null;
+  }
+  if (!updates.length) return 0;
+
+  await scene.updateEmbeddedDocuments(
+    'Token',
+    updates,
+    withAuditOptions({ diff: false }, { source: 'snapshot', reason: snapshot.name }),
+  );
+
+  await applyStateChangeEffects(changes);
+  return changes.length;
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} idOrName
+ * @param {Scene} [scene=canvas.scene]
+ * @returns {Promise<boolean>}
+ */
+export async function deleteSnapshot(idOrName, scene = canvas?.scene) {
+  if (!game.user?.isGM || !scene) return false;
+  const snapshot = findSnapshot(idOrName, scene);
+  if (!snapshot) return false;
+  await scene.update({ [`flags.${MODULE_ID}.${SNAPSHOT_FLAG}.-=${snapshot.id}`]: null });
+  return true;
+}
+
+/**
+ * Open the snapshots window
+ */
+export async function openSnapshotsWindow() {
+  if (!game.user?.isGM) return null;
+  const { SnapshotsWindow } = await import('../managers/snapshots.js');
+  return SnapshotsWindow.open();
+}
@@ -59,6 +59,13 @@ export function refreshLocalPerception() {
       await updateWallVisuals();
     })();
   } catch (_) {}
+  // And the "What I perceive" panel, if open
+  try {
+    (async () => {
+      const { PerceptionPanel } = await import('../managers/perception-panel.js');
+      PerceptionPanel.current?.refresh();
+    })();
+  } catch (_) {}
 }
 
 /*
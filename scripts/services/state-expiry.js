@@ -0,0 +1,321 @@
+/**
+ * Timed visibility states
+ * Any pairwise visibility write may carry an expiry: end of a token's turn, start of its next
+ * turn, N rounds, or until it moves. Entries are kept on `flags.pf2e-visioner.visibilityExpiry`
+ * of the observer, keyed by target id, together with the state they set and the state before it.
+ * The active GM processes them on turn changes, movement and encounter end; a pair whose state is
+ * still the timed one reverts to its previous value, and the GM gets a chat summary.
+ */
+
+import { MODULE_ID, MODULE_TITLE } from '../constants.js';
+import { escapeHTML } from '../helpers/html-utils.js';
+
+export const EXPIRY_FLAG = 'visibilityExpiry';
+
+/**
+ * Supported expiry types and what ends them
+ * @type {Record<string, string>}
+ */
+export const EXPIRY_TYPES = {
+  'turn-end': "end of the token's turn",
+  'turn-start': "start of the token's next turn",
+  rounds: "start of the token's turn once the rounds have passed",
+  move: 'the token moves',
+};
+
+function isEnabled() {
+  try {
+    return !!game.settings.get(MODULE_ID, 'visibilityStateExpiry');
+  } catch (_) {
+    return false;
+  }
+}
+
+function isActiveGM() {
+  if (!game.user?.isGM) return false;
+  return !game.users?.activeGM || game.users.activeGM.id === game.user.id;
+}
+
+/**
+ * Normalize an expiry specification
+ * @param {string|Object} spec - Expiry type, or { type, rounds, tokenId }
+ * @param {Token} target - Default anchor: the token whose turn or movement ends the state
+ * @returns {{type:string, rounds:number|null, tokenId:string}|null}
+ */
+export function normalizeExpiry(spec, target) {
+  const data = typeof spec === 'string' ? { type: spec } : spec;
+  if (!data || !EXPIRY_TYPES[data.type]) return null;
+  const rounds = Number(data.rounds);
+  if (data.type === 'rounds' && !(rounds >= 1)) return null;
+  const tokenId = data.tokenId ?? target?.document?.id ?? null;
+  if (!tokenId) return null;
+  return { type: data.type, rounds: data.type === 'rounds' ? rounds : null, tokenId };
+}
+
+/**
+ * Expiry entries of an observer, keyed by target id
+ * @param {Token} observer
+ * @returns {Record<string, Object>}
+ */
+export function getExpiryMap(observer) {
+  return observer?.document?.getFlag?.(MODULE_ID, EXPIRY_FLAG) ?? {};
+}
+
+/**
+ * Record (or clear) the expiry of a pair after its state was written. A write without an expiry
+ * clears a pending one, so a later permanent change is never reverted.
+ * @param {Token} observer
+ * @param {Token} target
+ * @param {string|Object|null} spec - Expiry specification, see normalizeExpiry
+ * @param {Object} context
+ * @param {string} context.state - State just written
+ * @param {string} context.previous - State before the write
+ * @param {Object} [context.previousDerived] - Auto-visibility entry the pair had before the write
+ * @param {Object} [context.audit] - Provenance of the write
+ */
+export async function recordStateExpiry(
+  observer,
+  target,
+  spec,
+  { state, previous, previousDerived, audit } = {},
+) {
+  const targetId = target?.document?.id;
+  if (!observer?.document || !targetId || !game.user?.isGM) return;
+  const existing = getExpiryMap(observer)[targetId] ?? null;
+  const expiry = spec && isEnabled() ? normalizeExpiry(spec, target) : null;
+  if (!expiry && !existing) return;
+
+  const path = `flags.${MODULE_ID}.${EXPIRY_FLAG}`;
+  if (!expiry) {
+    await observer.document.update({ [`${path}.-=${targetId}`]: null });
+    return;
+  }
+  const combat = game.combat?.started ? game.combat : null;
+  const derived = existing ? existing.previousDerived : previousDerived;
+  await observer.document.update({
+    [`${path}.${targetId}`]: {
+      ...expiry,
+      state,
+      // Chained timed states fall back to the state before the first of them
+      previous: existing?.previous ?? previous ?? 'observed',
+      combatId: combat?.id ?? null,
+      round: combat?.round ?? 0,
+      turn: combat?.turn ?? null,
+      action: audit?.action ?? null,
+      ...(derived ? { previousDerived: derived } : {}),
+    },
+  });
+}
+
+/**
+ * Drop pending expiries of pairs that were just set by hand (Token Manager); their states are
+ * meant to stay
+ * @param {Token} observer
+ * @param {string[]} targetIds
+ */
+export async function clearStateExpiries(observer, targetIds) {
+  if (!observer?.document || !targetIds?.length || !game.user?.isGM) return;
+  const existing = getExpiryMap(observer);
+  const update = {};
+  for (const targetId of targetIds) {
+    if (existing[targetId]) update[`flags.${MODULE_ID}.${EXPIRY_FLAG}.-=${targetId}`] = null;
+  }
+  if (Object.keys(update).length) await observer.document.update(update);
+}
+
+/**
+ * Whether an entry ends with an event
+ * @param {Object} entry
+ * @param {Object} event
+ * @param {'turn'|'move'|'combat-end'} event.type
+ * @param {string} [event.endedTokenId] - turn: token whose turn just ended
+ * @param {string} [event.startedTokenId] - turn: token whose turn just started
+ * @param {number} [event.round] - turn: current round
+ * @param {number} [event.turn] - turn: current turn index
+ * @param {boolean} [event.roundChanged] - turn: a new round began
+ * @param {Set<string>} [event.combatantTokenIds] - turn: tokens in the encounter
+ * @param {string} [event.tokenId] - move: token that moved
+ * @returns {boolean}
+ */
+export function isExpired(entry, event) {
+  if (!entry || !event) return false;
+  if (event.type === 'move') return entry.type === 'move' && event.tokenId === entry.tokenId;
+  if (event.type === 'combat-end') return entry.type !== 'move';
+  if (event.type !== 'turn') return false;
+
+  // Entries written during the turn that just started belong to it
+  const setThisTurn = entry.round === event.round && entry.turn === event.turn;
+  switch (entry.type) {
+    case 'turn-end':
+      return event.endedTokenId === entry.tokenId;
+    case 'turn-start':
+      return !setThisTurn && event.startedTokenId === entry.tokenId;
+    case 'rounds': {
+      if (setThisTurn || event.round < (entry.round ?? 0) + entry.rounds) return false;
+      // Creatures outside the encounter count rounds from the top of each round
+      if (!event.combatantTokenIds?.has(entry.tokenId)) return !!event.roundChanged;
+      return event.startedTokenId === entry.tokenId;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Expired pairs on the current scene
+ * @param {Object} event - See isExpired
+ * @returns {Array<{observer: Token, targetId: string, target: Token|null, entry: Object}>}
+ */
+export function collectExpired(event) {
+  const expired = [];
+  for (const observer of canvas?.tokens?.placeables ?? []) {
+    for (const [targetId, entry] of Object.entries(getExpiryMap(observer))) {
+      const target = canvas.tokens.get?.(targetId) ?? null;
+      // Entries of deleted targets are dropped with the rest
+      if (!target || isExpired(entry, event)) expired.push({ observer, targetId, target, entry });
+    }
+  }
+  return expired;
+}
+
+function tokenName(token) {
+  return token?.name ?? token?.document?.name ?? token?.id ?? '?';
+}
+
+function describeExpiry(entry) {
+  const anchor = tokenName(canvas?.tokens?.get?.(entry.tokenId));
+  switch (entry.type) {
+    case 'turn-end':
+      return `end of ${anchor}'s turn`;
+    case 'turn-start':
+      return `start of ${anchor}'s turn`;
+    case 'rounds':
+      return `${entry.rounds} ${entry.rounds === 1 ? 'round' : 'rounds'}`;
+    case 'move':
+      return `${anchor} moved`;
+    default:
+      return entry.type;
+  }
+}
+
+async function whisperSummary(rows) {
+  try {
+    const gmIds = (game.users?.filter?.((u) => u.isGM) ?? []).map((u) => u.id);
+    const items = rows
+      .map(
+        (r) =>
+          `<li>${escapeHTML(r.observer)} → ${escapeHTML(r.target)}: ${r.state} → ${r.previous} (${escapeHTML(r.reason)}${r.action ? `, ${escapeHTML(r.action)}` : ''})</li>`,
+      )
+      .join('');
+    await ChatMessage.create({
+      content: `<p><strong>${MODULE_TITLE}</strong>: timed visibility states expired</p><ul>${items}</ul>`,
+      whisper: gmIds,
+      speaker: { alias: MODULE_TITLE },
+    });
+  } catch (error) {
+    console.warn(`${MODULE_TITLE}: Failed to whisper expired states:`, error);
+  }
+}
+
+/**
+ * Revert every pair whose expiry ends with the event and summarize the reverts for the GM
+ * @param {Object} event - See isExpired
+ * @returns {Promise<number>} Number of reverted pairs
+ */
+export async function processExpiry(event) {
+  if (!isActiveGM() || !isEnabled()) return 0;
+  const expired = collectExpired(event);
+  if (!expired.length) return 0;
+
+  const { getVisibilityBetween, setVisibilityBetween } = await import(
+    '../stores/visibility-map.js'
+  );
+  const rows = [];
+  for (const { observer, targetId, target, entry } of expired) {
+    try {
+      // Someone changed the pair since; the timed state is already gone
+      if (!target || getVisibilityBetween(observer, target) !== entry.state) {
+        await observer.document.update({
+          [`flags.${MODULE_ID}.${EXPIRY_FLAG}.-=${targetId}`]: null,
+        });
+        continue;
+      }
+      // Written without an expiry, which also clears the entry. A previous state auto-visibility
+      // had derived goes back to auto-visibility.
+      const derived =
+        entry.previousDerived?.state === entry.previous ? entry.previousDerived : null;
+      await setVisibilityBetween(observer, target, entry.previous, {
+        direction: 'observer_to_target',
+        audit: { source: 'expiry', action: entry.action, reason: describeExpiry(entry) },
+        ...(derived ? { derived } : {}),
+      });
+      rows.push({
+        observer: tokenName(observer),
+        target: tokenName(target),
+        state: entry.state,
+        previous: entry.previous,
+        reason: describeExpiry(entry),
+        action: entry.action,
+      });
+    } catch (error) {
+      console.warn(`${MODULE_TITLE}: Failed to expire visibility state:`, error);
+    }
+  }
+  if (!rows.length) return 0;
+
+  try {
+    const { updateTokenVisuals } = await import('./visual-effects.js');
+    await updateTokenVisuals();
+  } catch (_) {}
+  await whisperSummary(rows);
+  return rows.length;
+}
+
+/**
+ * updateCombat handler: turn and round changes end turn- and round-based states
+ * @param {Combat} combat
+ * @param {Object} changes
+ * @param {Object} [options]
+ */
+export function onUpdateCombatExpiry(combat, changes, options = {}) {
+  if (!changes || (changes.turn === undefined && changes.round === undefined)) return;
+  // Rewinding the tracker does not end anything
+  if (options?.direction === -1) return;
+  if (combat?.scene && canvas?.scene && combat.scene.id !== canvas.scene.id) return;
+  const combatantTokenIds = new Set(
+    Array.from(combat?.combatants ?? [])
+      .map((c) => c?.tokenId)
+      .filter(Boolean),
+  );
+  processExpiry({
+    type: 'turn',
+    endedTokenId: combat?.previous?.tokenId ?? null,
+    startedTokenId: combat?.combatant?.tokenId ?? null,
+    round: combat?.round ?? 0,
+    turn: combat?.turn ?? null,
+    roundChanged: changes.round !== undefined,
+    combatantTokenIds,
+  }).catch((error) => console.warn(`${MODULE_TITLE}: Expiring visibility states failed:`, error));
+}
+
+/**
+ * deleteCombat handler: turn- and round-based states end with the encounter
+ */
+export function onDeleteCombatExpiry() {
+  processExpiry({ type: 'combat-end' }).catch((error) =>
+    console.warn(`${MODULE_TITLE}: Expiring visibility states failed:`, error),
+  );
+}
+
+/**
+ * updateToken handler: moving ends the states that last until the token moves
+ * @param {TokenDocument} tokenDoc
+ * @param {Object} changes
+ */
+export function onUpdateTokenExpiry(tokenDoc, changes) {
+  if (!changes || (changes.x === undefined && changes.y === undefined)) return;
+  if (!tokenDoc?.id) return;
+  processExpiry({ type: 'move', tokenId: tokenDoc.id }).catch((error) =>
+    console.warn(`${MODULE_TITLE}: Expiring visibility states failed:`, error),
+  );
+}
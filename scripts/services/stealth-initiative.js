@@ -0,0 +1,164 @@
+/**
+ * Stealth initiative (Avoid Notice)
+ * When an encounter starts, creatures that rolled Stealth for initiative compare their total
+ * against each enemy's Perception DC to seed the initial visibility states. The GM reviews the
+ * results in StealthInitiativePreviewDialog before anything is applied.
+ */
+
+import { MODULE_ID, MODULE_TITLE } from '../constants.js';
+import {
+  applyVisibilityChanges,
+  determineOutcome,
+  extractPerceptionDC,
+  shouldFilterAlly,
+} from '../chat/services/infra/shared-utils.js';
+import { getVisibilityBetween } from '../utils.js';
+import conditionEvaluator from '../visibility/auto-visibility/ConditionEvaluator.js';
+
+/**
+ * Outcome → visibility of the sneaking creature to the observer, as for Sneak from cover
+ * @type {Record<string, string>}
+ */
+export const AVOID_NOTICE_OUTCOME_STATES = {
+  'critical-success': 'undetected',
+  success: 'undetected',
+  failure: 'hidden',
+  'critical-failure': 'observed',
+};
+
+/**
+ * Whether a combatant rolled Stealth for initiative
+ * @param {Combatant} combatant
+ * @returns {boolean}
+ */
+export function isStealthInitiative(combatant) {
+  if (!combatant || combatant.initiative == null) return false;
+  const statistic =
+    combatant.flags?.pf2e?.initiativeStatistic ?? combatant.actor?.system?.initiative?.statistic;
+  return statistic === 'stealth';
+}
+
+/**
+ * Natural d20 of the combatant's latest initiative roll, if the chat message is still around
+ * @param {Combatant} combatant
+ * @returns {number|null}
+ */
+export function getInitiativeDie(combatant) {
+  try {
+    const messages = Array.from(game.messages?.contents ?? game.messages ?? []);
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const msg = messages[i];
+      if (!msg?.flags?.core?.initiativeRoll) continue;
+      if (msg.speaker?.token !== combatant.tokenId) continue;
+      const die = msg.rolls?.[0]?.dice?.[0]?.total;
+      return Number.isFinite(die) ? die : null;
+    }
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Compare every Stealth initiative in the encounter against enemy Perception DCs
+ * @param {Combat} combat
+ * @returns {Array<Object>} One outcome per sneaking creature / observer pair
+ */
+export function computeStealthInitiativeOutcomes(combat) {
+  const outcomes = [];
+  const tokens = canvas?.tokens?.placeables || [];
+  for (const combatant of combat?.combatants ?? []) {
+    if (!isStealthInitiative(combatant)) continue;
+    const sneaker =
+      combatant.token?.object ?? tokens.find((t) => t.id === combatant.tokenId) ?? null;
+    if (!sneaker?.actor) continue;
+
+    const rollTotal = Number(combatant.initiative);
+    const die = getInitiativeDie(combatant);
+    const observers = tokens
+      .filter((t) => t?.actor && t.id !== sneaker.id)
+      .filter((t) => t.actor.type !== 'loot' && t.actor.type !== 'hazard')
+      .filter((t) => !shouldFilterAlly(sneaker, t, 'enemies', true));
+
+    for (const observer of observers) {
+      const dc = extractPerceptionDC(observer);
+      if (!dc) continue;
+      const outcome = determineOutcome(rollTotal, die, dc);
+      const clamp = conditionEvaluator.clampActionState(
+        'sneak',
+        observer,
+        sneaker,
+        AVOID_NOTICE_OUTCOME_STATES[outcome],
+      );
+      outcomes.push({
+        rowId: `${sneaker.id}-${observer.id}`,
+        sneaker,
+        observer,
+        rollTotal,
+        die,
+        dc,
+        margin: rollTotal - dc,
+        outcome,
+        oldVisibility: getVisibilityBetween(observer, sneaker) || 'observed',
+        newVisibility: clamp.state,
+        senseLimited: clamp.clamped,
+        senseLimitReason: clamp.reason,
+      });
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Write outcome states, grouped per observer
+ * @param {Array<Object>} outcomes
+ * @param {Object} [options]
+ * @param {boolean} [options.revert=false] - Restore each pair's previous state instead
+ */
+export async function applyStealthInitiativeOutcomes(outcomes, { revert = false } = {}) {
+  const byObserver = new Map();
+  for (const o of outcomes || []) {
+    const state = revert ? o.oldVisibility : o.overrideState || o.newVisibility;
+    if (!o?.observer || !o?.sneaker || !state) continue;
+    if (!byObserver.has(o.observer.id))
+      byObserver.set(o.observer.id, { observer: o.observer, changes: [] });
+    byObserver.get(o.observer.id).changes.push({ target: o.sneaker, newVisibility: state });
+  }
+  for (const { observer, changes } of byObserver.values()) {
+    await applyVisibilityChanges(observer, changes, {
+      direction: 'observer_to_target',
+      audit: { source: revert ? 'revert' : 'action', action: 'avoid-notice' },
+    });
+  }
+}
+
+/**
+ * Open the review dialog for an encounter's Stealth initiatives
+ * @param {Combat} [combat=game.combat]
+ * @returns {Promise<boolean>} Whether the dialog opened
+ */
+export async function openStealthInitiativePreview(combat = game.combat) {
+  if (!game.user?.isGM || !combat) return false;
+  const outcomes = computeStealthInitiativeOutcomes(combat);
+  if (!outcomes.length) return false;
+  try {
+    const { StealthInitiativePreviewDialog } = await import(
+      '../chat/dialogs/stealth-initiative-preview-dialog.js'
+    );
+    new StealthInitiativePreviewDialog(combat, outcomes).render(true);
+    return true;
+  } catch (error) {
+    console.error(`${MODULE_TITLE}: Error opening stealth initiative preview:`, error);
+    return false;
+  }
+}
+
+/**
+ * Combat start handler: only the active GM resolves, and only when enabled
+ * @param {Combat} combat
+ */
+export async function onEncounterStart(combat) {
+  if (!game.user?.isGM) return;
+  if (game.users?.activeGM && game.users.activeGM.id !== game.user.id) return;
+  if (!game.settings.get(MODULE_ID, 'avoidNoticeInitiative')) return;
+  if (combat?.scene && canvas?.scene && combat.scene.id !== canvas.scene.id) return;
+  await openStealthInitiativePreview(combat);
+}
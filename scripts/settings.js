@@ -3,7 +3,13 @@
  */
 
 import { reinjectChatAutomationStyles } from './chat/chat-automation-styles.js';
-import { DEFAULT_SETTINGS, KEYBINDINGS, MODULE_ID } from './constants.js';
+import {
+  DEFAULT_EFFECT_VISIBILITY_MAPPINGS,
+  DEFAULT_SETTINGS,
+  EFFECT_VISIBILITY_CONSEQUENCES,
+  KEYBINDINGS,
+  MODULE_ID,
+} from './constants.js';
 
 // Define grouped settings sections to declutter the native list.
 // All keys listed here will be hidden from the default module settings UI
@@ -21,23 +27,38 @@ const SETTINGS_GROUPS = {
     'enforceRawRequirements',
     'keybindingOpensTMInTargetMode',
     'sneakRawEnforcement',
+    'avoidNoticeInitiative',
+    'playerActionQueue',
+    'visibilityStateExpiry',
+    'revealOnMove',
     'enableAllTokensVision',
   ],
   'Visibility & Hover': [
     'enableHoverTooltips',
     'allowPlayerTooltips',
+    'playerPerceptionPanel',
+    'combatTrackerVisibility',
     'blockPlayerTargetTooltips',
     'tooltipFontSize',
     'colorblindMode',
     'hiddenWallsEnabled',
     'wallStealthDC',
+    'autoVisibility',
   ],
+  Effects: ['effectVisibilityMappings'],
   'Seek & Range': [
     'seekUseTemplate',
     'limitSeekRangeInCombat',
     'limitSeekRangeOutOfCombat',
     'customSeekDistance',
     'customSeekDistanceOutOfCombat',
+    'passiveSearch',
+    'passiveSearchDistance',
+    'noiseSystem',
+    'noiseRange',
+    'noiseFromSpells',
+    'noiseFromStrikes',
+    'noiseFromForceOpen',
   ],
   'Auto-cover': [
     'autoCover',
@@ -46,6 +67,8 @@ const SETTINGS_GROUPS = {
     'autoCoverCoverageGreaterPct',
     'autoCoverIgnoreUndetected',
     'autoCoverVisualizationOnlyInEncounter',
+    'autoCoverDragPreview',
+    'autoCoverDragPreviewBothWays',
     'autoCoverIgnoreDead',
     'autoCoverIgnoreAllies',
     'autoCoverRespectIgnoreFlag',
@@ -55,7 +78,7 @@ const SETTINGS_GROUPS = {
     'wallCoverStandardThreshold',
     'wallCoverGreaterThreshold',
   ],
-  Advanced: ['debug'],
+  Advanced: ['visibilityAuditLog', 'debug'],
 };
 
 function isGroupedKey(key) {
@@ -78,6 +101,9 @@ class VisionerSettingsForm extends foundry.applications.api.ApplicationV2 {
     actions: {
       submit: VisionerSettingsForm._onSubmit,
       switchGroup: VisionerSettingsForm._onSwitchGroup,
+      addEffectMapping: VisionerSettingsForm._onAddEffectMapping,
+      removeEffectMapping: VisionerSettingsForm._onRemoveEffectMapping,
+      resetEffectMappings: VisionerSettingsForm._onResetEffectMappings,
     },
   };
 
@@ -134,6 +160,24 @@ class VisionerSettingsForm extends foundry.applications.api.ApplicationV2 {
           current = pendingRaw !== '' && pendingRaw != null ? Number(pendingRaw) : saved;
         else current = String(pendingRaw);
       }
+      if (key === 'effectVisibilityMappings') {
+        items.push({
+          key,
+          name: cfg.name,
+          hint: cfg.hint || '',
+          inputType: 'effectRegistry',
+          rows: this._getEffectMappingsDraft().map((row, index) => ({
+            ...row,
+            index,
+            consequences: Object.entries(EFFECT_VISIBILITY_CONSEQUENCES).map(([value, label]) => ({
+              value,
+              label,
+              selected: value === row.consequence,
+            })),
+          })),
+        });
+        continue;
+      }
       let inputType = 'text';
       let choicesList = null;
       if (cfg.choices && typeof cfg.choices === 'object') {
@@ -185,6 +229,14 @@ class VisionerSettingsForm extends foundry.applications.api.ApplicationV2 {
         });
       });
 
+      // Effect registry rows edit the draft directly; it is saved with the rest of the form
+      content.querySelectorAll('[data-effect-field][data-index]').forEach((el) => {
+        el.addEventListener('change', () => {
+          const row = this._getEffectMappingsDraft()[Number(el.dataset.index)];
+          if (row) row[el.dataset.effectField] = el.value;
+        });
+      });
+
       // Utility: show/hide a setting's form-group wrapper
       const toggleSettingVisibility = (name, visible) => {
         try {
@@ -299,6 +351,10 @@ class VisionerSettingsForm extends foundry.applications.api.ApplicationV2 {
         'autoCoverCoverageGreaterPct',
         'autoCoverIgnoreUndetected',
         'autoCoverVisualizationOnlyInEncounter',
+        'autoCoverDragPreview',
+        'autoCoverDragPreviewBothWays',
+        'autoCoverDragPreview',
+        'autoCoverDragPreviewBothWays',
         'autoCoverIgnoreDead',
         'autoCoverIgnoreAllies',
         'autoCoverRespectIgnoreFlag',
@@ -364,6 +420,21 @@ class VisionerSettingsForm extends foundry.applications.api.ApplicationV2 {
         else value = raw != null ? raw : saved;
         if (value !== saved) await game.settings.set(MODULE_ID, key, value);
       }
+      if (app._effectMappingsDraft) {
+        const mappings = {};
+        for (const row of app._effectMappingsDraft) {
+          const slug = String(row.slug || '')
+            .trim()
+            .toLowerCase();
+          if (!slug) continue;
+          mappings[slug] = { label: row.label || slug, consequence: row.consequence };
+        }
+        const saved = game.settings.get(MODULE_ID, 'effectVisibilityMappings');
+        if (JSON.stringify(mappings) !== JSON.stringify(saved)) {
+          await game.settings.set(MODULE_ID, 'effectVisibilityMappings', mappings);
+        }
+        app._effectMappingsDraft = null;
+      }
       // Reset pending after successful save
       try {
         app._pendingChanges = {};
@@ -378,6 +449,32 @@ class VisionerSettingsForm extends foundry.applications.api.ApplicationV2 {
     }
   }
 
+  static _onAddEffectMapping() {
+    const app = currentVisionerSettingsApp;
+    if (!app) return;
+    app._capturePendingChanges();
+    app._getEffectMappingsDraft().push({ slug: '', label: '', consequence: 'concealedToAll' });
+    app.render({ force: true });
+  }
+
+  static _onRemoveEffectMapping(_event, button) {
+    const app = currentVisionerSettingsApp;
+    if (!app) return;
+    app._capturePendingChanges();
+    app._getEffectMappingsDraft().splice(Number(button?.dataset?.index), 1);
+    app.render({ force: true });
+  }
+
+  static _onResetEffectMappings() {
+    const app = currentVisionerSettingsApp;
+    if (!app) return;
+    app._capturePendingChanges();
+    app._effectMappingsDraft = Object.entries(DEFAULT_EFFECT_VISIBILITY_MAPPINGS).map(
+      ([slug, entry]) => ({ slug, ...entry }),
+    );
+    app.render({ force: true });
+  }
+
   static _onSwitchGroup(_event, button) {
     try {
       const key = button?.dataset?.key;
@@ -395,6 +492,21 @@ class VisionerSettingsForm extends foundry.applications.api.ApplicationV2 {
 }
 
 // Instance helpers
+VisionerSettingsForm.prototype._getEffectMappingsDraft = function _getEffectMappingsDraft() {
+  if (!this._effectMappingsDraft) {
+    let saved = {};
+    try {
+      saved = game.settings.get(MODULE_ID, 'effectVisibilityMappings') || {};
+    } catch (_) {}
+    this._effectMappingsDraft = Object.entries(saved).map(([slug, entry]) => ({
+      slug,
+      label: entry?.label || slug,
+      consequence: entry?.consequence || 'concealedToAll',
+    }));
+  }
+  return this._effectMappingsDraft;
+};
+
 VisionerSettingsForm.prototype._capturePendingChanges = function _capturePendingChanges() {
   try {
     const form = this.element?.querySelector?.('form.pf2e-visioner-settings');
@@ -495,6 +607,20 @@ export function registerSettings() {
             });
           } catch (_) {}
         };
+      } else if (key === 'playerActionQueue' || key === 'visibilityAuditLog') {
+        // Show or hide the Pending Player Actions / Audit Log scene tools
+        settingConfig.onChange = () => {
+          try {
+            ui.controls.render();
+          } catch (_) {}
+        };
+      } else if (key === 'combatTrackerVisibility') {
+        // Re-render the tracker to add or remove the detection overlay
+        settingConfig.onChange = () => {
+          try {
+            ui.combat?.render();
+          } catch (_) {}
+        };
       } else if (key === 'hiddenWallsEnabled') {
         // Refresh wall visuals when toggled
         settingConfig.onChange = async () => {
@@ -577,6 +703,18 @@ export function registerSettings() {
             }
           }, 10);
         };
+      } else if (key === 'autoVisibility' || key === 'effectVisibilityMappings') {
+        // Derive baselines immediately when turned on or when the effect registry is edited;
+        // existing states are left as-is when turned off
+        settingConfig.onChange = async (value) => {
+          if (!value) return;
+          try {
+            const { default: autoVisibilitySystem } = await import(
+              './visibility/auto-visibility/AutoVisibilitySystem.js'
+            );
+            autoVisibilitySystem.scheduleRecompute();
+          } catch (_) {}
+        };
       } else if (key === 'keybindingOpensTMInTargetMode') {
         // No reload needed: swap mode is read at runtime
         settingConfig.onChange = () => {};
@@ -710,6 +848,19 @@ export function registerKeybindings() {
           }
         };
         break;
+      case 'openPerceptionPanel':
+        keybindingConfig.onDown = async () => {
+          const { PerceptionPanel, openPerceptionPanel } = await import(
+            './managers/perception-panel.js'
+          );
+          // Toggle: if open, close it
+          if (PerceptionPanel.current) {
+            await PerceptionPanel.current.close();
+            return;
+          }
+          openPerceptionPanel();
+        };
+        break;
       // Add other keybindings as needed
     }
 
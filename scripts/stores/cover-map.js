@@ -3,6 +3,7 @@
  */
 
 import { MODULE_ID } from '../constants.js';
+import { withAuditOptions } from '../services/audit-log.js';
 
 /**
  * Get the cover map for a token
@@ -18,8 +19,10 @@ export function getCoverMap(token) {
  * Persist cover map
  * @param {Token} token
  * @param {Record<string,string>} coverMap
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Provenance recorded in the audit log ({ source, action, messageId })
  */
-export async function setCoverMap(token, coverMap) {
+export async function setCoverMap(token, coverMap, options = {}) {
   if (!token?.document) return;
   // Only GMs can update token documents
   if (!game.user.isGM) return;
@@ -27,7 +30,7 @@ export async function setCoverMap(token, coverMap) {
   const path = `flags.${MODULE_ID}.cover`;
   const result = await token.document.update(
     { [path]: coverMap },
-    { diff: false, render: false, animate: false },
+    withAuditOptions({ diff: false, render: false, animate: false }, options.audit),
   );
   return result;
 }
@@ -65,7 +68,7 @@ export async function setCoverBetween(observer, target, state, options = {}) {
     return;
   }
   coverMap[targetId] = state;
-  await setCoverMap(observer, coverMap);
+  await setCoverMap(observer, coverMap, { audit: options.audit });
 
   if (options.skipEphemeralUpdate) return;
   try {
@@ -3,6 +3,8 @@
  */
 
 import { MODULE_ID } from '../constants.js';
+import { withAuditOptions } from '../services/audit-log.js';
+import { recordStateExpiry } from '../services/state-expiry.js';
 import { updateEphemeralEffectsForVisibility } from '../visibility/ephemeral.js';
 
 /**
@@ -19,14 +21,31 @@ export function getVisibilityMap(token) {
  * Persist the visibility map for a token
  * @param {Token} token
  * @param {Record<string,string>} visibilityMap
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Provenance recorded in the audit log ({ source, action, messageId })
+ * @param {string[]} [options.releaseDerived] - Target ids whose auto-visibility ownership ends
+ *   with this write (their derivedVisibility entries are dropped)
+ * @param {Record<string,Object>} [options.restoreDerived] - derivedVisibility entries, by target
+ *   id, handing those pairs back to auto-visibility with this write
  */
-export async function setVisibilityMap(token, visibilityMap) {
+export async function setVisibilityMap(token, visibilityMap, options = {}) {
   if (!token?.document) return;
   // Only GMs can update token documents
   if (!game.user.isGM) return;
 
   const path = `flags.${MODULE_ID}.visibility`;
-  const result = await token.document.update({ [path]: visibilityMap }, { diff: false });
+  const update = { [path]: visibilityMap };
+  const derived = token.document.getFlag?.(MODULE_ID, 'derivedVisibility') ?? {};
+  for (const targetId of options.releaseDerived ?? []) {
+    if (derived[targetId]) update[`flags.${MODULE_ID}.derivedVisibility.-=${targetId}`] = null;
+  }
+  for (const [targetId, entry] of Object.entries(options.restoreDerived ?? {})) {
+    update[`flags.${MODULE_ID}.derivedVisibility.${targetId}`] = entry;
+  }
+  const result = await token.document.update(
+    update,
+    withAuditOptions({ diff: false }, options.audit),
+  );
   return result;
 }
 
@@ -46,6 +65,10 @@ export function getVisibilityBetween(observer, target) {
  * @param {Token} target
  * @param {string} state
  * @param {Object} options
+ * @param {string|Object} [options.expiry] - When the state ends and reverts, see
+ *   services/state-expiry; writes without one clear a pending expiry of the pair
+ * @param {Object} [options.derived] - derivedVisibility entry for the pair: the written state is
+ *   auto-visibility's again (an expiry reverting to a derived state)
  */
 export async function setVisibilityBetween(
   observer,
@@ -55,9 +78,29 @@ export async function setVisibilityBetween(
 ) {
   if (!observer?.document?.id || !target?.document?.id) return;
 
+  const targetId = target.document.id;
   const visibilityMap = getVisibilityMap(observer);
-  visibilityMap[target.document.id] = state;
-  await setVisibilityMap(observer, visibilityMap);
+  const previous = visibilityMap[targetId] || 'observed';
+  const previousDerived =
+    observer.document.getFlag?.(MODULE_ID, 'derivedVisibility')?.[targetId] ?? null;
+  visibilityMap[targetId] = state;
+  // Any write not made by auto-visibility takes the pair over, even when it keeps the derived state
+  const ownedByDerived = options.audit?.source === 'derived' || !!options.derived;
+  await setVisibilityMap(observer, visibilityMap, {
+    audit: options.audit,
+    releaseDerived: ownedByDerived ? [] : [targetId],
+    restoreDerived: options.derived ? { [targetId]: options.derived } : undefined,
+  });
+  try {
+    await recordStateExpiry(observer, target, options.expiry, {
+      state,
+      previous,
+      previousDerived,
+      audit: options.audit,
+    });
+  } catch (error) {
+    console.error('PF2E Visioner: Error recording visibility expiry:', error);
+  }
 
   if (options.skipEphemeralUpdate) return;
   try {
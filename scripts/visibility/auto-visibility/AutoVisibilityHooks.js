@@ -0,0 +1,143 @@
+/**
+ * AutoVisibilityHooks.js
+ * Re-runs visibility derivation when lights, tokens, walls, scene darkness or ceiling,
+ * conditions, registered effects or regions change
+ */
+
+import { MODULE_ID } from '../../constants.js';
+import autoVisibilitySystem from './AutoVisibilitySystem.js';
+import { VISIBILITY_CONDITIONS } from './ConditionEvaluator.js';
+import effectVisibilityRegistry from './EffectVisibilityRegistry.js';
+import { CEILING_FLAG } from './ElevationEvaluator.js';
+
+/**
+ * Token document fields whose change can alter a derived baseline
+ * @type {string[]}
+ */
+const RELEVANT_TOKEN_KEYS = ['x', 'y', 'elevation', 'width', 'height', 'light', 'sight', 'hidden'];
+
+export class AutoVisibilityHooks {
+  /**
+   * Track whether hooks have been registered
+   * @private
+   * @static
+   */
+  static _hooksRegistered = false;
+
+  /**
+   * Register all hooks for automatic visibility derivation
+   * @static
+   */
+  static registerHooks() {
+    if (AutoVisibilityHooks._hooksRegistered) return;
+    AutoVisibilityHooks._hooksRegistered = true;
+
+    const schedule = () => autoVisibilitySystem.scheduleRecompute();
+
+    // Light sources
+    Hooks.on('createAmbientLight', schedule);
+    Hooks.on('updateAmbientLight', schedule);
+    Hooks.on('deleteAmbientLight', schedule);
+
+    // Tokens
+    Hooks.on('createToken', schedule);
+    Hooks.on('deleteToken', schedule);
+    Hooks.on('updateToken', (_doc, changes) => {
+      if (AutoVisibilityHooks.isRelevantTokenChange(changes)) schedule();
+    });
+
+    // Walls, for their heights
+    Hooks.on('createWall', schedule);
+    Hooks.on('updateWall', schedule);
+    Hooks.on('deleteWall', schedule);
+
+    // Scene darkness / global illumination / ceiling
+    Hooks.on('updateScene', (scene, changes) => {
+      if (scene?.id !== canvas?.scene?.id) return;
+      if (AutoVisibilityHooks.isRelevantSceneChange(changes)) schedule();
+    });
+
+    // Conditions (blinded, dazzled, deafened, invisible), registered effects and senses on actors.
+    // Expiring effects are deleted by the system, which undoes their consequences here.
+    const onItemChange = (item) => {
+      if (AutoVisibilityHooks.isRelevantItem(item)) schedule();
+    };
+    Hooks.on('createItem', onItemChange);
+    Hooks.on('updateItem', onItemChange);
+    Hooks.on('deleteItem', onItemChange);
+    Hooks.on('updateActor', (actor, changes) => {
+      if (!AutoVisibilityHooks.isActorOnScene(actor)) return;
+      const perception = changes?.system?.perception;
+      if (
+        perception?.senses ||
+        perception?.vision !== undefined ||
+        changes?.system?.traits?.senses
+      ) {
+        schedule();
+      }
+    });
+
+    // Regions and their behaviors (concealment regions)
+    for (const type of ['Region', 'RegionBehavior']) {
+      Hooks.on(`create${type}`, schedule);
+      Hooks.on(`update${type}`, schedule);
+      Hooks.on(`delete${type}`, schedule);
+    }
+
+    Hooks.on('canvasReady', schedule);
+  }
+
+  /**
+   * Whether a token update can affect derived visibility. Flag-only updates are ignored so the
+   * system's own writes don't retrigger it.
+   * @param {Object} changes
+   * @returns {boolean}
+   */
+  static isRelevantTokenChange(changes) {
+    if (!changes || typeof changes !== 'object') return false;
+    return RELEVANT_TOKEN_KEYS.some((key) => Object.prototype.hasOwnProperty.call(changes, key));
+  }
+
+  /**
+   * Whether an actor has a token on the viewed scene
+   * @param {Actor} actor
+   * @returns {boolean}
+   */
+  static isActorOnScene(actor) {
+    if (!actor) return false;
+    try {
+      return (canvas?.tokens?.placeables ?? []).some((t) => t.actor?.id === actor.id);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether an item change is a visibility-relevant condition or registered effect on an actor
+   * in the scene
+   * @param {Item} item
+   * @returns {boolean}
+   */
+  static isRelevantItem(item) {
+    if (item?.type !== 'condition' && item?.type !== 'effect') return false;
+    const slug = item.slug ?? item.system?.slug;
+    const relevant =
+      (item.type === 'condition' && VISIBILITY_CONDITIONS.includes(slug)) ||
+      effectVisibilityRegistry.isRegisteredSlug(slug);
+    if (!relevant) return false;
+    return AutoVisibilityHooks.isActorOnScene(item.parent);
+  }
+
+  /**
+   * Whether a scene update changes its lighting or ceiling height
+   * @param {Object} changes
+   * @returns {boolean}
+   */
+  static isRelevantSceneChange(changes) {
+    if (!changes || typeof changes !== 'object') return false;
+    if (changes.environment || 'darkness' in changes || 'globalLight' in changes) return true;
+    const flags = changes.flags?.[MODULE_ID] ?? {};
+    if (CEILING_FLAG in flags || `-=${CEILING_FLAG}` in flags) return true;
+    return 'tokenVision' in changes;
+  }
+}
@@ -0,0 +1,444 @@
+/**
+ * AutoVisibilitySystem.js
+ * Derives baseline visibility states (lighting, senses, conditions, elevation and any other registered
+ * derivers) and feeds them into the per-pair visibility map without clobbering states set by
+ * actions or the Token Manager.
+ */
+
+import { MODULE_ID } from '../../constants.js';
+import {
+  getConcealmentRegionBehaviors,
+  getRegionConcealmentBetween,
+} from '../../regions/ConcealmentRegionBehavior.js';
+import { withAuditOptions } from '../../services/audit-log.js';
+import conditionEvaluator from './ConditionEvaluator.js';
+import effectVisibilityRegistry from './EffectVisibilityRegistry.js';
+import elevationEvaluator from './ElevationEvaluator.js';
+import lightingEvaluator from './LightingEvaluator.js';
+import senseEvaluator from './SenseEvaluator.js';
+
+/**
+ * Severity order of visibility states; derivers are combined by taking the most severe result
+ * @type {Record<string, number>}
+ */
+export const VISIBILITY_SEVERITY = {
+  observed: 0,
+  concealed: 1,
+  hidden: 2,
+  undetected: 3,
+};
+
+const IGNORED_OBSERVER_TYPES = new Set(['loot', 'hazard', 'vehicle', 'party']);
+const DEFAULT_DEBOUNCE_MS = 200;
+
+export class AutoVisibilitySystem {
+  /**
+   * Flag key holding the derived entries written by this system: { [targetId]: { state, source, reason } }
+   * @type {string}
+   * @readonly
+   */
+  static DERIVED_FLAG = 'derivedVisibility';
+
+  /**
+   * Flag key holding pairs that were set manually and must not be derived: { [targetId]: true }
+   * @type {string}
+   * @readonly
+   */
+  static MANUAL_FLAG = 'manualVisibility';
+
+  /**
+   * Registered derivers keyed by id
+   * @type {Map<string, {id:string, derive:Function}>}
+   * @private
+   */
+  _derivers = new Map();
+
+  /**
+   * Registered adjusters keyed by id; they may drop or rewrite contributions before combining
+   * @type {Map<string, {id:string, adjust:Function}>}
+   * @private
+   */
+  _adjusters = new Map();
+
+  /** @private */
+  _pendingTimer = null;
+
+  /** @private */
+  _running = null;
+
+  /** @private */
+  _rerunRequested = false;
+
+  constructor() {
+    this.registerDeriver('lighting', (observer, target, context) =>
+      lightingEvaluator.deriveState(observer, target, context),
+    );
+    this.registerDeriver('senses', (observer, target) =>
+      senseEvaluator.deriveState(observer, target, {
+        exclude: conditionEvaluator.getLostSenses(observer),
+      }),
+    );
+    this.registerDeriver('conditions', (observer, target, context) =>
+      conditionEvaluator.deriveState(observer, target, context),
+    );
+    this.registerDeriver('effects', (observer, target, context) =>
+      effectVisibilityRegistry.deriveState(observer, target, context),
+    );
+    this.registerDeriver('elevation', (observer, target) =>
+      elevationEvaluator.deriveState(observer, target),
+    );
+    this.registerDeriver('regions', (observer, target, context) => {
+      if (!context?.cache?.has('regions:concealment')) {
+        context?.cache?.set('regions:concealment', getConcealmentRegionBehaviors().length > 0);
+      }
+      if (context?.cache && !context.cache.get('regions:concealment')) return null;
+      if (!observer?.actor || !target?.actor) return null;
+      return getRegionConcealmentBetween(observer, target, {
+        senses: senseEvaluator.getSensesInRange(observer, target, {
+          exclude: conditionEvaluator.getLostSenses(observer),
+        }),
+      });
+    });
+    this.registerAdjuster('effects', (observer, target, contributions, context) =>
+      effectVisibilityRegistry.adjustContributions(observer, target, contributions, context),
+    );
+  }
+
+  /**
+   * Check if automatic visibility derivation is enabled in settings
+   * @returns {boolean}
+   */
+  isEnabled() {
+    try {
+      return !!game.settings.get(MODULE_ID, 'autoVisibility');
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Register a deriver. A deriver returns { state, reason } or null for an (observer, target) pair.
+   * @param {string} id - Unique deriver id, recorded as the source of derived states
+   * @param {(observer:Token, target:Token, context:Object) => ({state:string, reason?:string}|null)} derive
+   */
+  registerDeriver(id, derive) {
+    if (!id || typeof derive !== 'function') return;
+    this._derivers.set(id, { id, derive });
+  }
+
+  /**
+   * Remove a previously registered deriver
+   * @param {string} id
+   */
+  unregisterDeriver(id) {
+    this._derivers.delete(id);
+  }
+
+  /**
+   * Register an adjuster, run on the collected contributions of a pair before they are combined
+   * @param {string} id
+   * @param {(observer:Token, target:Token, contributions:Array, context:Object) => Array} adjust
+   */
+  registerAdjuster(id, adjust) {
+    if (!id || typeof adjust !== 'function') return;
+    this._adjusters.set(id, { id, adjust });
+  }
+
+  /**
+   * Create the shared per-pass context handed to derivers
+   * @returns {Object}
+   */
+  createContext() {
+    return { lightLevels: new Map(), cache: new Map() };
+  }
+
+  /**
+   * Compute the combined baseline between two tokens
+   * @param {Token} observer
+   * @param {Token} target
+   * @param {Object} [context]
+   * @returns {{state:string, source:string|null, reason:string|null, contributions:Array}}
+   */
+  deriveBaseline(observer, target, context = this.createContext()) {
+    let contributions = [];
+    for (const { id, derive } of this._derivers.values()) {
+      try {
+        const result = derive(observer, target, context);
+        if (result?.state && VISIBILITY_SEVERITY[result.state] !== undefined) {
+          contributions.push({ source: id, state: result.state, reason: result.reason ?? null });
+        }
+      } catch (error) {
+        console.warn(`PF2E Visioner | Visibility deriver '${id}' failed:`, error);
+      }
+    }
+
+    for (const { id, adjust } of this._adjusters.values()) {
+      try {
+        const adjusted = adjust(observer, target, contributions, context);
+        if (Array.isArray(adjusted)) contributions = adjusted;
+      } catch (error) {
+        console.warn(`PF2E Visioner | Visibility adjuster '${id}' failed:`, error);
+      }
+    }
+
+    let best = { state: 'observed', source: null, reason: null };
+    for (const c of contributions) {
+      if (VISIBILITY_SEVERITY[c.state] > VISIBILITY_SEVERITY[best.state]) best = c;
+    }
+    return { ...best, contributions };
+  }
+
+  /**
+   * Whether a token participates in derivation as an observer
+   * @param {Token} token
+   * @returns {boolean}
+   */
+  _canObserve(token) {
+    const type = token?.actor?.type;
+    return !!type && !IGNORED_OBSERVER_TYPES.has(type);
+  }
+
+  /**
+   * Tokens considered by the derivation pass
+   * @returns {Token[]}
+   */
+  _getCandidateTokens() {
+    return (canvas?.tokens?.placeables ?? []).filter((t) => t?.actor && t.document);
+  }
+
+  /**
+   * Compute the map changes required to bring derived pairs up to date, without writing them
+   * @param {Object} [options]
+   * @param {Token[]} [options.observers] - Restrict the pass to these observers
+   * @returns {Array<{observer:Token, target:Token, oldState:string, newState:string, derived:Object|null}>}
+   */
+  computeChanges(options = {}) {
+    const tokens = this._getCandidateTokens();
+    const observers = (options.observers ?? tokens).filter((t) => this._canObserve(t));
+    const context = this.createContext();
+    const changes = [];
+
+    for (const observer of observers) {
+      const map = observer.document.getFlag?.(MODULE_ID, 'visibility') ?? {};
+      const derivedMap =
+        observer.document.getFlag?.(MODULE_ID, AutoVisibilitySystem.DERIVED_FLAG) ?? {};
+      const manualMap =
+        observer.document.getFlag?.(MODULE_ID, AutoVisibilitySystem.MANUAL_FLAG) ?? {};
+
+      for (const target of tokens) {
+        if (target === observer || target.id === observer.id) continue;
+        const targetId = target.document.id;
+        if (manualMap[targetId]) continue;
+
+        const current = map[targetId] ?? 'observed';
+        const previous = derivedMap[targetId]?.state;
+        // Only touch pairs still holding the state we derived last time (or the default);
+        // anything else was set by an action, the API or the Token Manager and wins.
+        const owned = previous !== undefined ? current === previous : current === 'observed';
+        if (!owned) {
+          // Drop the stale entry, or a later write of the same state would be reclaimed
+          if (previous !== undefined) {
+            changes.push({ observer, target, oldState: current, newState: current, derived: null });
+          }
+          continue;
+        }
+
+        const baseline = this.deriveBaseline(observer, target, context);
+        const derived =
+          baseline.state === 'observed'
+            ? null
+            : { state: baseline.state, source: baseline.source, reason: baseline.reason };
+
+        const derivedChanged =
+          (derived?.state ?? null) !== (previous ?? null) ||
+          (derived && derived.source !== derivedMap[targetId]?.source);
+        if (baseline.state === current && !derivedChanged) continue;
+
+        changes.push({ observer, target, oldState: current, newState: baseline.state, derived });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Recompute derived states and write them to the visibility maps (GM only)
+   * @param {Object} [options] - See computeChanges
+   * @returns {Promise<number>} Number of pairs whose visibility state changed
+   */
+  async recompute(options = {}) {
+    if (!game.user?.isGM || !this.isEnabled() || !canvas?.scene) return 0;
+    if (canvas.scene.tokenVision === false) return 0;
+
+    const changes = this.computeChanges(options);
+    if (!changes.length) return 0;
+
+    const byObserver = new Map();
+    for (const change of changes) {
+      const id = change.observer.document.id;
+      if (!byObserver.has(id)) byObserver.set(id, { observer: change.observer, items: [] });
+      byObserver.get(id).items.push(change);
+    }
+
+    const updates = [];
+    for (const { observer, items } of byObserver.values()) {
+      const patch = { _id: observer.document.id };
+      for (const { target, newState, derived } of items) {
+        const targetId = target.document.id;
+        patch[`flags.${MODULE_ID}.visibility.${targetId}`] = newState;
+        if (derived)
+          patch[`flags.${MODULE_ID}.${AutoVisibilitySystem.DERIVED_FLAG}.${targetId}`] = derived;
+        else patch[`flags.${MODULE_ID}.${AutoVisibilitySystem.DERIVED_FLAG}.-=${targetId}`] = null;
+      }
+      updates.push(patch);
+    }
+
+    try {
+      await canvas.scene.updateEmbeddedDocuments(
+        'Token',
+        updates,
+        withAuditOptions({ diff: false }, { source: 'derived' }),
+      );
+    } catch (error) {
+      console.error('PF2E Visioner | Failed to write derived visibility:', error);
+      return 0;
+    }
+
+    const stateChanges = changes.filter((c) => c.oldState !== c.newState);
+    try {
+      const { batchUpdateVisibilityEffects } = await import('../ephemeral.js');
+      for (const { observer, items } of byObserver.values()) {
+        const targetUpdates = items
+          .filter((c) => c.oldState !== c.newState)
+          .map((c) => ({ target: c.target, state: c.newState }));
+        if (targetUpdates.length) {
+          await batchUpdateVisibilityEffects(observer, targetUpdates, {
+            direction: 'observer_to_target',
+          });
+        }
+      }
+    } catch (error) {
+      console.warn('PF2E Visioner | Failed to update effects for derived visibility:', error);
+    }
+
+    if (stateChanges.length) {
+      try {
+        const { updateTokenVisuals } = await import('../../services/visual-effects.js');
+        await updateTokenVisuals();
+      } catch (_) {}
+      try {
+        const { refreshEveryonesPerception } = await import('../../services/socket.js');
+        refreshEveryonesPerception();
+      } catch (_) {}
+    }
+    return stateChanges.length;
+  }
+
+  /**
+   * Debounced recompute; bursts of light/token/scene changes collapse into one pass
+   * @param {number} [delay]
+   */
+  scheduleRecompute(delay = DEFAULT_DEBOUNCE_MS) {
+    if (!game.user?.isGM || !this.isEnabled()) return;
+    if (this._pendingTimer) clearTimeout(this._pendingTimer);
+    this._pendingTimer = setTimeout(() => {
+      this._pendingTimer = null;
+      this._runExclusive();
+    }, delay);
+  }
+
+  /**
+   * Run a recompute, queueing a single follow-up pass if one is already in flight
+   * @private
+   */
+  async _runExclusive() {
+    if (this._running) {
+      this._rerunRequested = true;
+      return this._running;
+    }
+    this._running = (async () => {
+      try {
+        await this.recompute();
+      } catch (error) {
+        console.error('PF2E Visioner | Auto-visibility recompute failed:', error);
+      }
+    })();
+    await this._running;
+    this._running = null;
+    if (this._rerunRequested) {
+      this._rerunRequested = false;
+      this.scheduleRecompute();
+    }
+  }
+
+  /**
+   * Mark pairs as manually set so derivation leaves them alone
+   * @param {Token} observer
+   * @param {string[]} targetIds
+   */
+  async markManualOverrides(observer, targetIds) {
+    if (!game.user?.isGM || !observer?.document || !targetIds?.length) return;
+    const patch = {};
+    for (const id of targetIds) {
+      patch[`flags.${MODULE_ID}.${AutoVisibilitySystem.MANUAL_FLAG}.${id}`] = true;
+      patch[`flags.${MODULE_ID}.${AutoVisibilitySystem.DERIVED_FLAG}.-=${id}`] = null;
+    }
+    try {
+      await observer.document.update(patch, { diff: false, render: false, animate: false });
+    } catch (error) {
+      console.warn('PF2E Visioner | Failed to mark manual visibility overrides:', error);
+    }
+  }
+
+  /**
+   * Release manual overrides so the pairs follow the derived baseline again
+   * @param {Token} observer
+   * @param {string[]} [targetIds] - Specific targets; all when omitted
+   */
+  async clearManualOverrides(observer, targetIds = null) {
+    if (!game.user?.isGM || !observer?.document) return;
+    const manual = observer.document.getFlag?.(MODULE_ID, AutoVisibilitySystem.MANUAL_FLAG) ?? {};
+    const ids = targetIds ?? Object.keys(manual);
+    if (!ids.length) return;
+    const patch = {};
+    for (const id of ids) {
+      patch[`flags.${MODULE_ID}.${AutoVisibilitySystem.MANUAL_FLAG}.-=${id}`] = null;
+      // Restart ownership from the current state so the next pass may adjust it
+      const current = observer.document.getFlag?.(MODULE_ID, 'visibility')?.[id] ?? 'observed';
+      if (current !== 'observed') {
+        patch[`flags.${MODULE_ID}.${AutoVisibilitySystem.DERIVED_FLAG}.${id}`] = {
+          state: current,
+          source: 'manual',
+          reason: null,
+        };
+      }
+    }
+    await observer.document.update(patch, { diff: false, render: false, animate: false });
+    this.scheduleRecompute();
+  }
+
+  /**
+   * Get the derived entry recorded for a pair, if any
+   * @param {Token} observer
+   * @param {Token} target
+   * @returns {{state:string, source:string, reason:string|null}|null}
+   */
+  getDerivedEntry(observer, target) {
+    const map = observer?.document?.getFlag?.(MODULE_ID, AutoVisibilitySystem.DERIVED_FLAG) ?? {};
+    return map[target?.document?.id] ?? null;
+  }
+
+  /**
+   * Whether a pair was set manually and is excluded from derivation
+   * @param {Token} observer
+   * @param {Token} target
+   * @returns {boolean}
+   */
+  isManualOverride(observer, target) {
+    const map = observer?.document?.getFlag?.(MODULE_ID, AutoVisibilitySystem.MANUAL_FLAG) ?? {};
+    return !!map[target?.document?.id];
+  }
+}
+
+// Singleton instance
+const autoVisibilitySystem = new AutoVisibilitySystem();
+export default autoVisibilitySystem;
@@ -0,0 +1,189 @@
+/**
+ * ConditionEvaluator.js
+ * Derives visibility from PF2e conditions: blinded and dazzled observers, invisible targets, and
+ * deafened observers losing hearing-based senses.
+ */
+
+import effectVisibilityRegistry from './EffectVisibilityRegistry.js';
+import senseEvaluator from './SenseEvaluator.js';
+
+/**
+ * Condition slugs that influence derived visibility
+ * @type {string[]}
+ */
+export const VISIBILITY_CONDITIONS = ['blinded', 'dazzled', 'deafened', 'invisible'];
+
+/**
+ * Senses lost while deafened
+ * @type {string[]}
+ */
+const HEARING_SENSES = ['hearing', 'echolocation'];
+
+/**
+ * Senses that see invisible creatures
+ * @type {string[]}
+ */
+const INVISIBILITY_PIERCING_SENSES = ['see-invisibility', 'truesight'];
+
+const STATE_SEVERITY = { observed: 0, concealed: 1, hidden: 2, undetected: 3 };
+
+export class ConditionEvaluator {
+  /**
+   * Check whether a token's actor currently has a condition
+   * @param {Token} token
+   * @param {string} slug
+   * @returns {boolean}
+   */
+  hasCondition(token, slug) {
+    const actor = token?.actor;
+    if (!actor) return false;
+    try {
+      if (typeof actor.hasCondition === 'function') return !!actor.hasCondition(slug);
+    } catch (_) {}
+    try {
+      const itemTypeConditions = actor.itemTypes?.condition || [];
+      if (itemTypeConditions.some((c) => c?.slug === slug)) return true;
+      const legacyConditions = actor.conditions?.conditions || [];
+      return legacyConditions.some((c) => c?.slug === slug);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Sense types the observer can't use because of its conditions
+   * @param {Token} observer
+   * @returns {string[]}
+   */
+  getLostSenses(observer) {
+    return this.hasCondition(observer, 'deafened') ? [...HEARING_SENSES] : [];
+  }
+
+  /**
+   * How an invisible target appears to this observer: 'none' when it isn't invisible (or the
+   * observer sees invisible creatures), 'concealed' when an effect such as See Invisibility or
+   * Faerie Fire reveals its outline, 'invisible' otherwise
+   * @param {Token} observer
+   * @param {Token} target
+   * @param {Object} [context] - Derivation context
+   * @returns {'none'|'concealed'|'invisible'}
+   */
+  getInvisibility(observer, target, context = null) {
+    const invisible =
+      this.hasCondition(target, 'invisible') ||
+      !!effectVisibilityRegistry.findConsequence(target, 'invisible', context);
+    if (!invisible) return 'none';
+    if (INVISIBILITY_PIERCING_SENSES.some((type) => senseEvaluator.hasSense(observer, type))) {
+      return 'none';
+    }
+    if (
+      effectVisibilityRegistry.findConsequence(target, 'cannotBeConcealed', context) ||
+      effectVisibilityRegistry.findConsequence(observer, 'seeInvisibleAsConcealed', context)
+    ) {
+      return 'concealed';
+    }
+    return 'invisible';
+  }
+
+  /**
+   * Whether the target is invisible to this observer
+   * @param {Token} observer
+   * @param {Token} target
+   * @param {Object} [context]
+   * @returns {boolean}
+   */
+  isInvisibleTo(observer, target, context = null) {
+    return this.getInvisibility(observer, target, context) === 'invisible';
+  }
+
+  /**
+   * Whether the observer can use sight against the target
+   * @param {Token} observer
+   * @param {Token} target
+   * @returns {boolean}
+   */
+  canUseVision(observer, target) {
+    if (!senseEvaluator.hasVision(observer)) return false;
+    if (this.hasCondition(observer, 'blinded')) return false;
+    return !this.isInvisibleTo(observer, target);
+  }
+
+  /**
+   * Sense restrictions for the pair, suitable for SenseEvaluator options
+   * @param {Token} observer
+   * @param {Token} target
+   * @returns {{includeVisual:boolean, exclude:string[]}}
+   */
+  getSenseOptions(observer, target) {
+    return {
+      includeVisual: this.canUseVision(observer, target),
+      exclude: this.getLostSenses(observer),
+    };
+  }
+
+  /**
+   * Derive the baseline visibility of a target caused by conditions
+   * @param {Token} observer
+   * @param {Token} target
+   * @param {Object} [context] - Derivation context
+   * @returns {{state:string, reason:string}|null} null when no condition applies
+   */
+  deriveState(observer, target, context = null) {
+    if (!observer?.actor || !target?.actor) return null;
+    if (target.actor.type === 'hazard' || target.actor.type === 'loot') return null;
+
+    const exclude = this.getLostSenses(observer);
+    const deafened = exclude.length > 0;
+    const results = [];
+
+    // Non-visual senses still work while sight doesn't
+    const nonVisual = senseEvaluator.getDetectionCap(observer, target, {
+      includeVisual: false,
+      exclude,
+    });
+
+    const invisibility = this.getInvisibility(observer, target, context);
+    if (invisibility === 'invisible' && nonVisual.state !== 'observed') {
+      // Hearing alone doesn't locate an invisible creature until it is Sought
+      const withoutHearing = senseEvaluator.getDetectionCap(observer, target, {
+        includeVisual: false,
+        exclude: [...exclude, 'hearing'],
+      });
+      results.push({ state: withoutHearing.state, reason: 'invisible' });
+    } else if (invisibility === 'concealed') {
+      results.push({ state: 'concealed', reason: 'invisible' });
+    }
+
+    if (this.hasCondition(observer, 'blinded') && nonVisual.state !== 'observed') {
+      const reason = deafened && nonVisual.state === 'undetected' ? 'blinded, deafened' : 'blinded';
+      results.push({ state: nonVisual.state, reason });
+    } else if (this.hasCondition(observer, 'dazzled') && nonVisual.state !== 'observed') {
+      results.push({ state: 'concealed', reason: 'dazzled' });
+    }
+
+    let best = null;
+    for (const r of results) {
+      if (!best || STATE_SEVERITY[r.state] > STATE_SEVERITY[best.state]) best = r;
+    }
+    return best;
+  }
+
+  /**
+   * Clamp an action's resulting state to what the observer's senses and conditions allow.
+   * A Seek against an invisible creature finds it as hidden at best.
+   * @param {'seek'|'hide'|'sneak'} action
+   * @param {Token} observer - The token whose perception is changing
+   * @param {Token} target - The token being perceived
+   * @param {string} state - Proposed visibility state
+   * @returns {{state:string, clamped:boolean, reason:string|null}}
+   */
+  clampActionState(action, observer, target, state) {
+    const options = { exclude: this.getLostSenses(observer) };
+    if (action === 'seek' && !this.canUseVision(observer, target)) options.includeVisual = false;
+    return senseEvaluator.clampActionState(action, observer, target, state, options);
+  }
+}
+
+// Singleton instance
+const conditionEvaluator = new ConditionEvaluator();
+export default conditionEvaluator;
@@ -0,0 +1,182 @@
+/**
+ * EffectVisibilityRegistry.js
+ * Configurable registry of effect slugs (spells like Blur, Faerie Fire, See Invisibility…) and the
+ * visibility consequence they carry while present on an actor. Consequences feed the
+ * auto-visibility pipeline, so they go away by themselves when the source effect expires.
+ */
+
+import {
+  DEFAULT_EFFECT_VISIBILITY_MAPPINGS,
+  EFFECT_VISIBILITY_CONSEQUENCES,
+  MODULE_ID,
+} from '../../constants.js';
+import senseEvaluator from './SenseEvaluator.js';
+
+/**
+ * Setting key holding the registry: { [slug]: { label, consequence } }
+ * @type {string}
+ */
+export const EFFECT_REGISTRY_SETTING = 'effectVisibilityMappings';
+
+/**
+ * Derived sources whose concealment "cannot be concealed" effects suppress
+ * @type {Set<string>}
+ */
+const SUPPRESSIBLE_CONCEALMENT_SOURCES = new Set(['lighting', 'effects']);
+
+export class EffectVisibilityRegistry {
+  /**
+   * Get the current registry, falling back to the shipped defaults
+   * @returns {Record<string, {label:string, consequence:string}>}
+   */
+  getMappings() {
+    try {
+      const saved = game.settings.get(MODULE_ID, EFFECT_REGISTRY_SETTING);
+      if (saved && typeof saved === 'object') return this.sanitize(saved);
+    } catch (_) {}
+    return this.sanitize(DEFAULT_EFFECT_VISIBILITY_MAPPINGS);
+  }
+
+  /**
+   * Drop malformed entries and unknown consequences
+   * @param {Object} mappings
+   * @returns {Record<string, {label:string, consequence:string}>}
+   */
+  sanitize(mappings) {
+    const result = {};
+    for (const [rawSlug, entry] of Object.entries(mappings || {})) {
+      const slug = String(rawSlug ?? '')
+        .trim()
+        .toLowerCase();
+      if (!slug || !entry || !EFFECT_VISIBILITY_CONSEQUENCES[entry.consequence]) continue;
+      result[slug] = { label: String(entry.label || slug), consequence: entry.consequence };
+    }
+    return result;
+  }
+
+  /**
+   * Save a new registry (GM only)
+   * @param {Object} mappings
+   */
+  async setMappings(mappings) {
+    if (!game.user?.isGM) return;
+    await game.settings.set(MODULE_ID, EFFECT_REGISTRY_SETTING, this.sanitize(mappings));
+  }
+
+  /**
+   * Restore the shipped defaults
+   */
+  async resetToDefaults() {
+    await this.setMappings(DEFAULT_EFFECT_VISIBILITY_MAPPINGS);
+  }
+
+  /**
+   * Whether a slug is in the registry
+   * @param {string} slug
+   * @returns {boolean}
+   */
+  isRegisteredSlug(slug) {
+    if (!slug) return false;
+    return Object.prototype.hasOwnProperty.call(this.getMappings(), String(slug).toLowerCase());
+  }
+
+  /**
+   * Slugs of the effects and conditions currently on a token's actor
+   * @param {Token} token
+   * @returns {string[]}
+   */
+  _getActorSlugs(token) {
+    const actor = token?.actor;
+    if (!actor) return [];
+    const slugs = [];
+    try {
+      const items = actor.itemTypes
+        ? [...(actor.itemTypes.effect ?? []), ...(actor.itemTypes.condition ?? [])]
+        : Array.from(actor.items ?? []).filter(
+            (i) => i?.type === 'effect' || i?.type === 'condition',
+          );
+      for (const item of items) {
+        const slug = item?.slug ?? item?.system?.slug;
+        if (slug) slugs.push(String(slug).toLowerCase());
+      }
+    } catch (_) {}
+    return slugs;
+  }
+
+  /**
+   * Registry entries active on a token, cached per derivation pass when a context is given
+   * @param {Token} token
+   * @param {Object} [context] - Derivation context ({ cache: Map })
+   * @returns {Array<{slug:string, label:string, consequence:string}>}
+   */
+  getActiveEntries(token, context = null) {
+    const key = `effects:${token?.document?.id ?? token?.id}`;
+    if (context?.cache?.has(key)) return context.cache.get(key);
+
+    const mappings = context?.cache?.get('effects:mappings') ?? this.getMappings();
+    context?.cache?.set('effects:mappings', mappings);
+
+    const entries = [];
+    for (const slug of this._getActorSlugs(token)) {
+      const entry = mappings[slug];
+      if (entry) entries.push({ slug, ...entry });
+    }
+    context?.cache?.set(key, entries);
+    return entries;
+  }
+
+  /**
+   * The first active entry on a token carrying a consequence
+   * @param {Token} token
+   * @param {string} consequence
+   * @param {Object} [context]
+   * @returns {{slug:string, label:string, consequence:string}|null}
+   */
+  findConsequence(token, consequence, context = null) {
+    return this.getActiveEntries(token, context).find((e) => e.consequence === consequence) ?? null;
+  }
+
+  /**
+   * Deriver for the auto-visibility pipeline: target-side consequences
+   * @param {Token} observer
+   * @param {Token} target
+   * @param {Object} [context]
+   * @returns {{state:string, reason:string}|null}
+   */
+  deriveState(observer, target, context = null) {
+    if (!observer?.actor || !target?.actor) return null;
+
+    const hidden = this.findConsequence(target, 'hiddenToAll', context);
+    if (hidden) return { state: 'hidden', reason: hidden.label };
+
+    const darkness = this.findConsequence(target, 'magicalDarkness', context);
+    if (darkness) {
+      const greater = senseEvaluator.hasSense(observer, 'greater-darkvision');
+      if (!greater) return { state: 'hidden', reason: darkness.label };
+    }
+
+    const concealed = this.findConsequence(target, 'concealedToAll', context);
+    if (concealed) return { state: 'concealed', reason: concealed.label };
+    return null;
+  }
+
+  /**
+   * Adjuster for the auto-visibility pipeline: a target that can't be concealed loses the
+   * concealment granted by light and effects
+   * @param {Token} observer
+   * @param {Token} target
+   * @param {Array<{source:string, state:string, reason:string|null}>} contributions
+   * @param {Object} [context]
+   * @returns {Array}
+   */
+  adjustContributions(observer, target, contributions, context = null) {
+    if (!this.findConsequence(target, 'cannotBeConcealed', context)) return contributions;
+    return contributions.filter(
+      (c) => !(c.state === 'concealed' && SUPPRESSIBLE_CONCEALMENT_SOURCES.has(c.source)),
+    );
+  }
+}
+
+// Singleton instance
+const effectVisibilityRegistry = new EffectVisibilityRegistry();
+export default effectVisibilityRegistry;
@@ -0,0 +1,167 @@
+/**
+ * ElevationEvaluator.js
+ * Derives visibility from elevation: burrowed creatures, creatures on the other side of the
+ * scene's ceiling, and sight lines passing through walls that have a height.
+ */
+
+import { MODULE_ID } from '../../constants.js';
+import { getTokenVerticalSpanFt } from '../../helpers/size-elevation-utils.js';
+import conditionEvaluator from './ConditionEvaluator.js';
+import senseEvaluator from './SenseEvaluator.js';
+
+/**
+ * Flag key on the scene holding the ceiling height in feet
+ * @type {string}
+ */
+export const CEILING_FLAG = 'ceilingHeight';
+
+/**
+ * Module whose wall flags carry wall heights ({ top, bottom } in feet)
+ * @type {string}
+ */
+const WALL_HEIGHT_MODULE = 'wall-height';
+
+function finiteOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Where two segments cross, as a fraction along the first, or null
+ * @returns {number|null}
+ */
+function crossingFraction(p1, p2, q1, q2) {
+  const rx = p2.x - p1.x;
+  const ry = p2.y - p1.y;
+  const sx = q2.x - q1.x;
+  const sy = q2.y - q1.y;
+  const denom = rx * sy - ry * sx;
+  if (denom === 0) return null;
+  const t = ((q1.x - p1.x) * sy - (q1.y - p1.y) * sx) / denom;
+  const u = ((q1.x - p1.x) * ry - (q1.y - p1.y) * rx) / denom;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+export class ElevationEvaluator {
+  /**
+   * Ceiling height of the viewed scene in feet, or null when it has none
+   * @returns {number|null}
+   */
+  getCeilingHeight() {
+    try {
+      return finiteOrNull(canvas?.scene?.getFlag?.(MODULE_ID, CEILING_FLAG));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a token is burrowed (below elevation 0)
+   * @param {Token} token
+   * @returns {boolean}
+   */
+  isBurrowed(token) {
+    return Number(token?.document?.elevation ?? 0) < 0;
+  }
+
+  /**
+   * Whether the scene's ceiling separates the two tokens
+   * @param {Token} observer
+   * @param {Token} target
+   * @returns {boolean}
+   */
+  isSeparatedByCeiling(observer, target) {
+    const ceiling = this.getCeilingHeight();
+    if (ceiling === null) return false;
+    const a = getTokenVerticalSpanFt(observer);
+    const b = getTokenVerticalSpanFt(target);
+    return (a.top <= ceiling && b.bottom >= ceiling) || (b.top <= ceiling && a.bottom >= ceiling);
+  }
+
+  /**
+   * Vertical extent of a wall in feet; null bounds are unlimited
+   * @param {Wall} wall
+   * @returns {{bottom:number|null, top:number|null}}
+   */
+  getWallHeight(wall) {
+    const flags = wall?.document?.flags?.[WALL_HEIGHT_MODULE] ?? {};
+    return { bottom: finiteOrNull(flags.bottom), top: finiteOrNull(flags.top) };
+  }
+
+  /**
+   * Whether a wall with a height blocks every sight line from the observer's eyes to the
+   * target's full height. Walls without a height are left to Foundry's own vision.
+   * @param {Token} observer
+   * @param {Token} target
+   * @returns {boolean}
+   */
+  isSightBlockedByWallHeight(observer, target) {
+    const p1 = observer?.center ?? observer?.getCenter?.();
+    const p2 = target?.center ?? target?.getCenter?.();
+    if (!p1 || !p2) return false;
+    const eye = getTokenVerticalSpanFt(observer).top;
+    const span = getTokenVerticalSpanFt(target);
+
+    for (const wall of canvas?.walls?.placeables ?? []) {
+      const d = wall?.document;
+      if (!d || Number(d.sight ?? 1) === 0) continue;
+      if (Number(d.door) > 0 && Number(d.ds) === 1) continue;
+      const { bottom, top } = this.getWallHeight(wall);
+      if (bottom === null && top === null) continue;
+      const [x1, y1, x2, y2] = Array.isArray(d.c) ? d.c : [];
+      if (![x1, y1, x2, y2].every(Number.isFinite)) continue;
+      const t = crossingFraction(p1, p2, { x: x1, y: y1 }, { x: x2, y: y2 });
+      if (t === null) continue;
+      // Elevations of the sight lines to the target's feet and head where they cross the wall
+      const low = eye + t * (span.bottom - eye);
+      const high = eye + t * (span.top - eye);
+      if (
+        (bottom === null || bottom <= Math.min(low, high)) &&
+        (top === null || top >= Math.max(low, high))
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Deriver for the auto-visibility pipeline
+   * @param {Token} observer
+   * @param {Token} target
+   * @returns {{state:string, reason:string}|null}
+   */
+  deriveState(observer, target) {
+    if (!observer?.actor || !target?.actor) return null;
+    if (target.actor.type === 'hazard' || target.actor.type === 'loot') return null;
+    const exclude = conditionEvaluator.getLostSenses(observer);
+
+    // Underground, only tremorsense picks up a burrowing creature
+    if (this.isBurrowed(target) && !this.isBurrowed(observer)) {
+      const tremor = senseEvaluator
+        .getSensesInRange(observer, target, { includeVisual: false, exclude })
+        .find((s) => s.type === 'tremorsense');
+      if (!tremor) return { state: 'undetected', reason: 'burrowed' };
+      if (tremor.acuity === 'precise') return null;
+      return { state: 'hidden', reason: `burrowed, ${senseEvaluator.describeSense(tremor)}` };
+    }
+
+    let reason = null;
+    if (this.isSeparatedByCeiling(observer, target)) reason = 'beyond the ceiling';
+    else if (this.isSightBlockedByWallHeight(observer, target)) reason = 'wall blocks sight';
+    if (!reason) return null;
+
+    // Out of sight: only non-visual senses remain
+    const nonVisual = senseEvaluator.getDetectionCap(observer, target, {
+      includeVisual: false,
+      exclude,
+    });
+    if (nonVisual.state === 'observed') return null;
+    return { state: nonVisual.state, reason };
+  }
+}
+
+// Singleton instance
+const elevationEvaluator = new ElevationEvaluator();
+export default elevationEvaluator;
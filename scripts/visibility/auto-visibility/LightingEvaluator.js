@@ -0,0 +1,277 @@
+/**
+ * LightingEvaluator.js
+ * Samples canvas light sources and scene darkness to determine the light level at a point,
+ * and combines it with an observer's vision to derive a baseline visibility state.
+ */
+
+import { MODULE_ID } from '../../constants.js';
+import conditionEvaluator from './ConditionEvaluator.js';
+import senseEvaluator from './SenseEvaluator.js';
+
+/**
+ * Light level thresholds, mirroring the PF2e system (scene light level = 1 - darkness)
+ * @type {{BRIGHT: number, DARK: number}}
+ */
+export const DARKNESS_THRESHOLDS = {
+  // Darkness at or below this value is bright light
+  BRIGHT: 0.25,
+  // Darkness at or above this value is darkness
+  DARK: 0.75,
+};
+
+/**
+ * Ordered light levels, brightest first
+ * @type {string[]}
+ */
+export const LIGHT_LEVELS = ['bright', 'dim', 'darkness'];
+
+export class LightingEvaluator {
+  /**
+   * Get the current scene darkness level (0 = fully lit, 1 = fully dark)
+   * @returns {number}
+   */
+  getSceneDarkness() {
+    try {
+      const level =
+        canvas?.environment?.darknessLevel ??
+        canvas?.scene?.environment?.darknessLevel ??
+        canvas?.scene?.darkness ??
+        0;
+      const n = Number(level);
+      return Number.isFinite(n) ? Math.min(Math.max(n, 0), 1) : 0;
+    } catch (_) {
+      return 0;
+    }
+  }
+
+  /**
+   * Whether global illumination currently lights the whole scene
+   * @param {number} darkness - Current scene darkness
+   * @returns {boolean}
+   */
+  isGlobalLightActive(darkness = this.getSceneDarkness()) {
+    try {
+      const env = canvas?.scene?.environment;
+      if (env?.globalLight) {
+        if (!env.globalLight.enabled) return false;
+        const max = Number(env.globalLight.darkness?.max ?? 1);
+        return darkness <= max;
+      }
+      // Legacy scene fields
+      if (canvas?.scene?.globalLight) {
+        const threshold = canvas.scene.globalLightThreshold;
+        return threshold == null || darkness <= Number(threshold);
+      }
+    } catch (_) {}
+    return false;
+  }
+
+  /**
+   * Light level provided by the scene itself, ignoring placed light sources
+   * @returns {'bright'|'dim'|'darkness'}
+   */
+  getAmbientLightLevel() {
+    const darkness = this.getSceneDarkness();
+    if (this.isGlobalLightActive(darkness)) return 'bright';
+    if (darkness <= DARKNESS_THRESHOLDS.BRIGHT) return 'bright';
+    if (darkness >= DARKNESS_THRESHOLDS.DARK) return 'darkness';
+    return 'dim';
+  }
+
+  /**
+   * Pixels per scene distance unit
+   * @returns {number}
+   */
+  _getDistancePixels() {
+    const dims = canvas?.dimensions;
+    if (dims?.distancePixels) return dims.distancePixels;
+    const size = dims?.size ?? canvas?.grid?.size ?? 100;
+    const distance = dims?.distance ?? canvas?.scene?.grid?.distance ?? 5;
+    return size / distance;
+  }
+
+  /**
+   * Whether a darkness source is magical darkness, which only greater darkvision sees through.
+   * Set with the magicalDarkness module flag on the light or token (Light Config → Magical Darkness).
+   * @param {Document} doc - AmbientLight or Token document
+   * @returns {boolean}
+   */
+  isMagicalDarknessSource(doc) {
+    return !!doc?.flags?.[MODULE_ID]?.magicalDarkness;
+  }
+
+  /**
+   * Collect light emitters on the canvas: ambient lights and token lights
+   * @returns {Array<{x:number,y:number,bright:number,dim:number,negative:boolean,
+   *   magical:boolean,shape:Object|null}>}
+   */
+  _collectEmitters() {
+    const emitters = [];
+    const pxPerUnit = this._getDistancePixels();
+
+    for (const light of canvas?.lighting?.placeables ?? []) {
+      try {
+        const doc = light.document;
+        if (!doc || doc.hidden) continue;
+        const cfg = doc.config ?? {};
+        const bright = Number(cfg.bright ?? 0) * pxPerUnit;
+        const dim = Number(cfg.dim ?? 0) * pxPerUnit;
+        if (bright <= 0 && dim <= 0) continue;
+        const negative = !!(
+          cfg.negative ||
+          light.isDarknessSource ||
+          light.document?.isDarknessSource
+        );
+        emitters.push({
+          x: doc.x,
+          y: doc.y,
+          bright,
+          dim,
+          negative,
+          magical: negative && this.isMagicalDarknessSource(doc),
+          shape: light.source?.shape ?? light.lightSource?.shape ?? null,
+        });
+      } catch (_) {}
+    }
+
+    for (const token of canvas?.tokens?.placeables ?? []) {
+      try {
+        const cfg = token.document?.light;
+        if (!cfg) continue;
+        const bright = Number(cfg.bright ?? 0) * pxPerUnit;
+        const dim = Number(cfg.dim ?? 0) * pxPerUnit;
+        if (bright <= 0 && dim <= 0) continue;
+        const center = token.center ?? { x: token.document.x, y: token.document.y };
+        const negative = !!(cfg.negative || token.light?.isDarknessSource);
+        emitters.push({
+          x: center.x,
+          y: center.y,
+          bright,
+          dim,
+          negative,
+          magical: negative && this.isMagicalDarknessSource(token.document),
+          shape: token.light?.shape ?? null,
+        });
+      } catch (_) {}
+    }
+
+    return emitters;
+  }
+
+  /**
+   * Whether a point is reached by an emitter (respects the emitter's wall-clipped shape when present)
+   * @param {Object} emitter
+   * @param {{x:number,y:number}} point
+   * @param {number} radius
+   * @returns {boolean}
+   */
+  _reaches(emitter, point, radius) {
+    if (radius <= 0) return false;
+    const dist = Math.hypot(point.x - emitter.x, point.y - emitter.y);
+    if (dist > radius) return false;
+    try {
+      if (emitter.shape && typeof emitter.shape.contains === 'function') {
+        return emitter.shape.contains(point.x, point.y);
+      }
+    } catch (_) {}
+    return true;
+  }
+
+  /**
+   * Determine the light level at a canvas point
+   * @param {{x:number,y:number}} point
+   * @returns {{level:'bright'|'dim'|'darkness', magical:boolean}}
+   */
+  getLightLevelAt(point) {
+    if (!point) return { level: 'bright', magical: false };
+    const emitters = this._collectEmitters();
+
+    // Darkness sources suppress other light where they reach; magical darkness wins over mundane
+    let darkened = false;
+    for (const emitter of emitters) {
+      if (!emitter.negative) continue;
+      if (!this._reaches(emitter, point, Math.max(emitter.bright, emitter.dim))) continue;
+      if (emitter.magical) return { level: 'darkness', magical: true };
+      darkened = true;
+    }
+    if (darkened) return { level: 'darkness', magical: false };
+
+    let best = this.getAmbientLightLevel();
+    for (const emitter of emitters) {
+      if (emitter.negative) continue;
+      if (this._reaches(emitter, point, emitter.bright)) return { level: 'bright', magical: false };
+      if (best === 'darkness' && this._reaches(emitter, point, emitter.dim)) best = 'dim';
+    }
+    return { level: best, magical: false };
+  }
+
+  /**
+   * Light level at a token's center
+   * @param {Token} token
+   * @returns {{level:'bright'|'dim'|'darkness', magical:boolean}}
+   */
+  getLightLevelForToken(token) {
+    const center = token?.center ?? token?.getCenter?.();
+    return this.getLightLevelAt(center);
+  }
+
+  /**
+   * Read the vision-related senses of a token's actor
+   * @param {Token} token
+   * @returns {{lowLightVision:boolean, darkvision:boolean, greaterDarkvision:boolean}}
+   */
+  getVisionCapabilities(token) {
+    const types = new Set(senseEvaluator.getSenses(token).map((s) => s.type));
+    const greaterDarkvision = types.has('greater-darkvision');
+    const darkvision = greaterDarkvision || types.has('darkvision');
+    return {
+      lowLightVision: darkvision || types.has('low-light-vision'),
+      darkvision,
+      greaterDarkvision,
+    };
+  }
+
+  /**
+   * Derive the baseline visibility of a target from the observer's point of view based on lighting
+   * @param {Token} observer
+   * @param {Token} target
+   * @param {Object} [context] - Optional per-pass cache ({ lightLevels: Map })
+   * @returns {{state:string, reason:string}|null} null when lighting imposes nothing
+   */
+  deriveState(observer, target, context = {}) {
+    if (!observer?.actor || !target) return null;
+
+    let light;
+    const cache = context.lightLevels;
+    if (cache?.has(target.id)) light = cache.get(target.id);
+    else {
+      light = this.getLightLevelForToken(target);
+      cache?.set(target.id, light);
+    }
+
+    if (light.level === 'bright') return null;
+    // A precise sense other than sight (e.g. echolocation) pinpoints the target regardless of light
+    const nonVisual = senseEvaluator.getBestSense(observer, target, {
+      includeVisual: false,
+      exclude: conditionEvaluator.getLostSenses(observer),
+    });
+    if (nonVisual?.acuity === 'precise') return null;
+    const caps = this.getVisionCapabilities(observer);
+
+    if (light.level === 'dim') {
+      if (caps.lowLightVision) return null;
+      return { state: 'concealed', reason: 'dim light' };
+    }
+
+    if (light.magical) {
+      if (caps.greaterDarkvision) return null;
+      return { state: 'hidden', reason: 'magical darkness' };
+    }
+    if (caps.darkvision) return null;
+    return { state: 'hidden', reason: 'darkness' };
+  }
+}
+
+// Singleton instance
+const lightingEvaluator = new LightingEvaluator();
+export default lightingEvaluator;
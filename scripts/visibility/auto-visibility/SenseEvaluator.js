@@ -0,0 +1,360 @@
+/**
+ * SenseEvaluator.js
+ * Reads PF2e actor senses (type, acuity, range) and determines the best visibility state an
+ * observer can reach against a target: a precise sense allows observed, an imprecise sense caps
+ * the target at hidden, and no sense in range leaves it undetected.
+ */
+
+/**
+ * Senses that rely on sight; defeated by darkness, blindness, invisibility and the like
+ * @type {Set<string>}
+ */
+export const VISUAL_SENSES = new Set([
+  'vision',
+  'low-light-vision',
+  'darkvision',
+  'greater-darkvision',
+  'see-invisibility',
+  'truesight',
+]);
+
+/**
+ * Acuity used when a sense entry doesn't specify one
+ * @type {Record<string, 'precise'|'imprecise'|'vague'>}
+ */
+export const DEFAULT_SENSE_ACUITY = {
+  vision: 'precise',
+  'low-light-vision': 'precise',
+  darkvision: 'precise',
+  'greater-darkvision': 'precise',
+  'see-invisibility': 'precise',
+  truesight: 'precise',
+  hearing: 'imprecise',
+  echolocation: 'precise',
+  tremorsense: 'imprecise',
+  scent: 'imprecise',
+  lifesense: 'imprecise',
+  wavesense: 'imprecise',
+  thoughtsense: 'imprecise',
+  'motion-sense': 'precise',
+  spiritsense: 'imprecise',
+};
+
+const ACUITY_RANK = { vague: 0, imprecise: 1, precise: 2 };
+const STATE_SEVERITY = { observed: 0, concealed: 1, hidden: 2, undetected: 3 };
+
+/**
+ * Best state reachable with a given acuity
+ * @type {Record<string, string>}
+ */
+const ACUITY_CAP = { precise: 'observed', imprecise: 'hidden' };
+
+export class SenseEvaluator {
+  /**
+   * Normalize a sense type ('lowLightVision', 'low_light_vision' → 'low-light-vision')
+   * @param {string} type
+   * @returns {string}
+   */
+  normalizeType(type) {
+    return String(type ?? '')
+      .replace(/([a-z])([A-Z])/g, '$1-$2')
+      .toLowerCase()
+      .replace(/[_\s]+/g, '-');
+  }
+
+  /**
+   * Whether the token's actor can see at all (PF2e creatures without vision are rare but exist)
+   * @param {Token} token
+   * @returns {boolean}
+   */
+  hasVision(token) {
+    const actor = token?.actor;
+    if (!actor) return false;
+    try {
+      const flag = actor.perception?.hasVision ?? actor.system?.perception?.vision;
+      if (flag === false) return false;
+    } catch (_) {}
+    return true;
+  }
+
+  /**
+   * Read the raw sense entries of an actor in any of the shapes PF2e has used
+   * @param {Actor} actor
+   * @returns {Array<{type:string, acuity?:string, range?:number}>}
+   */
+  _readRawSenses(actor) {
+    const entries = [];
+    const senses =
+      actor?.perception?.senses ??
+      actor?.system?.perception?.senses ??
+      actor?.system?.traits?.senses;
+    if (!senses) return entries;
+
+    const push = (type, data = {}) => {
+      if (!type) return;
+      entries.push({
+        type,
+        acuity: data.acuity,
+        range: data.range ?? data.value,
+      });
+    };
+
+    try {
+      if (Array.isArray(senses)) {
+        for (const s of senses) push(s?.type, s);
+      } else if (typeof senses.values === 'function' && typeof senses.get === 'function') {
+        for (const s of senses.values()) push(s?.type, s);
+      } else if (typeof senses === 'object') {
+        for (const [key, value] of Object.entries(senses)) {
+          if (!value) continue;
+          // Legacy NPC data stores senses as free text: "darkvision, scent (imprecise) 30 feet"
+          if (key === 'value' && typeof value === 'string') {
+            for (const part of value.split(',')) {
+              const match = part
+                .trim()
+                .toLowerCase()
+                .match(
+                  /^([a-z][a-z\s-]*?)\s*(?:\((precise|imprecise|vague)\))?\s*(\d+)?\s*(?:feet|ft\.?)?$/,
+                );
+              if (match) push(match[1], { acuity: match[2], range: match[3] });
+            }
+            continue;
+          }
+          if (key === 'custom') continue;
+          push(key, typeof value === 'object' ? value : {});
+        }
+      }
+    } catch (_) {}
+    return entries;
+  }
+
+  /**
+   * Get the senses of a token, including the implicit vision and hearing every creature has
+   * @param {Token} token
+   * @returns {Array<{type:string, acuity:'precise'|'imprecise'|'vague', range:number}>}
+   */
+  getSenses(token) {
+    const actor = token?.actor;
+    if (!actor) return [];
+
+    const byType = new Map();
+    const add = (type, acuity, range) => {
+      const key = this.normalizeType(type);
+      if (!key) return;
+      const normalizedAcuity = ACUITY_RANK[acuity] !== undefined ? acuity : null;
+      const sense = {
+        type: key,
+        acuity: normalizedAcuity ?? DEFAULT_SENSE_ACUITY[key] ?? 'imprecise',
+        range: Number.isFinite(Number(range)) && Number(range) > 0 ? Number(range) : Infinity,
+      };
+      const existing = byType.get(key);
+      if (
+        !existing ||
+        ACUITY_RANK[sense.acuity] > ACUITY_RANK[existing.acuity] ||
+        (sense.acuity === existing.acuity && sense.range > existing.range)
+      ) {
+        byType.set(key, sense);
+      }
+    };
+
+    if (this.hasVision(token)) add('vision', 'precise', Infinity);
+    add('hearing', 'imprecise', Infinity);
+    for (const raw of this._readRawSenses(actor)) add(raw.type, raw.acuity, raw.range);
+
+    try {
+      if (token.document?.sight?.visionMode === 'darkvision' && !byType.has('darkvision')) {
+        add('darkvision', 'precise', Infinity);
+      }
+    } catch (_) {}
+
+    return Array.from(byType.values());
+  }
+
+  /**
+   * Whether a token has a given sense type
+   * @param {Token} token
+   * @param {string} type
+   * @returns {boolean}
+   */
+  hasSense(token, type) {
+    const key = this.normalizeType(type);
+    return this.getSenses(token).some((s) => s.type === key);
+  }
+
+  /**
+   * Distance in feet between two tokens' centers
+   * @param {Token} a
+   * @param {Token} b
+   * @returns {number}
+   */
+  getDistanceFeet(a, b) {
+    try {
+      const ca = a?.center ?? a?.getCenter?.();
+      const cb = b?.center ?? b?.getCenter?.();
+      if (!ca || !cb) return Infinity;
+      const dims = canvas?.dimensions;
+      const size = dims?.size ?? canvas?.grid?.size ?? 100;
+      const distance = dims?.distance ?? canvas?.scene?.grid?.distance ?? 5;
+      const pixelsPerFoot = dims?.distancePixels ?? size / distance;
+      const dz = Number(b?.document?.elevation ?? 0) - Number(a?.document?.elevation ?? 0);
+      const planar = Math.hypot(cb.x - ca.x, cb.y - ca.y) / pixelsPerFoot;
+      return Math.hypot(planar, dz);
+    } catch (_) {
+      return Infinity;
+    }
+  }
+
+  /**
+   * Whether a sense can perceive the target at all, ignoring range
+   * @param {{type:string}} sense
+   * @param {Token} observer
+   * @param {Token} target
+   * @returns {boolean}
+   */
+  _senseApplies(sense, observer, target) {
+    switch (sense.type) {
+      case 'tremorsense': {
+        // Vibrations travel through a shared surface or the ground below it; creatures in the
+        // air aren't felt
+        const oe = Number(observer?.document?.elevation ?? 0);
+        const te = Number(target?.document?.elevation ?? 0);
+        return oe === te || (oe <= 0 && te <= 0);
+      }
+      case 'lifesense': {
+        const traits = target?.actor?.system?.traits?.value ?? [];
+        return !(Array.isArray(traits) && traits.includes('construct'));
+      }
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Senses of the observer that reach the target
+   * @param {Token} observer
+   * @param {Token} target
+   * @param {Object} [options]
+   * @param {boolean} [options.includeVisual=true] - Include sight-based senses
+   * @param {string[]} [options.exclude] - Sense types to ignore
+   * @returns {Array<{type:string, acuity:string, range:number}>}
+   */
+  getSensesInRange(observer, target, options = {}) {
+    const { includeVisual = true, exclude = [] } = options;
+    const excluded = new Set(exclude.map((t) => this.normalizeType(t)));
+    const distance = this.getDistanceFeet(observer, target);
+    return this.getSenses(observer).filter(
+      (s) =>
+        !excluded.has(s.type) &&
+        (includeVisual || !VISUAL_SENSES.has(s.type)) &&
+        s.acuity !== 'vague' &&
+        distance <= s.range &&
+        this._senseApplies(s, observer, target),
+    );
+  }
+
+  /**
+   * The sharpest sense reaching the target
+   * @param {Token} observer
+   * @param {Token} target
+   * @param {Object} [options] - See getSensesInRange
+   * @returns {{type:string, acuity:string, range:number}|null}
+   */
+  getBestSense(observer, target, options = {}) {
+    let best = null;
+    for (const sense of this.getSensesInRange(observer, target, options)) {
+      if (!best || ACUITY_RANK[sense.acuity] > ACUITY_RANK[best.acuity]) best = sense;
+    }
+    return best;
+  }
+
+  /**
+   * Best visibility state the observer can reach against the target with its senses
+   * @param {Token} observer
+   * @param {Token} target
+   * @param {Object} [options] - See getSensesInRange
+   * @returns {{state:'observed'|'hidden'|'undetected', sense:Object|null}}
+   */
+  getDetectionCap(observer, target, options = {}) {
+    const sense = this.getBestSense(observer, target, options);
+    return { state: sense ? ACUITY_CAP[sense.acuity] : 'undetected', sense };
+  }
+
+  /**
+   * Most severe state a Hide or Sneak can leave the actor in against this observer. Cover,
+   * concealment and moving quietly only defeat sight and hearing; any other sense in range still
+   * pinpoints (precise) or locates (imprecise) the actor.
+   * @param {Token} observer
+   * @param {Token} actor
+   * @param {Object} [options]
+   * @param {string[]} [options.exclude] - Additional sense types the observer can't use
+   * @returns {{state:'observed'|'hidden'|'undetected', sense:Object|null}}
+   */
+  getStealthCeiling(observer, actor, options = {}) {
+    const exclude = ['hearing', ...(options.exclude ?? [])];
+    return this.getDetectionCap(observer, actor, { includeVisual: false, exclude });
+  }
+
+  /**
+   * Describe a sense for display, e.g. "tremorsense (imprecise) 30 ft"
+   * @param {{type:string, acuity:string, range:number}} sense
+   * @returns {string}
+   */
+  describeSense(sense) {
+    if (!sense) return 'no senses in range';
+    const range = Number.isFinite(sense.range) ? ` ${sense.range} ft` : '';
+    return `${sense.type} (${sense.acuity})${range}`;
+  }
+
+  /**
+   * Clamp an action's resulting visibility state to what the observer's senses allow
+   * @param {'seek'|'hide'|'sneak'} action
+   * @param {Token} observer - The token whose perception is changing
+   * @param {Token} target - The token being perceived
+   * @param {string} state - Proposed visibility state
+   * @param {Object} [options] - Sense restrictions, see getSensesInRange
+   * @returns {{state:string, clamped:boolean, reason:string|null}}
+   */
+  clampActionState(action, observer, target, state, options = {}) {
+    const severity = (s) => STATE_SEVERITY[s] ?? -1;
+    try {
+      if (!observer?.actor || !target?.actor || severity(state) < 0) {
+        return { state, clamped: false, reason: null };
+      }
+      if (action === 'seek') {
+        // Seeking can't pinpoint beyond what the seeker's senses allow
+        const cap = this.getDetectionCap(observer, target, options);
+        if (severity(state) < severity(cap.state)) {
+          return { state: cap.state, clamped: true, reason: this.describeSense(cap.sense) };
+        }
+      } else if (action === 'hide' || action === 'sneak') {
+        const ceiling = this.getStealthCeiling(observer, target, options);
+        if (severity(state) > severity(ceiling.state)) {
+          return { state: ceiling.state, clamped: true, reason: this.describeSense(ceiling.sense) };
+        }
+      }
+    } catch (_) {}
+    return { state, clamped: false, reason: null };
+  }
+
+  /**
+   * Deriver for the auto-visibility pipeline: targets only perceived imprecisely are hidden,
+   * targets no sense reaches are undetected
+   * @param {Token} observer
+   * @param {Token} target
+   * @param {Object} [options] - Sense restrictions, see getSensesInRange
+   * @returns {{state:string, reason:string}|null}
+   */
+  deriveState(observer, target, options = {}) {
+    if (!observer?.actor || !target?.actor) return null;
+    // Hazards and loot are found by Seek and proficiency, not by senses
+    if (target.actor.type === 'hazard' || target.actor.type === 'loot') return null;
+    const cap = this.getDetectionCap(observer, target, options);
+    if (cap.state === 'observed') return null;
+    if (cap.state === 'hidden') return { state: 'hidden', reason: this.describeSense(cap.sense) };
+    return { state: 'undetected', reason: 'no senses in range' };
+  }
+}
+
+// Singleton instance
+const senseEvaluator = new SenseEvaluator();
+export default senseEvaluator;
@@ -747,6 +747,13 @@ global.createMockToken = (data = {}) => {
               const [, moduleId, key] = parts;
               if (!flags[moduleId]) flags[moduleId] = {};
               flags[moduleId][key] = updates[path];
+            } else if (parts.length === 4) {
+              // "flags.module-id.key.entry", with "-=entry" deleting it
+              const [, moduleId, key, entry] = parts;
+              if (!flags[moduleId]) flags[moduleId] = {};
+              const map = (flags[moduleId][key] = { ...(flags[moduleId][key] ?? {}) });
+              if (entry.startsWith('-=')) delete map[entry.slice(2)];
+              else map[entry] = updates[path];
             }
           }
         });
@@ -784,6 +791,75 @@ global.createMockToken = (data = {}) => {
   return token;
 };
 
+/**
+ * Token whose actor carries what the auto-visibility evaluators read: senses, traits, size,
+ * conditions (through hasCondition) and effects
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.senses] - system.perception.senses
+ * @param {string[]} [options.conditions] - Condition slugs; the array may be changed later
+ * @param {string[]} [options.effects] - Effect slugs
+ * @param {Object} [options.actor] - Extra actor fields
+ */
+global.createMockCreatureToken = (
+  id,
+  {
+    type = 'npc',
+    senses = [],
+    conditions = [],
+    effects = [],
+    center = { x: 0, y: 0 },
+    elevation = 0,
+    flags,
+    actor = {},
+  } = {},
+) =>
+  global.createMockToken({
+    id,
+    center,
+    elevation,
+    flags,
+    actor: {
+      id: `actor-${id}`,
+      type,
+      system: { perception: { senses }, traits: { value: [], size: { value: 'med' } } },
+      hasCondition: jest.fn((slug) => conditions.includes(slug)),
+      itemTypes: { effect: effects.map((slug) => ({ slug })), condition: [] },
+      ...actor,
+    },
+  });
+
+/**
+ * Fresh auto-visibility modules: resets the module registry and returns the default exports of
+ * the named files in scripts/visibility/auto-visibility
+ * @param {...string} names - e.g. 'LightingEvaluator', 'AutoVisibilitySystem'
+ * @returns {Promise<Array<Object>>}
+ */
+global.loadAutoVisibilityModules = async (...names) => {
+  jest.resetModules();
+  return Promise.all(
+    names.map(
+      async (name) => (await import(`../scripts/visibility/auto-visibility/${name}.js`)).default,
+    ),
+  );
+};
+
+/**
+ * Canvas state the auto-visibility evaluators read: 10 px per foot and a lit scene without
+ * global illumination. Undo with teardownAutoVisibilityCanvas.
+ * @param {Object} [options]
+ * @param {number} [options.darknessLevel=0]
+ */
+global.setupAutoVisibilityCanvas = ({ darknessLevel = 0 } = {}) => {
+  global.canvas.dimensions = { distancePixels: 10 };
+  global.canvas.scene.environment = { darknessLevel, globalLight: { enabled: false } };
+};
+
+global.teardownAutoVisibilityCanvas = () => {
+  delete global.canvas.dimensions;
+  delete global.canvas.scene.environment;
+};
+
 global.createMockActor = (data = {}) => ({
   id: data.id || 'mock-actor-' + Math.random().toString(36).substr(2, 9),
   type: data.type || 'character',
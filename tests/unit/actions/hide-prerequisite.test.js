@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the per-observer Hide prerequisite (cover or concealment) under RAW enforcement
+ */
+
+import '../../setup.js';
+
+describe('Hide prerequisite', () => {
+  let handler;
+
+  const makeToken = (id, type, flags = {}) =>
+    global.createMockToken({
+      id,
+      center: { x: 25, y: 25 },
+      flags: { 'pf2e-visioner': flags },
+      actor: {
+        id: `actor-${id}`,
+        type,
+        alliance: type === 'character' ? 'party' : 'opposition',
+        system: { perception: { dc: 15, senses: [] } },
+      },
+    });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    global.canvas.dimensions = { size: 50, distance: 5, distancePixels: 10 };
+    global.canvas.scene.environment = { darknessLevel: 0, globalLight: { enabled: false } };
+    global.canvas.lighting.placeables = [];
+    global.canvas.walls.placeables = [];
+    game.settings.set('pf2e-visioner', 'enforceRawRequirements', true);
+    const { HideActionHandler } = await import(
+      '../../../scripts/chat/services/actions/hide-action.js'
+    );
+    handler = new HideActionHandler();
+  });
+
+  afterEach(() => {
+    delete global.canvas.dimensions;
+    delete global.canvas.scene.environment;
+    game.settings.set('pf2e-visioner', 'enforceRawRequirements', false);
+  });
+
+  test('needs standard or greater cover, or concealment, from the observer', () => {
+    const rogue = makeToken('rogue', 'character');
+    expect(handler.checkPrerequisite(makeToken('guard', 'npc'), rogue)).toMatchObject({
+      met: false,
+      cover: 'none',
+      concealed: false,
+    });
+    expect(
+      handler.checkPrerequisite(makeToken('guard', 'npc', { cover: { rogue: 'lesser' } }), rogue)
+        .met,
+    ).toBe(false);
+    expect(
+      handler.checkPrerequisite(makeToken('guard', 'npc', { cover: { rogue: 'standard' } }), rogue),
+    ).toMatchObject({ met: true, cover: 'standard' });
+    expect(
+      handler.checkPrerequisite(
+        makeToken('guard', 'npc', { visibility: { rogue: 'concealed' } }),
+        rogue,
+      ).met,
+    ).toBe(true);
+
+    global.canvas.scene.environment.darknessLevel = 1;
+    expect(handler.checkPrerequisite(makeToken('guard', 'npc'), rogue)).toMatchObject({
+      met: true,
+      concealed: true,
+    });
+  });
+
+  test('keeps observers that see the actor, whether or not it can Hide from them', async () => {
+    const rogue = makeToken('rogue', 'character');
+    const exposed = makeToken('exposed', 'npc');
+    const behindWall = makeToken('wall', 'npc', { cover: { rogue: 'standard' } });
+    const alreadyHidden = makeToken('hidden', 'npc', { visibility: { rogue: 'hidden' } });
+    global.canvas.tokens.placeables = [rogue, exposed, behindWall, alreadyHidden];
+
+    const subjects = await handler.discoverSubjects({ actor: rogue });
+    expect(subjects.map((t) => t.id)).toEqual(['exposed', 'wall']);
+  });
+
+  test('rows failing the prerequisite keep their state unless the GM allows them', async () => {
+    const rogue = makeToken('rogue', 'character');
+    const guard = makeToken('guard', 'npc');
+    const actionData = { actor: rogue, roll: { total: 25, dice: [{ total: 12 }] } };
+
+    const blocked = await handler.analyzeOutcome(actionData, guard);
+    expect(blocked).toMatchObject({
+      prerequisiteFailed: true,
+      prerequisiteOverridden: false,
+      prerequisiteNewVisibility: 'hidden',
+      newVisibility: 'observed',
+      changed: false,
+    });
+    expect(blocked.prerequisiteReason).toContain('No standard or greater cover');
+
+    const allowed = await handler.analyzeOutcome(
+      { ...actionData, prerequisiteOverrides: { guard: true } },
+      guard,
+    );
+    expect(allowed).toMatchObject({
+      prerequisiteFailed: true,
+      prerequisiteOverridden: true,
+      newVisibility: 'hidden',
+      changed: true,
+    });
+
+    game.settings.set('pf2e-visioner', 'enforceRawRequirements', false);
+    const unenforced = await handler.analyzeOutcome(actionData, guard);
+    expect(unenforced.prerequisiteFailed).toBe(false);
+    expect(unenforced.newVisibility).toBe('hidden');
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Unit tests for noise revealing undetected creatures
+ */
+
+import '../../setup.js';
+
+describe('Noise', () => {
+  let noise;
+
+  const makeToken = (id, x, { type = 'npc', flags = {}, conditions = [] } = {}) =>
+    global.createMockToken({
+      id,
+      center: { x, y: 25 },
+      flags: { 'pf2e-visioner': flags },
+      actor: {
+        id: `actor-${id}`,
+        type,
+        alliance: type === 'character' ? 'party' : 'opposition',
+        itemTypes: { condition: conditions.map((slug) => ({ slug })) },
+        system: { perception: { senses: [] } },
+      },
+    });
+
+  const makeWall = (x, { sound = 20, door = 0, ds = 0 } = {}) => ({
+    document: { c: [x, -100, x, 100], sound, door, ds },
+  });
+
+  const spellMessage = (traits) => ({
+    id: 'msg-spell',
+    speaker: { token: 'rogue' },
+    flags: {
+      pf2e: {
+        origin: {
+          type: 'spell',
+          uuid: 'Actor.a.Item.s',
+          rollOptions: traits.map((t) => `origin:item:trait:${t}`),
+        },
+      },
+    },
+  });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    global.canvas.dimensions = { distancePixels: 10 };
+    global.canvas.walls.placeables = [];
+    global.canvas.tokens.placeables = [];
+    for (const key of ['noiseFromSpells', 'noiseFromStrikes', 'noiseFromForceOpen']) {
+      game.settings.set('pf2e-visioner', key, true);
+    }
+    game.settings.set('pf2e-visioner', 'noiseRange', 60);
+    noise = await import('../../../scripts/chat/services/infra/noise.js');
+  });
+
+  afterEach(() => {
+    delete global.canvas.dimensions;
+    for (const key of [
+      'noiseSystem',
+      'noiseFromSpells',
+      'noiseFromStrikes',
+      'noiseFromForceOpen',
+    ]) {
+      game.settings.set('pf2e-visioner', key, false);
+    }
+    game.settings.set('pf2e-visioner', 'noiseRange', false);
+  });
+
+  test('recognizes spoken spells, noisy Strikes and Force Open', () => {
+    expect(noise.getNoiseSource(spellMessage(['concentrate', 'manipulate']))).toMatchObject({
+      source: 'spell',
+    });
+    expect(noise.getNoiseSource(spellMessage(['concentrate', 'subtle']))).toBeNull();
+    expect(noise.getNoiseSource(spellMessage(['manipulate']))).toBeNull();
+
+    const strike = (options) => ({
+      flags: { pf2e: { context: { type: 'attack-roll', options } } },
+    });
+    expect(noise.getNoiseSource(strike(['item:group:firearm']))?.source).toBe('strike');
+    expect(noise.getNoiseSource(strike(['item:group:sword']))).toBeNull();
+
+    const forceOpen = {
+      flags: { pf2e: { context: { type: 'skill-check', options: ['action:force-open'] } } },
+    };
+    expect(noise.getNoiseSource(forceOpen)?.source).toBe('force-open');
+
+    game.settings.set('pf2e-visioner', 'noiseFromSpells', false);
+    expect(noise.getNoiseSource(spellMessage(['concentrate']))).toBeNull();
+  });
+
+  test('deafened, distant and walled-off observers do not hear it', () => {
+    const rogue = makeToken('rogue', 25, { type: 'character' });
+    expect(noise.hearsNoise(makeToken('near', 325), rogue, 60)).toEqual({
+      heard: true,
+      distanceFt: 30,
+      reason: null,
+    });
+    expect(
+      noise.hearsNoise(makeToken('deaf', 325, { conditions: ['deafened'] }), rogue, 60).reason,
+    ).toBe('Deafened');
+    expect(noise.hearsNoise(makeToken('far', 1025), rogue, 60).reason).toBe(
+      'Out of hearing range (100 ft)',
+    );
+
+    const guard = makeToken('guard', 325);
+    global.canvas.walls.placeables = [makeWall(200, { sound: 0 }), makeWall(150, { sound: 10 })];
+    expect(noise.isSoundBlocked(guard, rogue)).toBe(false);
+    global.canvas.walls.placeables.push(makeWall(250, { sound: 10 }));
+    expect(noise.isSoundBlocked(guard, rogue)).toBe(true);
+    global.canvas.walls.placeables = [makeWall(200, { door: 1, ds: 1 })];
+    expect(noise.isSoundBlocked(guard, rogue)).toBe(false);
+    global.canvas.walls.placeables = [makeWall(200, { door: 1, ds: 0 })];
+    expect(noise.hearsNoise(guard, rogue, 60).reason).toBe('A wall blocks the sound');
+  });
+
+  test('observers that hear it find the creature hidden instead of undetected', async () => {
+    const rogue = makeToken('rogue', 25, { type: 'character' });
+    const near = makeToken('near', 325, { flags: { visibility: { rogue: 'undetected' } } });
+    const deaf = makeToken('deaf', 325, {
+      flags: { visibility: { rogue: 'undetected' } },
+      conditions: ['deafened'],
+    });
+    const seesIt = makeToken('sees', 325);
+    global.canvas.tokens.placeables = [rogue, near, deaf, seesIt];
+
+    const { NoiseActionHandler } = await import(
+      '../../../scripts/chat/services/actions/noise-action.js'
+    );
+    const handler = new NoiseActionHandler();
+    const actionData = { actor: rogue, messageId: 'msg-spell' };
+    const subjects = await handler.discoverSubjects(actionData);
+    expect(subjects.map((t) => t.id)).toEqual(['near', 'deaf']);
+
+    const outcomes = await Promise.all(subjects.map((s) => handler.analyzeOutcome(actionData, s)));
+    expect(outcomes.map((o) => [o.newVisibility, o.changed])).toEqual([
+      ['hidden', true],
+      ['undetected', false],
+    ]);
+    expect(outcomes[1].unheardReason).toBe('Deafened');
+  });
+
+  test('the chat extractor offers noise only when enabled and someone lost track', async () => {
+    const rogue = makeToken('rogue', 25, { type: 'character' });
+    const guard = makeToken('guard', 325, { flags: { visibility: { rogue: 'undetected' } } });
+    global.canvas.tokens.placeables = [rogue, guard];
+    global.canvas.tokens.get = jest.fn((id) =>
+      global.canvas.tokens.placeables.find((t) => t.id === id),
+    );
+    const { extractActionData } = await import(
+      '../../../scripts/chat/services/action-extractor.js'
+    );
+    const message = spellMessage(['concentrate']);
+
+    expect(await extractActionData(message)).toBeNull();
+
+    game.settings.set('pf2e-visioner', 'noiseSystem', true);
+    const data = await extractActionData(message);
+    expect(data).toMatchObject({ actionType: 'noise', noise: { source: 'spell' } });
+    expect(data.actor).toBe(rogue);
+
+    guard.document.flags['pf2e-visioner'].visibility = { rogue: 'hidden' };
+    expect(await extractActionData(message)).toBeNull();
+  });
+
+  test('a firearm Strike from an undetected attacker offers noise next to consequences', async () => {
+    game.settings.set('pf2e-visioner', 'noiseSystem', true);
+    const rogue = makeToken('rogue', 25, { type: 'character' });
+    const guard = makeToken('guard', 325, { flags: { visibility: { rogue: 'undetected' } } });
+    global.canvas.tokens.placeables = [rogue, guard];
+    global.canvas.tokens.get = jest.fn((id) =>
+      global.canvas.tokens.placeables.find((t) => t.id === id),
+    );
+    const { extractActionData } = await import(
+      '../../../scripts/chat/services/action-extractor.js'
+    );
+    const strike = (options) => ({
+      id: 'msg-strike',
+      speaker: { token: 'rogue' },
+      flags: { pf2e: { context: { type: 'attack-roll', options } } },
+    });
+
+    const data = await extractActionData(strike(['item:group:firearm']));
+    expect(data).toMatchObject({
+      actionType: 'consequences',
+      attackData: { isAttackRoll: true },
+      noise: { source: 'strike' },
+    });
+
+    const { buildAutomationPanel } = await import('../../../scripts/chat/ui/panel-builder.js');
+    const html = buildAutomationPanel(data, {});
+    expect(html).toContain('apply-now-consequences');
+    expect(html).toContain('open-noise-results');
+    expect(html).toContain('apply-now-noise');
+
+    // A quiet weapon keeps consequences only
+    const quiet = await extractActionData(strike(['item:group:sword']));
+    expect(quiet.actionType).toBe('consequences');
+    expect(quiet.noise).toBeUndefined();
+  });
+});
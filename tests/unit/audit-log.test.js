@@ -0,0 +1,161 @@
+/**
+ * Unit tests for the visibility / cover audit log
+ */
+
+import '../setup.js';
+
+describe('Visibility audit log', () => {
+  let audit;
+  let scene;
+
+  const makeTokenDoc = (id, name, moduleFlags = {}) => ({
+    id,
+    name,
+    parent: scene,
+    flags: { 'pf2e-visioner': moduleFlags },
+  });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    jest.useFakeTimers();
+    const flags = {};
+    scene = {
+      id: 'scene1',
+      name: 'Ogre Cave',
+      flags,
+      tokens: new Map([
+        ['rogue', { name: 'Rogue' }],
+        ['ogre', { name: 'Ogre' }],
+      ]),
+      getFlag: (moduleId, key) => flags[moduleId]?.[key],
+      setFlag: jest.fn(async (moduleId, key, value) => {
+        flags[moduleId] = { ...(flags[moduleId] || {}), [key]: value };
+      }),
+      unsetFlag: jest.fn(async (moduleId, key) => {
+        delete flags[moduleId]?.[key];
+      }),
+    };
+    global.game.scenes = { get: (id) => (id === scene.id ? scene : undefined) };
+    global.game.user.isGM = true;
+    global.game.settings.set('pf2e-visioner', 'visibilityAuditLog', true);
+    audit = await import('../../scripts/services/audit-log.js');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    global.game.settings.set('pf2e-visioner', 'visibilityAuditLog', false);
+    delete global.game.scenes;
+  });
+
+  test('records visibility changes with provenance', () => {
+    const ogre = makeTokenDoc('ogre', 'Ogre', { visibility: { rogue: 'hidden' } });
+    const entries = audit.collectAuditEntries(
+      ogre,
+      { flags: { 'pf2e-visioner': { visibility: { rogue: 'undetected' } } } },
+      { [audit.AUDIT_OPTION]: { source: 'action', action: 'sneak', messageId: 'msg1' } },
+      'gm',
+    );
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      kind: 'visibility',
+      observerId: 'ogre',
+      observerName: 'Ogre',
+      targetId: 'rogue',
+      targetName: 'Rogue',
+      oldState: 'hidden',
+      newState: 'undetected',
+      source: 'action',
+      action: 'sneak',
+      messageId: 'msg1',
+      userId: 'gm',
+    });
+    expect(typeof entries[0].timestamp).toBe('number');
+  });
+
+  test('skips unchanged pairs and treats deletions as resets', () => {
+    const ogre = makeTokenDoc('ogre', 'Ogre', {
+      visibility: { rogue: 'hidden' },
+      cover: { rogue: 'standard' },
+    });
+    const entries = audit.collectAuditEntries(ogre, {
+      flags: { 'pf2e-visioner': { visibility: { rogue: 'hidden' }, cover: { '-=rogue': null } } },
+    });
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      kind: 'cover',
+      oldState: 'standard',
+      newState: 'none',
+      source: 'other',
+    });
+  });
+
+  test('keeps the derivation reason of auto-visibility writes', () => {
+    const ogre = makeTokenDoc('ogre', 'Ogre');
+    const [entry] = audit.collectAuditEntries(
+      ogre,
+      {
+        flags: {
+          'pf2e-visioner': {
+            visibility: { rogue: 'concealed' },
+            derivedVisibility: {
+              rogue: { state: 'concealed', source: 'lighting', reason: 'dim light' },
+            },
+          },
+        },
+      },
+      audit.withAuditOptions({ diff: false }, { source: 'derived' }),
+    );
+    expect(entry).toMatchObject({ oldState: 'observed', source: 'derived', reason: 'dim light' });
+  });
+
+  test('buffers updates and writes them to the scene, filterable', async () => {
+    const ogre = makeTokenDoc('ogre', 'Ogre');
+    const rogue = makeTokenDoc('rogue', 'Rogue');
+    audit.onPreUpdateToken(
+      ogre,
+      { flags: { 'pf2e-visioner': { visibility: { rogue: 'hidden' } } } },
+      { [audit.AUDIT_OPTION]: { source: 'token-manager' } },
+      'gm',
+    );
+    audit.onPreUpdateToken(
+      rogue,
+      { flags: { 'pf2e-visioner': { cover: { ogre: 'lesser' } } } },
+      { [audit.AUDIT_OPTION]: { source: 'api' } },
+      'gm',
+    );
+    expect(scene.setFlag).not.toHaveBeenCalled();
+
+    await audit.flushAuditLog();
+    expect(scene.setFlag).toHaveBeenCalledTimes(1);
+    expect(audit.getAuditLog(scene)).toHaveLength(2);
+    expect(audit.getAuditLog(scene, { kind: 'cover' })[0].observerId).toBe('rogue');
+    expect(audit.getAuditLog(scene, { source: 'token-manager' })[0].newState).toBe('hidden');
+    expect(audit.getAuditLog(scene, { tokenId: 'ogre' })).toHaveLength(2);
+    expect(audit.getAuditLog(scene, { observerId: 'ogre' })).toHaveLength(1);
+
+    await audit.clearAuditLog(scene);
+    expect(audit.getAuditLog(scene)).toHaveLength(0);
+  });
+
+  test('does nothing when the setting is off', async () => {
+    global.game.settings.set('pf2e-visioner', 'visibilityAuditLog', false);
+    audit.onPreUpdateToken(
+      makeTokenDoc('ogre', 'Ogre'),
+      { flags: { 'pf2e-visioner': { visibility: { rogue: 'hidden' } } } },
+      {},
+      'gm',
+    );
+    await audit.flushAuditLog();
+    expect(scene.setFlag).not.toHaveBeenCalled();
+  });
+
+  test('store writes forward their provenance as an update option', async () => {
+    const { setVisibilityMap } = await import('../../scripts/stores/visibility-map.js');
+    const token = global.createMockToken({ id: 'ogre' });
+    await setVisibilityMap(token, { rogue: 'hidden' }, { audit: { source: 'region' } });
+    expect(token.document.update).toHaveBeenCalledWith(
+      { 'flags.pf2e-visioner.visibility': { rogue: 'hidden' } },
+      { diff: false, [audit.AUDIT_OPTION]: { source: 'region' } },
+    );
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for the auto-cover breakdown
+ * Structured explanation of which walls, creatures and regions produced a cover state
+ */
+
+import '../../setup.js';
+
+describe('Cover breakdown', () => {
+  let coverDetector;
+
+  const makeToken = (id, x, y, size = 'med') => ({
+    id,
+    name: id,
+    center: { x: x + 50, y: y + 50 },
+    document: { id, x, y, width: 1, height: 1, elevation: 0, getFlag: () => null },
+    actor: {
+      id: `actor-${id}`,
+      type: 'npc',
+      alliance: 'opposition',
+      system: { traits: { size: { value: size } }, attributes: { hp: { value: 10 } } },
+    },
+  });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    global.canvas.grid.size = 100;
+    global.canvas.scene = { regions: [] };
+    global.canvas.walls.objects = { children: [] };
+    global.canvas.tokens.placeables = [];
+    game.settings.set('pf2e-visioner', 'autoCoverTokenIntersectionMode', 'any');
+    coverDetector = (await import('../../../scripts/cover/auto-cover/CoverDetector.js')).default;
+  });
+
+  afterEach(() => {
+    game.settings.set('pf2e-visioner', 'autoCoverTokenIntersectionMode', false);
+  });
+
+  test('lists each creature in the way with its coverage and contribution', () => {
+    const attacker = makeToken('archer', 0, 100);
+    const target = makeToken('goblin', 400, 100);
+    const ogre = makeToken('ogre', 200, 100);
+    global.canvas.tokens.placeables = [attacker, target, ogre];
+
+    const breakdown = coverDetector.explainBetweenTokens(attacker, target);
+    expect(breakdown).toMatchObject({
+      state: 'lesser',
+      mode: 'any',
+      origin: { x: 50, y: 150 },
+      target: { x: 450, y: 150 },
+    });
+    expect(breakdown.blockers).toEqual([
+      {
+        type: 'token',
+        id: 'ogre',
+        name: 'ogre',
+        coverage: 100,
+        contribution: 'lesser',
+        rect: { x1: 200, y1: 100, x2: 300, y2: 200 },
+      },
+    ]);
+    // The plain state is unchanged
+    expect(coverDetector.detectBetweenTokens(attacker, target)).toBe('lesser');
+  });
+
+  test('lists walls with the share of the target they hide', () => {
+    const attacker = makeToken('archer', 0, 100);
+    const target = makeToken('goblin', 400, 100);
+    global.canvas.tokens.placeables = [attacker, target];
+    global.canvas.walls.objects.children = [
+      { document: { id: 'w1', sight: 20, door: 0, dir: 0 }, coords: [300, 0, 300, 400] },
+    ];
+
+    const breakdown = coverDetector.explainBetweenTokens(attacker, target);
+    expect(breakdown.state).toBe('standard');
+    expect(breakdown.mode).toBe('walls');
+    expect(breakdown.blockers).toHaveLength(1);
+    expect(breakdown.blockers[0]).toMatchObject({
+      type: 'wall',
+      id: 'w1',
+      name: 'Wall',
+      coverage: 100,
+      contribution: 'standard',
+      segment: { x1: 300, y1: 0, x2: 300, y2: 400 },
+    });
+  });
+
+  test('renders an expandable breakdown on the chat card for the GM', () => {
+    // The setup file mocks CoverUIManager; this test needs the real one
+    const coverUIManager = jest.requireActual(
+      '../../../scripts/cover/auto-cover/CoverUIManager.js',
+    ).default;
+    const message = {
+      flags: {
+        'pf2e-visioner': {
+          coverBreakdown: {
+            state: 'lesser',
+            mode: 'any',
+            origin: { x: 50, y: 150 },
+            target: { x: 450, y: 150 },
+            blockers: [
+              {
+                type: 'token',
+                id: 'ogre',
+                name: '<b>ogre</b>',
+                coverage: 100,
+                contribution: 'lesser',
+              },
+            ],
+          },
+        },
+      },
+    };
+    const html = document.createElement('div');
+    html.innerHTML = '<div class="message-content"><div class="target-dc">AC 18</div></div>';
+
+    game.user.isGM = true;
+    coverUIManager.injectCoverBreakdown(message, html);
+    coverUIManager.injectCoverBreakdown(message, html);
+
+    const details = html.querySelectorAll('details.pf2e-visioner-cover-breakdown');
+    expect(details).toHaveLength(1);
+    expect(details[0].querySelector('li .blocker-name').textContent).toBe('<b>ogre</b> · 100%');
+    expect(details[0].textContent).toContain('Mode: any');
+
+    game.user.isGM = false;
+    const playerHtml = document.createElement('div');
+    playerHtml.innerHTML = '<div class="message-content"></div>';
+    coverUIManager.injectCoverBreakdown(message, playerHtml);
+    expect(playerHtml.querySelector('.pf2e-visioner-cover-breakdown')).toBeNull();
+    game.user.isGM = true;
+  });
+});
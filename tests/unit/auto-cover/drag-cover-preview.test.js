@@ -0,0 +1,87 @@
+/**
+ * Unit tests for the drag cover preview
+ * Cover at the drop square against each visible enemy, cached per position
+ */
+
+import '../../setup.js';
+
+describe('DragCoverPreview', () => {
+  let preview;
+  let autoCoverSystem;
+
+  const makeToken = (id, x, y, alliance) => ({
+    id,
+    name: id,
+    isVisible: true,
+    center: { x: x + 50, y: y + 50 },
+    document: { id, x, y, width: 1, height: 1, elevation: 0, hidden: false },
+    actor: { id: `actor-${id}`, type: 'npc', alliance },
+  });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    global.canvas.grid.size = 100;
+    game.settings.set('pf2e-visioner', 'autoCoverDragPreviewBothWays', true);
+    autoCoverSystem = (await import('../../../scripts/cover/auto-cover/AutoCoverSystem.js'))
+      .default;
+    jest.spyOn(autoCoverSystem, 'detectCoverBetweenTokens').mockReturnValue('standard');
+    jest.spyOn(autoCoverSystem, 'detectCoverFromPoint').mockReturnValue('lesser');
+    const { DragCoverPreview } = await import('../../../scripts/cover/drag-cover-preview.js');
+    preview = new DragCoverPreview();
+  });
+
+  afterEach(() => {
+    game.settings.set('pf2e-visioner', 'autoCoverDragPreviewBothWays', false);
+    global.canvas.tokens.placeables = [];
+  });
+
+  test('previews cover against visible enemies in both directions', () => {
+    const fighter = makeToken('fighter', 0, 0, 'party');
+    const wizard = makeToken('wizard', 100, 0, 'party');
+    const orc = makeToken('orc', 500, 0, 'opposition');
+    const lurker = { ...makeToken('lurker', 500, 300, 'opposition'), isVisible: false };
+    global.canvas.tokens.placeables = [fighter, wizard, orc, lurker];
+
+    const results = preview.computePreview(fighter, { x: 200, y: 0 });
+    expect(results).toEqual([{ enemy: orc, against: 'standard', theirs: 'lesser' }]);
+
+    // The orc attacks the fighter standing on the drop square
+    const [attacker, ghost] = autoCoverSystem.detectCoverBetweenTokens.mock.calls[0];
+    expect(attacker).toBe(orc);
+    expect(ghost).toMatchObject({ id: 'fighter', center: { x: 250, y: 50 } });
+    expect(ghost.document).toMatchObject({ x: 200, y: 0 });
+    // The fighter attacks the orc from the drop square
+    expect(autoCoverSystem.detectCoverFromPoint).toHaveBeenCalledWith({ x: 250, y: 50 }, orc);
+
+    game.settings.set('pf2e-visioner', 'autoCoverDragPreviewBothWays', false);
+    expect(preview.computePreview(fighter, { x: 200, y: 0 })[0].theirs).toBeNull();
+  });
+
+  test('reuses cached results until the square, an enemy or the scene changes', () => {
+    const fighter = makeToken('fighter', 0, 0, 'party');
+    const orc = makeToken('orc', 500, 0, 'opposition');
+    global.canvas.tokens.placeables = [fighter, orc];
+
+    preview.computePreview(fighter, { x: 200, y: 0 });
+    preview.computePreview(fighter, { x: 200, y: 0 });
+    expect(autoCoverSystem.detectCoverBetweenTokens).toHaveBeenCalledTimes(1);
+
+    preview.computePreview(fighter, { x: 300, y: 0 });
+    expect(autoCoverSystem.detectCoverBetweenTokens).toHaveBeenCalledTimes(2);
+
+    orc.document.x = 600;
+    preview.computePreview(fighter, { x: 300, y: 0 });
+    expect(autoCoverSystem.detectCoverBetweenTokens).toHaveBeenCalledTimes(3);
+
+    preview.boundInvalidate();
+    preview.computePreview(fighter, { x: 300, y: 0 });
+    expect(autoCoverSystem.detectCoverBetweenTokens).toHaveBeenCalledTimes(4);
+  });
+
+  test('snaps the dragged position to the grid', () => {
+    const fighter = makeToken('fighter', 0, 0, 'party');
+    expect(preview.getDropPosition(fighter, { x: 237, y: 162 })).toEqual({ x: 200, y: 200 });
+    fighter.getSnappedPosition = () => ({ x: 250, y: 150 });
+    expect(preview.getDropPosition(fighter, { x: 237, y: 162 })).toEqual({ x: 250, y: 150 });
+  });
+});
@@ -115,6 +115,103 @@ describe('TemplateManager', () => {
     });
   });
 
+  describe('cover origin by area shape', () => {
+    let detectSpy;
+
+    const makeToken = (id, x, y) => ({
+      id,
+      name: id,
+      actor: { id: `actor-${id}` },
+      center: { x, y },
+      document: { x: x - 50, y: y - 50, width: 1, height: 1 },
+    });
+
+    beforeEach(() => {
+      global.game = { userId: 'test-user', user: { character: null }, actors: { get: () => null } };
+      global.canvas = {
+        tokens: { controlled: [], placeables: [] },
+        grid: { size: 100 },
+        dimensions: { distance: 5 },
+      };
+      detectSpy = jest
+        .spyOn(templateManager.autoCoverSystem, 'detectCoverFromPoint')
+        .mockReturnValue('standard');
+    });
+
+    afterEach(() => {
+      detectSpy.mockRestore();
+    });
+
+    test('reads the PF2e area shape, falling back to the template type', () => {
+      expect(
+        templateManager.getAreaShape({ t: 'circle', flags: { pf2e: { areaShape: 'emanation' } } }),
+      ).toBe('emanation');
+      expect(templateManager.getAreaShape({ t: 'cone' })).toBe('cone');
+      expect(templateManager.getAreaShape({ t: 'ray' })).toBe('line');
+      expect(templateManager.getAreaShape({ t: 'circle' })).toBe('burst');
+    });
+
+    test('cones measure from the apex and bursts from the nearest grid intersection', async () => {
+      const inCone = makeToken('goblin', 450, 110);
+      global.canvas.tokens.placeables = [inCone];
+      await templateManager.registerTemplate(
+        { id: 'cone', x: 110, y: 90, t: 'cone', distance: 30, direction: 0, angle: 90, flags: {} },
+        'test-user',
+      );
+      expect(detectSpy).toHaveBeenLastCalledWith({ x: 110, y: 90 }, inCone, { context: 'reflex' });
+      expect(templateManager.getTemplateData('cone').targets.goblin).toMatchObject({
+        state: 'standard',
+        bonus: 2,
+        originKind: 'cone-apex',
+      });
+
+      await templateManager.registerTemplate(
+        { id: 'burst', x: 390, y: 210, t: 'circle', distance: 20, flags: {} },
+        'test-user',
+      );
+      expect(detectSpy).toHaveBeenLastCalledWith({ x: 400, y: 200 }, inCone, { context: 'reflex' });
+      expect(templateManager.getTemplateData('burst').targets.goblin.originKind).toBe(
+        'burst-center',
+      );
+    });
+
+    test('lines only include tokens along them', async () => {
+      const onLine = makeToken('on', 550, 105);
+      const beside = makeToken('beside', 300, 400);
+      global.canvas.tokens.placeables = [onLine, beside];
+      const data = await templateManager.registerTemplate(
+        { id: 'line', x: 100, y: 100, t: 'ray', distance: 60, width: 5, direction: 0, flags: {} },
+        'test-user',
+      );
+      expect(data.tokenIds).toEqual(['on']);
+      expect(data.targets.on.originKind).toBe('line-origin');
+    });
+
+    test("emanations measure from the edge of the caster's space nearest each token", async () => {
+      const caster = makeToken('caster', 250, 250);
+      const east = makeToken('east', 550, 260);
+      global.canvas.tokens.placeables = [caster, east];
+      global.canvas.tokens.controlled = [caster];
+      await templateManager.registerTemplate(
+        {
+          id: 'aura',
+          x: 250,
+          y: 250,
+          t: 'circle',
+          distance: 20,
+          flags: { pf2e: { areaShape: 'emanation' } },
+        },
+        'test-user',
+      );
+      expect(detectSpy).toHaveBeenCalledWith({ x: 300, y: 260 }, east, { context: 'reflex' });
+      expect(templateManager.getTemplateData('aura').targets.east.originKind).toBe(
+        'emanation-edge',
+      );
+      // No single origin to reuse for other cover checks
+      expect(templateManager.getTemplateOrigin('caster')).toBeNull();
+    });
+  });
+
   describe('addActiveReflexSaveTemplate', () => {
     test('should add active reflex save template', () => {
       templateManager.addActiveReflexSaveTemplate('test-template');
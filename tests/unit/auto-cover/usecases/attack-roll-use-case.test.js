@@ -132,6 +132,19 @@ describe('AttackRollUseCase', () => {
       expect(attackRollUseCase._detectCover).not.toHaveBeenCalled();
     });
 
+    test('detects once through the cover breakdown when the cover system can explain', async () => {
+      const { getCoverBetween } = await import('../../../../scripts/utils.js');
+      getCoverBetween.mockReturnValue('none');
+      const breakdown = { state: 'lesser', mode: 'any', origin: null, target: null, blockers: [] };
+      attackRollUseCase.autoCoverSystem.explainCoverBetweenTokens = jest.fn(() => breakdown);
+
+      await attackRollUseCase.handlePreCreateChatMessage(mockData);
+
+      expect(attackRollUseCase.autoCoverSystem.explainCoverBetweenTokens).toHaveBeenCalledTimes(1);
+      expect(attackRollUseCase._detectCover).not.toHaveBeenCalled();
+      expect(mockData.flags['pf2e-visioner'].coverBreakdown).toEqual(breakdown);
+    });
+
     test('should store override information in flags when overridden', async () => {
       const { getCoverBetween } = await import('../../../../scripts/utils.js');
       getCoverBetween.mockReturnValue('none');
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for SavingThrowUseCase
+ * Tests the cover line shown on Reflex save chat cards
+ */
+
+import '../../../setup.js';
+
+describe('SavingThrowUseCase', () => {
+  let savingThrowUseCase;
+
+  beforeEach(async () => {
+    jest.resetModules();
+
+    jest.doMock('../../../../scripts/cover/auto-cover/AutoCoverSystem.js', () => ({
+      getCoverBonusByState: jest.fn(
+        (state) => ({ lesser: 1, standard: 2, greater: 4 })[state] || 0,
+      ),
+      normalizeTokenRef: jest.fn((ref) => (typeof ref === 'string' ? ref : null)),
+    }));
+    jest.doMock('../../../../scripts/cover/auto-cover/CoverUIManager.js', () => ({
+      shouldShowCoverOverrideIndicator: jest.fn().mockResolvedValue(false),
+      injectCoverOverrideIndicator: jest.fn(),
+    }));
+
+    const { SavingThrowUseCase } = await import(
+      '../../../../scripts/cover/auto-cover/usecases/SavingThrowUseCase.js'
+    );
+    savingThrowUseCase = new SavingThrowUseCase();
+  });
+
+  test('stores the save cover on the message and shows where it was measured from', async () => {
+    savingThrowUseCase._saveCovers.set('goblin', {
+      state: 'standard',
+      bonus: 2,
+      origin: 'cone-apex',
+      ts: Date.now(),
+    });
+    const data = {
+      speaker: { token: 'goblin' },
+      flags: { pf2e: { context: { type: 'saving-throw' } } },
+    };
+    const doc = { updateSource: jest.fn() };
+    await savingThrowUseCase.handlePreCreateChatMessage(data, doc);
+
+    const saveCover = { state: 'standard', bonus: 2, origin: 'cone-apex' };
+    expect(data.flags['pf2e-visioner'].saveCover).toEqual(saveCover);
+    expect(doc.updateSource).toHaveBeenCalledWith({ 'flags.pf2e-visioner.saveCover': saveCover });
+    expect(savingThrowUseCase._saveCovers.has('goblin')).toBe(false);
+
+    const html = document.createElement('div');
+    html.innerHTML = '<div class="message-content"><div class="dice-roll"></div></div>';
+    await savingThrowUseCase.handleRenderChatMessage({ flags: data.flags }, html);
+    await savingThrowUseCase.handleRenderChatMessage({ flags: data.flags }, html);
+
+    const lines = html.querySelectorAll('.pf2e-visioner-save-cover');
+    expect(lines).toHaveLength(1);
+    expect(lines[0].textContent).toContain('(+2) from the cone apex');
+  });
+
+  test('leaves messages without a save cover alone', async () => {
+    const data = { speaker: { token: 'orc' }, flags: {} };
+    await savingThrowUseCase.handlePreCreateChatMessage(data, null);
+    expect(data.flags['pf2e-visioner']).toBeUndefined();
+
+    const html = document.createElement('div');
+    html.innerHTML = '<div class="message-content"></div>';
+    await savingThrowUseCase.handleRenderChatMessage({ flags: {} }, html);
+    expect(html.querySelector('.pf2e-visioner-save-cover')).toBeNull();
+  });
+});
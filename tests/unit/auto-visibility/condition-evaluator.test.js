@@ -0,0 +1,125 @@
+/**
+ * Unit tests for ConditionEvaluator
+ * Blinded, dazzled, deafened and invisible derivation and Seek clamping
+ */
+
+import '../../setup.js';
+
+describe('ConditionEvaluator', () => {
+  let conditionEvaluator;
+  let autoVisibilitySystem;
+
+  beforeEach(async () => {
+    [conditionEvaluator, autoVisibilitySystem] = await global.loadAutoVisibilityModules(
+      'ConditionEvaluator',
+      'AutoVisibilitySystem',
+    );
+    global.setupAutoVisibilityCanvas();
+  });
+
+  afterEach(() => global.teardownAutoVisibilityCanvas());
+
+  test('a blinded observer sees everything as hidden', () => {
+    const observer = global.createMockCreatureToken('obs', { conditions: ['blinded'] });
+    expect(conditionEvaluator.deriveState(observer, global.createMockCreatureToken('t'))).toEqual({
+      state: 'hidden',
+      reason: 'blinded',
+    });
+  });
+
+  test('a blinded and deafened observer loses track of everything', () => {
+    const observer = global.createMockCreatureToken('obs', { conditions: ['blinded', 'deafened'] });
+    expect(conditionEvaluator.deriveState(observer, global.createMockCreatureToken('t'))).toEqual({
+      state: 'undetected',
+      reason: 'blinded, deafened',
+    });
+  });
+
+  test('precise non-visual senses ignore blindness', () => {
+    const observer = global.createMockCreatureToken('obs', {
+      conditions: ['blinded'],
+      senses: [{ type: 'echolocation', range: 40 }],
+    });
+    const target = global.createMockCreatureToken('t', { center: { x: 100, y: 0 } });
+    expect(conditionEvaluator.deriveState(observer, target)).toBeNull();
+  });
+
+  test('a dazzled observer sees everything as concealed', () => {
+    const observer = global.createMockCreatureToken('obs', { conditions: ['dazzled'] });
+    expect(conditionEvaluator.deriveState(observer, global.createMockCreatureToken('t'))).toEqual({
+      state: 'concealed',
+      reason: 'dazzled',
+    });
+  });
+
+  test('an invisible target is undetected to sight-only observers', () => {
+    const target = global.createMockCreatureToken('t', {
+      conditions: ['invisible'],
+      center: { x: 100, y: 0 },
+    });
+    expect(conditionEvaluator.deriveState(global.createMockCreatureToken('obs'), target)).toEqual({
+      state: 'undetected',
+      reason: 'invisible',
+    });
+
+    const tremor = global.createMockCreatureToken('tremor', {
+      senses: [{ type: 'tremorsense', range: 30 }],
+    });
+    expect(conditionEvaluator.deriveState(tremor, target)).toEqual({
+      state: 'hidden',
+      reason: 'invisible',
+    });
+
+    const seer = global.createMockCreatureToken('seer', { senses: [{ type: 'see-invisibility' }] });
+    expect(conditionEvaluator.deriveState(seer, target)).toBeNull();
+  });
+
+  test('seeking an invisible target finds it as hidden at best', () => {
+    const seeker = global.createMockCreatureToken('seeker');
+    const target = global.createMockCreatureToken('t', {
+      conditions: ['invisible'],
+      center: { x: 100, y: 0 },
+    });
+    expect(conditionEvaluator.clampActionState('seek', seeker, target, 'observed')).toEqual({
+      state: 'hidden',
+      clamped: true,
+      reason: 'hearing (imprecise)',
+    });
+  });
+
+  test('condition-derived states are recorded with their cause and reverted when it ends', () => {
+    const conditions = ['blinded'];
+    const observer = global.createMockCreatureToken('obs', { conditions });
+    const target = global.createMockCreatureToken('t');
+    global.canvas.tokens.placeables = [observer, target];
+
+    const [change] = autoVisibilitySystem.computeChanges({ observers: [observer] });
+    expect(change.derived).toEqual({ state: 'hidden', source: 'conditions', reason: 'blinded' });
+
+    // Simulate the write, then the condition ending
+    observer.document.flags['pf2e-visioner'] = {
+      visibility: { t: 'hidden' },
+      derivedVisibility: { t: change.derived },
+    };
+    conditions.length = 0;
+    const [revert] = autoVisibilitySystem.computeChanges({ observers: [observer] });
+    expect(revert).toMatchObject({ oldState: 'hidden', newState: 'observed', derived: null });
+  });
+
+  test('states set by Seek are not overwritten by condition derivation', () => {
+    const observer = global.createMockCreatureToken('obs', {
+      conditions: ['blinded'],
+      flags: {
+        'pf2e-visioner': {
+          visibility: { t: 'observed' },
+          derivedVisibility: { t: { state: 'hidden', source: 'conditions', reason: 'blinded' } },
+        },
+      },
+    });
+    global.canvas.tokens.placeables = [observer, global.createMockCreatureToken('t')];
+    // The stale derived entry is released without touching the state
+    const changes = autoVisibilitySystem.computeChanges({ observers: [observer] });
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ oldState: 'observed', newState: 'observed', derived: null });
+  });
+});
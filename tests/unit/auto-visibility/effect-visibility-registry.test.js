@@ -0,0 +1,99 @@
+/**
+ * Unit tests for EffectVisibilityRegistry
+ * Effect slug → visibility consequence mapping and its place in the auto-visibility pipeline
+ */
+
+import '../../setup.js';
+
+describe('EffectVisibilityRegistry', () => {
+  let registry;
+  let autoVisibilitySystem;
+
+  beforeEach(async () => {
+    [registry, autoVisibilitySystem] = await global.loadAutoVisibilityModules(
+      'EffectVisibilityRegistry',
+      'AutoVisibilitySystem',
+    );
+    global.setupAutoVisibilityCanvas();
+  });
+
+  afterEach(() => global.teardownAutoVisibilityCanvas());
+
+  test('falls back to the shipped defaults and drops malformed entries', () => {
+    expect(registry.isRegisteredSlug('spell-effect-blur')).toBe(true);
+    expect(
+      registry.sanitize({
+        ' Custom-Fog ': { label: 'Fog', consequence: 'concealedToAll' },
+        broken: { consequence: 'nonsense' },
+        '': { consequence: 'hiddenToAll' },
+      }),
+    ).toEqual({ 'custom-fog': { label: 'Fog', consequence: 'concealedToAll' } });
+  });
+
+  test('Blur conceals the target from everyone', () => {
+    const target = global.createMockCreatureToken('t', { effects: ['spell-effect-blur'] });
+    expect(registry.deriveState(global.createMockCreatureToken('obs'), target)).toEqual({
+      state: 'concealed',
+      reason: 'Blur',
+    });
+  });
+
+  test('magical darkness hides the target unless the observer has greater darkvision', () => {
+    const target = global.createMockCreatureToken('t', { effects: ['spell-effect-darkness'] });
+    expect(registry.deriveState(global.createMockCreatureToken('obs'), target)?.state).toBe(
+      'hidden',
+    );
+    const seer = global.createMockCreatureToken('seer', {
+      senses: [{ type: 'greater-darkvision' }],
+    });
+    expect(registry.deriveState(seer, target)).toBeNull();
+  });
+
+  test('Faerie Fire removes concealment from dim light', () => {
+    global.canvas.scene.environment = { darknessLevel: 0.5, globalLight: { enabled: false } };
+    const observer = global.createMockCreatureToken('obs');
+    const plain = global.createMockCreatureToken('plain');
+    const lit = global.createMockCreatureToken('lit', { effects: ['spell-effect-faerie-fire'] });
+    global.canvas.tokens.placeables = [observer, plain, lit];
+
+    expect(autoVisibilitySystem.deriveBaseline(observer, plain)?.state).toBe('concealed');
+    expect(autoVisibilitySystem.deriveBaseline(observer, lit).state).toBe('observed');
+  });
+
+  test('an Invisibility effect and See Invisibility combine to concealed', async () => {
+    const conditionEvaluator = (
+      await import('../../../scripts/visibility/auto-visibility/ConditionEvaluator.js')
+    ).default;
+    const target = global.createMockCreatureToken('t', { effects: ['spell-effect-invisibility'] });
+    expect(conditionEvaluator.getInvisibility(global.createMockCreatureToken('obs'), target)).toBe(
+      'invisible',
+    );
+
+    const seer = global.createMockCreatureToken('seer', {
+      effects: ['spell-effect-see-invisibility'],
+    });
+    expect(conditionEvaluator.deriveState(seer, target)).toEqual({
+      state: 'concealed',
+      reason: 'invisible',
+    });
+  });
+
+  test('effect-derived states revert once the effect expires', () => {
+    const effects = ['spell-effect-blur'];
+    const observer = global.createMockCreatureToken('obs');
+    const target = global.createMockCreatureToken('t');
+    target.actor.itemTypes.effect = effects.map((slug) => ({ slug }));
+    global.canvas.tokens.placeables = [observer, target];
+
+    const [change] = autoVisibilitySystem.computeChanges({ observers: [observer] });
+    expect(change.derived).toEqual({ state: 'concealed', source: 'effects', reason: 'Blur' });
+
+    observer.document.flags['pf2e-visioner'] = {
+      visibility: { t: 'concealed' },
+      derivedVisibility: { t: change.derived },
+    };
+    target.actor.itemTypes.effect = [];
+    const [revert] = autoVisibilitySystem.computeChanges({ observers: [observer] });
+    expect(revert).toMatchObject({ oldState: 'concealed', newState: 'observed', derived: null });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for ElevationEvaluator
+ * Burrowing creatures, scene ceilings and wall heights
+ */
+
+import '../../setup.js';
+
+describe('ElevationEvaluator', () => {
+  let elevationEvaluator;
+  let autoVisibilitySystem;
+  let sceneFlags;
+
+  const makeWall = (x, height) => ({
+    document: { c: [x, -100, x, 100], sight: 20, door: 0, flags: { 'wall-height': height } },
+  });
+
+  beforeEach(async () => {
+    [elevationEvaluator, autoVisibilitySystem] = await global.loadAutoVisibilityModules(
+      'ElevationEvaluator',
+      'AutoVisibilitySystem',
+    );
+    global.setupAutoVisibilityCanvas();
+    sceneFlags = {};
+    global.canvas.scene.getFlag = (_module, key) => sceneFlags[key];
+    global.canvas.walls.placeables = [];
+  });
+
+  afterEach(() => {
+    delete global.canvas.scene.getFlag;
+    global.teardownAutoVisibilityCanvas();
+  });
+
+  test('a burrowed creature is undetected without tremorsense', () => {
+    const mole = global.createMockCreatureToken('mole', {
+      elevation: -10,
+      center: { x: 100, y: 0 },
+    });
+    expect(elevationEvaluator.deriveState(global.createMockCreatureToken('guard'), mole)).toEqual({
+      state: 'undetected',
+      reason: 'burrowed',
+    });
+    expect(
+      autoVisibilitySystem.deriveBaseline(global.createMockCreatureToken('guard'), mole),
+    ).toMatchObject({
+      state: 'undetected',
+      source: 'elevation',
+    });
+
+    const feeler = global.createMockCreatureToken('feeler', {
+      senses: [{ type: 'tremorsense', acuity: 'imprecise', range: 60 }],
+    });
+    expect(elevationEvaluator.deriveState(feeler, mole)).toEqual({
+      state: 'hidden',
+      reason: 'burrowed, tremorsense (imprecise) 60 ft',
+    });
+
+    // Burrowing together
+    expect(
+      elevationEvaluator.deriveState(
+        global.createMockCreatureToken('worm', { elevation: -10 }),
+        mole,
+      ),
+    ).toBeNull();
+  });
+
+  test('the scene ceiling hides creatures on its other side', () => {
+    const flyer = global.createMockCreatureToken('flyer', {
+      elevation: 40,
+      center: { x: 100, y: 0 },
+    });
+    const guard = global.createMockCreatureToken('guard');
+    expect(elevationEvaluator.deriveState(guard, flyer)).toBeNull();
+
+    sceneFlags.ceilingHeight = 30;
+    expect(elevationEvaluator.deriveState(guard, flyer)).toEqual({
+      state: 'hidden',
+      reason: 'beyond the ceiling',
+    });
+    expect(elevationEvaluator.deriveState(flyer, guard)?.state).toBe('hidden');
+    expect(
+      elevationEvaluator.deriveState(
+        guard,
+        global.createMockCreatureToken('bat', { elevation: 20 }),
+      ),
+    ).toBeNull();
+  });
+
+  test('walls with a height block sight lines that pass through them', () => {
+    const guard = global.createMockCreatureToken('guard');
+    const target = global.createMockCreatureToken('target', { center: { x: 200, y: 0 } });
+    global.canvas.walls.placeables = [makeWall(100, { top: 10 })];
+    expect(elevationEvaluator.deriveState(guard, target)).toEqual({
+      state: 'hidden',
+      reason: 'wall blocks sight',
+    });
+
+    // Flying over a low wall
+    const flyer = global.createMockCreatureToken('flyer', {
+      elevation: 15,
+      center: { x: 200, y: 0 },
+    });
+    expect(elevationEvaluator.isSightBlockedByWallHeight(guard, flyer)).toBe(false);
+
+    // Walls without a height are left to Foundry's vision
+    global.canvas.walls.placeables = [makeWall(100, {})];
+    expect(elevationEvaluator.deriveState(guard, target)).toBeNull();
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Unit tests for lighting-aware visibility derivation
+ * Covers LightingEvaluator light levels/vision and AutoVisibilitySystem ownership rules
+ */
+
+import '../../setup.js';
+
+describe('Lighting-aware visibility', () => {
+  let lightingEvaluator;
+  let autoVisibilitySystem;
+
+  beforeEach(async () => {
+    [lightingEvaluator, autoVisibilitySystem] = await global.loadAutoVisibilityModules(
+      'LightingEvaluator',
+      'AutoVisibilitySystem',
+    );
+    global.setupAutoVisibilityCanvas({ darknessLevel: 1 });
+    global.canvas.lighting.placeables = [];
+  });
+
+  afterEach(() => global.teardownAutoVisibilityCanvas());
+
+  describe('LightingEvaluator', () => {
+    test('scene darkness determines the ambient light level', () => {
+      global.canvas.scene.environment.darknessLevel = 0.1;
+      expect(lightingEvaluator.getAmbientLightLevel()).toBe('bright');
+      global.canvas.scene.environment.darknessLevel = 0.5;
+      expect(lightingEvaluator.getAmbientLightLevel()).toBe('dim');
+      global.canvas.scene.environment.darknessLevel = 0.9;
+      expect(lightingEvaluator.getAmbientLightLevel()).toBe('darkness');
+    });
+
+    test('global illumination lights the scene below its darkness cap', () => {
+      global.canvas.scene.environment.globalLight = { enabled: true, darkness: { max: 1 } };
+      expect(lightingEvaluator.getAmbientLightLevel()).toBe('bright');
+    });
+
+    test('ambient lights provide bright and dim radii', () => {
+      global.canvas.lighting.placeables = [
+        global.createMockLight({ x: 0, y: 0, config: { bright: 10, dim: 20 } }),
+      ];
+      expect(lightingEvaluator.getLightLevelAt({ x: 50, y: 0 }).level).toBe('bright');
+      expect(lightingEvaluator.getLightLevelAt({ x: 150, y: 0 }).level).toBe('dim');
+      expect(lightingEvaluator.getLightLevelAt({ x: 250, y: 0 }).level).toBe('darkness');
+    });
+
+    test('darkness sources produce darkness, magical only when flagged', () => {
+      global.canvas.scene.environment.darknessLevel = 0;
+      const darkness = global.createMockLight({
+        x: 0,
+        y: 0,
+        config: { bright: 0, dim: 20, negative: true },
+      });
+      global.canvas.lighting.placeables = [darkness];
+      expect(lightingEvaluator.getLightLevelAt({ x: 50, y: 0 })).toEqual({
+        level: 'darkness',
+        magical: false,
+      });
+
+      darkness.document.flags = { 'pf2e-visioner': { magicalDarkness: true } };
+      expect(lightingEvaluator.getLightLevelAt({ x: 50, y: 0 })).toEqual({
+        level: 'darkness',
+        magical: true,
+      });
+    });
+
+    test('darkvision sees through mundane darkness sources but not magical ones', () => {
+      global.canvas.scene.environment.darknessLevel = 0;
+      const darkness = global.createMockLight({
+        x: 0,
+        y: 0,
+        config: { bright: 0, dim: 20, negative: true },
+      });
+      global.canvas.lighting.placeables = [darkness];
+      const target = global.createMockCreatureToken('target', { center: { x: 50, y: 0 } });
+      const dwarf = global.createMockCreatureToken('dwarf', { senses: [{ type: 'darkvision' }] });
+      expect(lightingEvaluator.deriveState(dwarf, target)).toBeNull();
+
+      darkness.document.flags = { 'pf2e-visioner': { magicalDarkness: true } };
+      expect(lightingEvaluator.deriveState(dwarf, target)).toEqual({
+        state: 'hidden',
+        reason: 'magical darkness',
+      });
+      const seer = global.createMockCreatureToken('seer', {
+        senses: [{ type: 'greater-darkvision' }],
+      });
+      expect(lightingEvaluator.deriveState(seer, target)).toBeNull();
+    });
+
+    test('dim light conceals targets unless the observer has low-light vision', () => {
+      global.canvas.scene.environment.darknessLevel = 0.5;
+      const target = global.createMockCreatureToken('target');
+      expect(
+        lightingEvaluator.deriveState(global.createMockCreatureToken('human'), target),
+      ).toEqual({
+        state: 'concealed',
+        reason: 'dim light',
+      });
+      const elf = global.createMockCreatureToken('elf', { senses: [{ type: 'lowLightVision' }] });
+      expect(lightingEvaluator.deriveState(elf, target)).toBeNull();
+    });
+
+    test('darkness hides targets unless the observer has darkvision', () => {
+      const target = global.createMockCreatureToken('target');
+      expect(
+        lightingEvaluator.deriveState(global.createMockCreatureToken('human'), target),
+      ).toEqual({
+        state: 'hidden',
+        reason: 'darkness',
+      });
+      const dwarf = global.createMockCreatureToken('dwarf', { senses: [{ type: 'darkvision' }] });
+      expect(lightingEvaluator.deriveState(dwarf, target)).toBeNull();
+    });
+  });
+
+  describe('AutoVisibilitySystem', () => {
+    test('derives a baseline for pairs still at their default state', () => {
+      const observer = global.createMockCreatureToken('observer');
+      const target = global.createMockCreatureToken('target');
+      global.canvas.tokens.placeables = [observer, target];
+
+      const changes = autoVisibilitySystem.computeChanges();
+      const change = changes.find((c) => c.observer === observer && c.target === target);
+      expect(change).toMatchObject({
+        oldState: 'observed',
+        newState: 'hidden',
+        derived: { state: 'hidden', source: 'lighting', reason: 'darkness' },
+      });
+    });
+
+    test('leaves states set by actions alone', () => {
+      const observer = global.createMockCreatureToken('observer', {
+        flags: { 'pf2e-visioner': { visibility: { target: 'undetected' } } },
+      });
+      const target = global.createMockCreatureToken('target');
+      global.canvas.tokens.placeables = [observer, target];
+
+      const changes = autoVisibilitySystem.computeChanges({ observers: [observer] });
+      expect(changes).toHaveLength(0);
+    });
+
+    test('skips pairs marked as manual overrides', () => {
+      const observer = global.createMockCreatureToken('observer', {
+        flags: { 'pf2e-visioner': { manualVisibility: { target: true } } },
+      });
+      const target = global.createMockCreatureToken('target');
+      global.canvas.tokens.placeables = [observer, target];
+
+      expect(autoVisibilitySystem.computeChanges({ observers: [observer] })).toHaveLength(0);
+    });
+
+    test('reverts a previously derived state once the light changes', () => {
+      global.canvas.scene.environment.darknessLevel = 0;
+      const observer = global.createMockCreatureToken('observer', {
+        flags: {
+          'pf2e-visioner': {
+            visibility: { target: 'hidden' },
+            derivedVisibility: { target: { state: 'hidden', source: 'lighting' } },
+          },
+        },
+      });
+      const target = global.createMockCreatureToken('target');
+      global.canvas.tokens.placeables = [observer, target];
+
+      const [change] = autoVisibilitySystem.computeChanges({ observers: [observer] });
+      expect(change).toMatchObject({ oldState: 'hidden', newState: 'observed', derived: null });
+    });
+
+    test('a pair taken over by an action stays with actions once the light changes', async () => {
+      const { setVisibilityBetween } = await import('../../../scripts/stores/visibility-map.js');
+      const observer = global.createMockCreatureToken('observer', {
+        flags: {
+          'pf2e-visioner': {
+            visibility: { target: 'hidden' },
+            derivedVisibility: {
+              target: { state: 'hidden', source: 'lighting', reason: 'darkness' },
+            },
+          },
+        },
+      });
+      const target = global.createMockCreatureToken('target');
+      global.canvas.tokens.placeables = [observer, target];
+      const audit = { source: 'action', action: 'hide' };
+
+      // The target Hides, the lights come on, then a Seek finds it as hidden
+      await setVisibilityBetween(observer, target, 'undetected', {
+        audit,
+        skipEphemeralUpdate: true,
+      });
+      expect(observer.document.flags['pf2e-visioner'].derivedVisibility).toEqual({});
+      global.canvas.scene.environment.darknessLevel = 0;
+      await setVisibilityBetween(observer, target, 'hidden', {
+        audit: { ...audit, action: 'seek' },
+        skipEphemeralUpdate: true,
+      });
+
+      expect(autoVisibilitySystem.computeChanges({ observers: [observer] })).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for SenseEvaluator
+ * Precise/imprecise sense handling and action clamping
+ */
+
+import '../../setup.js';
+
+describe('SenseEvaluator', () => {
+  let senseEvaluator;
+
+  beforeEach(async () => {
+    [senseEvaluator] = await global.loadAutoVisibilityModules('SenseEvaluator');
+    global.setupAutoVisibilityCanvas();
+  });
+
+  afterEach(() => global.teardownAutoVisibilityCanvas());
+
+  test('every creature has implicit precise vision and imprecise hearing', () => {
+    const senses = senseEvaluator.getSenses(global.createMockCreatureToken('a'));
+    expect(senses).toEqual(
+      expect.arrayContaining([
+        { type: 'vision', acuity: 'precise', range: Infinity },
+        { type: 'hearing', acuity: 'imprecise', range: Infinity },
+      ]),
+    );
+  });
+
+  test('reads acuity and range and normalizes sense types', () => {
+    const token = global.createMockCreatureToken('a', {
+      senses: [
+        { type: 'tremorsense', acuity: 'imprecise', range: 30 },
+        { type: 'lowLightVision' },
+        { type: 'echolocation', range: 20 },
+      ],
+    });
+    const byType = Object.fromEntries(senseEvaluator.getSenses(token).map((s) => [s.type, s]));
+    expect(byType.tremorsense).toEqual({ type: 'tremorsense', acuity: 'imprecise', range: 30 });
+    expect(byType['low-light-vision'].acuity).toBe('precise');
+    expect(byType.echolocation).toEqual({ type: 'echolocation', acuity: 'precise', range: 20 });
+  });
+
+  test('parses legacy free-text senses', () => {
+    const token = global.createMockCreatureToken('a', {
+      actor: {
+        system: { traits: { senses: { value: 'darkvision, scent (imprecise) 30 feet' } } },
+      },
+    });
+    const byType = Object.fromEntries(senseEvaluator.getSenses(token).map((s) => [s.type, s]));
+    expect(byType.darkvision).toBeDefined();
+    expect(byType.scent).toEqual({ type: 'scent', acuity: 'imprecise', range: 30 });
+  });
+
+  test('detection cap follows the sharpest sense in range', () => {
+    const blindOoze = global.createMockCreatureToken('ooze', {
+      actor: {
+        perception: { hasVision: false },
+        system: { perception: { senses: [{ type: 'tremorsense', acuity: 'precise', range: 60 }] } },
+      },
+    });
+    const near = global.createMockCreatureToken('near', { center: { x: 300, y: 0 } });
+    const far = global.createMockCreatureToken('far', { center: { x: 900, y: 0 } });
+
+    expect(senseEvaluator.getDetectionCap(blindOoze, near).state).toBe('observed');
+    // Beyond tremorsense only hearing remains
+    expect(senseEvaluator.getDetectionCap(blindOoze, far).state).toBe('hidden');
+  });
+
+  test('tremorsense does not reach creatures at a different elevation', () => {
+    const observer = global.createMockCreatureToken('obs', {
+      senses: [{ type: 'tremorsense', range: 60 }],
+    });
+    const flyer = global.createMockCreatureToken('flyer', {
+      center: { x: 100, y: 0 },
+      elevation: 10,
+    });
+    expect(senseEvaluator.getStealthCeiling(observer, flyer).state).toBe('undetected');
+  });
+
+  describe('clampActionState', () => {
+    test('sneak cannot make the actor undetected to tremorsense in range', () => {
+      const observer = global.createMockCreatureToken('obs', {
+        senses: [{ type: 'tremorsense', range: 30 }],
+      });
+      const sneaker = global.createMockCreatureToken('sneaker', { center: { x: 200, y: 0 } });
+      const result = senseEvaluator.clampActionState('sneak', observer, sneaker, 'undetected');
+      expect(result).toEqual({
+        state: 'hidden',
+        clamped: true,
+        reason: 'tremorsense (imprecise) 30 ft',
+      });
+    });
+
+    test('sneak outside the sense range is unaffected', () => {
+      const observer = global.createMockCreatureToken('obs', {
+        senses: [{ type: 'tremorsense', range: 30 }],
+      });
+      const sneaker = global.createMockCreatureToken('sneaker', { center: { x: 500, y: 0 } });
+      expect(senseEvaluator.clampActionState('sneak', observer, sneaker, 'undetected')).toEqual({
+        state: 'undetected',
+        clamped: false,
+        reason: null,
+      });
+    });
+
+    test('hide cannot make the actor hidden from a precise non-visual sense', () => {
+      const bat = global.createMockCreatureToken('bat', {
+        senses: [{ type: 'echolocation', range: 40 }],
+      });
+      const hider = global.createMockCreatureToken('hider', { center: { x: 100, y: 0 } });
+      expect(senseEvaluator.clampActionState('hide', bat, hider, 'hidden').state).toBe('observed');
+    });
+
+    test('seek with only imprecise senses finds the target as hidden at best', () => {
+      const seeker = global.createMockCreatureToken('seeker', {
+        actor: { perception: { hasVision: false } },
+      });
+      const target = global.createMockCreatureToken('target', { center: { x: 100, y: 0 } });
+      const result = senseEvaluator.clampActionState('seek', seeker, target, 'observed');
+      expect(result.state).toBe('hidden');
+      expect(result.clamped).toBe(true);
+    });
+  });
+});
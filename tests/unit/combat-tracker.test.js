@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the combat tracker integration
+ * Per-player masking of unknown / hidden combatants and the GM concealment badge
+ */
+
+import '../setup.js';
+
+describe('Combat tracker detection state', () => {
+  let tracker;
+
+  const makeToken = (id, { alliance, owned = false, visibility = {} } = {}) => ({
+    id,
+    name: id,
+    document: {
+      id,
+      name: id,
+      getFlag: jest.fn((_module, key) => (key === 'visibility' ? visibility : undefined)),
+    },
+    actor: { id: `actor-${id}`, type: 'npc', alliance, isOwner: owned },
+  });
+
+  const renderTracker = (tokens) => {
+    const html = document.createElement('ol');
+    html.innerHTML = tokens
+      .map(
+        (t) =>
+          `<li class="combatant" data-combatant-id="c-${t.id}"><img class="token-image" src="${t.id}.png"><div class="token-name"><strong class="name">${t.id}</strong></div></li>`,
+      )
+      .join('');
+    const combatants = new Map(
+      tokens.map((t) => [`c-${t.id}`, { tokenId: t.id, token: { object: t } }]),
+    );
+    tracker.onRenderCombatTracker({ viewed: { combatants } }, html);
+    return html;
+  };
+
+  beforeEach(async () => {
+    jest.resetModules();
+    game.settings.set('pf2e-visioner', 'combatTrackerVisibility', true);
+    tracker = await import('../../scripts/services/combat-tracker.js');
+  });
+
+  afterEach(() => {
+    global.canvas.tokens.placeables = [];
+    global.game.user.isGM = true;
+  });
+
+  test('players see combatants undetected to all their tokens as unknown', () => {
+    global.game.user.isGM = false;
+    const rogue = makeToken('rogue', {
+      alliance: 'party',
+      owned: true,
+      visibility: { orc: 'undetected', wolf: 'hidden', goblin: 'undetected' },
+    });
+    const bard = makeToken('bard', {
+      alliance: 'party',
+      owned: true,
+      visibility: { orc: 'undetected', wolf: 'undetected', goblin: 'observed' },
+    });
+    const orc = makeToken('orc', { alliance: 'opposition' });
+    const wolf = makeToken('wolf', { alliance: 'opposition' });
+    const goblin = makeToken('goblin', { alliance: 'opposition' });
+    global.canvas.tokens.placeables = [rogue, bard, orc, wolf, goblin];
+
+    const html = renderTracker([rogue, orc, wolf, goblin]);
+    const row = (id) => html.querySelector(`[data-combatant-id="c-${id}"]`);
+
+    expect(row('orc').querySelector('.name').textContent).toBe(tracker.UNKNOWN_CREATURE_NAME);
+    expect(row('orc').querySelector('img').getAttribute('src')).not.toBe('orc.png');
+    expect(row('wolf').querySelector('.name').textContent).toContain('wolf');
+    expect(row('wolf').querySelector('.pf2e-visioner-combat-hidden-icon')).not.toBeNull();
+    expect(row('goblin').querySelector('.pf2e-visioner-combat-hidden-icon')).toBeNull();
+    expect(row('rogue').querySelector('.name').textContent).toBe('rogue');
+  });
+
+  test('the GM sees how many enemies each combatant is hidden or undetected to', () => {
+    const rogue = makeToken('rogue', { alliance: 'party' });
+    const bard = makeToken('bard', { alliance: 'party' });
+    const orc = makeToken('orc', { alliance: 'opposition', visibility: { rogue: 'hidden' } });
+    const wolf = makeToken('wolf', {
+      alliance: 'opposition',
+      visibility: { rogue: 'undetected', orc: 'hidden' },
+    });
+    global.canvas.tokens.placeables = [rogue, bard, orc, wolf];
+
+    const html = renderTracker([rogue, bard, orc]);
+    const badge = html.querySelector('[data-combatant-id="c-rogue"] .pf2e-visioner-combat-badge');
+    expect(badge.textContent.trim()).toBe('2');
+    expect(badge.dataset.tooltip).toBe('Hidden from 1, undetected by 1 enemies');
+    expect(badge.classList.contains('undetected')).toBe(true);
+    // Hidden from an ally does not count
+    expect(html.querySelector('[data-combatant-id="c-orc"] .pf2e-visioner-combat-badge')).toBe(
+      null,
+    );
+  });
+
+  test('re-renders once after a burst of visibility updates', () => {
+    jest.useFakeTimers();
+    global.game.combat = { id: 'combat' };
+    global.ui.combat = { render: jest.fn() };
+    tracker.onUpdateTokenCombatTracker({}, { flags: { 'pf2e-visioner': { visibility: {} } } });
+    tracker.onUpdateTokenCombatTracker(
+      {},
+      { flags: { 'pf2e-visioner': { '-=visibility': null } } },
+    );
+    tracker.onUpdateTokenCombatTracker({}, { flags: { 'pf2e-visioner': { cover: {} } } });
+    jest.runAllTimers();
+    expect(global.ui.combat.render).toHaveBeenCalledTimes(1);
+    jest.useRealTimers();
+    global.game.combat = null;
+    delete global.ui.combat;
+  });
+});
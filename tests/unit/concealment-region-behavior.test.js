@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the concealment region behavior
+ */
+
+import '../setup.js';
+
+describe('Concealment region behavior', () => {
+  let regionConcealment;
+  let autoVisibilitySystem;
+  let behaviorSystem;
+  let region;
+
+  // Axis-aligned rectangle region covering x 200..300, y 0..400
+  const makeRegion = (system) => ({
+    name: 'Fog Bank',
+    polygonTree: {
+      testPoint: ({ x, y }) => x >= 200 && x <= 300 && y >= 0 && y <= 400,
+    },
+    behaviors: [{ type: 'pf2e-visioner.Pf2eVisionerConcealment', disabled: false, system }],
+  });
+
+  const makeToken = (id, x, y, senses = []) =>
+    global.createMockToken({
+      id,
+      center: { x: x + 50, y: y + 50 },
+      actor: { id: `actor-${id}`, type: 'character', system: { perception: { senses } } },
+    });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    behaviorSystem = { obscurement: 'concealed', exemptSenses: new Set() };
+    region = makeRegion(behaviorSystem);
+    global.canvas.grid.size = 100;
+    global.canvas.scene.regions = [region];
+    global.canvas.scene.environment = { darknessLevel: 0, globalLight: { enabled: false } };
+    global.canvas.dimensions = { distancePixels: 10 };
+    global.canvas.lighting.placeables = [];
+    regionConcealment = await import('../../scripts/regions/ConcealmentRegionBehavior.js');
+    autoVisibilitySystem = (
+      await import('../../scripts/visibility/auto-visibility/AutoVisibilitySystem.js')
+    ).default;
+  });
+
+  afterEach(() => {
+    delete global.canvas.scene.regions;
+    delete global.canvas.scene.environment;
+    delete global.canvas.dimensions;
+  });
+
+  test('conceals targets seen through the region', () => {
+    const observer = makeToken('o', 0, 100);
+    expect(
+      regionConcealment.getRegionConcealmentBetween(observer, makeToken('t', 400, 100)),
+    ).toEqual({ state: 'concealed', reason: 'Fog Bank' });
+    expect(
+      regionConcealment.getRegionConcealmentBetween(
+        makeToken('a', 0, 500),
+        makeToken('b', 400, 500),
+      ),
+    ).toBeNull();
+  });
+
+  test('applies to creatures standing inside and hides for magical darkness', () => {
+    behaviorSystem.obscurement = 'hidden';
+    const inside = makeToken('t', 200, 500);
+    inside.center = { x: 250, y: 350 };
+    expect(regionConcealment.getRegionConcealmentBetween(makeToken('o', 0, 300), inside)).toEqual({
+      state: 'hidden',
+      reason: 'Fog Bank',
+    });
+  });
+
+  test('ignores the region for exempt senses and disabled behaviors', () => {
+    behaviorSystem.exemptSenses = new Set(['darkvision']);
+    const observer = makeToken('o', 0, 100);
+    const target = makeToken('t', 400, 100);
+    expect(
+      regionConcealment.getRegionConcealmentBetween(observer, target, {
+        senses: [{ type: 'darkvision' }],
+      }),
+    ).toBeNull();
+    expect(regionConcealment.getRegionConcealmentBetween(observer, target)).not.toBeNull();
+
+    region.behaviors[0].disabled = true;
+    expect(regionConcealment.getRegionConcealmentBetween(observer, target)).toBeNull();
+  });
+
+  test('contributes to the derived baseline, the most severe source winning', () => {
+    const observer = makeToken('o', 0, 100);
+    const target = makeToken('t', 400, 100);
+    expect(autoVisibilitySystem.deriveBaseline(observer, target)).toMatchObject({
+      state: 'concealed',
+      source: 'regions',
+      reason: 'Fog Bank',
+    });
+
+    global.canvas.scene.environment.darknessLevel = 1;
+    expect(autoVisibilitySystem.deriveBaseline(observer, target)).toMatchObject({
+      state: 'hidden',
+      source: 'lighting',
+    });
+
+    const seer = makeToken('s', 0, 100, [{ type: 'darkvision' }]);
+    behaviorSystem.exemptSenses = new Set(['darkvision']);
+    expect(autoVisibilitySystem.deriveBaseline(seer, target).state).toBe('observed');
+  });
+});
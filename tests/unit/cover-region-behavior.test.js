@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the cover-granting region behavior
+ */
+
+import '../setup.js';
+
+describe('Cover region behavior', () => {
+  let regionCover;
+  let CoverDetector;
+  let behaviorSystem;
+  let region;
+
+  // Axis-aligned rectangle region covering x 200..300, y 0..400
+  const makeRegion = (system, elevation = {}) => ({
+    elevation,
+    polygonTree: {
+      testPoint: ({ x, y }) => x >= 200 && x <= 300 && y >= 0 && y <= 400,
+    },
+    behaviors: [{ type: 'pf2e-visioner.Pf2eVisionerCover', disabled: false, system }],
+  });
+
+  const makeToken = (id, x, y, elevation = 0) => ({
+    id,
+    center: { x: x + 50, y: y + 50 },
+    document: { x, y, width: 1, height: 1, elevation },
+    actor: { system: { traits: { size: { value: 'med' } } } },
+  });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    behaviorSystem = {
+      coverLevel: 'standard',
+      heightFt: 5,
+      lineOfEffectOnly: true,
+      applyToReflex: true,
+      applyToStealth: false,
+    };
+    region = makeRegion(behaviorSystem);
+    global.canvas.grid.size = 100;
+    global.canvas.scene = { regions: [region] };
+    global.canvas.walls.placeables = [];
+    global.canvas.tokens.placeables = [];
+    regionCover = await import('../../scripts/regions/CoverRegionBehavior.js');
+    ({ CoverDetector } = await import('../../scripts/cover/auto-cover/CoverDetector.js'));
+  });
+
+  test('grants its cover when the line of effect crosses it', () => {
+    const attacker = makeToken('a', 0, 100);
+    const target = makeToken('t', 400, 100);
+    expect(regionCover.getRegionCoverBetween(attacker, target)).toBe('standard');
+
+    const beside = makeToken('b', 0, 500);
+    expect(regionCover.getRegionCoverBetween(beside, makeToken('c', 400, 500))).toBe('none');
+  });
+
+  test('respects the Reflex and Stealth flags', () => {
+    const attacker = makeToken('a', 0, 100);
+    const target = makeToken('t', 400, 100);
+    expect(regionCover.getRegionCoverBetween(attacker, target, { context: 'reflex' })).toBe(
+      'standard',
+    );
+    expect(regionCover.getRegionCoverBetween(attacker, target, { context: 'stealth' })).toBe(
+      'none',
+    );
+  });
+
+  test('lines of effect above the obstacle pass over it', () => {
+    const attacker = makeToken('a', 0, 100, 10);
+    const target = makeToken('t', 400, 100, 5);
+    expect(regionCover.getRegionCoverBetween(attacker, target)).toBe('none');
+    expect(regionCover.getRegionCoverBetween(attacker, makeToken('t', 400, 100, 0))).toBe(
+      'standard',
+    );
+  });
+
+  test('covers creatures standing inside only when not limited to line of effect', () => {
+    const attacker = makeToken('a', 0, 100);
+    // Target fully inside the region: the segment only enters it within the target's square
+    const target = { ...makeToken('t', 200, 100), center: { x: 250, y: 150 } };
+    target.document.x = 200;
+    expect(regionCover.getRegionCoverBetween(attacker, target)).toBe('none');
+    behaviorSystem.lineOfEffectOnly = false;
+    expect(regionCover.getRegionCoverBetween(attacker, target)).toBe('standard');
+  });
+
+  test('raises detector results and ignores disabled behaviors', () => {
+    const detector = new CoverDetector();
+    const attacker = makeToken('a', 0, 100);
+    const target = makeToken('t', 400, 100);
+    expect(detector.detectBetweenTokens(attacker, target)).toBe('standard');
+    expect(detector.detectBetweenTokens(attacker, target, { context: 'stealth' })).toBe('none');
+
+    region.behaviors[0].disabled = true;
+    expect(detector.detectBetweenTokens(attacker, target)).toBe('none');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for the public state-change events
+ */
+
+import '../setup.js';
+
+describe('Visioner events', () => {
+  let events;
+  let scene;
+
+  const makeTokenDoc = (id, name, moduleFlags = {}) => ({
+    id,
+    uuid: `Scene.scene1.Token.${id}`,
+    name,
+    parent: scene,
+    flags: { 'pf2e-visioner': moduleFlags },
+  });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    jest.useFakeTimers();
+    scene = {
+      id: 'scene1',
+      tokens: new Map([
+        ['rogue', { name: 'Rogue' }],
+        ['ogre', { name: 'Ogre' }],
+        ['priest', { name: 'Priest' }],
+      ]),
+      walls: new Map([
+        [
+          'door',
+          { getFlag: (_m, key) => ({ hiddenWall: true, wallIdentifier: 'Crypt Door' })[key] },
+        ],
+        ['plain', { getFlag: () => undefined }],
+      ]),
+    };
+    global.game.user.id = 'gm';
+    global.canvas.tokens.get = (id) => ({ id, name: id });
+    events = await import('../../scripts/services/events.js');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Merge nested update data into the document's flags ("-=key" deletes)
+  const merge = (target, source) => {
+    for (const [key, value] of Object.entries(source)) {
+      if (key.startsWith('-=')) delete target[key.slice(2)];
+      else if (value && typeof value === 'object') merge((target[key] ??= {}), value);
+      else target[key] = value;
+    }
+  };
+
+  const update = (doc, changes, options = {}) => {
+    events.onPreUpdateTokenEvents(doc, changes, options, 'gm');
+    merge(doc, changes);
+    events.onUpdateTokenEvents(doc, changes, options, 'gm');
+  };
+
+  test('aggregates batch writes into one event per hook', () => {
+    const ogre = makeTokenDoc('ogre', 'Ogre', { visibility: { rogue: 'hidden' } });
+    const priest = makeTokenDoc('priest', 'Priest');
+    const audit = { pf2eVisionerAudit: { source: 'action', action: 'sneak', messageId: 'm1' } };
+    update(ogre, { flags: { 'pf2e-visioner': { visibility: { rogue: 'undetected' } } } }, audit);
+    update(priest, { flags: { 'pf2e-visioner': { visibility: { rogue: 'hidden' } } } }, audit);
+    update(priest, { flags: { 'pf2e-visioner': { cover: { ogre: 'standard' } } } }, audit);
+    expect(Hooks.callAll).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100);
+    const calls = Hooks.callAll.mock.calls;
+    expect(calls).toHaveLength(2);
+    const [hook, changes] = calls.find(([h]) => h === events.VISIONER_HOOKS.visibilityChanged);
+    expect(hook).toBe('pf2e-visioner.visibilityChanged');
+    expect(changes).toHaveLength(2);
+    expect(changes[0]).toMatchObject({
+      observerId: 'ogre',
+      targetId: 'rogue',
+      oldState: 'hidden',
+      newState: 'undetected',
+      source: 'action',
+      action: 'sneak',
+      messageId: 'm1',
+    });
+    expect(changes[0].observer).toEqual({ id: 'ogre', name: 'ogre' });
+    const cover = calls.find(([h]) => h === events.VISIONER_HOOKS.coverChanged)[1];
+    expect(cover).toEqual([expect.objectContaining({ oldState: 'none', newState: 'standard' })]);
+  });
+
+  test('does not emit for updates that never landed or changed nothing', () => {
+    const ogre = makeTokenDoc('ogre', 'Ogre', { visibility: { rogue: 'hidden' } });
+    events.onPreUpdateTokenEvents(
+      ogre,
+      { flags: { 'pf2e-visioner': { visibility: { rogue: 'observed' } } } },
+      {},
+      'gm',
+    );
+    // A later update lands while the rejected one's states never made it to the document
+    update(ogre, { name: 'Big Ogre' });
+    events.flushEvents();
+    expect(Hooks.callAll).not.toHaveBeenCalled();
+
+    update(ogre, { flags: { 'pf2e-visioner': { visibility: { rogue: 'hidden' } } } });
+    events.flushEvents();
+    expect(Hooks.callAll).not.toHaveBeenCalled();
+  });
+
+  test('reports discovered hidden walls only', () => {
+    const rogue = makeTokenDoc('rogue', 'Rogue', { walls: { door: 'hidden' } });
+    update(rogue, {
+      flags: { 'pf2e-visioner': { walls: { door: 'observed', plain: 'observed' } } },
+    });
+    events.flushEvents();
+    expect(Hooks.callAll).toHaveBeenCalledWith(events.VISIONER_HOOKS.hiddenWallDiscovered, [
+      expect.objectContaining({
+        observerId: 'rogue',
+        wallId: 'door',
+        wallIdentifier: 'Crypt Door',
+        oldState: 'hidden',
+        newState: 'observed',
+      }),
+    ]);
+  });
+
+  test('ignores updates made by other users', () => {
+    const ogre = makeTokenDoc('ogre', 'Ogre');
+    const changes = { flags: { 'pf2e-visioner': { visibility: { rogue: 'hidden' } } } };
+    events.onPreUpdateTokenEvents(ogre, changes, {}, 'player');
+    events.onUpdateTokenEvents(ogre, changes, {}, 'player');
+    events.flushEvents();
+    expect(Hooks.callAll).not.toHaveBeenCalled();
+  });
+
+  test('emits action events with every change at once', () => {
+    const observer = { id: 'ogre' };
+    const target = { id: 'rogue' };
+    events.emitActionEvent('applied', { messageId: 'm1', actor: target }, 'hide', [
+      { observer, target, oldVisibility: 'observed', newVisibility: 'hidden' },
+      { observer: { id: 'priest' }, target, newVisibility: 'hidden', overrideState: 'undetected' },
+    ]);
+    expect(Hooks.callAll).toHaveBeenCalledWith(events.VISIONER_HOOKS.actionApplied, {
+      actionType: 'hide',
+      messageId: 'm1',
+      actor: target,
+      source: 'action',
+      userId: 'gm',
+      changes: [
+        expect.objectContaining({ observerId: 'ogre', oldState: 'observed', newState: 'hidden' }),
+        expect.objectContaining({ observerId: 'priest', oldState: null, newState: 'undetected' }),
+      ],
+    });
+  });
+
+  test('aggregates auto-cover results of one roll', () => {
+    const attacker = { id: 'ogre', document: {} };
+    events.emitAutoCoverComputed(attacker, { id: 'rogue' }, 'standard', 'none', 'saving-throw');
+    events.emitAutoCoverComputed({ x: 5, y: 10 }, { id: 'priest' }, 'lesser', null, 'saving-throw');
+    jest.advanceTimersByTime(100);
+    expect(Hooks.callAll).toHaveBeenCalledTimes(1);
+    const [, results] = Hooks.callAll.mock.calls[0];
+    expect(results).toEqual([
+      expect.objectContaining({ observerId: 'ogre', newState: 'standard', source: 'auto-cover' }),
+      expect.objectContaining({ observer: null, origin: { x: 5, y: 10 }, newState: 'lesser' }),
+    ]);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit tests for reveal on movement
+ * Which observers notice a hidden mover, prompt/automatic modes and the Sneak exemption
+ */
+
+import '../setup.js';
+
+describe('Reveal on movement', () => {
+  let reveal;
+  let states;
+  let applyVisibilityChanges;
+
+  const makeToken = (id, { x = 0, type = 'npc' } = {}) => ({
+    id,
+    name: id,
+    center: { x, y: 0 },
+    document: { id, name: id, x, y: 0, movementHistory: [] },
+    actor: { id: `actor-${id}`, type },
+  });
+
+  const move = (token, movementId) => {
+    token.document.movementHistory = [{ movementId }];
+  };
+
+  beforeEach(async () => {
+    jest.resetModules();
+    states = {};
+    applyVisibilityChanges = jest.fn(async (observer, [{ target, newVisibility }]) => {
+      states[`${observer.id}>${target.id}`] = newVisibility;
+    });
+    jest.doMock('../../scripts/utils.js', () => ({
+      getVisibilityBetween: jest.fn(
+        (observer, target) => states[`${observer.id}>${target.id}`] ?? 'observed',
+      ),
+    }));
+    jest.doMock('../../scripts/chat/services/infra/shared-utils.js', () => ({
+      applyVisibilityChanges,
+    }));
+    jest.doMock('../../scripts/chat/services/infra/sneak-requirements.js', () => ({
+      evaluateSneakRequirements: jest.fn((observer) => ({
+        cover: observer.id === 'guard' ? 'standard' : 'none',
+        concealed: observer.id === 'wolf',
+      })),
+    }));
+    jest.doMock('../../scripts/visibility/auto-visibility/ConditionEvaluator.js', () => ({
+      __esModule: true,
+      default: { canUseVision: jest.fn((observer) => observer.id !== 'blind') },
+    }));
+    jest.doMock('../../scripts/visibility/auto-visibility/ElevationEvaluator.js', () => ({
+      __esModule: true,
+      default: { isSightBlockedByWallHeight: jest.fn(() => false) },
+    }));
+    // A wall stands in front of the goblin
+    global.CONFIG = {
+      Canvas: {
+        polygonBackends: { sight: { testCollision: jest.fn((origin) => origin.x === 300) } },
+      },
+    };
+    global.Dialog = { confirm: jest.fn(async () => true) };
+    game.settings.set('pf2e-visioner', 'revealOnMove', 'auto');
+    reveal = await import('../../scripts/services/movement-reveal.js');
+  });
+
+  afterEach(() => {
+    global.canvas.tokens.placeables = [];
+    delete global.CONFIG;
+    delete global.Dialog;
+  });
+
+  test('only observers with line of sight and no cover or concealment notice the mover', () => {
+    const rogue = makeToken('rogue', { x: 100 });
+    const observers = [
+      makeToken('orc', { x: 200 }),
+      makeToken('goblin', { x: 300 }),
+      makeToken('wolf', { x: 400 }),
+      makeToken('guard', { x: 500 }),
+      makeToken('blind', { x: 600 }),
+      makeToken('bard', { x: 700 }),
+      makeToken('chest', { x: 800, type: 'loot' }),
+    ];
+    global.canvas.tokens.placeables = [rogue, ...observers];
+    for (const o of observers) states[`${o.id}>rogue`] = 'hidden';
+    states['orc>rogue'] = 'undetected';
+    states['bard>rogue'] = 'observed';
+
+    const reveals = reveal.computeMoveReveals(rogue);
+    expect(reveals.map((r) => [r.observer.id, r.oldState])).toEqual([['orc', 'undetected']]);
+  });
+
+  test('automatic reveals are undone by a Sneak rolled for the same move', async () => {
+    const rogue = makeToken('rogue', { x: 100 });
+    const orc = makeToken('orc', { x: 200 });
+    global.canvas.tokens.placeables = [rogue, orc];
+    states['orc>rogue'] = 'hidden';
+
+    move(rogue, 'm1');
+    expect(await reveal.handleTokenMove(rogue)).toHaveLength(1);
+    expect(states['orc>rogue']).toBe('observed');
+    expect(applyVisibilityChanges).toHaveBeenCalledWith(
+      orc,
+      [{ target: rogue, newVisibility: 'observed' }],
+      {
+        direction: 'observer_to_target',
+        audit: { source: 'movement', action: 'reveal-on-move' },
+      },
+    );
+
+    await reveal.markSneaking(rogue);
+    expect(states['orc>rogue']).toBe('hidden');
+
+    // The Sneak covered that move only
+    move(rogue, 'm2');
+    expect(await reveal.handleTokenMove(rogue)).toHaveLength(1);
+    expect(states['orc>rogue']).toBe('observed');
+  });
+
+  test('a Sneak rolled before moving exempts the next move; the GM is prompted otherwise', async () => {
+    game.settings.set('pf2e-visioner', 'revealOnMove', 'prompt');
+    const rogue = makeToken('rogue', { x: 100 });
+    const orc = makeToken('orc', { x: 200 });
+    global.canvas.tokens.placeables = [rogue, orc];
+    states['orc>rogue'] = 'hidden';
+
+    await reveal.markSneaking(rogue);
+    move(rogue, 'm1');
+    expect(await reveal.handleTokenMove(rogue)).toEqual([]);
+    expect(global.Dialog.confirm).not.toHaveBeenCalled();
+
+    move(rogue, 'm2');
+    global.Dialog.confirm.mockResolvedValueOnce(false);
+    await reveal.handleTokenMove(rogue);
+    expect(global.Dialog.confirm.mock.calls[0][0].content).toContain('orc: hidden → observed');
+    expect(states['orc>rogue']).toBe('hidden');
+
+    move(rogue, 'm3');
+    await reveal.handleTokenMove(rogue);
+    expect(states['orc>rogue']).toBe('observed');
+
+    game.settings.set('pf2e-visioner', 'revealOnMove', 'off');
+    states['orc>rogue'] = 'hidden';
+    move(rogue, 'm4');
+    expect(await reveal.handleTokenMove(rogue)).toEqual([]);
+  });
+
+  test('token names are escaped in the GM prompt', async () => {
+    game.settings.set('pf2e-visioner', 'revealOnMove', 'prompt');
+    const rogue = makeToken('rogue', { x: 100 });
+    rogue.name = '<img src=x onerror=alert(1)>';
+    const orc = makeToken('orc', { x: 200 });
+    orc.name = '<script>alert(1)</script>';
+    global.canvas.tokens.placeables = [rogue, orc];
+    states['orc>rogue'] = 'hidden';
+
+    global.Dialog.confirm.mockResolvedValueOnce(false);
+    await reveal.handleTokenMove(rogue);
+    const { content } = global.Dialog.confirm.mock.calls[0][0];
+    expect(content).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(content).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(content).not.toMatch(/<img|<script/);
+  });
+});
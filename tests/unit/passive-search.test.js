@@ -0,0 +1,151 @@
+/**
+ * Unit tests for passive Search during exploration
+ */
+
+import '../setup.js';
+
+describe('Passive Search', () => {
+  let passiveSearch;
+
+  const makeSearcher = ({ rank = 1, total = 20, die = 10, searching = true, flags = {} } = {}) => {
+    const roll = jest.fn(async () => ({ total, dice: [{ total: die }] }));
+    const token = global.createMockToken({
+      id: 'rogue',
+      center: { x: 50, y: 50 },
+      flags: { 'pf2e-visioner': flags },
+      actor: {
+        id: 'actor-rogue',
+        type: 'character',
+        system: { exploration: searching ? ['search-item'] : [], perception: { senses: [] } },
+        items: new Map([['search-item', { slug: 'search' }]]),
+        getStatistic: () => ({ proficiency: { rank }, roll }),
+      },
+    });
+    return { token, roll };
+  };
+
+  const makeWall = (id, x, { dc, identifier } = {}) => {
+    const flags = { hiddenWall: true, stealthDC: dc, wallIdentifier: identifier };
+    return {
+      id,
+      center: { x, y: 50 },
+      document: { id, door: 0, getFlag: (_m, key) => flags[key] },
+    };
+  };
+
+  const makeHazard = (id, x, { dc = 30, minRank = 0 } = {}) =>
+    global.createMockToken({
+      id,
+      center: { x, y: 50 },
+      flags: { 'pf2e-visioner': { minPerceptionRank: minRank } },
+      actor: { id: `actor-${id}`, type: 'hazard', system: { attributes: { stealth: { dc } } } },
+    });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    global.canvas.dimensions = { distancePixels: 10 };
+    global.canvas.walls.placeables = [];
+    global.canvas.tokens.placeables = [];
+    global.game.users = [{ id: 'gm', isGM: true }];
+    global.ChatMessage = { create: jest.fn(async () => ({})) };
+    passiveSearch = await import('../../scripts/services/passive-search.js');
+  });
+
+  afterEach(() => {
+    delete global.canvas.dimensions;
+    delete global.game.users;
+    delete global.ChatMessage;
+  });
+
+  test('only characters with the Search exploration activity are searching', () => {
+    expect(passiveSearch.isSearching(makeSearcher().token)).toBe(true);
+    expect(passiveSearch.isSearching(makeSearcher({ searching: false }).token)).toBe(false);
+  });
+
+  test('collects undiscovered hidden walls, hazards and loot in range', () => {
+    const { token: rogue } = makeSearcher({ flags: { walls: { found: 'observed' } } });
+    const hazard = makeHazard('trap', 150);
+    const seenHazard = makeHazard('pit', 150);
+    rogue.document.flags['pf2e-visioner'].visibility = { trap: 'hidden' };
+    global.canvas.walls.placeables = [
+      makeWall('door', 200),
+      makeWall('found', 200),
+      makeWall('far', 2000),
+    ];
+    global.canvas.tokens.placeables = [rogue, hazard, seenHazard];
+
+    const subjects = passiveSearch.getSearchSubjects(rogue, { distance: 30 });
+    expect(subjects.filter((s) => s._isWall).map((s) => s.wall.id)).toEqual(['door']);
+    expect(subjects.filter((s) => !s._isWall)).toEqual([hazard]);
+  });
+
+  test('reveals what the secret check beats, once per subject, and tells only the GM', async () => {
+    const { token: rogue, roll } = makeSearcher({ total: 20 });
+    const hazard = makeHazard('trap', 150, { dc: 30 });
+    rogue.document.flags['pf2e-visioner'].visibility = { trap: 'hidden' };
+    global.canvas.walls.placeables = [makeWall('door', 200, { dc: 18, identifier: 'Crypt Door' })];
+    global.canvas.tokens.placeables = [rogue, hazard];
+
+    const outcomes = await passiveSearch.resolvePassiveSearch(rogue, { distance: 30 });
+    expect(roll).toHaveBeenCalledWith(expect.objectContaining({ rollMode: 'blindroll' }));
+    expect(outcomes.map((o) => o.outcome)).toEqual(['success', 'failure']);
+    expect(rogue.document.getFlag('pf2e-visioner', 'walls')).toEqual({ door: 'observed' });
+    expect(rogue.document.getFlag('pf2e-visioner', 'visibility')).toEqual({ trap: 'hidden' });
+
+    const message = ChatMessage.create.mock.calls[0][0];
+    expect(message.whisper).toEqual(['gm']);
+    expect(message.content).toContain('Crypt Door (DC 18): success');
+
+    expect(await passiveSearch.resolvePassiveSearch(rogue, { distance: 30 })).toBeNull();
+    expect(roll).toHaveBeenCalledTimes(1);
+  });
+
+  test('escapes searcher names and wall identifiers in the GM whisper', async () => {
+    const { token: rogue } = makeSearcher({ total: 20 });
+    rogue.name = '<script>alert(1)</script>';
+    global.canvas.walls.placeables = [
+      makeWall('door', 200, { dc: 18, identifier: '<img src=x onerror=alert(1)>' }),
+    ];
+    global.canvas.tokens.placeables = [rogue];
+
+    await passiveSearch.resolvePassiveSearch(rogue, { distance: 30 });
+    const { content } = ChatMessage.create.mock.calls[0][0];
+    expect(content).toContain('&lt;script&gt;alert(1)&lt;/script&gt; searches');
+    expect(content).toContain('&lt;img src=x onerror=alert(1)&gt; (DC 18)');
+    expect(content).not.toMatch(/<img|<script/);
+  });
+
+  test('skips subjects requiring a higher Perception rank', async () => {
+    const { token: rogue, roll } = makeSearcher({ rank: 1 });
+    const hazard = makeHazard('glyph', 150, { minRank: 2 });
+    rogue.document.flags['pf2e-visioner'].visibility = { glyph: 'undetected' };
+    global.canvas.tokens.placeables = [rogue, hazard];
+
+    expect(await passiveSearch.resolvePassiveSearch(rogue, { distance: 30 })).toBeNull();
+    expect(roll).not.toHaveBeenCalled();
+  });
+
+  test('rolls after a searching character moves outside combat when enabled', async () => {
+    jest.useFakeTimers();
+    try {
+      const { token: rogue, roll } = makeSearcher();
+      rogue.document.object = rogue;
+      rogue.document.flags['pf2e-visioner'].visibility = { trap: 'hidden' };
+      global.canvas.tokens.placeables = [rogue, makeHazard('trap', 150)];
+
+      passiveSearch.onUpdateTokenPassiveSearch(rogue.document, { x: 100 });
+      jest.advanceTimersByTime(500);
+      expect(roll).not.toHaveBeenCalled();
+
+      await game.settings.set('pf2e-visioner', 'passiveSearch', true);
+      passiveSearch.onUpdateTokenPassiveSearch(rogue.document, { name: 'Renamed' });
+      passiveSearch.onUpdateTokenPassiveSearch(rogue.document, { x: 100 });
+      passiveSearch.onUpdateTokenPassiveSearch(rogue.document, { y: 100 });
+      jest.advanceTimersByTime(500);
+      expect(roll).toHaveBeenCalledTimes(1);
+    } finally {
+      await game.settings.set('pf2e-visioner', 'passiveSearch', false);
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for the GM approval queue of player-initiated actions
+ */
+
+import '../setup.js';
+
+const mockApply = jest.fn(async () => 1);
+
+jest.mock('../../scripts/chat/services/actions/hide-action.js', () => ({
+  HideActionHandler: jest.fn().mockImplementation(() => ({
+    ensurePrerequisites: jest.fn(async () => {}),
+    discoverSubjects: jest.fn(async () => [{ id: 'guard', name: 'Guard' }]),
+    analyzeOutcome: jest.fn(async (_data, subject) => ({
+      target: subject,
+      outcome: 'success',
+      dc: 15,
+      margin: 3,
+      oldVisibility: 'observed',
+      newVisibility: 'hidden',
+      changed: true,
+    })),
+    getOutcomeTokenId: (outcome) => outcome?.target?.id ?? null,
+    apply: mockApply,
+  })),
+}));
+
+jest.mock('../../scripts/chat/services/action-extractor.js', () => ({
+  extractActionData: jest.fn(async (message) => ({
+    messageId: message.id,
+    actionType: 'hide',
+    actor: { id: 'rogue', name: 'Rogue' },
+  })),
+}));
+
+describe('Pending player actions', () => {
+  let pending;
+  let messages;
+
+  const makeMessage = (id, { isGM = false, age = 0 } = {}) => {
+    const message = {
+      id,
+      timestamp: Date.now() - age,
+      author: { id: isGM ? 'gm' : 'player1', isGM },
+      flags: {},
+      rolls: [{ total: 18 }],
+      update: jest.fn(async (changes) => {
+        for (const [path, value] of Object.entries(changes)) {
+          const keys = path.split('.').slice(1);
+          let node = message.flags;
+          keys.slice(0, -1).forEach((k) => (node = node[k] ??= {}));
+          node[keys.at(-1)] = value;
+        }
+      }),
+    };
+    messages.push(message);
+    return message;
+  };
+
+  const actionData = { actionType: 'hide', actor: { id: 'rogue', name: 'Rogue' } };
+
+  beforeEach(async () => {
+    jest.resetModules();
+    mockApply.mockClear();
+    messages = [];
+    global.game.user.isGM = true;
+    global.game.messages = {
+      contents: messages,
+      get: (id) => messages.find((m) => m.id === id),
+    };
+    global.ChatMessage = { create: jest.fn(async () => ({})) };
+    global.game.settings.set('pf2e-visioner', 'playerActionQueue', true);
+    pending = await import('../../scripts/chat/services/pending-actions.js');
+  });
+
+  afterEach(() => {
+    global.game.settings.set('pf2e-visioner', 'playerActionQueue', false);
+    delete global.game.messages;
+    delete global.ChatMessage;
+  });
+
+  test('queues recent player actions only', () => {
+    expect(pending.shouldQueuePendingAction(makeMessage('a'), actionData)).toBe(true);
+    expect(pending.shouldQueuePendingAction(makeMessage('b', { isGM: true }), actionData)).toBe(
+      false,
+    );
+    expect(pending.shouldQueuePendingAction(makeMessage('c', { age: 60000 }), actionData)).toBe(
+      false,
+    );
+    expect(
+      pending.shouldQueuePendingAction(makeMessage('d'), {
+        ...actionData,
+        actionType: 'point-out',
+      }),
+    ).toBe(false);
+  });
+
+  test('stores computed outcomes on the message', async () => {
+    const message = makeMessage('m1');
+    const entry = await pending.enqueuePendingAction(message, actionData);
+    expect(entry).toMatchObject({ status: 'pending', actionType: 'hide', userId: 'player1' });
+    expect(entry.outcomes).toEqual([
+      {
+        tokenId: 'guard',
+        name: 'Guard',
+        outcome: 'success',
+        dc: 15,
+        margin: 3,
+        oldState: 'observed',
+        newState: 'hidden',
+      },
+    ]);
+    expect(pending.getPendingActions().map((e) => e.messageId)).toEqual(['m1']);
+    // Already queued messages are not queued again
+    expect(pending.shouldQueuePendingAction(message, actionData)).toBe(false);
+  });
+
+  test('approving applies GM edits and whispers the player', async () => {
+    const message = makeMessage('m2');
+    await pending.enqueuePendingAction(message, actionData);
+
+    const applied = await pending.approvePendingAction('m2', { guard: 'undetected' });
+    expect(applied).toBe(1);
+    expect(mockApply).toHaveBeenCalledWith(
+      expect.objectContaining({ overrides: { guard: 'undetected' } }),
+      expect.anything(),
+    );
+    expect(message.flags['pf2e-visioner'].pendingAction.status).toBe('approved');
+    expect(global.ChatMessage.create).toHaveBeenCalledWith(
+      expect.objectContaining({ whisper: ['player1'] }),
+    );
+    expect(pending.getPendingActions()).toHaveLength(0);
+  });
+
+  test('an approval that writes nothing stays pending and warns the GM', async () => {
+    const message = makeMessage('m4');
+    await pending.enqueuePendingAction(message, actionData);
+    mockApply.mockResolvedValueOnce(0);
+
+    expect(await pending.approvePendingAction('m4')).toBe(0);
+    expect(message.flags['pf2e-visioner'].pendingAction.status).toBe('pending');
+    expect(global.ui.notifications.warn).toHaveBeenCalled();
+    expect(global.ChatMessage.create).not.toHaveBeenCalled();
+    expect(pending.getPendingActions().map((e) => e.messageId)).toEqual(['m4']);
+  });
+
+  test('rejecting applies nothing', async () => {
+    const message = makeMessage('m3');
+    await pending.enqueuePendingAction(message, actionData);
+
+    expect(await pending.rejectPendingAction('m3')).toBe(true);
+    expect(mockApply).not.toHaveBeenCalled();
+    expect(message.flags['pf2e-visioner'].pendingAction.status).toBe('rejected');
+    expect(global.ChatMessage.create.mock.calls[0][0].content).toContain('rejected');
+  });
+
+  test('the chat card cannot apply an action while it is pending', async () => {
+    const message = makeMessage('m5');
+    const data = { ...actionData, messageId: 'm5' };
+    const { buildAutomationPanel } = await import('../../scripts/chat/ui/panel-builder.js');
+    const applyButton = () => {
+      const panel = document.createElement('div');
+      panel.innerHTML = buildAutomationPanel(data, message);
+      return panel.querySelector('[data-action="apply-now-hide"]');
+    };
+    expect(applyButton().disabled).toBe(false);
+
+    await pending.enqueuePendingAction(message, actionData);
+    expect(applyButton().disabled).toBe(true);
+    expect(
+      applyButton()
+        .closest('.automation-actions')
+        .querySelector('[data-action="open-hide-results"]').disabled,
+    ).toBe(false);
+
+    await pending.rejectPendingAction('m5');
+    expect(applyButton().disabled).toBe(false);
+  });
+});
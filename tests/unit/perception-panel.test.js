@@ -0,0 +1,89 @@
+/**
+ * Unit tests for the "What I perceive" panel
+ * Which creatures are listed, their cover both ways and why they have their state
+ */
+
+import '../setup.js';
+
+describe('Perception panel', () => {
+  let panel;
+
+  const makeToken = (id, flags = {}, extra = {}) => ({
+    id,
+    name: id,
+    document: {
+      id,
+      name: id,
+      hidden: false,
+      texture: { src: `${id}.png` },
+      getFlag: jest.fn((_module, key) => flags[key]),
+      ...extra,
+    },
+    actor: { id: `actor-${id}`, type: 'npc', img: `${id}.png` },
+  });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    panel = await import('../../scripts/managers/perception-panel.js');
+  });
+
+  afterEach(() => {
+    global.canvas.tokens.placeables = [];
+    global.canvas.scene.getFlag = undefined;
+  });
+
+  test('lists perceived creatures and leaves out undetected and GM-hidden ones', () => {
+    const fighter = makeToken('fighter', {
+      visibility: { orc: 'hidden', wolf: 'undetected', goblin: 'observed' },
+    });
+    const orc = makeToken('orc');
+    const wolf = makeToken('wolf');
+    const goblin = makeToken('goblin');
+    const ghost = makeToken('ghost', {}, { hidden: true });
+    global.canvas.tokens.placeables = [fighter, orc, wolf, goblin, ghost];
+
+    const rows = panel.buildPerceptionRows(fighter);
+    expect(rows.map((r) => [r.id, r.state])).toEqual([
+      ['goblin', 'observed'],
+      ['orc', 'hidden'],
+    ]);
+    expect(rows[0].reason).toBeNull();
+  });
+
+  test('shows cover in both directions', () => {
+    const fighter = makeToken('fighter', { cover: { orc: 'standard' } });
+    const orc = makeToken('orc', { cover: { fighter: 'lesser' } });
+    global.canvas.tokens.placeables = [fighter, orc];
+
+    const [row] = panel.buildPerceptionRows(fighter);
+    expect(row.cover.label.toLowerCase()).toContain('standard');
+    expect(row.myCover.label.toLowerCase()).toContain('lesser');
+  });
+
+  test('explains derived states and falls back to the audit log', () => {
+    const fighter = makeToken('fighter', {
+      visibility: { orc: 'concealed', wolf: 'hidden' },
+      derivedVisibility: {
+        orc: { state: 'concealed', source: 'lighting', reason: 'dim light' },
+        wolf: { state: 'concealed', source: 'lighting', reason: 'dim light' },
+      },
+    });
+    const orc = makeToken('orc');
+    const wolf = makeToken('wolf');
+    global.canvas.tokens.placeables = [fighter, orc, wolf];
+    global.canvas.scene.getFlag = jest.fn(() => [
+      {
+        kind: 'visibility',
+        observerId: 'fighter',
+        targetId: 'wolf',
+        newState: 'hidden',
+        source: 'action',
+        action: 'hide',
+      },
+    ]);
+
+    const rows = panel.buildPerceptionRows(fighter);
+    expect(rows.find((r) => r.id === 'orc').reason).toBe('concealed: dim light');
+    expect(rows.find((r) => r.id === 'wolf').reason).toBe('hidden: Hide');
+  });
+});
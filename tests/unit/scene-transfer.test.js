@@ -0,0 +1,232 @@
+/**
+ * Unit tests for scene-level JSON export / import
+ */
+
+import '../setup.js';
+
+const mockVisibilityEffects = jest.fn(async () => {});
+const mockCoverEffects = jest.fn(async () => {});
+
+jest.mock('../../scripts/visibility/batch.js', () => ({
+  batchUpdateVisibilityEffects: (...args) => mockVisibilityEffects(...args),
+}));
+jest.mock('../../scripts/cover/batch.js', () => ({
+  batchUpdateCoverEffects: (...args) => mockCoverEffects(...args),
+}));
+
+describe('Scene transfer', () => {
+  let transfer;
+
+  const makeToken = (id, name, actorId, moduleFlags = {}) => ({
+    id,
+    name,
+    actorId,
+    flags: { 'pf2e-visioner': moduleFlags },
+  });
+  const makeWall = (id, c, moduleFlags = {}) => ({
+    id,
+    c,
+    flags: { 'pf2e-visioner': moduleFlags },
+  });
+
+  const applyPath = (target, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const node = keys.reduce((o, k) => (o[k] ??= {}), target);
+    if (last.startsWith('-=')) delete node[last.slice(2)];
+    else node[last] = value;
+  };
+
+  const makeScene = (id, name, tokens, walls, moduleFlags = {}) => {
+    const scene = {
+      id,
+      name,
+      flags: { 'pf2e-visioner': moduleFlags },
+      tokens,
+      walls,
+      update: jest.fn(async (changes) => {
+        for (const [path, value] of Object.entries(changes)) applyPath(scene, path, value);
+      }),
+      updateEmbeddedDocuments: jest.fn(async (type, updates) => {
+        const docs = type === 'Wall' ? walls : tokens;
+        for (const { _id, ...changes } of updates) {
+          const doc = docs.find((d) => d.id === _id);
+          for (const [path, value] of Object.entries(changes)) applyPath(doc, path, value);
+        }
+      }),
+    };
+    return scene;
+  };
+
+  let source;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    mockVisibilityEffects.mockClear();
+    mockCoverEffects.mockClear();
+    global.game.user.isGM = true;
+    global.canvas.tokens.get = () => null;
+
+    source = makeScene(
+      'sceneA',
+      'Crypt',
+      [
+        makeToken('ogre', 'Ogre', 'actorOgre', {
+          visibility: { rogue: 'hidden' },
+          cover: { rogue: 'standard' },
+          stealthDC: 18,
+        }),
+        makeToken('rogue', 'Rogue', 'actorRogue', { walls: { wallA: 'hidden' } }),
+      ],
+      [
+        makeWall('wallA', [0, 0, 100, 0], { hiddenWall: true, wallIdentifier: 'Secret Door' }),
+        makeWall('wallB', [0, 0, 0, 100]),
+      ],
+      {
+        hiddenIndicatorHalf: 'bottom',
+        auditLog: [{ id: 'x' }],
+        partyTokenStateCache: {
+          sig: { tokenId: 'rogue', visibility: { ogre: 'hidden' }, cover: {} },
+        },
+      },
+    );
+    transfer = await import('../../scripts/services/scene-transfer.js');
+  });
+
+  test('exports a versioned document without the audit log', () => {
+    const data = transfer.exportSceneData(source);
+    expect(data).toMatchObject({
+      format: transfer.SCENE_EXPORT_FORMAT,
+      version: transfer.SCENE_EXPORT_VERSION,
+      scene: { id: 'sceneA', name: 'Crypt' },
+    });
+    expect(data.flags.auditLog).toBeUndefined();
+    expect(data.flags.hiddenIndicatorHalf).toBe('bottom');
+    expect(data.tokens.find((t) => t.id === 'ogre').flags.stealthDC).toBe(18);
+    // Only flagged or referenced walls
+    expect(data.walls.map((w) => w.id)).toEqual(['wallA']);
+    expect(transfer.validateSceneData(data)).toBeNull();
+    expect(transfer.validateSceneData({ ...data, version: 99 })).toMatch(/newer/);
+    expect(transfer.validateSceneData({})).toMatch(/Not a PF2E Visioner/);
+  });
+
+  test('dry run remaps ids by actor, name and wall identifier without writing', async () => {
+    const tokens = [
+      makeToken('t1', 'Ogre', 'actorOgre'),
+      makeToken('t2', 'Rogue', 'actorOther'),
+      makeToken('t3', 'Goblin', 'actorGoblin'),
+    ];
+    const walls = [makeWall('w9', [5, 5, 6, 6], { wallIdentifier: 'Secret Door' })];
+    const target = makeScene('sceneB', 'Crypt copy', tokens, walls);
+
+    const report = await transfer.importSceneData(transfer.exportSceneData(source), {
+      scene: target,
+      dryRun: true,
+    });
+    expect(report.ok).toBe(true);
+    expect(report.tokens.matched).toEqual([
+      expect.objectContaining({ sourceId: 'ogre', targetId: 't1', by: 'actor+name' }),
+      expect.objectContaining({ sourceId: 'rogue', targetId: 't2', by: 'name' }),
+    ]);
+    expect(report.walls.matched).toEqual([
+      expect.objectContaining({ sourceId: 'wallA', targetId: 'w9', by: 'identifier' }),
+    ]);
+    // Ogre → Rogue visibility and cover plus one hidden wall
+    expect(report.pairChanges).toBe(3);
+    expect(report.tokenUpdates).toBe(2);
+    expect(target.updateEmbeddedDocuments).not.toHaveBeenCalled();
+    expect(target.update).not.toHaveBeenCalled();
+  });
+
+  test('import writes remapped maps, walls and scene flags', async () => {
+    const tokens = [makeToken('t1', 'Ogre', 'actorOgre', { visibility: { t3: 'hidden' } })];
+    tokens.push(makeToken('t2', 'Rogue', 'actorRogue'), makeToken('t3', 'Goblin', 'actorGoblin'));
+    const walls = [makeWall('w9', [100, 0, 0, 0])];
+    const target = makeScene('sceneB', 'Crypt copy', tokens, walls);
+
+    const json = JSON.stringify(transfer.exportSceneData(source));
+    const report = await transfer.importSceneData(json, { scene: target });
+    expect(report.ok).toBe(true);
+    expect(report.walls.matched[0]).toMatchObject({ targetId: 'w9', by: 'coordinates' });
+
+    const ogreFlags = tokens[0].flags['pf2e-visioner'];
+    expect(ogreFlags.visibility).toEqual({ t2: 'hidden' });
+    expect(ogreFlags.cover).toEqual({ t2: 'standard' });
+    expect(tokens[1].flags['pf2e-visioner'].walls).toEqual({ w9: 'hidden' });
+    expect(walls[0].flags['pf2e-visioner']).toMatchObject({ hiddenWall: true });
+
+    const cache = target.flags['pf2e-visioner'].partyTokenStateCache.sig;
+    expect(cache.tokenId).toBe('t2');
+    expect(cache.visibility).toEqual({ t1: 'hidden' });
+    expect(target.flags['pf2e-visioner'].auditLog).toBeUndefined();
+
+    const options = target.updateEmbeddedDocuments.mock.calls[0][2];
+    expect(options.pf2eVisionerAudit).toMatchObject({ source: 'import', reason: 'Crypt' });
+  });
+
+  test('import remaps pending expiries and their anchors', async () => {
+    source.tokens[0].flags['pf2e-visioner'].visibilityExpiry = {
+      rogue: { type: 'turn-end', tokenId: 'rogue', state: 'hidden', previous: 'observed' },
+    };
+    // Anchored to a token that is not in the target scene
+    source.tokens[1].flags['pf2e-visioner'].visibilityExpiry = {
+      ogre: { type: 'move', tokenId: 'ghost', state: 'hidden', previous: 'observed' },
+    };
+    const tokens = [
+      makeToken('t1', 'Ogre', 'actorOgre', {
+        visibilityExpiry: { t2: { type: 'move', tokenId: 't2', state: 'hidden' } },
+      }),
+      makeToken('t2', 'Rogue', 'actorRogue'),
+    ];
+    const target = makeScene('sceneB', 'Crypt copy', tokens, []);
+
+    const report = await transfer.importSceneData(transfer.exportSceneData(source), {
+      scene: target,
+    });
+    // The ghost-anchored expiry and the unmatched hidden wall
+    expect(report.droppedEntries).toBe(2);
+    expect(tokens[0].flags['pf2e-visioner'].visibilityExpiry).toEqual({
+      t2: { type: 'turn-end', tokenId: 't2', state: 'hidden', previous: 'observed' },
+    });
+    expect(tokens[1].flags['pf2e-visioner'].visibilityExpiry).toEqual({});
+  });
+
+  test('the report escapes names from the file', async () => {
+    const data = transfer.exportSceneData(source);
+    data.scene.name = '<img src=x onerror=alert(1)>';
+    data.tokens[0].name = '<script>alert(1)</script>';
+    const target = makeScene('sceneB', 'Crypt copy', [makeToken('t1', 'Goblin', 'actorOgre')], []);
+
+    const html = transfer.formatImportReport(
+      await transfer.importSceneData(data, { scene: target, dryRun: true }),
+    );
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('<img');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+  });
+
+  test('cancelling the file picker ends the import prompt', async () => {
+    const click = jest.spyOn(HTMLInputElement.prototype, 'click').mockImplementation(function () {
+      this.dispatchEvent(new Event('cancel'));
+    });
+    global.Dialog = { confirm: jest.fn() };
+    try {
+      await expect(transfer.promptImportSceneData(source)).resolves.toBeNull();
+      expect(global.Dialog.confirm).not.toHaveBeenCalled();
+    } finally {
+      click.mockRestore();
+      delete global.Dialog;
+    }
+  });
+
+  test('reports invalid input and refuses to import for players', async () => {
+    expect((await transfer.importSceneData('{oops', { scene: source })).error).toMatch(/JSON/);
+    global.game.user.isGM = false;
+    const report = await transfer.importSceneData(transfer.exportSceneData(source), {
+      scene: source,
+    });
+    expect(report.ok).toBe(false);
+    expect(source.updateEmbeddedDocuments).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Unit tests for named visibility / cover snapshots
+ */
+
+import '../setup.js';
+
+const mockVisibilityEffects = jest.fn(async () => {});
+const mockCoverEffects = jest.fn(async () => {});
+
+jest.mock('../../scripts/visibility/batch.js', () => ({
+  batchUpdateVisibilityEffects: (...args) => mockVisibilityEffects(...args),
+}));
+jest.mock('../../scripts/cover/batch.js', () => ({
+  batchUpdateCoverEffects: (...args) => mockCoverEffects(...args),
+}));
+
+describe('Snapshots', () => {
+  let snapshots;
+  let scene;
+  let tokenDocs;
+
+  const makeDoc = (id, name, moduleFlags = {}) => ({
+    id,
+    name,
+    flags: { 'pf2e-visioner': moduleFlags },
+  });
+
+  // Apply flat flag paths ("flags.pf2e-visioner.visibility.-=id") to plain objects
+  const applyPath = (target, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const node = keys.reduce((o, k) => (o[k] ??= {}), target);
+    if (last.startsWith('-=')) delete node[last.slice(2)];
+    else node[last] = value;
+  };
+
+  beforeEach(async () => {
+    jest.resetModules();
+    mockVisibilityEffects.mockClear();
+    mockCoverEffects.mockClear();
+    global.game.user.isGM = true;
+
+    tokenDocs = [
+      makeDoc('ogre', 'Ogre', { visibility: { rogue: 'hidden' }, cover: { rogue: 'standard' } }),
+      makeDoc('rogue', 'Rogue', { walls: { wall1: 'hidden' } }),
+      makeDoc('priest', 'Priest'),
+    ];
+    scene = {
+      id: 'scene1',
+      name: 'Temple',
+      flags: {},
+      tokens: tokenDocs,
+      getFlag: (moduleId, key) => scene.flags[moduleId]?.[key],
+      update: jest.fn(async (changes) => {
+        for (const [path, value] of Object.entries(changes)) applyPath(scene, path, value);
+      }),
+      updateEmbeddedDocuments: jest.fn(async (_type, updates) => {
+        for (const { _id, ...changes } of updates) {
+          const doc = tokenDocs.find((d) => d.id === _id);
+          for (const [path, value] of Object.entries(changes)) applyPath(doc, path, value);
+        }
+      }),
+    };
+    const tokenObjects = new Map(
+      tokenDocs.map((doc) => [doc.id, { id: doc.id, name: doc.name, document: doc }]),
+    );
+    global.canvas.scene = scene;
+    global.canvas.tokens.get = (id) => tokenObjects.get(id);
+    global.foundry.utils.randomID = () => 'snap1';
+
+    snapshots = await import('../../scripts/services/snapshots.js');
+  });
+
+  afterEach(() => {
+    delete global.foundry.utils.randomID;
+  });
+
+  test('captures every token map under a name', async () => {
+    const snapshot = await snapshots.captureSnapshot('Cult hidden', scene);
+    expect(snapshot.name).toBe('Cult hidden');
+    expect(snapshot.tokens.ogre.visibility).toEqual({ rogue: 'hidden' });
+    expect(snapshot.tokens.rogue.walls).toEqual({ wall1: 'hidden' });
+
+    const list = snapshots.listSnapshots(scene);
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({
+      id: 'snap1',
+      name: 'Cult hidden',
+      tokenCount: 3,
+      pairCount: 2,
+    });
+    expect(snapshots.findSnapshot('Cult hidden', scene).id).toBe('snap1');
+  });
+
+  test('diffs a snapshot against the current state', async () => {
+    await snapshots.captureSnapshot('Before', scene);
+    tokenDocs[0].flags['pf2e-visioner'].visibility.rogue = 'observed';
+    tokenDocs[2].flags['pf2e-visioner'].cover = { ogre: 'lesser' };
+
+    const diff = snapshots.diffSnapshot('Before', null, scene);
+    expect(diff).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          kind: 'visibility',
+          observerId: 'ogre',
+          targetId: 'rogue',
+          before: 'hidden',
+          after: 'observed',
+        }),
+        expect.objectContaining({
+          kind: 'cover',
+          observerId: 'priest',
+          targetId: 'ogre',
+          before: 'none',
+          after: 'lesser',
+        }),
+      ]),
+    );
+    expect(diff).toHaveLength(2);
+    expect(snapshots.diffSnapshot('Missing', null, scene)).toBeNull();
+  });
+
+  test('restores all maps in one update and rebuilds effects', async () => {
+    await snapshots.captureSnapshot('Before', scene);
+    tokenDocs[0].flags['pf2e-visioner'].visibility = { rogue: 'observed', priest: 'hidden' };
+    tokenDocs[1].flags['pf2e-visioner'].walls = {};
+
+    const changed = await snapshots.restoreSnapshot('Before', scene);
+    expect(changed).toBe(3);
+    expect(scene.updateEmbeddedDocuments).toHaveBeenCalledTimes(1);
+    expect(tokenDocs[0].flags['pf2e-visioner'].visibility).toEqual({ rogue: 'hidden' });
+    expect(tokenDocs[1].flags['pf2e-visioner'].walls).toEqual({ wall1: 'hidden' });
+
+    const options = scene.updateEmbeddedDocuments.mock.calls[0][2];
+    expect(options.pf2eVisionerAudit).toEqual({ source: 'snapshot', reason: 'Before' });
+    expect(mockVisibilityEffects).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'ogre' }),
+      expect.arrayContaining([
+        expect.objectContaining({ state: 'hidden' }),
+        expect.objectContaining({ state: 'observed' }),
+      ]),
+      { direction: 'observer_to_target' },
+    );
+  });
+
+  test('restoring drops pending expiries of the restored pairs', async () => {
+    await snapshots.captureSnapshot('Before', scene);
+    // A timed state equal to the snapshot's would otherwise revert it later
+    tokenDocs[0].flags['pf2e-visioner'].visibilityExpiry = {
+      rogue: { type: 'turn-end', tokenId: 'rogue', state: 'hidden', previous: 'observed' },
+    };
+
+    expect(await snapshots.restoreSnapshot('Before', scene)).toBe(0);
+    expect(tokenDocs[0].flags['pf2e-visioner'].visibilityExpiry).toEqual({});
+    expect(tokenDocs[0].flags['pf2e-visioner'].visibility).toEqual({ rogue: 'hidden' });
+  });
+
+  test('leaves tokens created after the snapshot alone', async () => {
+    await snapshots.captureSnapshot('Before', scene);
+    tokenDocs.push(makeDoc('ghost', 'Ghost', { visibility: { ogre: 'undetected' } }));
+    tokenDocs[0].flags['pf2e-visioner'].visibility.ghost = 'undetected';
+
+    expect(await snapshots.restoreSnapshot('Before', scene)).toBe(0);
+    expect(scene.updateEmbeddedDocuments).not.toHaveBeenCalled();
+    expect(tokenDocs[0].flags['pf2e-visioner'].visibility.ghost).toBe('undetected');
+  });
+
+  test('deletes snapshots', async () => {
+    await snapshots.captureSnapshot('Before', scene);
+    expect(await snapshots.deleteSnapshot('Before', scene)).toBe(true);
+    expect(snapshots.listSnapshots(scene)).toHaveLength(0);
+    expect(await snapshots.restoreSnapshot('Before', scene)).toBe(-1);
+  });
+});
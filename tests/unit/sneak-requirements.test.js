@@ -0,0 +1,177 @@
+/**
+ * Unit tests for Sneak end-of-move requirements
+ */
+
+import '../setup.js';
+
+describe('Sneak end-of-move requirements', () => {
+  let requirements;
+
+  const makeSneaker = ({ history = [], center = { x: 325, y: 25 }, speed = 25, feats = [] } = {}) =>
+    global.createMockToken({
+      id: 'rogue',
+      center,
+      actor: {
+        id: 'actor-rogue',
+        type: 'character',
+        system: { attributes: { speed: { total: speed } }, perception: { senses: [] } },
+        items: feats.map((slug) => ({ slug })),
+      },
+      document: { id: 'rogue', width: 1, height: 1, movementHistory: history, flags: {} },
+    });
+
+  const makeObserver = (flags = {}) =>
+    global.createMockToken({
+      id: 'guard',
+      center: { x: 25, y: 25 },
+      flags: { 'pf2e-visioner': flags },
+      actor: {
+        id: 'actor-guard',
+        type: 'npc',
+        system: { perception: { dc: 20, senses: [] } },
+      },
+    });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    global.canvas.dimensions = { size: 50, distance: 5, distancePixels: 10 };
+    global.canvas.scene.environment = { darknessLevel: 0, globalLight: { enabled: false } };
+    global.canvas.lighting.placeables = [];
+    global.canvas.walls.placeables = [];
+    global.canvas.tokens.placeables = [];
+    requirements = await import('../../scripts/chat/services/infra/sneak-requirements.js');
+  });
+
+  afterEach(() => {
+    delete global.canvas.dimensions;
+    delete global.canvas.scene.environment;
+    game.settings.set('pf2e-visioner', 'sneakRawEnforcement', false);
+    game.settings.set('pf2e-visioner', 'autoCover', false);
+  });
+
+  test('measures only the latest movement, ending at the current position', () => {
+    const sneaker = makeSneaker({
+      history: [
+        { x: 0, y: 0, movementId: 'stride' },
+        { x: 100, y: 0, movementId: 'stride' },
+        { x: 200, y: 0, movementId: 'sneak' },
+        { x: 300, y: 0, movementId: 'sneak' },
+      ],
+    });
+    const path = requirements.getSneakMovementPath(sneaker);
+    expect(path).toEqual([
+      { x: 125, y: 25 },
+      { x: 225, y: 25 },
+      { x: 325, y: 25 },
+    ]);
+    expect(requirements.getSneakMovement(sneaker)).toMatchObject({
+      distanceFt: 20,
+      maxDistanceFt: 12,
+    });
+  });
+
+  test('Sneak covers half Speed, or full Speed with Swift Sneak', () => {
+    expect(requirements.getSneakDistanceLimit(makeSneaker({ speed: 30 }).actor)).toBe(15);
+    expect(
+      requirements.getSneakDistanceLimit(makeSneaker({ speed: 30, feats: ['swift-sneak'] }).actor),
+    ).toBe(30);
+    expect(requirements.getSneakDistanceLimit({ system: {} })).toBeNull();
+  });
+
+  test('requires standard cover or concealment at the end point', () => {
+    const sneaker = makeSneaker();
+    const observer = makeObserver();
+    const movement = { path: [], distanceFt: 10, maxDistanceFt: 12 };
+
+    const exposed = requirements.evaluateSneakRequirements(observer, sneaker, { movement });
+    expect(exposed).toMatchObject({ met: false, cover: 'none', concealed: false });
+    expect(exposed.reason).toBe('No cover or concealment at the end of the move');
+
+    const lesser = { movement, cover: 'lesser' };
+    expect(requirements.evaluateSneakRequirements(observer, sneaker, lesser).met).toBe(false);
+    const standard = { movement, cover: 'standard' };
+    expect(requirements.evaluateSneakRequirements(observer, sneaker, standard).met).toBe(true);
+
+    global.canvas.scene.environment.darknessLevel = 1;
+    expect(requirements.evaluateSneakRequirements(observer, sneaker, { movement })).toMatchObject({
+      met: true,
+      concealed: true,
+    });
+  });
+
+  test('a stored concealed state counts; detected cover only with auto-cover enabled', async () => {
+    const sneaker = makeSneaker();
+    const movement = { path: [], distanceFt: 10, maxDistanceFt: 12 };
+    expect(
+      requirements.evaluateSneakRequirements(
+        makeObserver({ visibility: { rogue: 'concealed' } }),
+        sneaker,
+        { movement },
+      ),
+    ).toMatchObject({ met: true, concealed: true });
+
+    const autoCoverSystem = (await import('../../scripts/cover/auto-cover/AutoCoverSystem.js'))
+      .default;
+    jest.spyOn(autoCoverSystem, 'detectCoverBetweenTokens').mockReturnValue('standard');
+    game.settings.set('pf2e-visioner', 'autoCover', false);
+    expect(
+      requirements.evaluateSneakRequirements(makeObserver(), sneaker, { movement }),
+    ).toMatchObject({ met: false, cover: 'none' });
+    expect(autoCoverSystem.detectCoverBetweenTokens).not.toHaveBeenCalled();
+    game.settings.set('pf2e-visioner', 'autoCover', true);
+    expect(
+      requirements.evaluateSneakRequirements(makeObserver(), sneaker, { movement }),
+    ).toMatchObject({ met: true, cover: 'standard' });
+  });
+
+  test('reports moving too far', () => {
+    const result = requirements.evaluateSneakRequirements(makeObserver(), makeSneaker(), {
+      movement: { path: [], distanceFt: 20, maxDistanceFt: 12 },
+      cover: 'greater',
+    });
+    expect(result.failures).toEqual(['Moved 20 ft, more than 12 ft']);
+  });
+
+  test('the Sneak handler flags failed requirements and downgrades under RAW', async () => {
+    const { SneakActionHandler } = await import(
+      '../../scripts/chat/services/actions/sneak-action.js'
+    );
+    const handler = new SneakActionHandler();
+    const sneaker = makeSneaker();
+    const observer = makeObserver({ visibility: { rogue: 'hidden' } });
+    const actionData = { actor: sneaker, roll: { total: 25, dice: [{ total: 12 }] } };
+
+    let outcome = await handler.analyzeOutcome(actionData, observer);
+    expect(outcome.newVisibility).toBe('undetected');
+    expect(outcome.sneakRequirementsFailed).toBe(true);
+    expect(outcome.sneakRequirementReason).toContain('No cover or concealment');
+
+    game.settings.set('pf2e-visioner', 'sneakRawEnforcement', true);
+    outcome = await handler.analyzeOutcome(actionData, observer);
+    expect(outcome.newVisibility).toBe('observed');
+    expect(outcome.sneakRequirementDowngrade).toBe(true);
+  });
+
+  test('the Sneak handler measures the move once for all observers', async () => {
+    const { SneakActionHandler } = await import(
+      '../../scripts/chat/services/actions/sneak-action.js'
+    );
+    const handler = new SneakActionHandler();
+    const sneaker = makeSneaker({ history: [{ x: 200, y: 0, movementId: 'sneak' }] });
+    const history = sneaker.document.movementHistory;
+    let reads = 0;
+    Object.defineProperty(sneaker.document, 'movementHistory', {
+      get: () => {
+        reads += 1;
+        return history;
+      },
+    });
+    const actionData = { actor: sneaker, roll: { total: 25, dice: [{ total: 12 }] } };
+
+    await handler.ensurePrerequisites(actionData);
+    expect(actionData.sneakMovement).toMatchObject({ distanceFt: 10, maxDistanceFt: 12 });
+    await handler.analyzeOutcome(actionData, makeObserver({ visibility: { rogue: 'hidden' } }));
+    await handler.analyzeOutcome(actionData, makeObserver({ visibility: { rogue: 'hidden' } }));
+    expect(reads).toBe(1);
+  });
+});
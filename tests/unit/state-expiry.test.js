@@ -0,0 +1,256 @@
+/**
+ * Unit tests for timed visibility states
+ * Recording expiries with writes, deciding when they end, and reverting with a GM summary
+ */
+
+import '../setup.js';
+
+describe('Timed visibility states', () => {
+  let expiry;
+
+  const makeToken = (id, flags = {}) => ({
+    id,
+    name: id,
+    document: {
+      id,
+      name: id,
+      getFlag: jest.fn((_module, key) => flags[key]),
+      update: jest.fn(async () => {}),
+    },
+    actor: { id: `actor-${id}`, type: 'npc' },
+  });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    game.settings.set('pf2e-visioner', 'visibilityStateExpiry', true);
+    global.game.users = [{ id: 'gm', isGM: true }];
+    global.ChatMessage = { create: jest.fn(async () => ({})) };
+    expiry = await import('../../scripts/services/state-expiry.js');
+  });
+
+  afterEach(() => {
+    global.canvas.tokens.placeables = [];
+    global.game.combat = null;
+    delete global.game.users;
+    delete global.ChatMessage;
+  });
+
+  test('turn, round and movement expiries end with the matching event', () => {
+    const turn = (extra) => ({
+      type: 'turn',
+      round: 2,
+      turn: 1,
+      combatantTokenIds: new Set(['rogue']),
+      ...extra,
+    });
+    const diversion = { type: 'turn-end', tokenId: 'rogue', round: 2, turn: 0 };
+    expect(expiry.isExpired(diversion, turn({ endedTokenId: 'rogue' }))).toBe(true);
+    expect(expiry.isExpired(diversion, turn({ endedTokenId: 'orc' }))).toBe(false);
+
+    const untilNextTurn = { type: 'turn-start', tokenId: 'rogue', round: 2, turn: 1 };
+    expect(expiry.isExpired(untilNextTurn, turn({ startedTokenId: 'rogue' }))).toBe(false);
+    expect(expiry.isExpired(untilNextTurn, turn({ round: 3, startedTokenId: 'rogue' }))).toBe(true);
+
+    const twoRounds = { type: 'rounds', rounds: 2, tokenId: 'rogue', round: 1, turn: 0 };
+    expect(expiry.isExpired(twoRounds, turn({ startedTokenId: 'rogue' }))).toBe(false);
+    expect(expiry.isExpired(twoRounds, turn({ round: 3, startedTokenId: 'rogue' }))).toBe(true);
+    const outsider = { ...twoRounds, tokenId: 'bystander' };
+    expect(expiry.isExpired(outsider, turn({ round: 3, turn: 0, roundChanged: true }))).toBe(true);
+
+    const pointOut = { type: 'move', tokenId: 'orc' };
+    expect(expiry.isExpired(pointOut, { type: 'move', tokenId: 'orc' })).toBe(true);
+    expect(expiry.isExpired(pointOut, { type: 'move', tokenId: 'rogue' })).toBe(false);
+    expect(expiry.isExpired(pointOut, { type: 'combat-end' })).toBe(false);
+    expect(expiry.isExpired(diversion, { type: 'combat-end' })).toBe(true);
+  });
+
+  test('writes record the expiry with the previous state and permanent writes clear it', async () => {
+    global.game.combat = { id: 'combat', started: true, round: 2, turn: 3 };
+    const orc = makeToken('orc');
+    const rogue = makeToken('rogue');
+
+    await expiry.recordStateExpiry(orc, rogue, 'turn-end', {
+      state: 'hidden',
+      previous: 'observed',
+      audit: { source: 'action', action: 'create-a-diversion' },
+    });
+    expect(orc.document.update).toHaveBeenCalledWith({
+      'flags.pf2e-visioner.visibilityExpiry.rogue': {
+        type: 'turn-end',
+        rounds: null,
+        tokenId: 'rogue',
+        state: 'hidden',
+        previous: 'observed',
+        combatId: 'combat',
+        round: 2,
+        turn: 3,
+        action: 'create-a-diversion',
+      },
+    });
+
+    // Chained timed states keep the state before the first one
+    const timed = makeToken('orc', {
+      visibilityExpiry: { rogue: { type: 'turn-end', previous: 'observed' } },
+    });
+    await expiry.recordStateExpiry(
+      timed,
+      rogue,
+      { type: 'move' },
+      {
+        state: 'undetected',
+        previous: 'hidden',
+      },
+    );
+    expect(
+      timed.document.update.mock.calls[0][0]['flags.pf2e-visioner.visibilityExpiry.rogue'],
+    ).toMatchObject({ type: 'move', previous: 'observed', state: 'undetected' });
+
+    timed.document.update.mockClear();
+    await expiry.recordStateExpiry(timed, rogue, null, { state: 'observed', previous: 'hidden' });
+    expect(timed.document.update).toHaveBeenCalledWith({
+      'flags.pf2e-visioner.visibilityExpiry.-=rogue': null,
+    });
+
+    // Nothing to record or clear
+    orc.document.update.mockClear();
+    await expiry.recordStateExpiry(orc, rogue, null, { state: 'hidden', previous: 'observed' });
+    expect(orc.document.update).not.toHaveBeenCalled();
+  });
+
+  test('pairs set by hand drop their pending expiries', async () => {
+    const orc = makeToken('orc', {
+      visibilityExpiry: { rogue: { type: 'turn-end' }, wolf: { type: 'move' } },
+    });
+    await expiry.clearStateExpiries(orc, ['rogue', 'bard']);
+    expect(orc.document.update).toHaveBeenCalledWith({
+      'flags.pf2e-visioner.visibilityExpiry.-=rogue': null,
+    });
+
+    orc.document.update.mockClear();
+    await expiry.clearStateExpiries(orc, ['bard']);
+    expect(orc.document.update).not.toHaveBeenCalled();
+  });
+
+  test('expired pairs revert when still timed and the GM gets a summary', async () => {
+    const setVisibilityBetween = jest.fn();
+    jest.doMock('../../scripts/stores/visibility-map.js', () => ({
+      getVisibilityBetween: jest.fn((observer, target) =>
+        observer.id === 'orc' && target.id === 'rogue' ? 'hidden' : 'observed',
+      ),
+      setVisibilityBetween,
+    }));
+    jest.doMock('../../scripts/services/visual-effects.js', () => ({
+      updateTokenVisuals: jest.fn(),
+    }));
+    expiry = await import('../../scripts/services/state-expiry.js');
+
+    const entry = { type: 'turn-end', tokenId: 'rogue', state: 'hidden', previous: 'observed' };
+    const orc = makeToken('orc', {
+      visibilityExpiry: { rogue: { ...entry, action: 'diversion' } },
+    });
+    // The wolf's state was changed by something else since
+    const wolf = makeToken('wolf', { visibilityExpiry: { rogue: entry } });
+    const rogue = makeToken('rogue');
+    global.canvas.tokens.placeables = [orc, wolf, rogue];
+    global.canvas.tokens.get = jest.fn((id) =>
+      global.canvas.tokens.placeables.find((t) => t.id === id),
+    );
+
+    expect(await expiry.processExpiry({ type: 'turn', endedTokenId: 'orc' })).toBe(0);
+    expect(setVisibilityBetween).not.toHaveBeenCalled();
+
+    expect(await expiry.processExpiry({ type: 'turn', endedTokenId: 'rogue' })).toBe(1);
+    expect(setVisibilityBetween).toHaveBeenCalledTimes(1);
+    expect(setVisibilityBetween).toHaveBeenCalledWith(orc, rogue, 'observed', {
+      direction: 'observer_to_target',
+      audit: { source: 'expiry', action: 'diversion', reason: "end of rogue's turn" },
+    });
+    expect(wolf.document.update).toHaveBeenCalledWith({
+      'flags.pf2e-visioner.visibilityExpiry.-=rogue': null,
+    });
+    const summary = global.ChatMessage.create.mock.calls[0][0];
+    expect(summary.whisper).toEqual(['gm']);
+    expect(summary.content).toContain('orc → rogue: hidden → observed');
+  });
+
+  test('the GM summary escapes token names', async () => {
+    jest.doMock('../../scripts/stores/visibility-map.js', () => ({
+      getVisibilityBetween: jest.fn(() => 'hidden'),
+      setVisibilityBetween: jest.fn(),
+    }));
+    jest.doMock('../../scripts/services/visual-effects.js', () => ({
+      updateTokenVisuals: jest.fn(),
+    }));
+    expiry = await import('../../scripts/services/state-expiry.js');
+
+    const entry = { type: 'move', tokenId: 'rogue', state: 'hidden', previous: 'observed' };
+    const orc = makeToken('orc', { visibilityExpiry: { rogue: entry } });
+    orc.name = '<script>alert(1)</script>';
+    const rogue = makeToken('rogue');
+    rogue.name = '<img src=x onerror=alert(1)>';
+    global.canvas.tokens.placeables = [orc, rogue];
+    global.canvas.tokens.get = jest.fn((id) =>
+      global.canvas.tokens.placeables.find((t) => t.id === id),
+    );
+
+    expect(await expiry.processExpiry({ type: 'move', tokenId: 'rogue' })).toBe(1);
+    const { content } = global.ChatMessage.create.mock.calls[0][0];
+    expect(content).toContain(
+      '&lt;script&gt;alert(1)&lt;/script&gt; → &lt;img src=x onerror=alert(1)&gt;: hidden',
+    );
+    expect(content).not.toMatch(/<img|<script/);
+  });
+
+  test('a pair auto-visibility derived before the timed state goes back to it', async () => {
+    jest.dontMock('../../scripts/stores/visibility-map.js');
+    jest.doMock('../../scripts/visibility/ephemeral.js', () => ({
+      updateEphemeralEffectsForVisibility: jest.fn(),
+    }));
+    jest.doMock('../../scripts/services/visual-effects.js', () => ({
+      updateTokenVisuals: jest.fn(),
+    }));
+    expiry = await import('../../scripts/services/state-expiry.js');
+    const { setVisibilityBetween } = await import('../../scripts/stores/visibility-map.js');
+
+    const derived = { state: 'concealed', source: 'lighting', reason: 'dim light' };
+    const orc = global.createMockToken({
+      id: 'orc',
+      flags: {
+        'pf2e-visioner': {
+          visibility: { rogue: 'concealed' },
+          derivedVisibility: { rogue: derived },
+        },
+      },
+    });
+    const rogue = global.createMockToken({ id: 'rogue' });
+    global.canvas.tokens.placeables = [orc, rogue];
+    global.canvas.tokens.get = jest.fn((id) =>
+      global.canvas.tokens.placeables.find((t) => t.id === id),
+    );
+    const flags = () => orc.document.flags['pf2e-visioner'];
+
+    await setVisibilityBetween(orc, rogue, 'hidden', {
+      audit: { source: 'action', action: 'create-a-diversion' },
+      expiry: 'turn-end',
+      skipEphemeralUpdate: true,
+    });
+    expect(flags().derivedVisibility).toEqual({});
+    expect(flags().visibilityExpiry.rogue.previousDerived).toEqual(derived);
+
+    expect(await expiry.processExpiry({ type: 'turn', endedTokenId: 'rogue' })).toBe(1);
+    expect(flags().visibility.rogue).toBe('concealed');
+    expect(flags().derivedVisibility).toEqual({ rogue: derived });
+    expect(flags().visibilityExpiry).toEqual({});
+  });
+
+  test('Create a Diversion and Point Out attach their expiries', async () => {
+    const { DiversionActionHandler } = await import(
+      '../../scripts/chat/services/actions/diversion-action.js'
+    );
+    const { PointOutActionHandler } = await import(
+      '../../scripts/chat/services/actions/point-out-action.js'
+    );
+    expect(new DiversionActionHandler().getStateExpiry({})).toEqual({ type: 'turn-end' });
+    expect(new PointOutActionHandler().getStateExpiry({})).toEqual({ type: 'move' });
+  });
+});
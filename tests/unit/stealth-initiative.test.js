@@ -0,0 +1,113 @@
+/**
+ * Unit tests for Stealth initiative (Avoid Notice) resolution at encounter start
+ */
+
+import '../setup.js';
+
+describe('Stealth initiative', () => {
+  let stealthInitiative;
+
+  const makeToken = (id, { alliance, perceptionDC = 15, flags } = {}) =>
+    global.createMockToken({
+      id,
+      flags,
+      actor: {
+        id: `actor-${id}`,
+        type: alliance === 'party' ? 'character' : 'npc',
+        alliance,
+        system: { perception: { dc: perceptionDC, senses: [] }, traits: { value: [] } },
+        hasCondition: jest.fn(() => false),
+      },
+    });
+
+  const makeCombatant = (token, initiative, statistic = 'stealth') => ({
+    tokenId: token.id,
+    token: { object: token },
+    initiative,
+    flags: { pf2e: { initiativeStatistic: statistic } },
+  });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    stealthInitiative = await import('../../scripts/services/stealth-initiative.js');
+    global.game.messages = { contents: [] };
+  });
+
+  afterEach(() => {
+    delete global.game.messages;
+  });
+
+  test('only combatants that rolled Stealth are considered', () => {
+    const token = makeToken('rogue', { alliance: 'party' });
+    expect(stealthInitiative.isStealthInitiative(makeCombatant(token, 20))).toBe(true);
+    expect(stealthInitiative.isStealthInitiative(makeCombatant(token, 20, 'perception'))).toBe(
+      false,
+    );
+    expect(stealthInitiative.isStealthInitiative(makeCombatant(token, null))).toBe(false);
+  });
+
+  test('compares the initiative against each enemy Perception DC', () => {
+    const rogue = makeToken('rogue', { alliance: 'party' });
+    const fighter = makeToken('fighter', { alliance: 'party' });
+    const dullGuard = makeToken('dull', { alliance: 'opposition', perceptionDC: 14 });
+    const sharpGuard = makeToken('sharp', { alliance: 'opposition', perceptionDC: 20 });
+    const hawkEye = makeToken('hawk', { alliance: 'opposition', perceptionDC: 30 });
+    global.canvas.tokens.placeables = [rogue, fighter, dullGuard, sharpGuard, hawkEye];
+
+    const combat = {
+      combatants: [makeCombatant(rogue, 18), makeCombatant(fighter, 12, 'perception')],
+    };
+    const outcomes = stealthInitiative.computeStealthInitiativeOutcomes(combat);
+
+    // Allies are never observers and Perception initiatives are ignored
+    expect(outcomes.map((o) => o.observer.id)).toEqual(['dull', 'sharp', 'hawk']);
+    const byObserver = Object.fromEntries(outcomes.map((o) => [o.observer.id, o]));
+    expect(byObserver.dull).toMatchObject({
+      rowId: 'rogue-dull',
+      dc: 14,
+      margin: 4,
+      outcome: 'success',
+      oldVisibility: 'observed',
+      newVisibility: 'undetected',
+    });
+    expect(byObserver.sharp).toMatchObject({ outcome: 'failure', newVisibility: 'hidden' });
+    expect(byObserver.hawk).toMatchObject({
+      outcome: 'critical-failure',
+      newVisibility: 'observed',
+    });
+  });
+
+  test('uses the natural die of the initiative roll message', () => {
+    const rogue = makeToken('rogue', { alliance: 'party' });
+    const guard = makeToken('guard', { alliance: 'opposition', perceptionDC: 20 });
+    global.canvas.tokens.placeables = [rogue, guard];
+    global.game.messages.contents = [
+      {
+        flags: { core: { initiativeRoll: true } },
+        speaker: { token: 'rogue' },
+        rolls: [{ dice: [{ total: 20 }] }],
+      },
+    ];
+
+    const [outcome] = stealthInitiative.computeStealthInitiativeOutcomes({
+      combatants: [makeCombatant(rogue, 18)],
+    });
+    expect(outcome).toMatchObject({ die: 20, outcome: 'success', newVisibility: 'undetected' });
+  });
+
+  test('applies and reverts states for each observer', async () => {
+    const rogue = makeToken('rogue', { alliance: 'party' });
+    const guard = makeToken('guard', { alliance: 'opposition', perceptionDC: 10 });
+    global.canvas.tokens.placeables = [rogue, guard];
+    const { getVisibilityBetween } = await import('../../scripts/utils.js');
+
+    const outcomes = stealthInitiative.computeStealthInitiativeOutcomes({
+      combatants: [makeCombatant(rogue, 25)],
+    });
+    await stealthInitiative.applyStealthInitiativeOutcomes(outcomes);
+    expect(getVisibilityBetween(guard, rogue)).toBe('undetected');
+
+    await stealthInitiative.applyStealthInitiativeOutcomes(outcomes, { revert: true });
+    expect(getVisibilityBetween(guard, rogue)).toBe('observed');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Unit tests for the Token Manager matrix tab
+ * Filtering, windowed rendering, painting and batched writes
+ */
+
+import '../setup.js';
+
+describe('Token Manager matrix', () => {
+  let matrix;
+
+  const makeToken = (id, disposition, type = 'npc') => ({
+    id,
+    name: id,
+    document: {
+      id,
+      name: id,
+      disposition,
+      texture: { src: `${id}.png` },
+      getFlag: jest.fn(),
+    },
+    actor: { id: `actor-${id}`, type, img: `${id}.png` },
+  });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    matrix = await import('../../scripts/managers/token-manager/matrix.js');
+  });
+
+  afterEach(() => {
+    global.canvas.tokens.placeables = [];
+    global.game.combat = null;
+  });
+
+  test('filters rows and columns by disposition and encounter', () => {
+    const fighter = makeToken('fighter', 1, 'character');
+    const orc = makeToken('orc', -1);
+    const merchant = makeToken('merchant', 0);
+    global.canvas.tokens.placeables = [fighter, orc, merchant];
+
+    const all = matrix.getMatrixTokens({});
+    expect(all.rows.map((t) => t.id)).toEqual(['fighter', 'orc', 'merchant']);
+
+    const split = matrix.getMatrixTokens({ rowFilter: 'friendly', colFilter: 'hostile' });
+    expect(split.rows).toEqual([fighter]);
+    expect(split.cols).toEqual([orc]);
+
+    global.game.combat = {
+      combatants: Object.assign([{ tokenId: 'fighter' }, { tokenId: 'orc' }], { size: 2 }),
+    };
+    expect(matrix.getMatrixTokens({ encounterOnly: true }).cols).toEqual([fighter, orc]);
+  });
+
+  test('renders only the cells in view', () => {
+    expect(matrix.getVisibleRange(0, 200, 30)).toEqual({ start: 0, end: 8 });
+    expect(matrix.getVisibleRange(400, 200, 30)).toEqual({ start: 8, end: 18 });
+    expect(matrix.getVisibleRange(1200, 200, 30)).toEqual({ start: 28, end: 30 });
+
+    const tokens = Array.from({ length: 30 }, (_, i) => makeToken(`t${i}`, i % 2 ? 1 : -1));
+    global.canvas.tokens.placeables = tokens;
+    const element = document.createElement('div');
+    element.innerHTML =
+      '<div class="matrix-viewport"><div class="matrix-canvas"></div></div><span class="matrix-pending-count"></span>';
+    const viewport = element.querySelector('.matrix-viewport');
+    Object.defineProperty(viewport, 'clientHeight', { value: 200 });
+    Object.defineProperty(viewport, 'clientWidth', { value: 200 });
+    const app = { element, encounterOnly: false };
+    matrix.loadMatrix(app);
+    matrix.renderMatrixCells(app);
+
+    expect(element.querySelectorAll('.matrix-cell')).toHaveLength(64);
+    expect(element.querySelectorAll('.matrix-cell.self')).toHaveLength(8);
+    expect(element.querySelectorAll('.matrix-header.column')).toHaveLength(8);
+    expect(element.querySelector('.matrix-canvas').style.width).toBe(
+      `${matrix.MATRIX_HEADER_SIZE + 30 * matrix.MATRIX_CELL_SIZE}px`,
+    );
+  });
+
+  test('painting records edits and painting back to the stored state drops them', () => {
+    const fighter = makeToken('fighter', 1);
+    const orc = makeToken('orc', -1);
+    fighter.document.getFlag = jest.fn((_m, key) =>
+      key === 'visibility' ? { orc: 'hidden' } : {},
+    );
+    global.canvas.tokens.placeables = [fighter, orc];
+    const app = { encounterOnly: false };
+    matrix.loadMatrix(app);
+    const state = matrix.getMatrixState(app);
+
+    state.brush = { layer: 'visibility', state: 'undetected' };
+    expect(matrix.paintCell(app, 'fighter', 'orc')).toBe(true);
+    expect(matrix.paintCell(app, 'fighter', 'orc')).toBe(false);
+    expect(matrix.paintCell(app, 'fighter', 'fighter')).toBe(false);
+    state.brush = { layer: 'cover', state: 'standard' };
+    matrix.paintCell(app, 'fighter', 'orc');
+    expect(matrix.getCellState(app, 'fighter', 'orc')).toEqual({
+      visibility: 'undetected',
+      cover: 'standard',
+      edited: true,
+    });
+
+    state.brush = { layer: 'cover', state: 'none' };
+    matrix.paintCell(app, 'fighter', 'orc');
+    state.brush = { layer: 'visibility', state: 'hidden' };
+    matrix.paintCell(app, 'fighter', 'orc');
+    expect(state.edits.size).toBe(0);
+  });
+
+  test('applies edits with one map write per observer and a single bulk visibility call', async () => {
+    const bulkSetVisibility = jest.fn();
+    const setVisibilityMap = jest.fn();
+    const setCoverMap = jest.fn();
+    const batchUpdateCoverEffects = jest.fn();
+    jest.doMock('../../scripts/api.js', () => ({ api: { bulkSetVisibility } }));
+    jest.doMock('../../scripts/utils.js', () => ({
+      ...jest.requireActual('../../scripts/utils.js'),
+      getVisibilityMap: jest.fn(() => ({ wolf: 'observed' })),
+      getCoverMap: jest.fn(() => ({})),
+      setVisibilityMap,
+      setCoverMap,
+    }));
+    jest.doMock('../../scripts/cover/ephemeral.js', () => ({ batchUpdateCoverEffects }));
+    jest.doMock('../../scripts/managers/progress.js', () => ({
+      runTasksWithProgress: jest.fn(async (_title, tasks) => {
+        for (const task of tasks) await task();
+      }),
+    }));
+    jest.doMock('../../scripts/services/visual-effects.js', () => ({
+      updateSpecificTokenPairs: jest.fn(),
+    }));
+    jest.doMock('../../scripts/services/socket.js', () => ({
+      refreshEveryonesPerception: jest.fn(),
+    }));
+
+    const tokens = ['fighter', 'orc', 'wolf'].map((id) => makeToken(id, 1));
+    global.canvas.tokens.get = jest.fn((id) => tokens.find((t) => t.id === id));
+    const { applyMatrixEdits } = await import(
+      '../../scripts/managers/token-manager/actions/core.js'
+    );
+    const { getMatrixState } = await import('../../scripts/managers/token-manager/matrix.js');
+    const app = { render: jest.fn() };
+    const state = getMatrixState(app);
+    state.edits.set('fighter|orc', { visibility: 'hidden', cover: 'lesser' });
+    state.edits.set('fighter|wolf', { visibility: 'undetected' });
+
+    await applyMatrixEdits(app);
+
+    expect(setVisibilityMap).toHaveBeenCalledTimes(1);
+    expect(setVisibilityMap).toHaveBeenCalledWith(
+      tokens[0],
+      { orc: 'hidden', wolf: 'undetected' },
+      { audit: { source: 'token-manager' } },
+    );
+    expect(bulkSetVisibility).toHaveBeenCalledTimes(1);
+    expect(bulkSetVisibility).toHaveBeenCalledWith(
+      [
+        { observerId: 'fighter', targetId: 'orc', state: 'hidden' },
+        { observerId: 'fighter', targetId: 'wolf', state: 'undetected' },
+      ],
+      { direction: 'observer_to_target' },
+    );
+    expect(setCoverMap).toHaveBeenCalledWith(
+      tokens[0],
+      { orc: 'lesser' },
+      { audit: { source: 'token-manager' } },
+    );
+    expect(batchUpdateCoverEffects).toHaveBeenCalledWith(tokens[0], [
+      { target: tokens[1], state: 'lesser' },
+    ]);
+    expect(state.edits.size).toBe(0);
+    expect(app.render).toHaveBeenCalled();
+  });
+});